@@ -0,0 +1,407 @@
+// lib/alerts.js
+// Alerting on top of the device registry. A rule watches every device in its scope
+// ({ device?, group?, tag? }; all devices when empty) for one kind of trouble:
+//   flapping  - at least `count` offline transitions within windowMs
+//   silent    - no status report for forMs
+//   unacked   - at least `count` commands timed out without an ack within windowMs
+//   threshold - telemetry `field` <op> `value`, holding for forMs
+// Each (rule, device) pair gives an alert that is firing until its condition clears,
+// then resolved. Both transitions go to the rule's notification channels unless a
+// silence matches; a silenced alert still fires and shows on /alerts, and is sent once
+// the silence ends if it is still firing. repeatMs > 0 re-sends firing alerts.
+
+const crypto = require('crypto');
+
+const KINDS = ['flapping', 'silent', 'unacked', 'threshold'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+const THRESHOLD_OPS = { gt: (a, b) => a > b, gte: (a, b) => a >= b, lt: (a, b) => a < b, lte: (a, b) => a <= b };
+const OP_SYMBOLS = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+const MAX_WINDOW_MS = 24 * 60 * 60 * 1000;
+const DEFAULTS = {
+  flapping: { count: 3, windowMs: 60 * 60 * 1000 },
+  silent: { forMs: 10 * 60 * 1000 },
+  unacked: { count: 1, windowMs: 60 * 60 * 1000 },
+  threshold: { forMs: 0 }
+};
+
+function duration(ms) {
+  if (ms % 3600000 === 0) return `${ms / 3600000} h`;
+  if (ms % 60000 === 0) return `${ms / 60000} min`;
+  return `${Math.round(ms / 1000)} s`;
+}
+
+// devices(): the registry ({ name: { lastSeen, ... } }); inScope(scope, name) for group/tag
+// scopes; notify(channelIds, { status, alert }) resolves per-channel results.
+function createAlertManager({
+  store, devices, inScope = () => true, channelExists = () => true, notify,
+  onChange = () => {}, evalMs = 15000, historyLimit = 200
+}) {
+  const saved = store.load({});
+  const rules = new Map((saved.rules ?? []).map(r => [r.id, r]));
+  const silences = new Map((saved.silences ?? []).map(s => [s.id, s]));
+  const active = new Map((saved.firing ?? []).map(a => [a.key, a]));  // key "<rule>/<device>"
+  const resolved = saved.resolved ?? [];                                // newest first
+  // Recent offline transitions and ack timeouts per device: [epoch ms]
+  const flaps = new Map(Object.entries(saved.flaps ?? {}));
+  const timeouts = new Map(Object.entries(saved.timeouts ?? {}));
+  const breaching = new Map(); // threshold key -> { since, value }, until it fires or clears
+
+  function persist() {
+    store.save({
+      rules: [...rules.values()],
+      silences: [...silences.values()],
+      firing: [...active.values()],
+      resolved,
+      flaps: Object.fromEntries(flaps),
+      timeouts: Object.fromEntries(timeouts)
+    });
+  }
+
+  // ---------- Rules ----------
+  // Returns an error message or null; normalises the rule in place.
+  function validate(r) {
+    r.name = String(r.name ?? '').trim() || 'Untitled';
+    r.enabled = r.enabled !== false;
+    if (!KINDS.includes(r.kind)) return `kind must be one of ${KINDS.join('|')}`;
+    r.severity = r.severity ?? 'warning';
+    if (!SEVERITIES.includes(r.severity)) return `severity must be one of ${SEVERITIES.join('|')}`;
+    const scope = r.scope ?? {};
+    r.scope = {};
+    for (const k of ['device', 'group', 'tag']) {
+      const v = String(scope[k] ?? '').trim();
+      if (v) r.scope[k] = v;
+    }
+    const p = { ...DEFAULTS[r.kind], ...(r.params ?? {}) };
+    r.params = {};
+    for (const k of ['count', 'windowMs', 'forMs']) {
+      if (DEFAULTS[r.kind][k] === undefined) continue;
+      const v = Number(p[k]);
+      if (!Number.isFinite(v) || v < 0 || (k === 'count' && (!Number.isInteger(v) || v < 1))) return `params.${k} must be a number >= ${k === 'count' ? 1 : 0}`;
+      if (k === 'windowMs' && (v < 1000 || v > MAX_WINDOW_MS)) return `params.windowMs must be between 1 s and ${duration(MAX_WINDOW_MS)}`;
+      r.params[k] = v;
+    }
+    if (r.kind === 'silent' && r.params.forMs < 1000) return 'params.forMs must be at least 1000';
+    if (r.kind === 'threshold') {
+      r.params.field = String(p.field ?? '').trim();
+      if (!r.params.field) return 'params.field is required';
+      r.params.op = p.op ?? 'gt';
+      if (!THRESHOLD_OPS[r.params.op]) return `params.op must be one of ${Object.keys(THRESHOLD_OPS).join('|')}`;
+      r.params.value = Number(p.value);
+      if (p.value === '' || p.value == null || !Number.isFinite(r.params.value)) return 'params.value must be a number';
+    }
+    r.channels = Array.isArray(r.channels) ? [...new Set(r.channels.map(String))] : [];
+    const unknown = r.channels.find(id => !channelExists(id));
+    if (unknown) return `Unknown channel "${unknown}"`;
+    r.repeatMs = r.repeatMs == null || r.repeatMs === '' ? 0 : Number(r.repeatMs);
+    if (!Number.isFinite(r.repeatMs) || r.repeatMs < 0) return 'repeatMs must be a number >= 0';
+    return null;
+  }
+
+  function createRule(input, actor) {
+    const r = {
+      id: crypto.randomBytes(6).toString('hex'),
+      name: input.name,
+      enabled: input.enabled,
+      kind: input.kind,
+      severity: input.severity,
+      scope: input.scope ? { ...input.scope } : {},
+      params: input.params ? { ...input.params } : {},
+      channels: input.channels,
+      repeatMs: input.repeatMs,
+      createdBy: actor ?? null,
+      createdAt: new Date().toISOString()
+    };
+    const error = validate(r);
+    if (error) return { error };
+    rules.set(r.id, r);
+    persist();
+    evaluate();
+    return { rule: r };
+  }
+
+  function updateRule(id, patch) {
+    const cur = rules.get(id);
+    if (!cur) return null;
+    const next = { ...cur, scope: { ...cur.scope }, params: { ...cur.params } };
+    for (const k of ['name', 'enabled', 'severity', 'channels', 'repeatMs']) {
+      if (patch[k] !== undefined) next[k] = patch[k];
+    }
+    if (patch.scope !== undefined) next.scope = patch.scope ? { ...patch.scope } : {};
+    if (patch.params !== undefined) next.params = patch.params ? { ...patch.params } : {};
+    const error = validate(next);
+    if (error) return { error };
+    rules.set(id, next);
+    // Scope or condition changes start the rule over.
+    for (const key of breaching.keys()) if (key.startsWith(`${id}/`)) breaching.delete(key);
+    for (const a of active.values()) if (a.rule === id) Object.assign(a, { name: next.name, severity: next.severity });
+    persist();
+    evaluate();
+    return { rule: next };
+  }
+
+  // Its alerts resolve first, while the rule's channels are still known.
+  function removeRule(id) {
+    if (!rules.has(id)) return false;
+    for (const [key, a] of active) if (a.rule === id) resolve(key, 'rule deleted');
+    rules.delete(id);
+    persist();
+    return true;
+  }
+
+  // ---------- Silences ----------
+  function silenceState(s, now = Date.now()) {
+    if (Date.parse(s.endsAt) <= now) return 'expired';
+    return Date.parse(s.startsAt) > now ? 'pending' : 'active';
+  }
+  function silenceView(s) {
+    return { ...s, state: silenceState(s) };
+  }
+  function silencedBy(a, now = Date.now()) {
+    for (const s of silences.values()) {
+      if (silenceState(s, now) !== 'active') continue;
+      if ((!s.rule || s.rule === a.rule) && (!s.device || s.device === a.device)) return s.id;
+    }
+    return null;
+  }
+
+  // input: { rule?, device?, comment?, startsAt?, endsAt | durationMs }
+  function createSilence(input, actor) {
+    const now = Date.now();
+    const startsAt = input.startsAt ? Date.parse(input.startsAt) : now;
+    if (!Number.isFinite(startsAt)) return { error: 'startsAt must be an ISO date' };
+    const endsAt = input.endsAt ? Date.parse(input.endsAt) : startsAt + Number(input.durationMs);
+    if (!Number.isFinite(endsAt) || endsAt <= Math.max(startsAt, now)) return { error: 'Expected endsAt (in the future) or durationMs > 0' };
+    const rule = String(input.rule ?? '').trim();
+    if (rule && !rules.has(rule)) return { error: `Unknown rule "${rule}"` };
+    const s = {
+      id: crypto.randomBytes(6).toString('hex'),
+      rule: rule || null,
+      device: String(input.device ?? '').trim() || null,
+      comment: String(input.comment ?? '').trim().slice(0, 500),
+      startsAt: new Date(startsAt).toISOString(),
+      endsAt: new Date(endsAt).toISOString(),
+      createdBy: actor ?? null,
+      createdAt: new Date(now).toISOString()
+    };
+    silences.set(s.id, s);
+    // Expired silences are kept for a day, for the record.
+    for (const old of silences.values()) {
+      if (Date.parse(old.endsAt) < now - MAX_WINDOW_MS) silences.delete(old.id);
+    }
+    persist();
+    refreshSilenced();
+    return { silence: silenceView(s) };
+  }
+
+  function expireSilence(id) {
+    const s = silences.get(id);
+    if (!s) return null;
+    if (silenceState(s) !== 'expired') s.endsAt = new Date().toISOString();
+    persist();
+    refreshSilenced();
+    return silenceView(s);
+  }
+
+  // ---------- Alerts ----------
+  function fire(r, device, summary, value = null) {
+    const key = `${r.id}/${device}`;
+    const cur = active.get(key);
+    if (cur) {
+      if (cur.summary === summary) return;
+      Object.assign(cur, { summary, value });
+      persist();
+      onChange(cur, 'updated');
+      return;
+    }
+    const a = {
+      id: crypto.randomBytes(6).toString('hex'),
+      key,
+      rule: r.id,
+      name: r.name,
+      kind: r.kind,
+      severity: r.severity,
+      device,
+      state: 'firing',
+      summary,
+      value,
+      startsAt: new Date().toISOString(),
+      endsAt: null,
+      silencedBy: null,
+      notifiedAt: null,
+      lastNotification: null
+    };
+    a.silencedBy = silencedBy(a);
+    active.set(key, a);
+    persist();
+    onChange(a, 'firing');
+    dispatch();
+  }
+
+  function resolve(key, reason) {
+    const a = active.get(key);
+    if (!a) return;
+    active.delete(key);
+    Object.assign(a, { state: 'resolved', endsAt: new Date().toISOString(), silencedBy: silencedBy(a) });
+    if (reason) a.summary = `${a.summary} (${reason})`;
+    resolved.unshift(a);
+    if (resolved.length > historyLimit) resolved.length = historyLimit;
+    persist();
+    onChange(a, 'resolved');
+    // Only alerts that were announced get a resolved notice.
+    if (a.notifiedAt && !a.silencedBy) deliver(a, 'resolved');
+  }
+
+  async function deliver(a, status) {
+    const r = rules.get(a.rule);
+    const ids = r?.channels ?? [];
+    if (!ids.length) return;
+    const results = await notify(ids, { status, alert: publicAlert(a) });
+    a.lastNotification = { at: new Date().toISOString(), status, results };
+    persist();
+    onChange(a, 'notified');
+  }
+
+  // Sends firing alerts that are due (new, out of a silence, or repeatMs elapsed).
+  function dispatch() {
+    const now = Date.now();
+    for (const a of active.values()) {
+      if (a.silencedBy) continue;
+      const r = rules.get(a.rule);
+      const due = !a.notifiedAt || (r?.repeatMs && now - Date.parse(a.notifiedAt) >= r.repeatMs);
+      if (!due) continue;
+      a.notifiedAt = new Date(now).toISOString();
+      deliver(a, 'firing');
+    }
+  }
+
+  function refreshSilenced() {
+    let changed = false;
+    for (const a of active.values()) {
+      const s = silencedBy(a);
+      if (s === a.silencedBy) continue;
+      a.silencedBy = s;
+      changed = true;
+      onChange(a, 'updated');
+    }
+    if (changed) persist();
+    dispatch();
+  }
+
+  function publicAlert(a) {
+    const { key, lastNotification, ...rest } = a;
+    return rest;
+  }
+
+  // ---------- Evaluation ----------
+  function scoped(r, device) {
+    if (r.scope.device && r.scope.device !== device) return false;
+    return (!r.scope.group && !r.scope.tag) || inScope(r.scope, device);
+  }
+  function recent(map, device, windowMs, now) {
+    return (map.get(device) ?? []).filter(t => t > now - windowMs).length;
+  }
+  function remember(map, device, now) {
+    const list = (map.get(device) ?? []).filter(t => t > now - MAX_WINDOW_MS);
+    list.push(now);
+    map.set(device, list);
+  }
+
+  function check(r, device, info, now) {
+    const key = `${r.id}/${device}`;
+    if (r.kind === 'flapping' || r.kind === 'unacked') {
+      const n = recent(r.kind === 'flapping' ? flaps : timeouts, device, r.params.windowMs, now);
+      if (n >= r.params.count) {
+        fire(r, device, r.kind === 'flapping'
+          ? `${n} offline transitions in ${duration(r.params.windowMs)}`
+          : `${n} command${n === 1 ? '' : 's'} without acknowledgement in ${duration(r.params.windowMs)}`, n);
+      } else {
+        resolve(key);
+      }
+    } else if (r.kind === 'silent') {
+      const last = Date.parse(info?.lastSeen ?? '');
+      if (!Number.isFinite(last)) return;
+      if (now - last >= r.params.forMs) fire(r, device, `No status report for ${duration(r.params.forMs)} (last seen ${new Date(last).toISOString()})`);
+      else resolve(key);
+    } else if (r.kind === 'threshold') {
+      const b = breaching.get(key);
+      if (b && now - b.since >= r.params.forMs) {
+        const { field, op, value } = r.params;
+        fire(r, device, `${field} = ${b.value} (${OP_SYMBOLS[op]} ${value}${r.params.forMs ? ` for ${duration(r.params.forMs)}` : ''})`, b.value);
+      }
+    }
+  }
+
+  function evaluate() {
+    const now = Date.now();
+    const registry = devices();
+    for (const r of rules.values()) {
+      if (!r.enabled) continue;
+      for (const [device, info] of Object.entries(registry)) {
+        if (scoped(r, device)) check(r, device, info, now);
+      }
+    }
+    for (const [key, a] of active) {
+      const r = rules.get(a.rule);
+      if (!r?.enabled) resolve(key, 'rule disabled or deleted');
+      else if (!scoped(r, a.device)) resolve(key, 'no longer in scope');
+    }
+    refreshSilenced();
+  }
+
+  // event: { device, status, prev, source } from devices/status and the auto-offline loop.
+  function handleStatus({ device, status, prev }) {
+    const now = Date.now();
+    if (status === 'offline' && prev && prev !== 'offline') remember(flaps, device, now);
+    const info = devices()[device];
+    for (const r of rules.values()) {
+      if (r.enabled && (r.kind === 'flapping' || r.kind === 'silent') && scoped(r, device)) check(r, device, info, now);
+    }
+  }
+
+  // Any answer from the device (even a late or failed one) clears its unacked alerts.
+  function handleCommand(cmd) {
+    const now = Date.now();
+    if (cmd.status === 'timeout') remember(timeouts, cmd.device, now);
+    else if (cmd.status === 'acked' || cmd.status === 'failed') timeouts.delete(cmd.device);
+    else return;
+    for (const r of rules.values()) {
+      if (r.enabled && r.kind === 'unacked' && scoped(r, cmd.device)) check(r, cmd.device, null, now);
+    }
+  }
+
+  function handleTelemetry(device, values) {
+    const now = Date.now();
+    for (const r of rules.values()) {
+      if (!r.enabled || r.kind !== 'threshold' || !(r.params.field in values) || !scoped(r, device)) continue;
+      const key = `${r.id}/${device}`;
+      const v = values[r.params.field];
+      if (THRESHOLD_OPS[r.params.op](v, r.params.value)) {
+        breaching.set(key, { since: breaching.get(key)?.since ?? now, value: v });
+        check(r, device, null, now);
+      } else {
+        breaching.delete(key);
+        resolve(key);
+      }
+    }
+  }
+
+  const timer = setInterval(evaluate, evalMs);
+  timer.unref();
+
+  return {
+    createRule, updateRule, removeRule,
+    getRule: (id) => rules.get(id) ?? null,
+    listRules: () => [...rules.values()],
+    createSilence, expireSilence,
+    listSilences: () => [...silences.values()].map(silenceView).sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+    // Newest first.
+    list: () => ({
+      firing: [...active.values()].sort((a, b) => b.startsAt.localeCompare(a.startsAt)).map(a => ({ ...publicAlert(a), lastNotification: a.lastNotification })),
+      resolved: resolved.map(a => ({ ...publicAlert(a), lastNotification: a.lastNotification }))
+    }),
+    firing: () => [...active.values()].map(publicAlert),
+    handleStatus, handleCommand, handleTelemetry, evaluate
+  };
+}
+
+module.exports = { createAlertManager, KINDS, SEVERITIES };
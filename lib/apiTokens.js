@@ -0,0 +1,88 @@
+// lib/apiTokens.js
+// Bearer tokens for scripts and CI ("Authorization: Bearer tok_<id>.<secret>").
+// Tokens are random and high-entropy, so a SHA-256 of the secret is enough to store
+// (unlike passwords, see lib/secrets.js) and keeps per-request verification cheap.
+// The plain token is returned once at creation. Revoked tokens stay listed.
+
+const crypto = require('crypto');
+const { randomSecret } = require('./secrets');
+
+// scope -> what it allows (enforced by the server's TOKEN_SCOPES route table)
+const SCOPES = {
+  'devices:read': 'Read devices, live stream and history',
+  'commands:send': 'Send commands and read their status'
+};
+const PREFIX = 'tok_';
+
+function digest(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function createApiTokenStore({ store }) {
+  const tokens = new Map(store.load([]).map(t => [t.id, t]));
+
+  function persist() {
+    store.save([...tokens.values()]);
+  }
+  function publicView(t) {
+    const { hash, ...rest } = t;
+    return rest;
+  }
+
+  function create({ name, scopes }, actor) {
+    name = String(name ?? '').trim();
+    if (!name || name.length > 64) return { error: 'name is required (max 64 characters)' };
+    if (!Array.isArray(scopes) || scopes.length === 0) return { error: `scopes must be a non-empty array of ${Object.keys(SCOPES).join('|')}` };
+    const unknown = scopes.find(s => !SCOPES[s]);
+    if (unknown) return { error: `Unknown scope "${unknown}"` };
+    if ([...tokens.values()].some(t => !t.revokedAt && t.name === name)) return { error: `An active token named "${name}" already exists` };
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = randomSecret(32);
+    const t = {
+      id,
+      name,
+      scopes: [...new Set(scopes)],
+      hash: digest(secret),
+      createdBy: actor ?? null,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      lastUsedIp: null,
+      revokedAt: null
+    };
+    tokens.set(id, t);
+    persist();
+    return { token: `${PREFIX}${id}.${secret}`, record: publicView(t) };
+  }
+
+  function revoke(id) {
+    const t = tokens.get(id);
+    if (!t) return null;
+    if (!t.revokedAt) {
+      t.revokedAt = new Date().toISOString();
+      persist();
+    }
+    return publicView(t);
+  }
+
+  // Returns the token record for a valid, unrevoked token (and records the use), else null.
+  function verify(plain, ip) {
+    const m = String(plain ?? '').match(/^tok_([0-9a-f]{12})\.([A-Za-z0-9_-]+)$/);
+    const t = m && tokens.get(m[1]);
+    if (!t || t.revokedAt) return null;
+    const a = Buffer.from(digest(m[2]), 'hex');
+    const b = Buffer.from(t.hash, 'hex');
+    if (!crypto.timingSafeEqual(a, b)) return null;
+    t.lastUsedAt = new Date().toISOString();
+    t.lastUsedIp = ip ?? null;
+    persist();
+    return publicView(t);
+  }
+
+  function list() {
+    return [...tokens.values()].map(publicView);
+  }
+
+  return { create, revoke, verify, list, get: (id) => (tokens.has(id) ? publicView(tokens.get(id)) : null) };
+}
+
+module.exports = { createApiTokenStore, SCOPES };
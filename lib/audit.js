@@ -0,0 +1,93 @@
+// lib/audit.js
+// Append-only audit trail in rotating JSONL files:
+//   <dir>/audit.jsonl                      current file
+//   <dir>/audit-<yyyymmddThhmmss>.jsonl    rotated files, oldest removed beyond maxFiles
+// Entries: { ts, actor, action, target, payload, ip, result }
+// Appends are synchronous: entries are low-volume (human actions) and must survive an
+// immediate process exit on redeploy.
+
+const fs   = require('fs');
+const path = require('path');
+const { toMs } = require('./history');
+
+const CURRENT = 'audit.jsonl';
+
+function createAuditLog({ dir, maxBytes = 5 * 1024 * 1024, maxFiles = 10 }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const currentPath = path.join(dir, CURRENT);
+  let size = fs.existsSync(currentPath) ? fs.statSync(currentPath).size : 0;
+
+  // Oldest first. Rotations within the same second get a -<n> suffix, which a plain sort
+  // would put before the unsuffixed file.
+  function rotatedFiles() {
+    const key = (f) => {
+      const [, stamp, n] = f.match(/^audit-(\d{8}T\d{6})(?:-(\d+))?\.jsonl$/);
+      return [stamp, Number(n ?? 0)];
+    };
+    return fs.readdirSync(dir).filter(f => /^audit-\d{8}T\d{6}(-\d+)?\.jsonl$/.test(f))
+      .sort((a, b) => {
+        const [sa, na] = key(a);
+        const [sb, nb] = key(b);
+        return sa === sb ? na - nb : (sa < sb ? -1 : 1);
+      });
+  }
+
+  function rotate() {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').slice(0, 15);
+    let target = path.join(dir, `audit-${stamp}.jsonl`);
+    for (let n = 1; fs.existsSync(target); n++) target = path.join(dir, `audit-${stamp}-${n}.jsonl`);
+    fs.renameSync(currentPath, target);
+    const old = rotatedFiles();
+    for (const f of old.slice(0, Math.max(0, old.length - maxFiles))) fs.unlinkSync(path.join(dir, f));
+    size = 0;
+  }
+
+  function record({ actor = null, action, target = null, payload = null, ip = null, result = 'ok' }) {
+    const entry = { ts: new Date().toISOString(), actor, action, target, payload, ip, result };
+    const line = JSON.stringify(entry) + '\n';
+    if (size > 0 && size + line.length > maxBytes) {
+      try { rotate(); } catch (err) { console.error(`[AUDIT] rotate failed: ${err.message}`); }
+    }
+    try {
+      fs.appendFileSync(currentPath, line);
+      size += Buffer.byteLength(line);
+    } catch (err) {
+      console.error(`[AUDIT] write failed: ${err.message}`);
+    }
+    return entry;
+  }
+
+  // Newest first across the current and rotated files. `action` matches exactly or as a
+  // dotted prefix ("user" matches "user.create"); other filters are exact matches.
+  async function query({ actor, action, target, result, from, to, limit = 200 } = {}) {
+    const fromMs = toMs(from);
+    const toMsV  = toMs(to);
+    const files = [CURRENT, ...rotatedFiles().reverse()];
+    const out = [];
+    for (const f of files) {
+      let text;
+      try { text = await fs.promises.readFile(path.join(dir, f), 'utf8'); }
+      catch { continue; }
+      const lines = text.split('\n');
+      for (let i = lines.length - 1; i >= 0 && out.length < limit; i--) {
+        if (!lines[i]) continue;
+        let e;
+        try { e = JSON.parse(lines[i]); } catch { continue; }
+        const t = Date.parse(e.ts);
+        if (fromMs != null && t < fromMs) continue;
+        if (toMsV != null && t > toMsV) continue;
+        if (actor && e.actor !== actor) continue;
+        if (target && e.target !== target) continue;
+        if (result && e.result !== result) continue;
+        if (action && e.action !== action && !String(e.action).startsWith(`${action}.`)) continue;
+        out.push(e);
+      }
+      if (out.length >= limit) break;
+    }
+    return out;
+  }
+
+  return { record, query };
+}
+
+module.exports = { createAuditLog };
@@ -0,0 +1,119 @@
+// lib/capabilities.js
+// Per-device capability schemas, announced by devices on devices/<name>/meta:
+//
+//   { "capabilities": {
+//       "power":      { "type": "boolean" },
+//       "brightness": { "type": "number", "min": 0, "max": 100, "step": 1, "unit": "%" },
+//       "mode":       { "type": "enum", "values": ["auto", "heat", "cool"] },
+//       "label":      { "type": "string", "maxLength": 32 }
+//   } }
+//
+// /api/command validates { device, command: { <capability>: value, ... } } against it.
+
+const TYPES = ['boolean', 'number', 'enum', 'string'];
+const NAME_RE = /^[A-Za-z0-9_\-]{1,32}$/;
+// Would read or write Object.prototype members instead of a capability.
+const RESERVED_NAMES = new Set(['__proto__', 'constructor', 'prototype']);
+
+// Returns { schema } or { error } for an announced meta payload.
+function normalizeSchema(raw) {
+  const caps = raw?.capabilities;
+  if (!caps || typeof caps !== 'object' || Array.isArray(caps)) return { error: 'Expected { capabilities: { name: { type, ... } } }' };
+  const schema = {};
+  for (const [name, def] of Object.entries(caps)) {
+    if (!NAME_RE.test(name) || RESERVED_NAMES.has(name)) return { error: `Invalid capability name "${name}"` };
+    if (!def || !TYPES.includes(def.type)) return { error: `${name}: type must be one of ${TYPES.join('|')}` };
+    const out = { type: def.type };
+    if (def.label != null) out.label = String(def.label);
+    if (def.type === 'number') {
+      for (const k of ['min', 'max', 'step']) {
+        if (def[k] == null) continue;
+        if (typeof def[k] !== 'number' || !isFinite(def[k])) return { error: `${name}: ${k} must be a number` };
+        out[k] = def[k];
+      }
+      if (out.min != null && out.max != null && out.min > out.max) return { error: `${name}: min > max` };
+      if (out.step != null && out.step <= 0) return { error: `${name}: step must be > 0` };
+      if (def.unit != null) out.unit = String(def.unit);
+    }
+    if (def.type === 'enum') {
+      if (!Array.isArray(def.values) || def.values.length === 0) return { error: `${name}: values must be a non-empty array` };
+      out.values = def.values.map(String);
+    }
+    if (def.type === 'string' && def.maxLength != null) {
+      if (!Number.isInteger(def.maxLength) || def.maxLength < 1) return { error: `${name}: maxLength must be a positive integer` };
+      out.maxLength = def.maxLength;
+    }
+    schema[name] = out;
+  }
+  if (Object.keys(schema).length === 0) return { error: 'No capabilities declared' };
+  return { schema };
+}
+
+// Returns { value } (coerced command) or { errors: [...] }.
+function validateCommand(schema, command) {
+  if (!command || typeof command !== 'object' || Array.isArray(command)) return { errors: ['command must be an object'] };
+  const errors = [];
+  const value = {};
+  const keys = Object.keys(command);
+  if (keys.length === 0) errors.push('command is empty');
+  for (const key of keys) {
+    const def = Object.hasOwn(schema, key) ? schema[key] : null;
+    const v = command[key];
+    if (!def) { errors.push(`${key}: unknown capability`); continue; }
+    if (def.type === 'boolean') {
+      if (typeof v !== 'boolean') errors.push(`${key}: expected boolean`);
+      else value[key] = v;
+    } else if (def.type === 'number') {
+      if (typeof v !== 'number' || !isFinite(v)) { errors.push(`${key}: expected number`); continue; }
+      if (def.min != null && v < def.min) { errors.push(`${key}: must be >= ${def.min}`); continue; }
+      if (def.max != null && v > def.max) { errors.push(`${key}: must be <= ${def.max}`); continue; }
+      if (def.step != null) {
+        const steps = (v - (def.min ?? 0)) / def.step;
+        if (Math.abs(steps - Math.round(steps)) > 1e-9) { errors.push(`${key}: must be a multiple of ${def.step}`); continue; }
+      }
+      value[key] = v;
+    } else if (def.type === 'enum') {
+      if (!def.values.includes(String(v))) errors.push(`${key}: expected one of ${def.values.join('|')}`);
+      else value[key] = String(v);
+    } else if (def.type === 'string') {
+      if (typeof v !== 'string') errors.push(`${key}: expected string`);
+      else if (def.maxLength != null && v.length > def.maxLength) errors.push(`${key}: longer than ${def.maxLength}`);
+      else value[key] = v;
+    }
+  }
+  return errors.length ? { errors } : { value };
+}
+
+function createCapabilityRegistry({ store }) {
+  const schemas = Object.assign(Object.create(null), store.load({}));
+
+  function announce(device, raw) {
+    const result = normalizeSchema(raw);
+    if (result.error) return result;
+    schemas[device] = { schema: result.schema, announcedAt: new Date().toISOString() };
+    store.save(schemas);
+    return result;
+  }
+
+  function get(device) {
+    return schemas[device]?.schema ?? null;
+  }
+
+  // The target keeps its own schema if it announced one.
+  function rename(from, to) {
+    if (!schemas[from] || from === to) return;
+    schemas[to] = schemas[to] ?? schemas[from];
+    delete schemas[from];
+    store.save(schemas);
+  }
+
+  function remove(device) {
+    if (!schemas[device]) return;
+    delete schemas[device];
+    store.save(schemas);
+  }
+
+  return { announce, get, rename, remove };
+}
+
+module.exports = { createCapabilityRegistry, normalizeSchema, validateCommand };
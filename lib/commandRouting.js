@@ -0,0 +1,92 @@
+// lib/commandRouting.js
+// Where and how a command for a device is published.
+//   mode     legacy   - the shared COMMAND_TOPIC (every device sees every command)
+//            device   - COMMAND_TOPIC_TEMPLATE with {device} substituted
+//   encoding colon    - "<device>:<on|off>", what existing firmware parses (":<id>" is
+//                       appended only with includeId, i.e. COMMAND_INCLUDE_ID)
+//            colon-id - "<device>:<on|off>:<id>", for devices that opted in to acking by id
+//            json     - { device, id, status } / { device, id, command }
+// Capability commands (objects) are always JSON. Defaults come from the config (and change
+// through setDefaults); individual devices can be overridden (e.g. while their firmware is
+// migrated).
+
+const MODES = ['legacy', 'device'];
+const ENCODINGS = ['colon', 'colon-id', 'json'];
+
+function createCommandRouter({ store, legacyTopic, template, defaultMode = 'legacy', defaultEncoding = 'colon', includeId = false }) {
+  function checkDefaults(mode, encoding) {
+    if (!MODES.includes(mode)) throw new Error(`COMMAND_TOPIC_MODE must be one of ${MODES.join('|')}`);
+    if (!ENCODINGS.includes(encoding)) throw new Error(`COMMAND_ENCODING must be one of ${ENCODINGS.join('|')}`);
+  }
+  if (!template.includes('{device}')) throw new Error(`COMMAND_TOPIC_TEMPLATE must contain {device}: "${template}"`);
+  checkDefaults(defaultMode, defaultEncoding);
+  const overrides = Object.assign(Object.create(null), store.load({}));
+
+  function settings(device) {
+    const o = overrides[device] ?? {};
+    return {
+      mode: o.mode ?? defaultMode,
+      encoding: o.encoding ?? defaultEncoding,
+      overridden: Boolean(overrides[device])
+    };
+  }
+
+  // patch: { mode?, encoding? }; null/'' resets a field to the default.
+  function configure(device, patch) {
+    for (const [k, allowed] of [['mode', MODES], ['encoding', ENCODINGS]]) {
+      if (patch[k] != null && patch[k] !== '' && !allowed.includes(patch[k])) {
+        throw new Error(`Invalid ${k}. Expected one of ${allowed.join('|')}`);
+      }
+    }
+    const next = { ...overrides[device] };
+    for (const k of ['mode', 'encoding']) {
+      if (patch[k] === undefined) continue;
+      if (patch[k] === null || patch[k] === '') delete next[k];
+      else next[k] = patch[k];
+    }
+    if (Object.keys(next).length) overrides[device] = next;
+    else delete overrides[device];
+    store.save(overrides);
+    return settings(device);
+  }
+
+  // Registry renames/deletes. The target keeps its own override if it has one.
+  function rename(from, to) {
+    if (!overrides[from] || from === to) return;
+    overrides[to] = overrides[to] ?? overrides[from];
+    delete overrides[from];
+    store.save(overrides);
+  }
+  function remove(device) {
+    if (!overrides[device]) return;
+    delete overrides[device];
+    store.save(overrides);
+  }
+
+  // Devices without an override follow the new defaults from their next command on.
+  function setDefaults({ legacyTopic: topic = legacyTopic, mode = defaultMode, encoding = defaultEncoding }) {
+    checkDefaults(mode, encoding);
+    legacyTopic = topic;
+    defaultMode = mode;
+    defaultEncoding = encoding;
+  }
+
+  function topicFor(device) {
+    return settings(device).mode === 'device' ? template.split('{device}').join(device) : legacyTopic;
+  }
+
+  // { status } for on/off, { command } for capability objects.
+  function encode(device, id, { status, command }) {
+    if (command !== undefined) return JSON.stringify({ device, id, command });
+    const { encoding } = settings(device);
+    if (encoding === 'json') return JSON.stringify({ device, id, status });
+    return encoding === 'colon-id' || includeId ? `${device}:${status}:${id}` : `${device}:${status}`;
+  }
+
+  return {
+    settings, configure, rename, remove, setDefaults, topicFor, encode, template,
+    get legacyTopic() { return legacyTopic; }
+  };
+}
+
+module.exports = { createCommandRouter, MODES, ENCODINGS };
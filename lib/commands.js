@@ -0,0 +1,120 @@
+// lib/commands.js
+// Command ledger: every command published from the host gets a correlation id and a
+// lifecycle  pending -> acked | failed | timeout . Devices confirm on devices/<name>/ack.
+
+const crypto = require('crypto');
+
+const STATES = ['pending', 'acked', 'failed', 'timeout'];
+
+function newCommandId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+function createCommandLedger({ store, timeoutMs = 10000, limit = 1000, onChange = () => {} }) {
+  const saved = store.load([]);
+  const commands = new Map(saved.map(c => [c.id, c])); // insertion order = creation order
+
+  function persist() {
+    store.save([...commands.values()]);
+  }
+  function changed(cmd) {
+    persist();
+    onChange(cmd);
+  }
+
+  function create({ id, device, command, topic, payload, actor }) {
+    const cmd = {
+      id: id ?? newCommandId(),
+      device,
+      command,
+      topic,
+      payload,
+      actor: actor ?? null,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      resolvedAt: null,
+      error: null
+    };
+    commands.set(cmd.id, cmd);
+    while (commands.size > limit) commands.delete(commands.keys().next().value);
+    changed(cmd);
+    return cmd;
+  }
+
+  function resolve(cmd, status, error) {
+    cmd.status = status;
+    cmd.resolvedAt = new Date().toISOString();
+    cmd.error = error ?? null;
+    changed(cmd);
+    return cmd;
+  }
+
+  function fail(id, error) {
+    const cmd = commands.get(id);
+    return cmd ? resolve(cmd, 'failed', error) : null;
+  }
+
+  // Without an id the newest pending command for the device is acknowledged.
+  // A late ack (after timeout) still records the device's answer, flagged late.
+  function ack(device, { id, ok = true, error } = {}) {
+    let cmd = id ? commands.get(id) : null;
+    if (!id) {
+      for (const c of commands.values()) {
+        if (c.device === device && c.status === 'pending') cmd = c;
+      }
+    }
+    if (!cmd || cmd.device !== device) return null;
+    if (cmd.status !== 'pending' && cmd.status !== 'timeout') return cmd;
+    if (cmd.status === 'timeout') cmd.late = true;
+    return resolve(cmd, ok ? 'acked' : 'failed', ok ? null : (error ?? 'Device reported failure'));
+  }
+
+  function get(id) {
+    return commands.get(id) ?? null;
+  }
+
+  // Newest first.
+  function list({ device, status, limit: max = 100 } = {}) {
+    const out = [];
+    const all = [...commands.values()];
+    for (let i = all.length - 1; i >= 0 && out.length < max; i--) {
+      const c = all[i];
+      if (device && c.device !== device) continue;
+      if (status && c.status !== status) continue;
+      out.push(c);
+    }
+    return out;
+  }
+
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - timeoutMs;
+    for (const c of commands.values()) {
+      if (c.status === 'pending' && Date.parse(c.createdAt) < cutoff) resolve(c, 'timeout', 'No acknowledgement');
+    }
+  }, 1000);
+  sweep.unref();
+
+  return { create, ack, fail, get, list, timeoutMs };
+}
+
+// devices/<name>/ack payload: JSON { id, ok, error } or "<id>" / "<id>:ok" / "<id>:failed[:reason]"
+function parseAckPayload(payloadStr) {
+  try {
+    const obj = JSON.parse(payloadStr);
+    if (obj && typeof obj === 'object') {
+      return {
+        id: obj.id ? String(obj.id) : undefined,
+        ok: obj.ok !== false && obj.status !== 'failed',
+        error: obj.error ? String(obj.error) : undefined
+      };
+    }
+  } catch {}
+  const [id, result, ...rest] = payloadStr.split(':').map(s => s.trim());
+  return {
+    id: id || undefined,
+    ok: !result || result === 'ok',
+    error: rest.length ? rest.join(':') : undefined
+  };
+}
+
+module.exports = { createCommandLedger, newCommandId, parseAckPayload, STATES };
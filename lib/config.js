@@ -0,0 +1,264 @@
+// lib/config.js
+// Server configuration. SCHEMA lists every setting with its type and default; loadConfig()
+// layers defaults < config file (CONFIG_FILE, JSON keyed by the env names) < environment
+// and reports every invalid value at once so the server can refuse to start.
+// Settings marked hot can also be changed at runtime (createSettings, /settings); those
+// overrides are persisted and win over the file and env until reset.
+
+const fs   = require('fs');
+const path = require('path');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+function publishTopic(v) {
+  if (!v) return 'must not be empty';
+  if (/[+#]/.test(v)) return 'must not contain MQTT wildcards';
+  return null;
+}
+
+// type: string | int | bool | enum (values) | url; int takes min/max. default may be a
+// function of the settings above it. check(value) -> error|null for anything else.
+const SCHEMA = {
+  PORT:                   { group: 'Server', type: 'int', min: 1, max: 65535, default: 3000, describe: 'HTTP port' },
+  TRUST_PROXY:            { group: 'Server', type: 'bool', default: true, describe: "client IP from the proxy's X-Forwarded-For entry (the last)" },
+  PUBLIC_URL:             { group: 'Server', type: 'url', default: '', describe: 'base of links sent to devices; default: request host' },
+  STORE_DRIVER:           { group: 'Storage', type: 'enum', values: ['file', 'memory'], default: 'file' },
+  DATA_DIR:               { group: 'Storage', type: 'string', default: 'data', check: v => (v ? null : 'must not be empty') },
+  HISTORY_LIMIT:          { group: 'Storage', type: 'int', min: 1, default: 500, describe: 'status events kept per device' },
+  MQTT_TCP_PORT:          { group: 'MQTT', type: 'int', min: 0, max: 65535, default: 0, describe: 'plain MQTT listener; 0 = off' },
+  MQTT_TLS_PORT:          { group: 'MQTT', type: 'int', min: 0, max: 65535, default: 0, describe: 'MQTTS listener; 0 = off' },
+  MQTT_TLS_CERT:          { group: 'MQTT', type: 'string', default: '', describe: 'PEM certificate file' },
+  MQTT_TLS_KEY:           { group: 'MQTT', type: 'string', default: '', describe: 'PEM key file' },
+  MQTT_ALLOW_ANONYMOUS:   { group: 'MQTT', type: 'bool', default: true, describe: 'accept clients without credentials' },
+  STALE_MS:               { group: 'Presence', type: 'int', min: 1000, default: 30000, hot: true, describe: 'offline after this long without a report' },
+  OFFLINE_ON_DISCONNECT:  { group: 'Presence', type: 'bool', default: true, hot: true, describe: 'offline as soon as the reporting client disconnects' },
+  DEVICE_QUARANTINE:      { group: 'Presence', type: 'bool', default: true, hot: true, describe: 'hold unregistered devices that report status until approved' },
+  STATUS_RETAIN_TOPIC:    { group: 'Presence', type: 'string', default: 'devices/{device}/status', describe: "retained status mirror; '' disables",
+    check: v => (!v || v.includes('{device}') ? null : 'must contain {device}') },
+  COMMAND_TOPIC:          { group: 'Commands', type: 'string', default: 'devices/command', hot: true, describe: 'shared (legacy) command topic', check: publishTopic },
+  COMMAND_TOPIC_TEMPLATE: { group: 'Commands', type: 'string', default: 'devices/{device}/command', describe: 'per-device command topic',
+    check: v => (v.includes('{device}') ? publishTopic(v) : 'must contain {device}') },
+  COMMAND_TOPIC_MODE:     { group: 'Commands', type: 'enum', values: ['legacy', 'device'], default: 'legacy', hot: true, describe: 'default delivery mode' },
+  COMMAND_ENCODING:       { group: 'Commands', type: 'enum', values: ['colon', 'colon-id', 'json'], default: 'colon', hot: true, describe: 'default payload encoding' },
+  COMMAND_QOS:            { group: 'Commands', type: 'int', min: 0, max: 2, default: 1 },
+  COMMAND_INCLUDE_ID:     { group: 'Commands', type: 'bool', default: false, describe: 'append the command id to every colon payload' },
+  COMMAND_ACK_TIMEOUT_MS: { group: 'Commands', type: 'int', min: 1000, default: 10000 },
+  ADMIN_USER:             { group: 'Accounts', type: 'string', default: 'admin', describe: 'initial admin, first boot only', check: v => (v ? null : 'must not be empty') },
+  ADMIN_PASS:             { group: 'Accounts', type: 'string', default: 'Harish@123', secret: true, describe: 'initial admin password, first boot only' },
+  SESSION_SECRET:         { group: 'Accounts', type: 'string', default: 'Harish@123', secret: true, check: v => (v ? null : 'must not be empty') },
+  SESSION_MAX_AGE_MS:     { group: 'Accounts', type: 'int', min: MINUTE, default: 8 * HOUR },
+  COOKIE_SECURE:          { group: 'Accounts', type: 'bool', default: false },
+  LOGIN_MAX_ATTEMPTS:     { group: 'Accounts', type: 'int', min: 1, default: 5, describe: 'failures per username...' },
+  LOGIN_MAX_ATTEMPTS_PER_IP: { group: 'Accounts', type: 'int', min: 1, default: 20, describe: '...and per client IP' },
+  LOGIN_WINDOW_MS:        { group: 'Accounts', type: 'int', min: 1000, default: 15 * MINUTE, describe: 'counted within this window' },
+  LOGIN_LOCKOUT_MS:       { group: 'Accounts', type: 'int', min: 1000, default: 15 * MINUTE, describe: 'then locked out this long' },
+  AUDIT_DIR:              { group: 'Audit', type: 'string', default: c => path.join(c.DATA_DIR, 'audit') },
+  AUDIT_MAX_BYTES:        { group: 'Audit', type: 'int', min: 1024, default: 5 * 1024 * 1024, describe: 'per file' },
+  AUDIT_MAX_FILES:        { group: 'Audit', type: 'int', min: 1, default: 10, describe: 'rotated files kept' },
+  SCHEDULE_MAX_LATENESS_MS: { group: 'Scheduler', type: 'int', min: 0, default: HOUR, describe: 'catch-up window for missed runs' },
+  WEBHOOK_MAX_ATTEMPTS:   { group: 'Webhooks', type: 'int', min: 1, default: 6 },
+  WEBHOOK_BACKOFF_MS:     { group: 'Webhooks', type: 'int', min: 0, default: 2000, describe: 'doubles per retry' },
+  WEBHOOK_TIMEOUT_MS:     { group: 'Webhooks', type: 'int', min: 100, default: 5000 },
+  METRICS_TOKEN:          { group: 'Metrics', type: 'string', default: '', secret: true, describe: 'Bearer token for scrapers' },
+  METRICS_PUBLIC:         { group: 'Metrics', type: 'bool', default: false },
+  FIRMWARE_DIR:           { group: 'Firmware', type: 'string', default: c => path.join(c.DATA_DIR, 'firmware') },
+  FIRMWARE_MAX_BYTES:     { group: 'Firmware', type: 'int', min: 1024, default: 16 * 1024 * 1024 },
+  OTA_TIMEOUT_MS:         { group: 'Firmware', type: 'int', min: 1000, default: 30 * MINUTE, describe: 'per device, between progress reports' },
+  FIRMWARE_LINK_TTL_MS:   { group: 'Firmware', type: 'int', min: MINUTE, default: DAY, describe: 'signed download links in rollout messages stop working after this' },
+  TELEMETRY_TOPIC:        { group: 'Telemetry', type: 'string', default: 'devices/+/telemetry', describe: "MQTT filter, first + is the device; '' disables",
+    check: v => (!v || v.includes('+') ? null : 'must contain a + for the device') },
+  TELEMETRY_RAW_MS:       { group: 'Telemetry', type: 'int', min: MINUTE, default: HOUR, describe: 'every sample kept this long' },
+  TELEMETRY_MINUTE_MS:    { group: 'Telemetry', type: 'int', min: MINUTE, default: DAY, describe: 'then 1-minute buckets' },
+  TELEMETRY_RETENTION_MS: { group: 'Telemetry', type: 'int', min: HOUR, default: 7 * DAY, describe: 'then 1-hour buckets' },
+  TELEMETRY_MAX_FIELDS:   { group: 'Telemetry', type: 'int', min: 1, max: 1000, default: 32, describe: 'per device' },
+  TELEMETRY_MAX_RAW:      { group: 'Telemetry', type: 'int', min: 10, max: 1000000, default: 3600, describe: 'raw samples kept per field, oldest dropped first' },
+  ALERT_EVAL_MS:          { group: 'Alerts', type: 'int', min: 1000, default: 15000, describe: 'silent/flapping rules re-checked this often' },
+  NOTIFY_TIMEOUT_MS:      { group: 'Alerts', type: 'int', min: 100, default: 10000, describe: 'per notification' }
+};
+
+// Rules spanning several settings; each returns an error or null.
+const CHECKS = [
+  c => (c.MQTT_TLS_PORT && !(c.MQTT_TLS_CERT && c.MQTT_TLS_KEY) ? 'MQTT_TLS_PORT needs MQTT_TLS_CERT and MQTT_TLS_KEY' : null),
+  c => (c.TELEMETRY_RAW_MS <= c.TELEMETRY_MINUTE_MS && c.TELEMETRY_MINUTE_MS <= c.TELEMETRY_RETENTION_MS ? null
+    : 'TELEMETRY_RAW_MS <= TELEMETRY_MINUTE_MS <= TELEMETRY_RETENTION_MS does not hold')
+];
+
+// raw comes from env (string) or the config file (any JSON value).
+// Returns { value } or { error }.
+function parseValue(spec, raw) {
+  switch (spec.type) {
+    case 'int': {
+      const n = typeof raw === 'number' ? raw : (/^\s*-?\d+\s*$/.test(String(raw)) ? Number(raw) : NaN);
+      if (!Number.isSafeInteger(n)) return { error: `must be a whole number, got ${JSON.stringify(raw)}` };
+      if (spec.min != null && n < spec.min) return { error: `must be at least ${spec.min}, got ${n}` };
+      if (spec.max != null && n > spec.max) return { error: `must be at most ${spec.max}, got ${n}` };
+      return { value: n };
+    }
+    case 'bool': {
+      if (typeof raw === 'boolean') return { value: raw };
+      const s = String(raw).trim().toLowerCase();
+      if (['true', '1', 'yes'].includes(s)) return { value: true };
+      if (['false', '0', 'no'].includes(s)) return { value: false };
+      return { error: `must be true or false, got ${JSON.stringify(raw)}` };
+    }
+    case 'enum':
+      return spec.values.includes(raw) ? { value: raw } : { error: `must be one of ${spec.values.join('|')}, got ${JSON.stringify(raw)}` };
+    case 'url': {
+      const s = String(raw).trim().replace(/\/+$/, '');
+      if (!s) return { value: '' };
+      let url;
+      try { url = new URL(s); } catch { return { error: `must be an http(s) URL, got ${JSON.stringify(raw)}` }; }
+      return ['http:', 'https:'].includes(url.protocol) ? { value: s } : { error: `must be an http(s) URL, got ${JSON.stringify(raw)}` };
+    }
+    default:
+      if (raw !== null && typeof raw === 'object') return { error: 'must be a string' };
+      return { value: String(raw) };
+  }
+}
+
+function validateValue(key, raw) {
+  const spec = SCHEMA[key];
+  const parsed = parseValue(spec, raw);
+  if (parsed.error) return parsed;
+  const error = spec.check?.(parsed.value);
+  return error ? { error } : parsed;
+}
+
+function readConfigFile(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('expected a JSON object');
+  return data;
+}
+
+// file: CONFIG_FILE, else ./config.json when it exists. Empty env values count as unset
+// for non-string settings (dotenv turns "KEY=" into '').
+// Returns { values, sources: { KEY: default|file|env }, defaults, file, errors: [] }.
+function loadConfig({ env = process.env } = {}) {
+  const errors = [];
+  const explicit = Boolean(env.CONFIG_FILE);
+  const file = path.resolve(env.CONFIG_FILE || 'config.json');
+  let fromFile = {};
+  let usedFile = null;
+  if (explicit || fs.existsSync(file)) {
+    try {
+      fromFile = readConfigFile(file);
+      usedFile = file;
+    } catch (err) {
+      errors.push(`CONFIG_FILE ${file}: ${err.code === 'ENOENT' ? 'not found' : err.message}`);
+    }
+    for (const k of Object.keys(fromFile)) {
+      if (!SCHEMA[k]) errors.push(`${k} (config file): unknown setting`);
+    }
+  }
+
+  const values = {};
+  const sources = {};
+  const defaults = {};
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    defaults[key] = typeof spec.default === 'function' ? spec.default(values) : spec.default;
+    let raw = defaults[key];
+    let source = 'default';
+    if (Object.hasOwn(fromFile, key)) {
+      raw = fromFile[key];
+      source = 'file';
+    }
+    if (env[key] !== undefined && (env[key] !== '' || spec.type === 'string')) {
+      raw = env[key];
+      source = 'env';
+    }
+    const result = validateValue(key, raw);
+    if (result.error) {
+      errors.push(`${key} (${source}): ${result.error}`);
+      values[key] = defaults[key];
+    } else {
+      values[key] = result.value;
+    }
+    sources[key] = source;
+  }
+  if (errors.length === 0) {
+    for (const check of CHECKS) {
+      const error = check(values);
+      if (error) errors.push(error);
+    }
+  }
+  return { values, sources, defaults, file: usedFile, errors };
+}
+
+// Runtime layer for hot settings. Stored overrides apply from boot, so callers read hot
+// settings through get(); onChange(key, value, prev) runs for changes made afterwards.
+function createSettings({ config, store, onChange = () => {} }) {
+  const overrides = Object.create(null);
+  for (const [key, value] of Object.entries(store.load({}))) {
+    const result = SCHEMA[key]?.hot ? validateValue(key, value) : { error: 'not a runtime setting' };
+    if (result.error) console.warn(`[CONFIG] stored override ${key} ignored: ${result.error}`);
+    else overrides[key] = result.value;
+  }
+
+  const get = (key) => (key in overrides ? overrides[key] : config.values[key]);
+
+  function describe(key) {
+    const spec = SCHEMA[key];
+    const mask = (v) => (spec.secret && v ? '…' : v);
+    return {
+      key,
+      group: spec.group,
+      type: spec.type,
+      ...(spec.values ? { values: spec.values } : {}),
+      ...(spec.min != null ? { min: spec.min } : {}),
+      ...(spec.max != null ? { max: spec.max } : {}),
+      describe: spec.describe ?? null,
+      value: mask(get(key)),
+      default: mask(config.defaults[key]),
+      source: key in overrides ? 'runtime' : config.sources[key],
+      startup: mask(config.values[key]),
+      hot: Boolean(spec.hot),
+      secret: Boolean(spec.secret)
+    };
+  }
+
+  // patch: { KEY: value }; all or nothing. Returns { changes: { KEY: { from, to } } } or { error }.
+  function update(patch) {
+    const errors = [];
+    const next = {};
+    for (const [key, raw] of Object.entries(patch ?? {})) {
+      if (!SCHEMA[key]) errors.push(`${key}: unknown setting`);
+      else if (!SCHEMA[key].hot) errors.push(`${key}: set in the config file or environment (needs a restart)`);
+      else {
+        const result = validateValue(key, raw);
+        if (result.error) errors.push(`${key}: ${result.error}`);
+        else next[key] = result.value;
+      }
+    }
+    if (errors.length) return { error: errors.join('; ') };
+    const changes = {};
+    for (const [key, value] of Object.entries(next)) {
+      const prev = get(key);
+      overrides[key] = value;
+      if (value !== prev) changes[key] = { from: prev, to: value };
+    }
+    store.save({ ...overrides });
+    for (const [key, { from, to }] of Object.entries(changes)) onChange(key, to, from);
+    return { changes };
+  }
+
+  // Back to the file/env/default value. Returns the change or null when not overridden.
+  function reset(key) {
+    if (!(key in overrides)) return null;
+    const prev = overrides[key];
+    delete overrides[key];
+    store.save({ ...overrides });
+    if (get(key) !== prev) onChange(key, get(key), prev);
+    return { from: prev, to: get(key) };
+  }
+
+  return {
+    get, update, reset,
+    has: (key) => Boolean(SCHEMA[key]),
+    describe,
+    list: () => Object.keys(SCHEMA).map(describe)
+  };
+}
+
+module.exports = { loadConfig, createSettings, SCHEMA };
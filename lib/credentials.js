@@ -0,0 +1,55 @@
+// lib/credentials.js
+// Device credential store: one MQTT username/password per device name.
+// Only the scrypt hash is kept; the plain password is returned once at provisioning.
+
+const { hashSecret, verifySecret, randomSecret } = require('./secrets');
+
+function createCredentialStore({ store }) {
+  const creds = Object.assign(Object.create(null), store.load({}));
+
+  // Provisioning an existing device rotates its password.
+  function provision(device) {
+    const password = randomSecret();
+    const prev = creds[device];
+    creds[device] = {
+      ...hashSecret(password),
+      createdAt: prev?.createdAt ?? new Date().toISOString(),
+      rotatedAt: prev ? new Date().toISOString() : null,
+      lastUsedAt: prev?.lastUsedAt ?? null
+    };
+    store.save(creds);
+    return { device, username: device, password };
+  }
+
+  function revoke(device) {
+    if (!creds[device]) return false;
+    delete creds[device];
+    store.save(creds);
+    return true;
+  }
+
+  function verify(device, password) {
+    const rec = creds[device];
+    if (!rec || !verifySecret(password, rec)) return false;
+    rec.lastUsedAt = new Date().toISOString();
+    store.save(creds);
+    return true;
+  }
+
+  function has(device) {
+    return Boolean(creds[device]);
+  }
+
+  function list() {
+    return Object.entries(creds).map(([device, rec]) => ({
+      device,
+      createdAt: rec.createdAt,
+      rotatedAt: rec.rotatedAt,
+      lastUsedAt: rec.lastUsedAt
+    }));
+  }
+
+  return { provision, revoke, verify, has, list, devices: () => Object.keys(creds) };
+}
+
+module.exports = { createCredentialStore };
@@ -0,0 +1,111 @@
+// lib/cron.js
+// Five-field cron expressions evaluated in UTC:  minute hour day-of-month month day-of-week
+// Supports *, lists (1,5), ranges (1-5), steps (*/15, 10-50/10) and month/day names
+// (jan..dec, sun..sat; 7 is also Sunday). As in classic cron, when both day-of-month and
+// day-of-week are restricted (do not cover their whole range, so */1 and 1-31 are not) a
+// day matches if either does.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day-of-month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+  { name: 'day-of-week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 }
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+function parseValue(str, field) {
+  const lower = str.toLowerCase();
+  const idx = field.names ? field.names.indexOf(lower) : -1;
+  const n = idx >= 0 ? idx + field.offset : Number(str);
+  if (!/^\d+$/.test(str) && idx < 0) throw new Error(`${field.name}: "${str}" is not a number`);
+  if (n < field.min || n > field.max) throw new Error(`${field.name}: ${n} out of range ${field.min}-${field.max}`);
+  return n;
+}
+
+function parseField(str, field) {
+  const set = new Set();
+  for (const part of str.split(',')) {
+    const [range, stepStr] = part.split('/');
+    const step = stepStr === undefined ? 1 : Number(stepStr);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`${field.name}: bad step "${stepStr}"`);
+    let lo, hi;
+    if (range === '*') {
+      lo = field.min; hi = field.max;
+    } else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      lo = parseValue(a, field); hi = parseValue(b, field);
+      if (lo > hi) throw new Error(`${field.name}: range ${range} is reversed`);
+    } else {
+      lo = parseValue(range, field);
+      hi = stepStr === undefined ? lo : field.max;
+    }
+    for (let v = lo; v <= hi; v += step) set.add(v);
+  }
+  return set;
+}
+
+// Returns a compiled expression or throws with a readable message.
+function parseCron(expr) {
+  const source = String(expr ?? '').trim();
+  const parts = (MACROS[source.toLowerCase()] ?? source).split(/\s+/);
+  if (parts.length !== 5) throw new Error('Expected 5 fields: minute hour day-of-month month day-of-week');
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (dow.has(7)) { dow.delete(7); dow.add(0); }
+  return {
+    source,
+    minute, hour, dom, month, dow,
+    domAny: dom.size === 31,
+    dowAny: dow.size === 7
+  };
+}
+
+function dayMatches(c, d) {
+  const domOk = c.dom.has(d.getUTCDate());
+  const dowOk = c.dow.has(d.getUTCDay());
+  if (c.domAny && c.dowAny) return true;
+  if (c.domAny) return dowOk;
+  if (c.dowAny) return domOk;
+  return domOk || dowOk;
+}
+
+// First occurrence strictly after `after` (Date or ms), or null if none within ~5 years.
+function nextRun(c, after) {
+  const d = new Date(typeof after === 'number' ? after : after.getTime());
+  d.setUTCSeconds(0, 0);
+  d.setUTCMinutes(d.getUTCMinutes() + 1);
+  const limit = d.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+  while (d.getTime() <= limit) {
+    if (!c.month.has(d.getUTCMonth() + 1)) {
+      d.setUTCMonth(d.getUTCMonth() + 1, 1);
+      d.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!dayMatches(c, d)) {
+      d.setUTCDate(d.getUTCDate() + 1);
+      d.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!c.hour.has(d.getUTCHours())) {
+      d.setUTCHours(d.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!c.minute.has(d.getUTCMinutes())) {
+      d.setUTCMinutes(d.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+    return d;
+  }
+  return null;
+}
+
+module.exports = { parseCron, nextRun };
@@ -0,0 +1,122 @@
+// lib/devices.js
+// Device registry helpers for server.js: operator-editable metadata, list queries for
+// /api/devices (search, filters, sorting, paging) and the quarantine where devices that
+// report status without being registered wait for approval.
+
+const META_FIELDS = { displayName: 100, location: 100, notes: 1000 }; // max lengths
+
+// input: { displayName?, location?, notes? }; '' or null clears a field.
+// Returns { meta } with just the fields given, or { error }.
+function normalizeDeviceMeta(input) {
+  const meta = {};
+  for (const [k, max] of Object.entries(META_FIELDS)) {
+    if (input?.[k] === undefined) continue;
+    if (input[k] !== null && typeof input[k] !== 'string') return { error: `${k} must be a string` };
+    const v = String(input[k] ?? '').trim();
+    if (v.length > max) return { error: `${k} must be at most ${max} characters` };
+    meta[k] = v || null;
+  }
+  return { meta };
+}
+
+const SORT_KEYS = ['device', 'displayName', 'status', 'location', 'lastSeen', 'firstSeen', 'updatedAt'];
+const ARCHIVED = ['exclude', 'include', 'only'];
+const MAX_LIMIT = 500;
+
+// items: registry items (see deviceItem in server.js). params are query-string values:
+// q (substring of name, display name, location, notes, firmware or a tag), status,
+// group, tag, archived (exclude|include|only), sort, order (asc|desc), offset, limit.
+// No limit returns every match. Returns { items, total, offset, limit } or { error }.
+function queryDevices(items, params = {}) {
+  const sort = params.sort || 'device';
+  const order = params.order || 'asc';
+  const archived = params.archived || 'exclude';
+  if (!SORT_KEYS.includes(sort)) return { error: `sort must be one of ${SORT_KEYS.join('|')}` };
+  if (!['asc', 'desc'].includes(order)) return { error: 'order must be asc or desc' };
+  if (!ARCHIVED.includes(archived)) return { error: `archived must be one of ${ARCHIVED.join('|')}` };
+  const offset = params.offset ? Number(params.offset) : 0;
+  const limit = params.limit ? Number(params.limit) : null;
+  if (!Number.isInteger(offset) || offset < 0) return { error: 'offset must be a non-negative integer' };
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT)) return { error: `limit must be 1-${MAX_LIMIT}` };
+
+  const q = String(params.q ?? '').trim().toLowerCase();
+  const matched = items.filter(x => {
+    if (archived === 'exclude' && x.archived) return false;
+    if (archived === 'only' && !x.archived) return false;
+    if (params.status && String(x.status ?? '').toLowerCase() !== String(params.status).toLowerCase()) return false;
+    if (params.group && !x.groups.includes(params.group)) return false;
+    if (params.tag && !x.tags.includes(params.tag)) return false;
+    if (!q) return true;
+    return [x.device, x.displayName, x.location, x.notes, x.firmware, ...x.tags]
+      .some(v => v != null && String(v).toLowerCase().includes(q));
+  });
+
+  // Missing values sort last either way; ties fall back to the device name.
+  const dir = order === 'desc' ? -1 : 1;
+  matched.sort((a, b) => {
+    const va = a[sort] ?? null;
+    const vb = b[sort] ?? null;
+    if (va === null || vb === null) {
+      if (va !== vb) return va === null ? 1 : -1;
+    } else {
+      const c = String(va).localeCompare(String(vb), undefined, { numeric: true, sensitivity: 'base' });
+      if (c) return c * dir;
+    }
+    return a.device.localeCompare(b.device) * (sort === 'device' ? dir : 1);
+  });
+  return {
+    items: limit === null ? matched.slice(offset) : matched.slice(offset, offset + limit),
+    total: matched.length,
+    offset,
+    limit
+  };
+}
+
+// Unknown devices seen on devices/status: { device, status, firstSeen, lastSeen, reports,
+// clientId }. At most `limit` are kept; the one heard from least recently makes room.
+function createQuarantine({ store, limit = 200 }) {
+  const entries = new Map(store.load([]).map(e => [e.device, e]));
+
+  function persist() {
+    store.save([...entries.values()]);
+  }
+
+  // Returns { entry, added }.
+  function report(device, { status, ts, clientId }) {
+    let entry = entries.get(device);
+    const added = !entry;
+    if (added) {
+      if (entries.size >= limit) {
+        const oldest = [...entries.values()].reduce((a, b) => (a.lastSeen <= b.lastSeen ? a : b));
+        entries.delete(oldest.device);
+      }
+      entry = { device, status, firstSeen: ts, lastSeen: ts, reports: 0, clientId };
+      entries.set(device, entry);
+    }
+    entry.status = status;
+    entry.lastSeen = ts;
+    entry.clientId = clientId;
+    entry.reports += 1;
+    persist();
+    return { entry, added };
+  }
+
+  // Removes and returns the entry (approval), or null.
+  function take(device) {
+    const entry = entries.get(device) ?? null;
+    if (entry) {
+      entries.delete(device);
+      persist();
+    }
+    return entry;
+  }
+
+  return {
+    report, take,
+    remove: (device) => Boolean(take(device)),
+    has: (device) => entries.has(device),
+    list: () => [...entries.values()].sort((a, b) => b.lastSeen.localeCompare(a.lastSeen))
+  };
+}
+
+module.exports = { normalizeDeviceMeta, queryDevices, createQuarantine, SORT_KEYS };
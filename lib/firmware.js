@@ -0,0 +1,77 @@
+// lib/firmware.js
+// Uploaded firmware images. Metadata (version, sha256, size, who/when) lives in the
+// store; the image bytes are written to <dir>/<id>.bin regardless of the store driver,
+// since devices download them later.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const VERSION_RE = /^[A-Za-z0-9][A-Za-z0-9_.+\-]{0,63}$/;
+
+// Basename with anything unusual replaced, so it is safe in URLs and headers.
+function safeFilename(name) {
+  const base = path.basename(String(name ?? '').replace(/\\/g, '/')).replace(/[^A-Za-z0-9_.\-]/g, '_').slice(0, 128);
+  return base.replace(/^\.+/, '') || 'firmware.bin';
+}
+
+// "sensor-1.4.2.bin" -> "1.4.2"; null if the filename carries no version.
+function versionFromFilename(name) {
+  return String(name ?? '').match(/(\d+\.\d+(?:\.\d+)?(?:[-+][A-Za-z0-9.\-]+)?)(?=\.[A-Za-z0-9]+$|$)/)?.[1] ?? null;
+}
+
+function createFirmwareStore({ store, dir }) {
+  const images = new Map(store.load([]).map(f => [f.id, f]));
+
+  function persist() {
+    store.save([...images.values()]);
+  }
+  function filePath(id) {
+    return path.join(dir, `${id}.bin`);
+  }
+
+  // input: { filename, version?, notes?, data: Buffer }. Resolves { image } or { error, code }.
+  async function add({ filename, version, notes, data }, actor) {
+    if (!data || data.length === 0) return { error: 'file is empty', code: 400 };
+    const name = safeFilename(filename);
+    const v = String(version ?? '').trim() || versionFromFilename(name);
+    if (!v) return { error: 'version is required (or put it in the filename, e.g. fw-1.2.0.bin)', code: 400 };
+    if (!VERSION_RE.test(v)) return { error: 'version must be 1-64 letters, digits, _ . + -', code: 400 };
+    const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+    const same = [...images.values()].find(f => f.sha256 === sha256);
+    if (same) return { error: `This image is already stored as version ${same.version}`, code: 409 };
+    if ([...images.values()].some(f => f.version === v)) return { error: `Version ${v} already exists`, code: 409 };
+    const image = {
+      id: crypto.randomBytes(6).toString('hex'),
+      version: v,
+      filename: name,
+      size: data.length,
+      sha256,
+      notes: String(notes ?? '').trim().slice(0, 500),
+      uploadedBy: actor ?? null,
+      uploadedAt: new Date().toISOString()
+    };
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(filePath(image.id), data);
+    images.set(image.id, image);
+    persist();
+    return { image };
+  }
+
+  async function remove(id) {
+    if (!images.has(id)) return false;
+    images.delete(id);
+    persist();
+    await fs.promises.rm(filePath(id), { force: true });
+    return true;
+  }
+
+  // Newest first.
+  function list() {
+    return [...images.values()].sort((a, b) => b.uploadedAt.localeCompare(a.uploadedAt));
+  }
+
+  return { add, remove, list, filePath, get: (id) => images.get(id) ?? null };
+}
+
+module.exports = { createFirmwareStore };
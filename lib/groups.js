@@ -0,0 +1,150 @@
+// lib/groups.js
+// Named device groups. A group lists devices directly and may have a parent group;
+// a group's members are its own devices plus those of all its subgroups, so
+// "building" can contain "floor-1" and "floor-2". Tags live on the devices themselves
+// (see normalizeTags) and are matched by the server.
+
+const NAME_RE = /^[A-Za-z0-9_.\-]{1,64}$/;
+const TAG_RE = /^[A-Za-z0-9_.\-]{1,32}$/;
+
+// Returns { tags } (deduplicated) or { error }.
+function normalizeTags(input) {
+  if (!Array.isArray(input)) return { error: 'tags must be an array of strings' };
+  const tags = [...new Set(input.map(t => String(t).trim()).filter(Boolean))];
+  const bad = tags.find(t => !TAG_RE.test(t));
+  if (bad) return { error: `Invalid tag "${bad}" (letters, digits, _ . - up to 32)` };
+  return { tags };
+}
+
+function createGroupStore({ store }) {
+  const groups = Object.assign(Object.create(null), store.load({}));
+
+  function persist() {
+    store.save(groups);
+  }
+
+  function children(name) {
+    return Object.values(groups).filter(g => g.parent === name).map(g => g.name);
+  }
+
+  // True if `ancestor` is `name` or one of its parents.
+  function isWithin(name, ancestor) {
+    const seen = new Set();
+    for (let cur = name; cur && !seen.has(cur); cur = groups[cur]?.parent) {
+      if (cur === ancestor) return true;
+      seen.add(cur);
+    }
+    return false;
+  }
+
+  // All devices of a group and its subgroups, sorted; null for an unknown group.
+  function resolve(name) {
+    if (!groups[name]) return null;
+    const out = new Set();
+    const stack = [name];
+    const seen = new Set();
+    while (stack.length) {
+      const g = stack.pop();
+      if (seen.has(g)) continue;
+      seen.add(g);
+      for (const d of groups[g].devices) out.add(d);
+      stack.push(...children(g));
+    }
+    return [...out].sort();
+  }
+
+  // Groups whose members include the device (directly or through a subgroup).
+  function memberOf(device) {
+    const out = new Set();
+    for (const g of Object.values(groups)) {
+      if (!g.devices.includes(device)) continue;
+      const seen = new Set();
+      for (let cur = g.name; cur && !seen.has(cur); cur = groups[cur]?.parent) {
+        out.add(cur);
+        seen.add(cur);
+      }
+    }
+    return [...out].sort();
+  }
+
+  // Returns an error message or null; normalises in place.
+  function validate(g) {
+    if (!NAME_RE.test(g.name ?? '')) return 'name must be 1-64 letters, digits, _ . -';
+    g.description = String(g.description ?? '').trim();
+    g.parent = g.parent ? String(g.parent) : null;
+    if (g.parent && !groups[g.parent]) return `Unknown parent group "${g.parent}"`;
+    if (g.parent && isWithin(g.parent, g.name)) return 'A group cannot be nested inside itself or its subgroups';
+    if (!Array.isArray(g.devices)) return 'devices must be an array of device names';
+    g.devices = [...new Set(g.devices.map(d => String(d).trim()).filter(Boolean))].sort();
+    return null;
+  }
+
+  function create(input) {
+    const g = {
+      name: String(input.name ?? '').trim(),
+      description: input.description,
+      parent: input.parent,
+      devices: input.devices ?? [],
+      createdAt: new Date().toISOString()
+    };
+    if (groups[g.name]) return { error: `Group "${g.name}" already exists` };
+    const error = validate(g);
+    if (error) return { error };
+    groups[g.name] = g;
+    persist();
+    return { group: g };
+  }
+
+  function update(name, patch) {
+    const cur = groups[name];
+    if (!cur) return null;
+    const next = { ...cur };
+    for (const k of ['description', 'parent', 'devices']) {
+      if (patch[k] !== undefined) next[k] = patch[k];
+    }
+    const error = validate(next);
+    if (error) return { error };
+    groups[name] = next;
+    persist();
+    return { group: next };
+  }
+
+  function remove(name) {
+    if (!groups[name]) return null;
+    const subs = children(name);
+    if (subs.length) return { error: `Group has subgroups (${subs.join(', ')}); move or delete them first` };
+    delete groups[name];
+    persist();
+    return { ok: true };
+  }
+
+  function list() {
+    return Object.values(groups)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(g => ({ ...g, members: resolve(g.name) }));
+  }
+
+  // Registry renames/deletes: replace or drop the device in every group that lists it.
+  function renameDevice(from, to) {
+    let changed = false;
+    for (const g of Object.values(groups)) {
+      if (!g.devices.includes(from)) continue;
+      g.devices = [...new Set(g.devices.map(d => (d === from ? to : d)))].sort();
+      changed = true;
+    }
+    if (changed) persist();
+  }
+  function removeDevice(device) {
+    let changed = false;
+    for (const g of Object.values(groups)) {
+      if (!g.devices.includes(device)) continue;
+      g.devices = g.devices.filter(d => d !== device);
+      changed = true;
+    }
+    if (changed) persist();
+  }
+
+  return { create, update, remove, resolve, memberOf, renameDevice, removeDevice, list, get: (name) => groups[name] ?? null };
+}
+
+module.exports = { createGroupStore, normalizeTags };
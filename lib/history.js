@@ -0,0 +1,62 @@
+// lib/history.js
+// Bounded per-device status event log (status changes + auto-offline transitions).
+// Each device keeps at most `limit` events, oldest dropped first.
+
+function toMs(v) {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  if (!isNaN(n)) return n;
+  const t = Date.parse(v);
+  return isNaN(t) ? null : t;
+}
+
+function createHistory({ store, limit = 500 }) {
+  const events = Object.assign(Object.create(null), store.load({}));
+
+  // event: { ts (ISO), status, prev, source: 'mqtt'|'stale'|..., client? }
+  function record(device, event) {
+    const list = events[device] ?? (events[device] = []);
+    list.push(event);
+    if (list.length > limit) list.splice(0, list.length - limit);
+    store.save(events);
+  }
+
+  // Newest first. from/to accept epoch ms or anything Date.parse understands.
+  function query(device, { from, to, limit: max } = {}) {
+    const list = events[device] ?? [];
+    const fromMs = toMs(from);
+    const toMsV  = toMs(to);
+    const n = Math.max(1, Math.min(Number(max) || limit, limit));
+    const out = [];
+    for (let i = list.length - 1; i >= 0 && out.length < n; i--) {
+      const t = Date.parse(list[i].ts);
+      if (fromMs != null && t < fromMs) continue;
+      if (toMsV != null && t > toMsV) continue;
+      out.push(list[i]);
+    }
+    return out;
+  }
+
+  function has(device) {
+    return Boolean(events[device]);
+  }
+
+  // Moves a device's events to another name, interleaving them with any already there.
+  function rename(from, to) {
+    if (!events[from] || from === to) return;
+    const list = (events[to] ?? []).concat(events[from]).sort((a, b) => Date.parse(a.ts) - Date.parse(b.ts));
+    events[to] = list.slice(-limit);
+    delete events[from];
+    store.save(events);
+  }
+
+  function remove(device) {
+    if (!events[device]) return;
+    delete events[device];
+    store.save(events);
+  }
+
+  return { record, query, has, rename, remove, limit };
+}
+
+module.exports = { createHistory, toMs };
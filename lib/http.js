@@ -0,0 +1,101 @@
+// lib/http.js
+// Request helpers for server.js that need no configuration, kept here so they can be
+// tested on their own. Body readers reject with an error carrying an HTTP `status`
+// (413 past the size cap), which the server's request handler answers.
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Where to go after signing in: a local path, or '/' for anything that could leave the
+// site ("//evil.example", "/\evil.example", absolute URLs) or loop back to /login.
+function safeNext(next) {
+  const raw = String(next ?? '');
+  if (!raw.startsWith('/') || /[\\\x00-\x1f]/.test(raw)) return '/';
+  const url = new URL(raw, 'http://local');
+  if (url.origin !== 'http://local' || url.pathname.startsWith('//') || url.pathname === '/login') return '/';
+  return url.pathname + url.search + url.hash;
+}
+
+// decodeURIComponent that returns null for malformed input ("%E0", "%zz") instead of
+// throwing.
+function safeDecode(s) {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    return null;
+  }
+}
+
+// The last entry of a comma-separated forwarding header: the one the proxy in front of us
+// appended. Everything before it came from the client and can be anything.
+function lastHop(header) {
+  return String(header ?? '').split(',').map(s => s.trim()).filter(Boolean).at(-1) ?? null;
+}
+
+// The client address: with trustProxy, what the proxy in front of us saw (the last
+// X-Forwarded-For entry); otherwise, or without the header, the connected peer.
+function clientIp(req, { trustProxy = false } = {}) {
+  return (trustProxy && lastHop(req.headers['x-forwarded-for'])) || req.socket?.remoteAddress || null;
+}
+
+// 'http' or 'https' as the client used it (X-Forwarded-Proto with trustProxy).
+function requestProto(req, { trustProxy = false } = {}) {
+  const fwd = trustProxy ? lastHop(req.headers['x-forwarded-proto'])?.toLowerCase() : null;
+  if (fwd === 'http' || fwd === 'https') return fwd;
+  return req.socket?.encrypted ? 'https' : 'http';
+}
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+// The whole body as a string, at most maxBytes; a larger one is drained, not kept.
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => httpError(413, `Request body too large (max ${maxBytes} bytes)`);
+    if (Number(req.headers['content-length']) > maxBytes) {
+      req.resume();
+      reject(tooLarge());
+      return;
+    }
+    let body = '';
+    let size = 0;
+    let done = false;
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      if (done) return;
+      size += Buffer.byteLength(chunk);
+      if (size > maxBytes) {
+        done = true;
+        reject(tooLarge());
+        return;
+      }
+      body += chunk;
+    });
+    req.on('end', () => {
+      if (done) return;
+      done = true;
+      resolve(body);
+    });
+    req.on('error', (err) => {
+      if (done) return;
+      done = true;
+      reject(httpError(400, err.message));
+    });
+  });
+}
+
+// A JSON object body. Empty, invalid JSON and anything but a plain object (null, arrays,
+// numbers, strings) all give {}, so routes can read fields without further checks.
+async function readJsonBody(req, { maxBytes = MAX_BODY_BYTES } = {}) {
+  const body = await readBody(req, maxBytes);
+  let value;
+  try { value = JSON.parse(body); } catch { return {}; }
+  return value !== null && typeof value === 'object' && !Array.isArray(value) ? value : {};
+}
+
+// application/x-www-form-urlencoded body as { name: value }.
+async function readFormBody(req, { maxBytes = MAX_BODY_BYTES } = {}) {
+  return Object.fromEntries(new URLSearchParams(await readBody(req, maxBytes)));
+}
+
+module.exports = { safeNext, safeDecode, clientIp, requestProto, httpError, readJsonBody, readFormBody, MAX_BODY_BYTES };
@@ -0,0 +1,77 @@
+// lib/loginLimiter.js
+// Failed-login throttling. Failures are counted per client IP and per username within a
+// sliding window; reaching a limit locks that key out for lockoutMs. A locked-out attempt
+// is refused before the password is checked. State is in memory and resets on restart.
+// The IP must be one the client cannot choose (clientIp in lib/http.js), or rotating it
+// would dodge the per-IP limit.
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+function createLoginLimiter({ maxPerUser = 5, maxPerIp = 20, windowMs = 15 * 60 * 1000, lockoutMs = 15 * 60 * 1000 } = {}) {
+  const entries = new Map(); // key -> { failures: [epoch ms], lockedUntil }
+
+  function keys(ip, username) {
+    const out = [];
+    if (ip) out.push({ key: `ip:${ip}`, max: maxPerIp });
+    if (username) out.push({ key: `user:${username}`, max: maxPerUser });
+    return out;
+  }
+  function entry(key) {
+    if (!entries.has(key)) entries.set(key, { failures: [], lockedUntil: 0 });
+    return entries.get(key);
+  }
+
+  // Milliseconds until this IP / username may try again; 0 when not locked out.
+  function blockedFor(ip, username) {
+    const now = Date.now();
+    return Math.max(0, ...keys(ip, username).map(({ key }) => (entries.get(key)?.lockedUntil ?? 0) - now));
+  }
+
+  // Records a failed attempt; returns { lockedFor } (ms, 0 if this did not lock anything).
+  function fail(ip, username) {
+    const now = Date.now();
+    let lockedFor = 0;
+    for (const { key, max } of keys(ip, username)) {
+      const e = entry(key);
+      e.failures = e.failures.filter(t => now - t < windowMs);
+      e.failures.push(now);
+      if (e.failures.length >= max) {
+        e.lockedUntil = now + lockoutMs;
+        e.failures = [];
+        lockedFor = lockoutMs;
+      }
+    }
+    return { lockedFor };
+  }
+
+  // A successful login clears the username's failures. The IP's are kept, so an
+  // attacker cannot reset their counter by also signing in to an account of their own.
+  function succeed(username) {
+    entries.delete(`user:${username}`);
+  }
+
+  // Admin override; returns true if the user was locked out.
+  function unlock(username) {
+    const e = entries.get(`user:${username}`);
+    entries.delete(`user:${username}`);
+    return Boolean(e && e.lockedUntil > Date.now());
+  }
+
+  function lockedUntil(username) {
+    const until = entries.get(`user:${username}`)?.lockedUntil ?? 0;
+    return until > Date.now() ? new Date(until).toISOString() : null;
+  }
+
+  function prune() {
+    const now = Date.now();
+    for (const [key, e] of entries) {
+      if (e.lockedUntil <= now && e.failures.every(t => now - t >= windowMs)) entries.delete(key);
+    }
+  }
+  const timer = setInterval(prune, PRUNE_INTERVAL_MS);
+  timer.unref();
+
+  return { blockedFor, fail, succeed, unlock, lockedUntil };
+}
+
+module.exports = { createLoginLimiter };
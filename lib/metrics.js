@@ -0,0 +1,102 @@
+// lib/metrics.js
+// Minimal Prometheus registry (text exposition format 0.0.4): counters, gauges and
+// histograms with labels. Counters and gauges may take a collect() callback that is
+// evaluated at scrape time and returns [{ labels, value }] (or a plain number).
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const MAX_SERIES = 500; // per metric; further label sets are folded into "other"
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+function labelString(labels) {
+  const keys = Object.keys(labels ?? {});
+  if (keys.length === 0) return '';
+  return '{' + keys.map(k => `${k}="${escapeLabel(labels[k])}"`).join(',') + '}';
+}
+function formatValue(v) {
+  if (v === Infinity) return '+Inf';
+  if (v === -Infinity) return '-Inf';
+  return Number.isNaN(v) ? 'NaN' : String(v);
+}
+
+function createMetricsRegistry() {
+  const metrics = [];
+
+  // Series keyed by their label string; caps cardinality for labels like topic names.
+  function seriesMap(labelNames, init) {
+    const series = new Map();
+    function get(labels) {
+      const picked = {};
+      for (const k of labelNames) picked[k] = labels?.[k] ?? '';
+      let key = labelString(picked);
+      if (!series.has(key) && series.size >= MAX_SERIES) {
+        for (const k of labelNames) picked[k] = 'other';
+        key = labelString(picked);
+      }
+      if (!series.has(key)) series.set(key, { labels: picked, ...init() });
+      return series.get(key);
+    }
+    get.all = () => [...series.values()];
+    return get;
+  }
+
+  // Counters and gauges share everything but the TYPE line.
+  function scalar(type, { name, help, labels = [], collect }) {
+    const get = seriesMap(labels, () => ({ value: 0 }));
+    if (labels.length === 0) get({});
+    metrics.push({
+      name, help, type,
+      lines: () => {
+        if (!collect) return get.all().map(s => `${name}${labelString(s.labels)} ${formatValue(s.value)}`);
+        const v = collect();
+        const rows = typeof v === 'number' ? [{ labels: {}, value: v }] : v;
+        return rows.map(r => `${name}${labelString(r.labels)} ${formatValue(r.value)}`);
+      }
+    });
+    return get;
+  }
+
+  function counter(opts) {
+    const get = scalar('counter', opts);
+    return { inc: (l, n = 1) => { get(l).value += n; } };
+  }
+
+  function gauge(opts) {
+    const get = scalar('gauge', opts);
+    return { set: (l, v) => { get(l).value = v; } };
+  }
+
+  function histogram({ name, help, labels = [], buckets = DEFAULT_BUCKETS }) {
+    const get = seriesMap(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+    metrics.push({
+      name, help, type: 'histogram',
+      lines: () => get.all().flatMap(s => [
+        ...buckets.map((b, i) => `${name}_bucket${labelString({ ...s.labels, le: b })} ${s.counts[i]}`),
+        `${name}_bucket${labelString({ ...s.labels, le: '+Inf' })} ${s.count}`,
+        `${name}_sum${labelString(s.labels)} ${formatValue(s.sum)}`,
+        `${name}_count${labelString(s.labels)} ${s.count}`
+      ])
+    });
+    return {
+      observe: (l, v) => {
+        const s = get(l);
+        buckets.forEach((b, i) => { if (v <= b) s.counts[i]++; });
+        s.sum += v;
+        s.count++;
+      }
+    };
+  }
+
+  function render() {
+    const out = [];
+    for (const m of metrics) {
+      out.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.lines());
+    }
+    return out.join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = { createMetricsRegistry, CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8' };
@@ -0,0 +1,151 @@
+// lib/mqttAuth.js
+// aedes authenticate / authorize hooks backed by the device credential store.
+//
+// A client that connects with a username must present that device's credentials
+// and is then restricted to:
+//   publish   - devices/status for its own device name, and devices/<device>/...
+//   subscribe - the shared command topic (filtered on delivery), its own per-device
+//               command topic and devices/<device>/...
+// Clients without a username are only accepted while allowAnonymous is true and keep
+// the legacy access, except to devices that have credentials: they may not publish as
+// such a device, subscribe to filters that reach its topics (devices/<device>/..., its
+// per-device command topic), or receive its commands on the shared command topic.
+// Topics matching serverTopic (the retained per-device status mirror) are published by
+// the server only.
+
+const DEVICE_NAME_RE = /^[A-Za-z0-9_.\-]{1,64}$/;
+// Collection endpoints under /api/devices/ that a device of the same name would shadow.
+const RESERVED_DEVICE_NAMES = new Set(['quarantine', 'stream']);
+
+function isValidDeviceName(name) {
+  const s = String(name ?? '');
+  return DEVICE_NAME_RE.test(s) && !RESERVED_DEVICE_NAMES.has(s);
+}
+
+function commandTarget(payloadStr) {
+  if (payloadStr.startsWith('{')) {
+    try { return String(JSON.parse(payloadStr).device ?? ''); } catch { return ''; }
+  }
+  return payloadStr.split(':')[0];
+}
+
+// True when some topic matches both MQTT filters (either may hold + or #).
+function filtersOverlap(a, b) {
+  const x = a.split('/');
+  const y = b.split('/');
+  for (let i = 0; i < Math.max(x.length, y.length); i++) {
+    if (x[i] === '#' || y[i] === '#') return true;
+    if (x[i] === undefined || y[i] === undefined) return false;
+    if (x[i] !== '+' && y[i] !== '+' && x[i] !== y[i]) return false;
+  }
+  return true;
+}
+
+function installMqttAuth(aedes, { credentials, allowAnonymous, commandTopic, commandTopicTemplate, statusDevice, serverTopic = () => false }) {
+  function ownsTopic(device, topic) {
+    return topic === `devices/${device}` || topic.startsWith(`devices/${device}/`);
+  }
+  function deviceCommandTopic(device) {
+    return commandTopicTemplate.split('{device}').join(device);
+  }
+  const commandTopicRe = new RegExp('^' + commandTopicTemplate.split('{device}')
+    .map(s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('([^/]+)') + '$');
+  // The credentialed device whose topics `filter` reaches, if any.
+  function credentialedTarget(filter) {
+    return credentials.devices().find(d =>
+      filtersOverlap(filter, `devices/${d}/#`) || filtersOverlap(filter, deviceCommandTopic(d))) ?? null;
+  }
+  // Same for a concrete topic (a delivery), without walking every device.
+  function topicOwner(topic) {
+    const owner = topic.match(/^devices\/([^/]+)/)?.[1] ?? topic.match(commandTopicRe)?.[1];
+    return owner && credentials.has(owner) ? owner : null;
+  }
+
+  aedes.authenticate = (client, username, password, callback) => {
+    if (!username) {
+      if (allowAnonymous) return callback(null, true);
+      const err = new Error('Anonymous connections are disabled');
+      err.returnCode = 5; // not authorized
+      return callback(err, false);
+    }
+    if (!credentials.verify(username, password ? password.toString() : '')) {
+      console.warn(`[MQTT] auth failed for ${username} (${client?.id ?? '(no-id)'})`);
+      const err = new Error('Bad username or password');
+      err.returnCode = 4;
+      return callback(err, false);
+    }
+    client.device = username;
+    callback(null, true);
+  };
+
+  aedes.authorizePublish = (client, packet, callback) => {
+    const topic = packet.topic ?? '';
+    if (topic.startsWith('$SYS/')) return callback(new Error('$SYS/ topic is reserved'));
+    if (serverTopic(topic)) return callback(new Error(`${topic} is published by the server only`));
+    const device = client?.device;
+    const claimed = topic === 'devices/status'
+      ? statusDevice(packet.payload ? packet.payload.toString() : '')
+      : null;
+    if (!device) {
+      // Anonymous clients must not impersonate a device that has credentials.
+      if (claimed && credentials.has(claimed)) return callback(new Error(`Anonymous status for ${claimed} rejected`));
+      const owner = topic.match(/^devices\/([^/]+)\//)?.[1];
+      if (owner && credentials.has(owner)) return callback(new Error(`Anonymous publish to ${topic} rejected`));
+      return callback(null);
+    }
+
+    if (topic === 'devices/status') {
+      if (claimed !== device) {
+        return callback(new Error(`${device} may not publish status for ${claimed || '(unknown)'}`));
+      }
+      return callback(null);
+    }
+    if (ownsTopic(device, topic)) return callback(null);
+    callback(new Error(`${device} may not publish to ${topic}`));
+  };
+
+  aedes.authorizeSubscribe = (client, sub, callback) => {
+    const device = client?.device;
+    if (!device) {
+      // The shared command topic stays open; deliveries on it are filtered below.
+      const target = sub.topic === commandTopic ? null : credentialedTarget(sub.topic);
+      if (target) console.warn(`[MQTT] ${client?.id ?? '(no-id)'} denied anonymous subscribe: ${sub.topic} (reaches ${target})`);
+      return callback(null, target ? null : sub);
+    }
+    const allowed = sub.topic === commandTopic
+      || sub.topic === deviceCommandTopic(device)
+      || ownsTopic(device, sub.topic);
+    if (!allowed) console.warn(`[MQTT] ${device} denied subscribe: ${sub.topic}`);
+    callback(null, allowed ? sub : null);
+  };
+
+  // The shared command topic carries "<device>:<payload>" or JSON { device, ... }: a
+  // device only gets its own, and anonymous clients none addressed to a credentialed
+  // device. Anonymous subscriptions made before a device got credentials stop receiving
+  // its topics too.
+  aedes.authorizeForward = (client, packet) => {
+    const device = client?.device;
+    if (packet.topic === commandTopic) {
+      const target = commandTarget(String(packet.payload ?? ''));
+      if (device) return target === device ? packet : null;
+      return credentials.has(target) ? null : packet;
+    }
+    if (device) return packet;
+    return topicOwner(packet.topic) ? null : packet;
+  };
+
+  function disconnectDevice(device) {
+    for (const c of Object.values(aedes.clients)) {
+      if (c.device === device) c.close();
+    }
+  }
+
+  // COMMAND_TOPIC changed at runtime; devices still subscribed to the old one get nothing more.
+  function setCommandTopic(topic) {
+    commandTopic = topic;
+  }
+
+  return { disconnectDevice, setCommandTopic };
+}
+
+module.exports = { installMqttAuth, isValidDeviceName, filtersOverlap, RESERVED_DEVICE_NAMES };
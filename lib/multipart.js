@@ -0,0 +1,101 @@
+// lib/multipart.js
+// Minimal multipart/form-data reader for uploads. The whole body is buffered (up to
+// maxFileBytes plus a little room for fields and part headers), which is fine for
+// firmware images; larger bodies are refused with 413 without reading the rest.
+
+const FORM_OVERHEAD_BYTES = 64 * 1024;
+
+function boundaryOf(contentType) {
+  const m = String(contentType ?? '').match(/^multipart\/form-data;.*\bboundary=(?:"([^"]+)"|([^\s;]+))/i);
+  return m ? (m[1] ?? m[2]) : null;
+}
+
+// Content-Disposition: form-data; name="file"; filename="fw.bin"
+function dispositionParams(header) {
+  const out = {};
+  for (const m of String(header ?? '').matchAll(/;\s*([a-z*]+)=(?:"((?:[^"\\]|\\.)*)"|([^;]*))/gi)) {
+    out[m[1].toLowerCase()] = m[2] !== undefined ? m[2].replace(/\\(.)/g, '$1') : m[3].trim();
+  }
+  if (out['filename*']) {
+    try { out.filename = decodeURIComponent(out['filename*'].replace(/^[^']*'[^']*'/, '')); } catch { /* keep filename */ }
+  }
+  return out;
+}
+
+function parseParts(body, boundary) {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const fields = {};
+  const files = [];
+  let pos = body.indexOf(delimiter);
+  if (pos < 0) return null;
+  for (;;) {
+    pos += delimiter.length;
+    if (body.subarray(pos, pos + 2).toString() === '--') break; // closing delimiter
+    pos += 2; // CRLF after the delimiter
+    const headerEnd = body.indexOf('\r\n\r\n', pos);
+    const next = body.indexOf(Buffer.concat([Buffer.from('\r\n'), delimiter]), pos);
+    if (headerEnd < 0 || next < 0 || headerEnd > next) return null;
+    const headers = {};
+    for (const line of body.subarray(pos, headerEnd).toString('utf8').split('\r\n')) {
+      const i = line.indexOf(':');
+      if (i > 0) headers[line.slice(0, i).trim().toLowerCase()] = line.slice(i + 1).trim();
+    }
+    const params = dispositionParams(headers['content-disposition']);
+    const data = body.subarray(headerEnd + 4, next);
+    if (params.name !== undefined) {
+      if (params.filename !== undefined) {
+        files.push({ field: params.name, filename: params.filename, contentType: headers['content-type'] ?? 'application/octet-stream', data });
+      } else {
+        fields[params.name] = data.toString('utf8');
+      }
+    }
+    pos = next + 2;
+  }
+  return { fields, files };
+}
+
+// Resolves { fields, files: [{ field, filename, contentType, data }] } or { error, status }.
+function readMultipart(req, { maxFileBytes }) {
+  const maxBytes = maxFileBytes + FORM_OVERHEAD_BYTES;
+  const tooLarge = { error: `Upload too large (max ${maxFileBytes} bytes)`, status: 413 };
+  return new Promise((resolve) => {
+    const boundary = boundaryOf(req.headers['content-type']);
+    if (!boundary) {
+      resolve({ error: 'Expected a multipart/form-data body', status: 415 });
+      return;
+    }
+    const declared = Number(req.headers['content-length']);
+    if (declared > maxBytes) {
+      resolve(tooLarge);
+      req.resume();
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    let done = false;
+    req.on('data', (chunk) => {
+      if (done) return;
+      size += chunk.length;
+      if (size > maxBytes) {
+        done = true;
+        resolve(tooLarge);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (done) return;
+      done = true;
+      const parsed = parseParts(Buffer.concat(chunks), boundary);
+      if (parsed && parsed.files.some(f => f.data.length > maxFileBytes)) resolve(tooLarge);
+      else resolve(parsed ?? { error: 'Malformed multipart body', status: 400 });
+    });
+    req.on('error', (err) => {
+      if (done) return;
+      done = true;
+      resolve({ error: err.message, status: 400 });
+    });
+  });
+}
+
+module.exports = { readMultipart };
@@ -0,0 +1,192 @@
+// lib/notifiers.js
+// Notification channels for alerts. A channel is { id, name, type, enabled, config } and
+// its type picks a notifier from NOTIFIERS:
+//   smtp - { host, port?, secure?, starttls?: auto|always|never, allowSelfSigned?,
+//            username?, password?, from, to: [addresses] }
+//   http - { url, method?: POST|PUT, headers? }  JSON body { status, alert, ts }
+// A notifier is { validate(config) -> error|null, secrets: [keys], send(config, note, opts) };
+// adding a type means adding an entry here. Secrets are masked in list()/get() and kept
+// when an update leaves them out.
+
+const crypto = require('crypto');
+const { sendMail } = require('./smtp');
+
+const EMAIL_RE = /^[^\s<>@,;"]+@[^\s<>@,;"]+$/;
+
+// note: { status: 'firing'|'resolved'|'test', alert }
+function subjectOf({ status, alert }) {
+  if (status === 'test') return 'Test notification';
+  return `[${status.toUpperCase()}] ${alert.name}${alert.device ? ` - ${alert.device}` : ''}`;
+}
+function textOf({ status, alert }) {
+  if (status === 'test') return 'This is a test notification from the MQTT dashboard. If you can read it, the channel works.';
+  return [
+    `${alert.name} is ${status}.`,
+    '',
+    `Device:   ${alert.device ?? '-'}`,
+    `Severity: ${alert.severity}`,
+    `Summary:  ${alert.summary}`,
+    `Since:    ${alert.startsAt}`,
+    ...(status === 'resolved' ? [`Resolved: ${alert.endsAt}`] : [])
+  ].join('\n');
+}
+
+const NOTIFIERS = {
+  smtp: {
+    secrets: ['password'],
+    validate(c) {
+      c.host = String(c.host ?? '').trim();
+      if (!c.host) return 'config.host is required';
+      c.secure = c.secure === true;
+      c.port = c.port == null || c.port === '' ? (c.secure ? 465 : 587) : Number(c.port);
+      if (!Number.isInteger(c.port) || c.port < 1 || c.port > 65535) return 'config.port must be a port number';
+      c.starttls = c.starttls ?? 'auto';
+      if (!['auto', 'always', 'never'].includes(c.starttls)) return 'config.starttls must be auto|always|never';
+      c.allowSelfSigned = c.allowSelfSigned === true;
+      c.username = String(c.username ?? '').trim();
+      c.password = String(c.password ?? '');
+      c.from = String(c.from ?? '').trim();
+      if (!EMAIL_RE.test(c.from)) return 'config.from must be an email address';
+      const to = Array.isArray(c.to) ? c.to : String(c.to ?? '').split(',');
+      c.to = to.map(a => String(a).trim()).filter(Boolean);
+      if (c.to.length === 0) return 'config.to needs at least one address';
+      const bad = c.to.find(a => !EMAIL_RE.test(a));
+      if (bad) return `Invalid address "${bad}"`;
+      return null;
+    },
+    async send(c, note, { timeoutMs }) {
+      const { response } = await sendMail({ ...c, subject: subjectOf(note), text: textOf(note), timeoutMs });
+      return response;
+    }
+  },
+  http: {
+    secrets: ['headers'],
+    validate(c) {
+      let url;
+      try { url = new URL(c.url); } catch { return 'config.url is not a valid URL'; }
+      if (!['http:', 'https:'].includes(url.protocol)) return 'config.url must be http(s)';
+      c.url = url.toString();
+      c.method = String(c.method ?? 'POST').toUpperCase();
+      if (!['POST', 'PUT'].includes(c.method)) return 'config.method must be POST or PUT';
+      c.headers = c.headers ?? {};
+      if (typeof c.headers !== 'object' || Array.isArray(c.headers)) return 'config.headers must be an object';
+      for (const [k, v] of Object.entries(c.headers)) {
+        if (!/^[A-Za-z0-9-]+$/.test(k) || /[\r\n]/.test(String(v))) return `Invalid header "${k}"`;
+        c.headers[k] = String(v);
+      }
+      return null;
+    },
+    async send(c, { status, alert }, { timeoutMs }) {
+      const res = await fetch(c.url, {
+        method: c.method,
+        headers: { 'Content-Type': 'application/json', 'User-Agent': 'railway-mqtt-alerts', ...c.headers },
+        body: JSON.stringify({ status, alert: alert ?? null, ts: new Date().toISOString() }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      await res.body?.cancel();
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return `HTTP ${res.status}`;
+    }
+  }
+};
+
+function createChannelStore({ store, timeoutMs = 10000 }) {
+  const channels = new Map(store.load([]).map(c => [c.id, c]));
+
+  function persist() {
+    store.save([...channels.values()]);
+  }
+  function publicView(ch) {
+    const config = { ...ch.config };
+    for (const k of NOTIFIERS[ch.type]?.secrets ?? []) {
+      if (k === 'headers') config.headers = Object.fromEntries(Object.keys(config.headers ?? {}).map(h => [h, '…']));
+      else if (config[k]) config[k] = '…';
+    }
+    return { ...ch, config };
+  }
+
+  // Returns an error message or null; normalises in place.
+  function validate(ch) {
+    ch.name = String(ch.name ?? '').trim() || ch.type;
+    ch.enabled = ch.enabled !== false;
+    if (!NOTIFIERS[ch.type]) return `type must be one of ${Object.keys(NOTIFIERS).join('|')}`;
+    if (!ch.config || typeof ch.config !== 'object') return 'config is required';
+    return NOTIFIERS[ch.type].validate(ch.config);
+  }
+
+  function create(input, actor) {
+    const ch = {
+      id: crypto.randomBytes(6).toString('hex'),
+      name: input.name,
+      type: input.type,
+      enabled: input.enabled,
+      config: input.config ? { ...input.config } : null,
+      createdBy: actor ?? null,
+      createdAt: new Date().toISOString(),
+      lastResult: null
+    };
+    const error = validate(ch);
+    if (error) return { error };
+    channels.set(ch.id, ch);
+    persist();
+    return { channel: publicView(ch) };
+  }
+
+  function update(id, patch) {
+    const cur = channels.get(id);
+    if (!cur) return null;
+    const next = { ...cur, config: { ...cur.config } };
+    for (const k of ['name', 'enabled']) {
+      if (patch[k] !== undefined) next[k] = patch[k];
+    }
+    if (patch.config !== undefined) {
+      // Masked or missing secrets mean "unchanged".
+      const config = { ...patch.config };
+      for (const k of NOTIFIERS[cur.type].secrets) {
+        if (config[k] === undefined || config[k] === '…') config[k] = cur.config[k];
+        else if (k === 'headers' && config.headers && typeof config.headers === 'object') {
+          for (const [h, v] of Object.entries(config.headers)) if (v === '…') config.headers[h] = cur.config.headers?.[h];
+        }
+      }
+      next.config = config;
+    }
+    const error = validate(next);
+    if (error) return { error };
+    channels.set(id, next);
+    persist();
+    return { channel: publicView(next) };
+  }
+
+  function remove(id) {
+    const ok = channels.delete(id);
+    if (ok) persist();
+    return ok;
+  }
+
+  // Resolves { ok, response } or { ok: false, error }; recorded as the channel's lastResult.
+  async function send(id, note) {
+    const ch = channels.get(id);
+    if (!ch) return { ok: false, error: 'Unknown channel' };
+    if (!ch.enabled && note.status !== 'test') return { ok: false, error: 'Channel disabled' };
+    let result;
+    try {
+      result = { ok: true, response: await NOTIFIERS[ch.type].send(ch.config, note, { timeoutMs }) };
+    } catch (err) {
+      const msg = err.name === 'TimeoutError' ? `Timed out after ${timeoutMs} ms` : (err.cause?.code ?? err.cause?.message ?? err.message);
+      result = { ok: false, error: msg };
+    }
+    ch.lastResult = { at: new Date().toISOString(), status: note.status, ...result };
+    persist();
+    return result;
+  }
+
+  return {
+    create, update, remove, send,
+    test: (id) => send(id, { status: 'test', alert: null }),
+    has: (id) => channels.has(id),
+    get: (id) => (channels.has(id) ? publicView(channels.get(id)) : null),
+    list: () => [...channels.values()].map(publicView)
+  };
+}
+
+module.exports = { createChannelStore, NOTIFIERS };
@@ -0,0 +1,174 @@
+// lib/ota.js
+// OTA rollouts: one firmware image sent to a set of devices, with each device's progress
+// tracked from its reports on devices/<name>/ota/status. A target moves
+//   pending -> downloading -> verifying -> installing -> succeeded | failed
+// (devices may skip steps); targets that stay silent for timeoutMs become timeout.
+// A newer rollout to the same device cancels the device's older one.
+
+const crypto = require('crypto');
+
+const STATES = ['pending', 'downloading', 'verifying', 'installing', 'succeeded', 'failed', 'timeout', 'cancelled'];
+const FINAL = new Set(['succeeded', 'failed', 'timeout', 'cancelled']);
+const REPORTED = new Set(['downloading', 'verifying', 'installing', 'succeeded', 'failed']);
+
+// devices/<name>/ota/status payload: JSON { rollout?, state, progress?, error? }
+function parseOtaReport(payloadStr) {
+  let obj;
+  try { obj = JSON.parse(payloadStr); } catch { return { error: 'payload must be JSON { rollout, state, progress, error }' }; }
+  const state = String(obj?.state ?? '').toLowerCase();
+  if (!REPORTED.has(state)) return { error: `state must be one of ${[...REPORTED].join('|')}` };
+  const progress = obj.progress == null ? null : Math.max(0, Math.min(100, Math.round(Number(obj.progress))));
+  return {
+    rollout: obj.rollout ? String(obj.rollout) : undefined,
+    state,
+    progress: Number.isFinite(progress) ? progress : null,
+    error: obj.error ? String(obj.error).slice(0, 300) : null
+  };
+}
+
+function createOtaManager({ store, timeoutMs = 30 * 60 * 1000, limit = 100, onChange = () => {} }) {
+  const rollouts = new Map(store.load([]).map(r => [r.id, r])); // insertion order = creation order
+
+  function persist() {
+    store.save([...rollouts.values()]);
+  }
+  function summary(r) {
+    const counts = Object.fromEntries(STATES.map(s => [s, 0]));
+    for (const t of Object.values(r.targets)) counts[t.state]++;
+    return counts;
+  }
+  function view(r) {
+    return { ...r, summary: summary(r) };
+  }
+  // Marks the rollout completed once every target is final; the caller persists.
+  function settle(r) {
+    if (r.status === 'running' && Object.values(r.targets).every(t => FINAL.has(t.state))) {
+      r.status = 'completed';
+      r.finishedAt = new Date().toISOString();
+    }
+  }
+  function setState(r, device, state, { progress, error, late } = {}) {
+    const t = r.targets[device];
+    t.state = state;
+    if (progress !== undefined) t.progress = progress;
+    if (state === 'succeeded') t.progress = 100;
+    t.error = error ?? null;
+    t.updatedAt = new Date().toISOString();
+    if (late) t.late = true;
+    settle(r);
+    persist();
+    onChange(view(r), device);
+  }
+
+  // image: firmware record; url: where devices download it. Returns the rollout.
+  function start({ image, devices, url, selector }, actor) {
+    const now = new Date().toISOString();
+    const r = {
+      id: crypto.randomBytes(6).toString('hex'),
+      firmwareId: image.id,
+      version: image.version,
+      sha256: image.sha256,
+      size: image.size,
+      url,
+      selector: selector ?? null,
+      createdBy: actor ?? null,
+      createdAt: now,
+      finishedAt: null,
+      status: 'running',
+      targets: Object.fromEntries(devices.map(d => [d, { state: 'pending', progress: null, error: null, updatedAt: now }]))
+    };
+    // Registered first, so current() already points at it while older ones are cancelled.
+    rollouts.set(r.id, r);
+    for (const old of rollouts.values()) {
+      if (old === r || old.status !== 'running') continue;
+      for (const d of devices) {
+        if (old.targets[d] && !FINAL.has(old.targets[d].state)) setState(old, d, 'cancelled', { error: `Superseded by rollout ${r.id}` });
+      }
+    }
+    // Oldest finished rollouts go first; running ones are kept even past the limit.
+    for (const [id, old] of rollouts) {
+      if (rollouts.size <= limit) break;
+      if (old.status !== 'running') rollouts.delete(id);
+    }
+    persist();
+    onChange(view(r), null);
+    return view(r);
+  }
+
+  // The message published to devices/<name>/ota for a rollout.
+  function message(r) {
+    return { rollout: r.id, version: r.version, url: r.url, sha256: r.sha256, size: r.size };
+  }
+
+  // A device's report. Without a rollout id it applies to the device's newest running
+  // rollout. A result after a timeout is still recorded, flagged late.
+  function report(device, { rollout, state, progress, error }) {
+    const r = rollouts.get(rollout ?? current(device));
+    const t = r?.targets[device];
+    if (!t) return null;
+    if (FINAL.has(t.state)) {
+      if (t.state !== 'timeout' || (state !== 'succeeded' && state !== 'failed')) return null;
+      if (r.status === 'completed') r.status = 'running';
+      setState(r, device, state, { progress: progress ?? undefined, error, late: true });
+      return view(r);
+    }
+    setState(r, device, state, { progress: progress ?? undefined, error: state === 'failed' ? (error ?? 'Device reported failure') : null });
+    return view(r);
+  }
+
+  // Publish failures and the like, recorded by the server.
+  function fail(id, device, error) {
+    const r = rollouts.get(id);
+    if (!r?.targets[device] || FINAL.has(r.targets[device].state)) return;
+    setState(r, device, 'failed', { error });
+  }
+
+  // Returns the devices that were still in progress (to be told to stop), or null.
+  function cancel(id) {
+    const r = rollouts.get(id);
+    if (!r) return null;
+    const stopped = Object.keys(r.targets).filter(d => !FINAL.has(r.targets[d].state));
+    for (const d of stopped) r.targets[d] = { ...r.targets[d], state: 'cancelled', error: 'Cancelled', updatedAt: new Date().toISOString() };
+    if (r.status === 'running') {
+      r.status = 'cancelled';
+      r.finishedAt = new Date().toISOString();
+    }
+    persist();
+    onChange(view(r), null);
+    return stopped;
+  }
+
+  // Id of the rollout the device is still working on, else null.
+  function current(device) {
+    let id = null;
+    for (const r of rollouts.values()) {
+      if (r.targets[device] && !FINAL.has(r.targets[device].state)) id = r.id;
+    }
+    return id;
+  }
+
+  // True while a running rollout still uses the image.
+  function uses(firmwareId) {
+    return [...rollouts.values()].some(r => r.status === 'running' && r.firmwareId === firmwareId);
+  }
+
+  // Newest first.
+  function list({ max = 50 } = {}) {
+    return [...rollouts.values()].reverse().slice(0, max).map(view);
+  }
+
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - timeoutMs;
+    for (const r of rollouts.values()) {
+      if (r.status !== 'running') continue;
+      for (const [d, t] of Object.entries(r.targets)) {
+        if (!FINAL.has(t.state) && Date.parse(t.updatedAt) < cutoff) setState(r, d, 'timeout', { error: 'No progress report' });
+      }
+    }
+  }, 5000);
+  sweep.unref();
+
+  return { start, message, report, fail, cancel, current, uses, list, get: (id) => (rollouts.has(id) ? view(rollouts.get(id)) : null), timeoutMs };
+}
+
+module.exports = { createOtaManager, parseOtaReport };
@@ -0,0 +1,220 @@
+// lib/rules.js
+// Rules that react to device status events (devices/status and the auto-offline loop).
+//
+//   { name, enabled, dryRun,
+//     when:    { device, status, op: "eq"|"neq", forMs },   // condition + how long it must hold
+//     actions: [ { type: "command", device, status | command },
+//                { type: "webhook", url, method?, headers? } ],
+//     debounceMs,   // after the condition clears it must stay clear this long before re-arming
+//     cooldownMs }  // minimum time between two firings
+//
+// A rule fires once when its condition becomes true (and has held for forMs), then waits
+// for the condition to clear before it can fire again. dryRun rules record what they would
+// have done without doing it.
+
+const crypto = require('crypto');
+
+const OPS = ['eq', 'neq'];
+const ACTION_TYPES = ['command', 'webhook'];
+const WEBHOOK_TIMEOUT_MS = 5000;
+const RECENT_LIMIT = 200;
+
+function createRulesEngine({ store, checkCommand, runCommand, onFire = () => {} }) {
+  const rules = new Map(store.load([]).map(r => [r.id, r]));
+  const state = new Map();   // id -> { armed, holdTimer, clearedAt }
+  const recent = [];         // newest last
+
+  function persist() {
+    store.save([...rules.values()]);
+  }
+  function stateOf(id) {
+    if (!state.has(id)) state.set(id, { armed: true, holdTimer: null, clearedAt: null });
+    return state.get(id);
+  }
+
+  // Returns an error message or null; normalises the rule in place.
+  function validate(r) {
+    r.name = String(r.name ?? '').trim() || 'Untitled';
+    r.enabled = r.enabled !== false;
+    r.dryRun = r.dryRun === true;
+    const w = r.when;
+    if (!w || !String(w.device ?? '').trim()) return 'when.device is required';
+    if (!String(w.status ?? '').trim()) return 'when.status is required';
+    w.device = String(w.device).trim();
+    w.status = String(w.status).trim();
+    w.op = w.op ?? 'eq';
+    if (!OPS.includes(w.op)) return `when.op must be one of ${OPS.join('|')}`;
+    for (const [obj, k] of [[w, 'forMs'], [r, 'debounceMs'], [r, 'cooldownMs']]) {
+      obj[k] = obj[k] == null || obj[k] === '' ? 0 : Number(obj[k]);
+      if (!Number.isFinite(obj[k]) || obj[k] < 0) return `${k} must be a number >= 0`;
+    }
+    if (!Array.isArray(r.actions) || r.actions.length === 0) return 'At least one action is required';
+    for (const [i, a] of r.actions.entries()) {
+      if (!ACTION_TYPES.includes(a?.type)) return `actions[${i}].type must be one of ${ACTION_TYPES.join('|')}`;
+      if (a.type === 'command') {
+        const err = checkCommand(a);
+        if (err) return `actions[${i}]: ${err}`;
+      } else {
+        let url;
+        try { url = new URL(a.url); } catch { return `actions[${i}].url is not a valid URL`; }
+        if (!['http:', 'https:'].includes(url.protocol)) return `actions[${i}].url must be http(s)`;
+        a.method = String(a.method ?? 'POST').toUpperCase();
+        if (!['POST', 'PUT'].includes(a.method)) return `actions[${i}].method must be POST or PUT`;
+      }
+    }
+    return null;
+  }
+
+  function matches(r, status) {
+    const eq = String(status ?? '').toLowerCase() === r.when.status.toLowerCase();
+    return r.when.op === 'eq' ? eq : !eq;
+  }
+
+  async function runAction(a, ctx) {
+    if (a.type === 'command') {
+      const cmd = await runCommand(a, ctx);
+      return { type: 'command', ok: true, commandId: cmd.id };
+    }
+    const res = await fetch(a.url, {
+      method: a.method,
+      headers: { 'Content-Type': 'application/json', ...(a.headers ?? {}) },
+      body: JSON.stringify({ rule: { id: ctx.rule.id, name: ctx.rule.name }, device: ctx.device, status: ctx.status, prev: ctx.prev, firedAt: ctx.firedAt }),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    if (!res.ok) throw new Error(`Webhook ${a.url} answered HTTP ${res.status}`);
+    return { type: 'webhook', ok: true, status: res.status };
+  }
+
+  // A trigger inside the cooldown is still consumed (the rule disarms) so repeated
+  // heartbeats do not flood the activity log with skips.
+  async function fire(r, event) {
+    stateOf(r.id).armed = false;
+    const now = Date.now();
+    if (r.cooldownMs && r.lastFiredAt && now - Date.parse(r.lastFiredAt) < r.cooldownMs) {
+      record(r, event, { skipped: 'cooldown' });
+      return;
+    }
+    r.lastFiredAt = new Date(now).toISOString();
+    const ctx = { rule: r, ...event, firedAt: new Date(now).toISOString() };
+    let results;
+    if (r.dryRun) {
+      results = r.actions.map(a => ({ type: a.type, dryRun: true, would: a.type === 'command' ? actionLabel(a) : `${a.method} ${a.url}` }));
+    } else {
+      results = await Promise.all(r.actions.map(a => runAction(a, ctx).catch(err => ({ type: a.type, ok: false, error: err.message }))));
+    }
+    record(r, event, { results });
+  }
+
+  function record(r, event, outcome) {
+    const entry = { ts: new Date().toISOString(), rule: r.id, name: r.name, dryRun: r.dryRun, device: event.device, status: event.status, prev: event.prev, ...outcome };
+    recent.push(entry);
+    if (recent.length > RECENT_LIMIT) recent.shift();
+    r.lastResult = { at: entry.ts, ...outcome };
+    persist();
+    onFire(entry);
+  }
+
+  // event: { device, status, prev, source }
+  function handleStatus(event) {
+    const now = Date.now();
+    for (const r of rules.values()) {
+      if (!r.enabled || r.when.device !== event.device) continue;
+      const st = stateOf(r.id);
+      if (matches(r, event.status)) {
+        if (!st.armed && st.clearedAt != null) {
+          if (now - st.clearedAt >= r.debounceMs) st.armed = true;
+          st.clearedAt = null;   // flapped back before the debounce elapsed: start over next time
+        }
+        if (!st.armed || st.holdTimer) continue;
+        if (!r.when.forMs) {
+          fire(r, event);
+        } else {
+          st.holdTimer = setTimeout(() => {
+            st.holdTimer = null;
+            fire(r, event);
+          }, r.when.forMs);
+        }
+      } else {
+        if (st.holdTimer) { clearTimeout(st.holdTimer); st.holdTimer = null; }
+        if (!st.armed && st.clearedAt == null) st.clearedAt = now;
+      }
+    }
+  }
+
+  function reset(id) {
+    const st = state.get(id);
+    if (st?.holdTimer) clearTimeout(st.holdTimer);
+    state.delete(id);
+  }
+
+  function create(input, actor) {
+    const r = {
+      id: crypto.randomBytes(6).toString('hex'),
+      name: input.name,
+      enabled: input.enabled,
+      dryRun: input.dryRun,
+      when: input.when ? { ...input.when } : null,
+      actions: Array.isArray(input.actions) ? input.actions.map(a => ({ ...a })) : input.actions,
+      debounceMs: input.debounceMs,
+      cooldownMs: input.cooldownMs,
+      createdBy: actor ?? null,
+      createdAt: new Date().toISOString(),
+      lastFiredAt: null,
+      lastResult: null
+    };
+    const error = validate(r);
+    if (error) return { error };
+    rules.set(r.id, r);
+    persist();
+    return { rule: r };
+  }
+
+  function update(id, patch) {
+    const cur = rules.get(id);
+    if (!cur) return null;
+    const next = { ...cur, when: { ...cur.when }, actions: cur.actions.map(a => ({ ...a })) };
+    for (const k of ['name', 'enabled', 'dryRun', 'debounceMs', 'cooldownMs']) {
+      if (patch[k] !== undefined) next[k] = patch[k];
+    }
+    if (patch.when !== undefined) next.when = patch.when ? { ...patch.when } : null;
+    if (patch.actions !== undefined) next.actions = Array.isArray(patch.actions) ? patch.actions.map(a => ({ ...a })) : patch.actions;
+    const error = validate(next);
+    if (error) return { error };
+    reset(id);
+    rules.set(id, next);
+    persist();
+    return { rule: next };
+  }
+
+  function remove(id) {
+    reset(id);
+    const ok = rules.delete(id);
+    if (ok) persist();
+    return ok;
+  }
+
+  // Evaluate a rule against a hypothetical status without side effects.
+  function test(id, status) {
+    const r = rules.get(id);
+    if (!r) return null;
+    const hit = matches(r, status);
+    return {
+      matches: hit,
+      forMs: r.when.forMs,
+      would: hit ? r.actions.map(a => a.type === 'command' ? actionLabel(a) : `${a.method} ${a.url}`) : []
+    };
+  }
+
+  return {
+    create, update, remove, test, handleStatus,
+    get: (id) => rules.get(id) ?? null,
+    list: () => [...rules.values()],
+    recent: (limit = 50) => recent.slice(-limit).reverse()
+  };
+}
+
+function actionLabel(a) {
+  return `${a.device} <- ${a.command !== undefined ? JSON.stringify(a.command) : a.status}`;
+}
+
+module.exports = { createRulesEngine, OPS, ACTION_TYPES };
@@ -0,0 +1,188 @@
+// lib/scheduler.js
+// Scheduled device commands: one-shot ("once", at an ISO time) or recurring ("cron", UTC).
+// Each schedule stores the /api/command body it sends and its nextRunAt, so runs that
+// fell due while the server was down are detected on boot:
+//   catchUp "run"  - run once (however many occurrences were missed) if the most recent
+//                    missed occurrence is within maxLatenessMs, otherwise skip
+//   catchUp "skip" - never run late; continue with the next future occurrence
+
+const crypto = require('crypto');
+const { parseCron, nextRun } = require('./cron');
+
+const TYPES = ['once', 'cron'];
+const CATCH_UP = ['run', 'skip'];
+
+function createScheduler({ store, execute, maxLatenessMs = 60 * 60 * 1000, tickMs = 1000, onChange = () => {} }) {
+  const schedules = new Map(store.load([]).map(s => [s.id, s]));
+
+  function persist() {
+    store.save([...schedules.values()]);
+  }
+
+  // Most recent occurrence <= now that is after `since` (for cron catch-up), or null.
+  function lastMissed(s, since, now) {
+    if (s.type === 'once') return Date.parse(s.at) <= now ? Date.parse(s.at) : null;
+    const c = parseCron(s.cron);
+    let t = nextRun(c, since - 60000);
+    let last = null;
+    for (let guard = 0; t && t.getTime() <= now && guard < 100000; guard++) {
+      last = t.getTime();
+      t = nextRun(c, t);
+    }
+    return last;
+  }
+
+  function computeNext(s, after) {
+    if (!s.enabled) return null;
+    if (s.type === 'once') return Date.parse(s.at) > after ? s.at : null;
+    const t = nextRun(parseCron(s.cron), after);
+    return t ? t.toISOString() : null;
+  }
+
+  // Returns an error message or null. Also normalises fields in place.
+  function validate(s) {
+    if (!TYPES.includes(s.type)) return `type must be one of ${TYPES.join('|')}`;
+    if (!CATCH_UP.includes(s.catchUp)) return `catchUp must be one of ${CATCH_UP.join('|')}`;
+    if (s.type === 'once') {
+      const t = Date.parse(s.at);
+      if (isNaN(t)) return 'at must be an ISO date/time';
+      s.at = new Date(t).toISOString();
+      s.cron = null;
+    } else {
+      let c;
+      try { c = parseCron(s.cron); } catch (err) { return `cron: ${err.message}`; }
+      // "0 0 31 2 *" parses but would sit there with no nextRunAt forever.
+      if (!nextRun(c, Date.now())) return `cron: "${c.source}" never matches (no run within 5 years)`;
+      s.at = null;
+    }
+    return null;
+  }
+
+  function futureAt(s) {
+    return s.type === 'once' && Date.parse(s.at) <= Date.now() ? 'at must be in the future' : null;
+  }
+
+  // reason: due | catch-up | manual. A manual run leaves the schedule itself untouched.
+  async function fire(s, reason) {
+    const at = new Date().toISOString();
+    s.lastRunAt = at;
+    if (reason !== 'manual') s.nextRunAt = computeNext(s, Date.now());
+    s.running = true;
+    persist();
+    let lastResult;
+    try {
+      const result = await execute(s, reason);
+      lastResult = { ok: true, at, reason, commandId: result?.id ?? null };
+    } catch (err) {
+      lastResult = { ok: false, at, reason, error: err.message };
+      console.warn(`[SCHED] ${s.id} (${s.name}) failed: ${err.message}`);
+    }
+    delete s.running;
+    // An update while this ran replaced the map entry; the outcome belongs on that one.
+    const cur = schedules.get(s.id) ?? s;
+    cur.lastRunAt = at;
+    cur.lastResult = lastResult;
+    if (cur.type === 'once' && cur.at === s.at && reason !== 'manual') {
+      cur.enabled = false;
+      cur.nextRunAt = null;
+    }
+    persist();
+    onChange(cur);
+  }
+
+  function tick() {
+    const now = Date.now();
+    for (const s of schedules.values()) {
+      if (!s.enabled || s.running || !s.nextRunAt) continue;
+      if (Date.parse(s.nextRunAt) <= now) fire(s, 'due');
+    }
+  }
+
+  // Boot: runs whose nextRunAt passed while we were down.
+  function catchUp() {
+    const now = Date.now();
+    for (const s of schedules.values()) {
+      delete s.running;
+      if (!s.enabled || !s.nextRunAt || Date.parse(s.nextRunAt) > now) continue;
+      const missed = lastMissed(s, Date.parse(s.nextRunAt), now);
+      const late = missed == null ? Infinity : now - missed;
+      if (s.catchUp === 'run' && late <= maxLatenessMs) {
+        console.log(`[SCHED] ${s.id} (${s.name}) missed ${s.nextRunAt}, running now (catch-up)`);
+        fire(s, 'catch-up');
+      } else {
+        console.log(`[SCHED] ${s.id} (${s.name}) missed ${s.nextRunAt}, skipped`);
+        s.lastResult = { ok: false, at: new Date(now).toISOString(), reason: 'missed', error: 'Server was down when due' };
+        if (s.type === 'once') s.enabled = false;
+        s.nextRunAt = computeNext(s, now);
+      }
+    }
+    persist();
+  }
+
+  function create(input, actor) {
+    const s = {
+      id: crypto.randomBytes(6).toString('hex'),
+      name: String(input.name ?? '').trim() || 'Untitled',
+      type: input.type,
+      cron: input.cron ?? null,
+      at: input.at ?? null,
+      catchUp: input.catchUp ?? 'run',
+      enabled: input.enabled !== false,
+      request: input.request,
+      createdBy: actor ?? null,
+      createdAt: new Date().toISOString(),
+      lastRunAt: null,
+      lastResult: null
+    };
+    const error = validate(s) ?? futureAt(s);
+    if (error) return { error };
+    s.nextRunAt = computeNext(s, Date.now());
+    schedules.set(s.id, s);
+    persist();
+    onChange(s);
+    return { schedule: s };
+  }
+
+  function update(id, patch) {
+    const cur = schedules.get(id);
+    if (!cur) return null;
+    const next = { ...cur };
+    delete next.running; // a run in progress finishes on the old object
+    for (const k of ['name', 'type', 'cron', 'at', 'catchUp', 'enabled', 'request']) {
+      if (patch[k] !== undefined) next[k] = patch[k];
+    }
+    next.name = String(next.name ?? '').trim() || 'Untitled';
+    next.enabled = next.enabled !== false;
+    const error = validate(next) ?? (patch.at !== undefined ? futureAt(next) : null);
+    if (error) return { error };
+    next.nextRunAt = computeNext(next, Date.now());
+    schedules.set(id, next);
+    persist();
+    onChange(next);
+    return { schedule: next };
+  }
+
+  function remove(id) {
+    const ok = schedules.delete(id);
+    if (ok) persist();
+    return ok;
+  }
+
+  function runNow(id) {
+    const s = schedules.get(id);
+    if (!s) return null;
+    return fire(s, 'manual').then(() => schedules.get(id) ?? s);
+  }
+
+  function list() {
+    return [...schedules.values()].sort((a, b) => String(a.nextRunAt ?? '~').localeCompare(String(b.nextRunAt ?? '~')));
+  }
+
+  catchUp();
+  const timer = setInterval(tick, tickMs);
+  timer.unref();
+
+  return { create, update, remove, runNow, get: (id) => schedules.get(id) ?? null, list };
+}
+
+module.exports = { createScheduler, TYPES, CATCH_UP };
@@ -0,0 +1,25 @@
+// lib/secrets.js
+// Salted scrypt hashing for stored secrets (device credentials, ...).
+
+const crypto = require('crypto');
+
+const KEY_LEN = 32;
+
+function hashSecret(secret) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(secret), salt, KEY_LEN).toString('hex');
+  return { salt, hash };
+}
+
+function verifySecret(secret, record) {
+  if (!record?.salt || !record?.hash) return false;
+  const expected = Buffer.from(record.hash, 'hex');
+  const actual = crypto.scryptSync(String(secret), record.salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function randomSecret(bytes = 24) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+module.exports = { hashSecret, verifySecret, randomSecret };
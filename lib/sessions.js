@@ -0,0 +1,115 @@
+// lib/sessions.js
+// Server-side login sessions. The sid cookie only carries a random session id (signed by
+// the server); the record lives here, so sessions can be listed and revoked before they
+// expire. Each session has its own CSRF token. `ref` is a short public handle used by the
+// API and UI so the id itself is never shown.
+
+const crypto = require('crypto');
+
+const TOUCH_INTERVAL_MS = 60 * 1000;     // lastSeenAt resolution (limits store writes)
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+function createSessionStore({ store, maxAgeMs }) {
+  const sessions = new Map(store.load([]).map(s => [s.id, s]));
+
+  function persist() {
+    store.save([...sessions.values()]);
+  }
+  function expired(s, now = Date.now()) {
+    return Date.parse(s.expiresAt) <= now;
+  }
+  function prune() {
+    let changed = false;
+    for (const s of sessions.values()) {
+      if (expired(s)) {
+        sessions.delete(s.id);
+        changed = true;
+      }
+    }
+    if (changed) persist();
+  }
+  function publicView(s) {
+    const { id, csrf, ...rest } = s;
+    return rest;
+  }
+
+  function create(username, { ip, userAgent } = {}) {
+    const now = new Date();
+    const s = {
+      id: crypto.randomBytes(24).toString('base64url'),
+      ref: crypto.randomBytes(6).toString('hex'),
+      username,
+      csrf: crypto.randomBytes(24).toString('base64url'),
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + maxAgeMs).toISOString(),
+      lastSeenAt: now.toISOString(),
+      ip: ip ?? null,
+      userAgent: String(userAgent ?? '').slice(0, 200)
+    };
+    sessions.set(s.id, s);
+    persist();
+    return s;
+  }
+
+  // Returns the live session for an id (and records activity), else null.
+  function get(id, ip) {
+    const s = id ? sessions.get(id) : null;
+    if (!s) return null;
+    const now = Date.now();
+    if (expired(s, now)) {
+      sessions.delete(id);
+      persist();
+      return null;
+    }
+    if (now - Date.parse(s.lastSeenAt) >= TOUCH_INTERVAL_MS) {
+      s.lastSeenAt = new Date(now).toISOString();
+      if (ip) s.ip = ip;
+      persist();
+    }
+    return s;
+  }
+
+  function revoke(id) {
+    const ok = sessions.delete(id);
+    if (ok) persist();
+    return ok;
+  }
+
+  // Revokes one of a user's sessions by its public ref.
+  function revokeRef(username, ref) {
+    const s = [...sessions.values()].find(x => x.username === username && x.ref === ref);
+    return s ? revoke(s.id) : false;
+  }
+
+  // Revokes every session of a user except (optionally) one id; returns how many.
+  function revokeUser(username, { except } = {}) {
+    let n = 0;
+    for (const s of sessions.values()) {
+      if (s.username === username && s.id !== except) {
+        sessions.delete(s.id);
+        n++;
+      }
+    }
+    if (n) persist();
+    return n;
+  }
+
+  // Newest first.
+  function listFor(username) {
+    return [...sessions.values()]
+      .filter(s => s.username === username && !expired(s))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(publicView);
+  }
+
+  function countFor(username) {
+    return listFor(username).length;
+  }
+
+  const timer = setInterval(prune, PRUNE_INTERVAL_MS);
+  timer.unref();
+
+  return { create, get, revoke, revokeRef, revokeUser, listFor, countFor };
+}
+
+module.exports = { createSessionStore };
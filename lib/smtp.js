@@ -0,0 +1,161 @@
+// lib/smtp.js
+// Minimal SMTP client for alert mail: plain, STARTTLS or implicit TLS (secure), optional
+// AUTH PLAIN/LOGIN, one text/plain message per connection. Enough for a relay or a local
+// stand-in such as MailHog; not a general-purpose mailer.
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+// Reads multi-line replies ("250-...", "250 ...") off a socket that may be swapped for
+// its TLS upgrade.
+function replyReader() {
+  let buf = '';
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  function push(reply) {
+    if (waiting.length) waiting.shift().resolve(reply);
+    else replies.push(reply);
+  }
+  return {
+    onData(chunk) {
+      buf += chunk.toString('utf8');
+      let i;
+      while ((i = buf.indexOf('\n')) >= 0) {
+        const line = buf.slice(0, i).replace(/\r$/, '');
+        buf = buf.slice(i + 1);
+        lines.push(line.slice(4));
+        if (/^\d{3}(?: |$)/.test(line)) {
+          push({ code: Number(line.slice(0, 3)), lines });
+          lines = [];
+        }
+      }
+    },
+    fail(err) {
+      failure = failure ?? err;
+      while (waiting.length) waiting.shift().reject(failure);
+    },
+    next() {
+      if (replies.length) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    }
+  };
+}
+
+function encodeHeader(s) {
+  const v = String(s).replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7e]*$/.test(v) ? v : `=?UTF-8?B?${Buffer.from(v).toString('base64')}?=`;
+}
+
+function buildMessage({ from, to, subject, text, hostname }) {
+  const body = Buffer.from(String(text ?? '')).toString('base64').replace(/.{76}/g, '$&\r\n');
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject ?? '')}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomBytes(12).toString('hex')}@${hostname}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+// starttls: 'auto' (when offered), 'always' (fail if not offered) or 'never'.
+// Resolves { response } (the server's answer to the message) or rejects.
+async function sendMail({
+  host, port, secure = false, starttls = 'auto', allowSelfSigned = false,
+  username, password, from, to, subject, text, timeoutMs = 10000, hostname = os.hostname()
+}) {
+  const reader = replyReader();
+  const tlsOptions = { servername: net.isIP(host) ? undefined : host, rejectUnauthorized: !allowSelfSigned };
+  let socket;
+
+  function attach(sock) {
+    socket = sock;
+    sock.setTimeout(timeoutMs, () => sock.destroy(new Error(`SMTP timed out after ${timeoutMs} ms`)));
+    sock.on('data', reader.onData);
+    sock.on('error', err => reader.fail(err));
+    sock.on('close', () => reader.fail(new Error('SMTP connection closed')));
+  }
+  async function expect(codes, what) {
+    const reply = await reader.next();
+    if (!codes.includes(reply.code)) {
+      const err = new Error(`SMTP ${what}: ${reply.code} ${reply.lines.join(' ')}`.trim());
+      err.code = reply.code;
+      throw err;
+    }
+    return reply;
+  }
+  async function command(line, codes, what = line.split(' ')[0]) {
+    socket.write(line + '\r\n');
+    return expect(codes, what);
+  }
+  async function hello() {
+    try {
+      return (await command(`EHLO ${hostname}`, [250])).lines.map(l => l.toUpperCase());
+    } catch (err) {
+      if (!(err.code >= 500)) throw err;
+      await command(`HELO ${hostname}`, [250]);
+      return [];
+    }
+  }
+
+  await new Promise((resolve, reject) => {
+    const sock = secure
+      ? tls.connect({ host, port: port ?? 465, ...tlsOptions }, resolve)
+      : net.connect({ host, port: port ?? 587 }, resolve);
+    sock.once('error', reject);
+    attach(sock);
+  });
+  try {
+    await expect([220], 'greeting');
+    let features = await hello();
+    const offersTls = features.some(f => f.startsWith('STARTTLS'));
+    if (!secure && (starttls === 'always' || (starttls === 'auto' && offersTls))) {
+      if (!offersTls) throw new Error('SMTP server does not offer STARTTLS');
+      await command('STARTTLS', [220]);
+      socket.removeAllListeners('data');
+      socket.removeAllListeners('close');
+      socket.removeAllListeners('error');
+      socket.setTimeout(0);
+      await new Promise((resolve, reject) => {
+        const upgraded = tls.connect({ socket, ...tlsOptions }, resolve);
+        upgraded.once('error', reject);
+        attach(upgraded);
+      });
+      features = await hello();
+    }
+    if (username) {
+      const auth = features.find(f => f.startsWith('AUTH')) ?? '';
+      if (/\bPLAIN\b/.test(auth) || !/\bLOGIN\b/.test(auth)) {
+        await command('AUTH PLAIN ' + Buffer.from(`\0${username}\0${password ?? ''}`).toString('base64'), [235], 'AUTH');
+      } else {
+        await command('AUTH LOGIN', [334], 'AUTH');
+        await command(Buffer.from(username).toString('base64'), [334], 'AUTH');
+        await command(Buffer.from(password ?? '').toString('base64'), [235], 'AUTH');
+      }
+    }
+    await command(`MAIL FROM:<${from}>`, [250], 'MAIL FROM');
+    for (const rcpt of to) await command(`RCPT TO:<${rcpt}>`, [250, 251], 'RCPT TO');
+    await command('DATA', [354]);
+    // Dot-stuffing: a line starting with "." gets another one.
+    const data = buildMessage({ from, to, subject, text, hostname }).replace(/(^|\r\n)\./g, '$1..');
+    const accepted = await command(data + '\r\n.', [250], 'message');
+    socket.write('QUIT\r\n');
+    socket.end();
+    return { response: `${accepted.code} ${accepted.lines.join(' ')}`.trim() };
+  } catch (err) {
+    socket.destroy();
+    throw err;
+  }
+}
+
+module.exports = { sendMail };
@@ -0,0 +1,38 @@
+// lib/sse.js
+// Minimal Server-Sent Events hub: keeps open responses and fans events out to them.
+
+const HEARTBEAT_MS = 25000; // below typical proxy idle timeouts
+
+function createSseHub() {
+  const clients = new Set();
+
+  function write(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  // Takes over the response; `initial` (optional) is sent first as { event, data }.
+  function attach(req, res, initial) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+    if (initial) write(res, initial.event, initial.data);
+    const hb = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    clients.add(res);
+    req.on('close', () => {
+      clearInterval(hb);
+      clients.delete(res);
+    });
+  }
+
+  function send(event, data) {
+    for (const res of clients) write(res, event, data);
+  }
+
+  return { attach, send, size: () => clients.size };
+}
+
+module.exports = { createSseHub };
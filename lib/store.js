@@ -0,0 +1,94 @@
+// lib/store.js
+// Pluggable persistence for the in-memory registries kept by server.js.
+// Drivers:
+//   file   - one JSON document per store under DATA_DIR (default)
+//   memory - nothing is written; state is lost on restart
+
+const fs   = require('fs');
+const path = require('path');
+
+const WRITE_DELAY_MS = 250;
+
+function createMemoryStore() {
+  return {
+    driver: 'memory',
+    load(fallback) { return fallback; },
+    save() {},
+    flush() {}
+  };
+}
+
+function createFileStore(name, dir) {
+  const file = path.join(dir, `${name}.json`);
+  const tmp  = `${file}.tmp`;
+  let pending = null;   // latest snapshot source waiting to be written
+  let timer   = null;
+  let writing = false;
+
+  function load(fallback) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn(`[STORE] ${file} unreadable, starting empty: ${err.message}`);
+      return fallback;
+    }
+  }
+
+  // Serialising happens on a timer, never inside the caller, so hot paths like the
+  // aedes publish handler only pay for flagging the store dirty.
+  function save(data) {
+    pending = data;
+    if (!timer && !writing) timer = setTimeout(write, WRITE_DELAY_MS);
+  }
+
+  async function write() {
+    timer = null;
+    if (pending == null) return;
+    const json = JSON.stringify(pending);
+    pending = null;
+    writing = true;
+    try {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(tmp, json);
+      await fs.promises.rename(tmp, file);
+    } catch (err) {
+      console.error(`[STORE] write ${file} failed: ${err.message}`);
+    } finally {
+      writing = false;
+      if (pending != null && !timer) timer = setTimeout(write, WRITE_DELAY_MS);
+    }
+  }
+
+  // Synchronous final write, used on shutdown.
+  function flush() {
+    if (timer) { clearTimeout(timer); timer = null; }
+    if (pending == null) return;
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(tmp, JSON.stringify(pending));
+      fs.renameSync(tmp, file);
+      pending = null;
+    } catch (err) {
+      console.error(`[STORE] flush ${file} failed: ${err.message}`);
+    }
+  }
+
+  return { driver: 'file', file, load, save, flush };
+}
+
+const opened = [];
+
+function createStore(name, { driver = 'file', dir = 'data' } = {}) {
+  let store;
+  if (driver === 'memory') store = createMemoryStore();
+  else if (driver === 'file') store = createFileStore(name, dir);
+  else throw new Error(`Unknown store driver "${driver}" (expected file|memory)`);
+  opened.push(store);
+  return store;
+}
+
+function flushAll() {
+  for (const s of opened) s.flush();
+}
+
+module.exports = { createStore, flushAll };
@@ -0,0 +1,212 @@
+// lib/telemetry.js
+// Numeric device telemetry, kept in process and downsampled as it ages:
+//   raw    - every sample, for rawMs (at most maxRawPerField, oldest dropped first)
+//   minute - 1-minute buckets { min, max, sum, n, last }, for minuteMs
+//   hour   - 1-hour buckets, for retentionMs
+// Only the buckets are persisted, as a snapshot every persistMs (and on persist());
+// serialising on every sample would cost too much at telemetry rates.
+
+const FIELD_RE = /^[A-Za-z0-9_.\-]{1,64}$/;
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const RESERVED = new Set(['device', 'ts', 'time', 'timestamp']);
+
+// JSON object payload -> { values: { field: number }, ts? } or { error }. Nested objects
+// are flattened with dots ({ power: { w: 5 } } -> power.w); booleans count as 1/0.
+function parseTelemetryPayload(payloadStr, { maxFields = 32 } = {}) {
+  let obj;
+  try { obj = JSON.parse(payloadStr); } catch { return { error: 'payload must be a JSON object of numeric fields' }; }
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return { error: 'payload must be a JSON object of numeric fields' };
+  const values = {};
+  (function walk(o, prefix, depth) {
+    for (const [k, v] of Object.entries(o)) {
+      if (!prefix && RESERVED.has(k)) continue;
+      const name = prefix ? `${prefix}.${k}` : k;
+      if (v && typeof v === 'object' && !Array.isArray(v) && depth < 3) walk(v, name, depth + 1);
+      else if (typeof v === 'number' && Number.isFinite(v)) values[name] = v;
+      else if (typeof v === 'boolean') values[name] = v ? 1 : 0;
+    }
+  })(obj, '', 1);
+  const names = Object.keys(values);
+  const bad = names.find(n => !FIELD_RE.test(n));
+  if (bad) return { error: `Invalid field name "${bad}" (letters, digits, _ . - up to 64)` };
+  if (names.length === 0) return { error: 'no numeric fields' };
+  if (names.length > maxFields) return { error: `too many fields (max ${maxFields})` };
+  const raw = obj.ts ?? obj.timestamp ?? obj.time;
+  const ts = typeof raw === 'number' ? raw : (raw ? Date.parse(raw) : NaN);
+  return Number.isFinite(ts) ? { values, ts } : { values };
+}
+
+function createTelemetryStore({
+  store,
+  rawMs = HOUR_MS,
+  minuteMs = 24 * HOUR_MS,
+  retentionMs = 7 * 24 * HOUR_MS,
+  maxDevices = 1000,
+  maxFieldsPerDevice = 64,
+  maxRawPerField = 3600,
+  persistMs = 60 * 1000
+}) {
+  // device -> field -> { raw: [[t, v]], minute: [[t, min, max, sum, n, last]], hour: [...], last: [t, v] }
+  const devices = new Map();
+  for (const [device, fields] of Object.entries(store.load({}))) {
+    const m = new Map();
+    for (const [name, s] of Object.entries(fields)) m.set(name, { raw: [], minute: s.minute ?? [], hour: s.hour ?? [], last: s.last ?? null });
+    devices.set(device, m);
+  }
+  let dirty = false;
+
+  function addToBuckets(buckets, step, t, v) {
+    const start = Math.floor(t / step) * step;
+    let i = buckets.length - 1;
+    while (i >= 0 && buckets[i][0] > start) i--;
+    const b = buckets[i];
+    if (b && b[0] === start) {
+      b[1] = Math.min(b[1], v);
+      b[2] = Math.max(b[2], v);
+      b[3] += v;
+      b[4]++;
+      b[5] = v;
+    } else {
+      buckets.splice(i + 1, 0, [start, v, v, v, 1, v]);
+    }
+  }
+
+  // values: { field: number }; ts: epoch ms (defaults to now). Returns the number of
+  // values stored (fields over the per-device limit, and unknown devices over the
+  // device limit, are dropped).
+  function record(device, values, ts) {
+    const now = Date.now();
+    const t = Number.isFinite(ts) && ts <= now + MINUTE_MS && ts > now - retentionMs ? ts : now;
+    let fields = devices.get(device);
+    if (!fields) {
+      if (devices.size >= maxDevices) return 0;
+      fields = new Map();
+      devices.set(device, fields);
+    }
+    let stored = 0;
+    for (const [name, v] of Object.entries(values)) {
+      let s = fields.get(name);
+      if (!s) {
+        if (fields.size >= maxFieldsPerDevice) continue;
+        s = { raw: [], minute: [], hour: [], last: null };
+        fields.set(name, s);
+      }
+      let i = s.raw.length - 1;
+      while (i >= 0 && s.raw[i][0] > t) i--;
+      s.raw.splice(i + 1, 0, [t, v]);
+      if (s.raw.length > maxRawPerField) s.raw.splice(0, s.raw.length - maxRawPerField);
+      addToBuckets(s.minute, MINUTE_MS, t, v);
+      addToBuckets(s.hour, HOUR_MS, t, v);
+      if (!s.last || t >= s.last[0]) s.last = [t, v];
+      stored++;
+    }
+    if (stored) dirty = true;
+    return stored;
+  }
+
+  function has(device) {
+    return devices.has(device);
+  }
+
+  // [{ name, value, at }] for a device's fields, sorted by name.
+  function latest(device) {
+    const fields = devices.get(device);
+    if (!fields) return [];
+    return [...fields.entries()]
+      .filter(([, s]) => s.last)
+      .map(([name, s]) => ({ name, value: s.last[1], at: new Date(s.last[0]).toISOString() }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Points { t (epoch ms), avg, min, max, n } from the finest tier that still covers
+  // `from`, merged further so no series has more than maxPoints.
+  function query(device, { fields: only, from, to, maxPoints = 300 } = {}) {
+    const now = Date.now();
+    const end = to ?? now;
+    const start = from ?? end - HOUR_MS;
+    const tier = start >= now - rawMs ? 'raw' : start >= now - minuteMs ? 'minute' : 'hour';
+    const tierStep = { raw: 0, minute: MINUTE_MS, hour: HOUR_MS }[tier];
+    // A whole number of buckets (or seconds, for raw), so merged points stay aligned.
+    const unit = tierStep || 1000;
+    const step = Math.max(tierStep, Math.ceil((end - start) / Math.max(1, maxPoints) / unit) * unit);
+    const series = {};
+    for (const [name, s] of devices.get(device) ?? []) {
+      if (only && !only.includes(name)) continue;
+      // Raw samples are not persisted: after a restart, minute buckets fill in before them.
+      const rawStart = s.raw.length ? s.raw[0][0] : Infinity;
+      const source = tier === 'raw'
+        ? s.minute.filter(b => b[0] + MINUTE_MS <= rawStart).concat(s.raw.map(([t, v]) => [t, v, v, v, 1]))
+        : s[tier];
+      const points = [];
+      for (const [t, min, max, sum, n] of source) {
+        if (t < start - tierStep || t > end) continue;
+        const bucket = step > tierStep ? Math.floor(t / step) * step : t;
+        const p = points[points.length - 1];
+        if (p && p.t === bucket) {
+          p.min = Math.min(p.min, min);
+          p.max = Math.max(p.max, max);
+          p.sum += sum;
+          p.n += n;
+        } else {
+          points.push({ t: bucket, min, max, sum, n });
+        }
+      }
+      series[name] = points.map(({ t, min, max, sum, n }) => ({ t, avg: sum / n, min, max, n }));
+    }
+    return { resolution: tier, stepMs: step, from: start, to: end, series };
+  }
+
+  function prune() {
+    const now = Date.now();
+    for (const [device, fields] of devices) {
+      for (const [name, s] of fields) {
+        const before = s.minute.length + s.hour.length;
+        s.raw = s.raw.filter(p => p[0] >= now - rawMs);
+        s.minute = s.minute.filter(b => b[0] >= now - minuteMs);
+        s.hour = s.hour.filter(b => b[0] >= now - retentionMs);
+        if (s.minute.length + s.hour.length !== before) dirty = true;
+        if (!s.hour.length && !s.raw.length) fields.delete(name);
+      }
+      if (!fields.size) devices.delete(device);
+    }
+  }
+
+  // Queues a snapshot of the buckets for the store (a no-op when nothing changed).
+  function persist() {
+    if (!dirty) return;
+    dirty = false;
+    const out = {};
+    for (const [device, fields] of devices) {
+      out[device] = {};
+      for (const [name, s] of fields) out[device][name] = { minute: s.minute, hour: s.hour, last: s.last };
+    }
+    store.save(out);
+  }
+
+  function remove(device) {
+    if (devices.delete(device)) dirty = true;
+  }
+
+  // Moves a device's series to another name; fields the target already has keep the
+  // target's data.
+  function rename(from, to) {
+    const src = devices.get(from);
+    if (!src || from === to) return;
+    const dst = devices.get(to) ?? new Map();
+    for (const [name, s] of src) if (!dst.has(name) && dst.size < maxFieldsPerDevice) dst.set(name, s);
+    devices.set(to, dst);
+    devices.delete(from);
+    dirty = true;
+  }
+
+  const timer = setInterval(() => {
+    prune();
+    persist();
+  }, persistMs);
+  timer.unref();
+
+  return { record, has, latest, query, remove, rename, persist, devices: () => [...devices.keys()].sort() };
+}
+
+module.exports = { createTelemetryStore, parseTelemetryPayload };
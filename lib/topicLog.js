@@ -0,0 +1,78 @@
+// lib/topicLog.js
+// In-memory record of recent MQTT traffic for the /mqtt-explorer page: the last few
+// messages per topic (payloads capped) and per-topic counters. Nothing is persisted;
+// when more than maxTopics topics are seen, the least recently active is dropped.
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+// { text, json?, hex } - text is null for payloads that are not valid UTF-8, json is only
+// set for objects and arrays.
+function decodePayload(buf) {
+  let text = null;
+  try { text = utf8.decode(buf); } catch { /* binary */ }
+  const out = { text, hex: buf.toString('hex') };
+  if (text !== null) {
+    try {
+      const json = JSON.parse(text);
+      if (json !== null && typeof json === 'object') out.json = json;
+    } catch { /* not JSON */ }
+  }
+  return out;
+}
+
+function createTopicLog({ perTopic = 20, maxTopics = 500, maxPayloadBytes = 2048 } = {}) {
+  const topics = new Map(); // topic -> { topic, count, bytes, firstAt, lastAt, lastClient, retained, messages }
+  let seq = 0;
+
+  // packet: aedes publish packet; client: publishing client id, or null for the broker itself.
+  function record(packet, client) {
+    const payload = Buffer.isBuffer(packet.payload) ? packet.payload : Buffer.from(String(packet.payload ?? ''));
+    const ts = new Date().toISOString();
+    let t = topics.get(packet.topic);
+    if (!t) {
+      if (topics.size >= maxTopics) {
+        let oldest = null;
+        for (const x of topics.values()) if (!oldest || x.lastAt < oldest.lastAt) oldest = x;
+        topics.delete(oldest.topic);
+      }
+      t = { topic: packet.topic, count: 0, bytes: 0, firstAt: ts, lastAt: ts, lastClient: null, retained: false, messages: [] };
+      topics.set(packet.topic, t);
+    }
+    const msg = {
+      id: ++seq,
+      ts,
+      topic: packet.topic,
+      client,
+      qos: packet.qos ?? 0,
+      retain: Boolean(packet.retain),
+      size: payload.length,
+      truncated: payload.length > maxPayloadBytes,
+      ...decodePayload(payload.subarray(0, maxPayloadBytes))
+    };
+    t.count++;
+    t.bytes += payload.length;
+    t.lastAt = ts;
+    t.lastClient = client;
+    if (msg.retain) t.retained = payload.length > 0; // an empty retained message clears it
+    t.messages.push(msg);
+    if (t.messages.length > perTopic) t.messages.shift();
+    return msg;
+  }
+
+  // Sorted by topic, without the messages.
+  function list() {
+    return [...topics.values()]
+      .map(({ messages, ...rest }) => rest)
+      .sort((a, b) => a.topic.localeCompare(b.topic));
+  }
+
+  // Newest first; null for a topic that has not been seen.
+  function messages(topic, limit = perTopic) {
+    const t = topics.get(topic);
+    return t ? t.messages.slice(-limit).reverse() : null;
+  }
+
+  return { record, list, messages, clear: () => topics.clear() };
+}
+
+module.exports = { createTopicLog, decodePayload };
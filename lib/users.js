@@ -0,0 +1,101 @@
+// lib/users.js
+// Dashboard accounts with salted scrypt passwords and roles.
+//   viewer   - device status pages and read-only device APIs
+//   operator - viewer + sending commands (/control, /api/command)
+//   admin    - operator + managing users and device credentials
+
+const { hashSecret, verifySecret } = require('./secrets');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const USERNAME_RE = /^[A-Za-z0-9_.@\-]{1,64}$/;
+const MIN_PASSWORD = 8;
+// Checked against when the username does not exist, so unknown and known users take
+// the same scrypt time and response timing does not reveal which accounts exist.
+const DUMMY_HASH = hashSecret('not-a-real-password');
+
+function roleAtLeast(role, min) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(min);
+}
+
+// Returns an error message, or null when the input is acceptable.
+function validateUser({ username, password, role }, { partial = false } = {}) {
+  if (!partial || username !== undefined) {
+    if (!USERNAME_RE.test(String(username ?? ''))) return 'Invalid username. Expected 1-64 chars of A-Z a-z 0-9 _ . @ -';
+  }
+  if (!partial || password !== undefined) {
+    if (String(password ?? '').length < MIN_PASSWORD) return `Password must be at least ${MIN_PASSWORD} characters`;
+  }
+  if (!partial || role !== undefined) {
+    if (!ROLES.includes(role)) return `Invalid role. Expected one of ${ROLES.join('|')}`;
+  }
+  return null;
+}
+
+function createUserStore({ store, seed }) {
+  const users = Object.assign(Object.create(null), store.load({}));
+
+  function publicView(username) {
+    const u = users[username];
+    return u ? { username, role: u.role, createdAt: u.createdAt, updatedAt: u.updatedAt, lastLoginAt: u.lastLoginAt ?? null } : null;
+  }
+  function adminCount() {
+    return Object.values(users).filter(u => u.role === 'admin').length;
+  }
+
+  function create({ username, password, role }) {
+    if (users[username]) throw new Error('User already exists');
+    const now = new Date().toISOString();
+    users[username] = { ...hashSecret(password), role, createdAt: now, updatedAt: now };
+    store.save(users);
+    return publicView(username);
+  }
+
+  function update(username, { password, role }) {
+    const u = users[username];
+    if (!u) return null;
+    if (role !== undefined && u.role === 'admin' && role !== 'admin' && adminCount() === 1) {
+      throw new Error('Cannot demote the last admin');
+    }
+    if (password !== undefined) Object.assign(u, hashSecret(password));
+    if (role !== undefined) u.role = role;
+    u.updatedAt = new Date().toISOString();
+    store.save(users);
+    return publicView(username);
+  }
+
+  function remove(username) {
+    const u = users[username];
+    if (!u) return false;
+    if (u.role === 'admin' && adminCount() === 1) throw new Error('Cannot delete the last admin');
+    delete users[username];
+    store.save(users);
+    return true;
+  }
+
+  // Returns the public view on success, null otherwise.
+  function verify(username, password) {
+    const u = users[username];
+    if (!u) {
+      verifySecret(password, DUMMY_HASH);
+      return null;
+    }
+    if (!verifySecret(password, u)) return null;
+    u.lastLoginAt = new Date().toISOString();
+    store.save(users);
+    return publicView(username);
+  }
+
+  function list() {
+    return Object.keys(users).map(publicView);
+  }
+
+  // First boot: turn the legacy ADMIN_USER/ADMIN_PASS pair into the initial admin account.
+  if (Object.keys(users).length === 0 && seed?.username && seed?.password) {
+    create({ username: seed.username, password: seed.password, role: 'admin' });
+    console.log(`[USERS] created initial admin "${seed.username}" from ADMIN_USER/ADMIN_PASS`);
+  }
+
+  return { create, update, remove, verify, get: publicView, list };
+}
+
+module.exports = { createUserStore, validateUser, roleAtLeast, ROLES };
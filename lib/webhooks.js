@@ -0,0 +1,250 @@
+// lib/webhooks.js
+// Outbound webhook subscriptions. Each matching event is POSTed as JSON
+//   { id, event, ts, data }
+// with headers
+//   X-Webhook-Event, X-Webhook-Delivery (= id), X-Webhook-Timestamp (epoch ms) and
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256(secret, "<timestamp>.<body>")>
+// Failed deliveries (network error, timeout, non-2xx) are retried with exponential
+// backoff; the delivery log is persisted so pending retries survive a restart.
+
+const crypto = require('crypto');
+const { randomSecret } = require('./secrets');
+
+const EVENTS = [
+  'device.registered', 'device.status', 'device.stale',
+  'device.quarantined', 'device.renamed', 'device.deleted',
+  'command.sent', 'command.acked', 'command.failed', 'command.timeout',
+  'alert.firing', 'alert.resolved'
+];
+
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// "*" matches everything, "device.*" a whole family.
+function eventMatches(patterns, event) {
+  return patterns.some(p => p === '*' || p === event || (p.endsWith('.*') && event.startsWith(p.slice(0, -1))));
+}
+
+function createWebhookDispatcher({
+  store, logStore, maxAttempts = 5, backoffMs = 2000, timeoutMs = 5000, logLimit = 500, tickMs = 1000
+}) {
+  const hooks = new Map(store.load([]).map(h => [h.id, h]));
+  const deliveries = new Map(logStore.load([]).map(d => [d.id, d])); // insertion order = creation order
+  const inFlight = new Set();
+
+  function persistHooks() {
+    store.save([...hooks.values()]);
+  }
+  function persistLog() {
+    while (deliveries.size > logLimit) {
+      // Drop the oldest finished delivery; pending ones are kept until they resolve.
+      const oldest = [...deliveries.values()].find(d => d.status !== 'pending');
+      if (!oldest) break;
+      deliveries.delete(oldest.id);
+    }
+    logStore.save([...deliveries.values()]);
+  }
+
+  // Secrets are only returned on create/rotate.
+  function publicView(h) {
+    const { secret, ...rest } = h;
+    return { ...rest, secret: `…${secret.slice(-4)}` };
+  }
+
+  // Returns an error message or null; normalises in place.
+  function validate(h) {
+    let url;
+    try { url = new URL(h.url); } catch { return 'url is not a valid URL'; }
+    if (!['http:', 'https:'].includes(url.protocol)) return 'url must be http(s)';
+    h.url = url.toString();
+    if (!Array.isArray(h.events) || h.events.length === 0) return `events must be a non-empty array of ${EVENTS.join('|')} (or "*", "device.*", "command.*")`;
+    for (const e of h.events) {
+      const ok = e === '*' || EVENTS.includes(e) || (String(e).endsWith('.*') && EVENTS.some(x => x.startsWith(String(e).slice(0, -1))));
+      if (!ok) return `Unknown event "${e}"`;
+    }
+    h.description = String(h.description ?? '').trim();
+    h.enabled = h.enabled !== false;
+    return null;
+  }
+
+  function create(input, actor) {
+    const h = {
+      id: crypto.randomBytes(6).toString('hex'),
+      url: input.url,
+      events: input.events ?? ['*'],
+      description: input.description,
+      enabled: input.enabled,
+      secret: randomSecret(),
+      createdBy: actor ?? null,
+      createdAt: new Date().toISOString()
+    };
+    const error = validate(h);
+    if (error) return { error };
+    hooks.set(h.id, h);
+    persistHooks();
+    return { webhook: { ...h } };
+  }
+
+  function update(id, patch) {
+    const cur = hooks.get(id);
+    if (!cur) return null;
+    const next = { ...cur };
+    for (const k of ['url', 'events', 'description', 'enabled']) {
+      if (patch[k] !== undefined) next[k] = patch[k];
+    }
+    const error = validate(next);
+    if (error) return { error };
+    hooks.set(id, next);
+    persistHooks();
+    return { webhook: publicView(next) };
+  }
+
+  function rotateSecret(id) {
+    const h = hooks.get(id);
+    if (!h) return null;
+    h.secret = randomSecret();
+    persistHooks();
+    return { ...h };
+  }
+
+  function remove(id) {
+    const ok = hooks.delete(id);
+    if (!ok) return false;
+    persistHooks();
+    // Nothing left to sign retries with.
+    for (const d of deliveries.values()) {
+      if (d.webhook === id && d.status === 'pending') {
+        d.status = 'failed';
+        d.error = 'Webhook deleted';
+        d.nextAttemptAt = null;
+      }
+    }
+    persistLog();
+    return true;
+  }
+
+  function enqueue(h, event, data) {
+    const id = crypto.randomBytes(8).toString('hex');
+    const d = {
+      id,
+      webhook: h.id,
+      url: h.url,
+      event,
+      body: JSON.stringify({ id, event, ts: new Date().toISOString(), data }),
+      status: 'pending',
+      attempts: [],
+      nextAttemptAt: new Date().toISOString(),
+      createdAt: new Date().toISOString(),
+      deliveredAt: null,
+      error: null
+    };
+    deliveries.set(id, d);
+    persistLog();
+    attempt(d);
+    return d;
+  }
+
+  async function attempt(d) {
+    const h = hooks.get(d.webhook);
+    if (!h || inFlight.has(d.id)) return;
+    inFlight.add(d.id);
+    const timestamp = Date.now();
+    const started = Date.now();
+    const entry = { at: new Date(timestamp).toISOString(), httpStatus: null, error: null, ms: null };
+    try {
+      const res = await fetch(h.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'railway-mqtt-webhooks',
+          'X-Webhook-Event': d.event,
+          'X-Webhook-Delivery': d.id,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(h.secret, timestamp, d.body)
+        },
+        body: d.body,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      entry.httpStatus = res.status;
+      if (!res.ok) entry.error = `HTTP ${res.status}`;
+      await res.body?.cancel();
+    } catch (err) {
+      entry.error = err.name === 'TimeoutError' ? `Timed out after ${timeoutMs} ms` : (err.cause?.code ?? err.cause?.message ?? err.message);
+    }
+    entry.ms = Date.now() - started;
+    inFlight.delete(d.id);
+    d.attempts.push(entry);
+    if (!entry.error) {
+      d.status = 'delivered';
+      d.deliveredAt = entry.at;
+      d.nextAttemptAt = null;
+      d.error = null;
+    } else if (d.attempts.length >= maxAttempts) {
+      d.status = 'failed';
+      d.nextAttemptAt = null;
+      d.error = entry.error;
+      console.warn(`[WEBHOOK] ${d.event} -> ${d.url} gave up after ${d.attempts.length} attempts: ${entry.error}`);
+    } else {
+      d.error = entry.error;
+      d.nextAttemptAt = new Date(Date.now() + backoffMs * 2 ** (d.attempts.length - 1)).toISOString();
+    }
+    persistLog();
+  }
+
+  function tick() {
+    const now = Date.now();
+    for (const d of deliveries.values()) {
+      if (d.status === 'pending' && Date.parse(d.nextAttemptAt) <= now) attempt(d);
+    }
+  }
+
+  // Fan an event out to every enabled subscription that wants it.
+  function emit(event, data) {
+    for (const h of hooks.values()) {
+      if (h.enabled && eventMatches(h.events, event)) enqueue(h, event, data);
+    }
+  }
+
+  // Sends a webhook.test event to one subscription, regardless of its event filter.
+  function test(id) {
+    const h = hooks.get(id);
+    return h ? enqueue(h, 'webhook.test', { webhook: h.id, message: 'Test delivery' }) : null;
+  }
+
+  // Starts a fresh delivery of the same body (new id, new signature timestamp).
+  function redeliver(deliveryId) {
+    const d = deliveries.get(deliveryId);
+    if (!d) return null;
+    const h = hooks.get(d.webhook);
+    if (!h) return { error: 'Webhook no longer exists' };
+    return { delivery: enqueue(h, d.event, JSON.parse(d.body).data) };
+  }
+
+  function list() {
+    return [...hooks.values()].map(publicView);
+  }
+
+  // Newest first.
+  function log({ webhook, status, limit = 100 } = {}) {
+    const out = [];
+    for (const d of [...deliveries.values()].reverse()) {
+      if (webhook && d.webhook !== webhook) continue;
+      if (status && d.status !== status) continue;
+      out.push(d);
+      if (out.length >= limit) break;
+    }
+    return out;
+  }
+
+  const timer = setInterval(tick, tickMs);
+  timer.unref();
+
+  return {
+    create, update, remove, rotateSecret, emit, test, redeliver, list, log,
+    get: (id) => (hooks.has(id) ? publicView(hooks.get(id)) : null),
+    delivery: (id) => deliveries.get(id) ?? null
+  };
+}
+
+module.exports = { createWebhookDispatcher, signPayload, EVENTS };
@@ -5,7 +5,8 @@ if (uploadForm && uploadResult) {
   uploadForm.addEventListener('submit', async (e) => {
     e.preventDefault();
     const formData = new FormData(uploadForm); // expects input name="file"
-    const res = await fetch('/upload', { method: 'POST', body: formData });
+    const headers = window.CSRF_TOKEN ? { 'X-CSRF-Token': window.CSRF_TOKEN } : {};
+    const res = await fetch('/upload', { method: 'POST', headers, body: formData });
     const data = await res.json();
     uploadResult.textContent = data.ok
       ? `Uploaded: ${data.filename} (${data.size} bytes) → ${data.url}`
@@ -5,32 +5,475 @@
 require('dotenv').config();
 
 const http   = require('http');
+const net    = require('net');
+const tls    = require('tls');
+const fs     = require('fs');
 const ws     = require('ws');
 const aedes  = require('aedes')();
 const morgan = require('morgan');
 const crypto = require('crypto');
+const { createStore, flushAll } = require('./lib/store');
+const { createHistory, toMs } = require('./lib/history');
+const { createCredentialStore } = require('./lib/credentials');
+const { installMqttAuth, isValidDeviceName, RESERVED_DEVICE_NAMES } = require('./lib/mqttAuth');
+const { createSseHub } = require('./lib/sse');
+const { createCommandLedger, newCommandId, parseAckPayload, STATES: COMMAND_STATES } = require('./lib/commands');
+const { createUserStore, validateUser, roleAtLeast, ROLES } = require('./lib/users');
+const { createAuditLog } = require('./lib/audit');
+const { createCapabilityRegistry, validateCommand } = require('./lib/capabilities');
+const { createCommandRouter } = require('./lib/commandRouting');
+const { createScheduler } = require('./lib/scheduler');
+const { createRulesEngine } = require('./lib/rules');
+const { createWebhookDispatcher, EVENTS: WEBHOOK_EVENTS } = require('./lib/webhooks');
+const { createMetricsRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
+const { createApiTokenStore, SCOPES: TOKEN_SCOPE_NAMES } = require('./lib/apiTokens');
+const { createGroupStore, normalizeTags } = require('./lib/groups');
+const { createTopicLog } = require('./lib/topicLog');
+const { createSessionStore } = require('./lib/sessions');
+const { createLoginLimiter } = require('./lib/loginLimiter');
+const { readMultipart } = require('./lib/multipart');
+const { createFirmwareStore } = require('./lib/firmware');
+const { createOtaManager, parseOtaReport } = require('./lib/ota');
+const { createTelemetryStore, parseTelemetryPayload } = require('./lib/telemetry');
+const { createAlertManager, KINDS: ALERT_KINDS, SEVERITIES: ALERT_SEVERITIES } = require('./lib/alerts');
+const { createChannelStore, NOTIFIERS } = require('./lib/notifiers');
+const { loadConfig, createSettings } = require('./lib/config');
+const { normalizeDeviceMeta, queryDevices, createQuarantine } = require('./lib/devices');
+const { safeNext, safeDecode, clientIp, requestProto, readJsonBody, readFormBody } = require('./lib/http');
+const views = require('./views');
 
 // ---------- Config ----------
-const PORT            = process.env.PORT ?? 3000;
+// Schema, defaults and validation live in lib/config.js (defaults < CONFIG_FILE < env);
+// a bad value stops the boot here. Hot settings are read through settings.get() below.
+const config = loadConfig();
+if (config.errors.length) {
+  console.error(`Invalid configuration${config.file ? ` (environment + ${config.file})` : ''}:`);
+  for (const error of config.errors) console.error(`  - ${error}`);
+  process.exit(1);
+}
+const {
+  PORT, MQTT_TCP_PORT, MQTT_TLS_PORT, MQTT_TLS_CERT, MQTT_TLS_KEY,
+  COMMAND_TOPIC_TEMPLATE, STATUS_RETAIN_TOPIC, ADMIN_USER, ADMIN_PASS, SESSION_SECRET, COOKIE_SECURE,
+  LOGIN_MAX_ATTEMPTS, LOGIN_MAX_ATTEMPTS_PER_IP, LOGIN_WINDOW_MS, LOGIN_LOCKOUT_MS,
+  STORE_DRIVER, DATA_DIR, HISTORY_LIMIT, MQTT_ALLOW_ANONYMOUS, COMMAND_QOS, COMMAND_INCLUDE_ID, COMMAND_ACK_TIMEOUT_MS,
+  AUDIT_DIR, AUDIT_MAX_BYTES, AUDIT_MAX_FILES, TRUST_PROXY, SCHEDULE_MAX_LATENESS_MS,
+  WEBHOOK_MAX_ATTEMPTS, WEBHOOK_BACKOFF_MS, WEBHOOK_TIMEOUT_MS, METRICS_TOKEN, METRICS_PUBLIC, PUBLIC_URL,
+  FIRMWARE_DIR, FIRMWARE_MAX_BYTES, OTA_TIMEOUT_MS, FIRMWARE_LINK_TTL_MS,
+  TELEMETRY_TOPIC, TELEMETRY_RAW_MS, TELEMETRY_MINUTE_MS, TELEMETRY_RETENTION_MS, TELEMETRY_MAX_FIELDS, TELEMETRY_MAX_RAW,
+  ALERT_EVAL_MS, NOTIFY_TIMEOUT_MS
+} = config.values;
+const SESSION_MAX_AGE = config.values.SESSION_MAX_AGE_MS;
 const WS_PATH         = '/mqtt';
-const COMMAND_TOPIC   = process.env.COMMAND_TOPIC ?? 'devices/command';
-const STALE_MS        = Number(process.env.STALE_MS ?? 30000);
-const ADMIN_USER      = process.env.ADMIN_USER ?? 'admin';
-const ADMIN_PASS      = process.env.ADMIN_PASS ?? 'Harish@123'; // change me!
-const SESSION_SECRET  = process.env.SESSION_SECRET ?? 'Harish@123';
-const SESSION_MAX_AGE = Number(process.env.SESSION_MAX_AGE_MS ?? 8 * 60 * 60 * 1000); // 8h
-const COOKIE_SECURE   = String(process.env.COOKIE_SECURE ?? 'false') === 'true';
+
+// Runtime overrides for hot settings (STALE_MS, OFFLINE_ON_DISCONNECT, DEVICE_QUARANTINE,
+// COMMAND_TOPIC, COMMAND_TOPIC_MODE, COMMAND_ENCODING), changed by admins on /settings.
+const settings = createSettings({
+  config,
+  store: createStore('settings', { driver: STORE_DRIVER, dir: DATA_DIR }),
+  onChange: (key, value, prev) => {
+    if (key === 'COMMAND_TOPIC' || key === 'COMMAND_TOPIC_MODE' || key === 'COMMAND_ENCODING') {
+      commandRouter.setDefaults({
+        legacyTopic: settings.get('COMMAND_TOPIC'),
+        mode: settings.get('COMMAND_TOPIC_MODE'),
+        encoding: settings.get('COMMAND_ENCODING')
+      });
+    }
+    if (key === 'COMMAND_TOPIC') mqttAuth.setCommandTopic(value);
+    console.log(`[CONFIG] ${key}: ${JSON.stringify(prev)} -> ${JSON.stringify(value)}`);
+  }
+});
 
 // ---------- Device registry ----------
-const deviceStatus = Object.create(null);
+// Persisted through lib/store so a redeploy keeps firstSeen/lastSeen/status.
+const deviceStore  = createStore('devices', { driver: STORE_DRIVER, dir: DATA_DIR });
+const deviceStatus = Object.assign(Object.create(null), deviceStore.load({}));
+function persistDevices() {
+  deviceStore.save(deviceStatus);
+}
+// Capability schemas announced on devices/<name>/meta (see lib/capabilities.js)
+const capabilities = createCapabilityRegistry({
+  store: createStore('capabilities', { driver: STORE_DRIVER, dir: DATA_DIR })
+});
+// Named (nestable) device groups; tags are kept on the registry entries themselves.
+const deviceGroups = createGroupStore({
+  store: createStore('groups', { driver: STORE_DRIVER, dir: DATA_DIR })
+});
+function deviceItem(name, info) {
+  return {
+    device: name,
+    displayName: info.displayName ?? null,
+    location: info.location ?? null,
+    notes: info.notes ?? null,
+    archived: info.archived === true,
+    status: info.status,
+    updatedAt: info.updatedAt,
+    lastSeen: info.lastSeen,
+    firstSeen: info.firstSeen,
+    tags: info.tags ?? [],
+    groups: deviceGroups.memberOf(name),
+    clientId: info.clientId ?? null,
+    firmware: info.firmware ?? null,
+    connected: Boolean(info.clientId && aedes.clients[info.clientId]),
+    capabilities: capabilities.get(name),
+    delivery: { ...commandRouter.settings(name), topic: commandRouter.topicFor(name) },
+    registeredBy: info.registeredBy ?? null,
+    registeredAt: info.registeredAt ?? null
+  };
+}
+// Live dashboard updates (GET /api/devices/stream)
+const deviceEvents = createSseHub();
+function deviceChanged(name) {
+  deviceEvents.send('device', deviceItem(name, deviceStatus[name]));
+  publishRetainedStatus(name);
+}
+// Devices that report on devices/status without being registered wait here (while
+// DEVICE_QUARANTINE is on) until an operator approves or rejects them on /devices.
+const quarantine = createQuarantine({
+  store: createStore('quarantine', { driver: STORE_DRIVER, dir: DATA_DIR })
+});
+function quarantineChanged() {
+  deviceEvents.send('quarantine', { items: quarantine.list() });
+}
+// Retained devices/<name>/status mirror of the registry, so a dashboard or device that
+// subscribes gets the current state at once. Only the server publishes there.
+function statusTopicFor(name) {
+  return STATUS_RETAIN_TOPIC.split('{device}').join(name);
+}
+const STATUS_TOPIC_RE = new RegExp('^' + STATUS_RETAIN_TOPIC.split('{device}')
+  .map(s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[^/]+') + '$');
+function publishRetainedStatus(name) {
+  if (!STATUS_RETAIN_TOPIC) return;
+  const { device, status, updatedAt, lastSeen, connected } = deviceItem(name, deviceStatus[name]);
+  const payload = JSON.stringify({ device, status, updatedAt, lastSeen, connected });
+  aedes.publish({ topic: statusTopicFor(name), payload, qos: 1, retain: true }, (err) => {
+    if (err) console.warn(`[MQTT] retained status for ${name} failed: ${err.message}`);
+  });
+}
+const history = createHistory({
+  store: createStore('history', { driver: STORE_DRIVER, dir: DATA_DIR }),
+  limit: HISTORY_LIMIT
+});
 
-// ---------- Helpers ----------
-function escapeHtml(s) {
-  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+// ---------- Telemetry ----------
+// Numeric fields published on TELEMETRY_TOPIC, downsampled by lib/telemetry. The device
+// is the topic level matched by the filter's first +.
+const telemetry = createTelemetryStore({
+  store: createStore('telemetry', { driver: STORE_DRIVER, dir: DATA_DIR }),
+  rawMs: TELEMETRY_RAW_MS,
+  minuteMs: TELEMETRY_MINUTE_MS,
+  retentionMs: TELEMETRY_RETENTION_MS,
+  maxFieldsPerDevice: TELEMETRY_MAX_FIELDS,
+  maxRawPerField: TELEMETRY_MAX_RAW
+});
+const TELEMETRY_TOPIC_RE = TELEMETRY_TOPIC ? new RegExp('^' + TELEMETRY_TOPIC.split('/').map((level, i, all) => {
+  if (level === '+') return all.indexOf('+') === i ? '([^/]+)' : '[^/]+';
+  if (level === '#') return '.*';
+  return level.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}).join('/') + '$') : null;
+
+// ---------- Command routing ----------
+// Per-device topic/encoding; the defaults above apply unless a device is overridden.
+const commandRouter = createCommandRouter({
+  store: createStore('command-routing', { driver: STORE_DRIVER, dir: DATA_DIR }),
+  legacyTopic: settings.get('COMMAND_TOPIC'),
+  template: COMMAND_TOPIC_TEMPLATE,
+  defaultMode: settings.get('COMMAND_TOPIC_MODE'),
+  defaultEncoding: settings.get('COMMAND_ENCODING'),
+  includeId: COMMAND_INCLUDE_ID
+});
+
+// ---------- Command ledger ----------
+const commands = createCommandLedger({
+  store: createStore('commands', { driver: STORE_DRIVER, dir: DATA_DIR }),
+  timeoutMs: COMMAND_ACK_TIMEOUT_MS,
+  onChange: (cmd) => {
+    deviceEvents.send('command', cmd);
+    if (cmd.status === 'pending') metrics.commandsSent.inc();
+    if (cmd.status === 'failed' || cmd.status === 'timeout') metrics.commandsFailed.inc({ reason: cmd.status });
+    webhooks.emit(cmd.status === 'pending' ? 'command.sent' : `command.${cmd.status}`, cmd);
+    alerts.handleCommand(cmd);
+  }
+});
+
+// ---------- Firmware & OTA ----------
+// Images uploaded on /firmware (POST /upload); a rollout sends { rollout, version, url,
+// sha256, size } retained on devices/<name>/ota, and devices report back on
+// devices/<name>/ota/status. The retained message is cleared once the device's part of
+// the rollout is over, so an empty message there means "stop / nothing to install".
+const firmware = createFirmwareStore({
+  store: createStore('firmware', { driver: STORE_DRIVER, dir: DATA_DIR }),
+  dir: FIRMWARE_DIR
+});
+const otaEvents = createSseHub();
+const ota = createOtaManager({
+  store: createStore('ota-rollouts', { driver: STORE_DRIVER, dir: DATA_DIR }),
+  timeoutMs: OTA_TIMEOUT_MS,
+  onChange: (rollout, device) => {
+    otaEvents.send('rollout', rollout);
+    const target = device ? rollout.targets[device] : null;
+    if (!target || ['pending', 'downloading', 'verifying', 'installing'].includes(target.state)) return;
+    console.log(`[OTA] ${device}: ${target.state}${target.error ? ` (${target.error})` : ''} - rollout ${rollout.id} (${rollout.version})`);
+    if (!ota.current(device)) publishOta(device, null).catch(() => {});
+    if (target.state === 'succeeded' && deviceStatus[device]) {
+      deviceStatus[device].firmware = rollout.version;
+      persistDevices();
+      deviceChanged(device);
+    }
+  }
+});
+function otaTopicFor(device) {
+  return `devices/${device}/ota`;
+}
+// message null clears the retained instruction.
+function publishOta(device, message) {
+  const payload = message ? JSON.stringify(message) : '';
+  return new Promise((resolve, reject) => {
+    aedes.publish({ topic: otaTopicFor(device), payload, qos: 1, retain: true }, (err) => {
+      if (err) {
+        console.warn(`[OTA] publish to ${otaTopicFor(device)} failed: ${err.message}`);
+        return reject(err);
+      }
+      resolve();
+    });
+  });
+}
+// Download link handed to devices: signed, so it works without a dashboard session, and
+// valid until exp (epoch seconds), which is part of the signed value.
+function firmwareUrl(image, base) {
+  const exp = Math.floor((Date.now() + FIRMWARE_LINK_TTL_MS) / 1000);
+  return `${base}/firmware/${image.id}/${encodeURIComponent(image.filename)}?exp=${exp}&sig=${sign(`firmware:${image.id}:${exp}`)}`;
+}
+function firmwareLinkValid(id, params) {
+  const exp = params.get('exp') ?? '';
+  return /^\d{1,12}$/.test(exp) && Number(exp) * 1000 > Date.now() && safeEqual(params.get('sig'), sign(`firmware:${id}:${exp}`));
+}
+
+// ---------- Device credentials ----------
+const credentials = createCredentialStore({
+  store: createStore('credentials', { driver: STORE_DRIVER, dir: DATA_DIR })
+});
+
+// ---------- Audit log ----------
+const audit = createAuditLog({ dir: AUDIT_DIR, maxBytes: AUDIT_MAX_BYTES, maxFiles: AUDIT_MAX_FILES });
+
+// ---------- Webhooks ----------
+// Signed outbound events for other services (see lib/webhooks.js for the format).
+const webhooks = createWebhookDispatcher({
+  store: createStore('webhooks', { driver: STORE_DRIVER, dir: DATA_DIR }),
+  logStore: createStore('webhook-deliveries', { driver: STORE_DRIVER, dir: DATA_DIR }),
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  backoffMs: WEBHOOK_BACKOFF_MS,
+  timeoutMs: WEBHOOK_TIMEOUT_MS
+});
+
+// ---------- Alerts ----------
+// Alert rules over the registry, command ledger and telemetry (see lib/alerts.js), sent
+// to notification channels (lib/notifiers.js) and the alert.* webhook events.
+const alertChannels = createChannelStore({
+  store: createStore('alert-channels', { driver: STORE_DRIVER, dir: DATA_DIR }),
+  timeoutMs: NOTIFY_TIMEOUT_MS
+});
+const alertEvents = createSseHub();
+const alerts = createAlertManager({
+  store: createStore('alerts', { driver: STORE_DRIVER, dir: DATA_DIR }),
+  devices: () => deviceStatus,
+  inScope: (scope, name) => Boolean(deviceStatus[name]) && !deviceStatus[name].archived
+    && (!scope.group || deviceGroups.memberOf(name).includes(scope.group))
+    && (!scope.tag || (deviceStatus[name]?.tags ?? []).includes(scope.tag)),
+  channelExists: (id) => alertChannels.has(id),
+  notify: async (ids, note) => {
+    const results = await Promise.all(ids.map(async (id) => ({ channel: id, ...(await alertChannels.send(id, note)) })));
+    for (const r of results) {
+      metrics.notifications.inc({ result: r.ok ? 'ok' : 'failed' });
+      if (!r.ok) console.warn(`[ALERT] ${note.alert.name} (${note.status}) -> channel ${r.channel} failed: ${r.error}`);
+    }
+    return results;
+  },
+  onChange: (alert, change) => {
+    alertEvents.send('alert', alert);
+    if (change !== 'firing' && change !== 'resolved') return;
+    console.log(`[ALERT] ${change}: ${alert.name}${alert.device ? ` (${alert.device})` : ''} - ${alert.summary}`);
+    webhooks.emit(`alert.${change}`, alert);
+  },
+  evalMs: ALERT_EVAL_MS
+});
+
+// POST/PUT /api/alerts/rules body -> rule fields (validated by the manager).
+function parseAlertRuleBody(body) {
+  const input = {};
+  for (const k of ['name', 'enabled', 'kind', 'severity', 'scope', 'params', 'channels', 'repeatMs']) {
+    if (body[k] !== undefined) input[k] = body[k];
+  }
+  return input;
+}
+
+// ---------- Metrics ----------
+// Prometheus text format on GET /metrics (admin session, METRICS_TOKEN or METRICS_PUBLIC).
+const registry = createMetricsRegistry();
+const mqttSubscriptions = new Map(); // client id -> Set(topic filter)
+const mqttSockets = new Set();       // transport sockets, for byte counters
+const closedSocketBytes = { read: 0, written: 0 };
+const metrics = {
+  publishes: registry.counter({ name: 'mqtt_publishes_total', help: 'MQTT messages published, by topic (device names collapsed to +) and origin', labels: ['topic', 'origin'] }),
+  commandsSent: registry.counter({ name: 'commands_sent_total', help: 'Commands published to devices' }),
+  commandsFailed: registry.counter({ name: 'commands_failed_total', help: 'Commands that failed or timed out waiting for an ack', labels: ['reason'] }),
+  loginFailures: registry.counter({ name: 'login_failures_total', help: 'Rejected dashboard logins' }),
+  telemetrySamples: registry.counter({ name: 'telemetry_samples_total', help: 'Telemetry values stored' }),
+  notifications: registry.counter({ name: 'alert_notifications_total', help: 'Alert notifications sent per channel', labels: ['result'] }),
+  httpDuration: registry.histogram({ name: 'http_request_duration_seconds', help: 'HTTP request latency by route', labels: ['method', 'route', 'status'] })
+};
+registry.gauge({ name: 'mqtt_clients_connected', help: 'Connected MQTT clients', collect: () => aedes.connectedClients });
+registry.gauge({
+  name: 'mqtt_subscriptions', help: 'Active MQTT subscriptions',
+  collect: () => [...mqttSubscriptions.values()].reduce((n, set) => n + set.size, 0)
+});
+registry.counter({
+  name: 'mqtt_received_bytes_total', help: 'Bytes received on MQTT transports (including WebSocket framing)',
+  collect: () => closedSocketBytes.read + [...mqttSockets].reduce((n, sock) => n + sock.bytesRead, 0)
+});
+registry.counter({
+  name: 'mqtt_sent_bytes_total', help: 'Bytes sent on MQTT transports (including WebSocket framing)',
+  collect: () => closedSocketBytes.written + [...mqttSockets].reduce((n, sock) => n + sock.bytesWritten, 0)
+});
+registry.gauge({
+  name: 'devices', help: 'Known devices by current status', labels: ['status'],
+  collect: () => {
+    const counts = {};
+    for (const info of Object.values(deviceStatus)) counts[info.status] = (counts[info.status] ?? 0) + 1;
+    return Object.entries(counts).map(([status, value]) => ({ labels: { status }, value }));
+  }
+});
+registry.gauge({
+  name: 'alerts_firing', help: 'Firing alerts by severity', labels: ['severity'],
+  collect: () => ['info', 'warning', 'critical'].map(severity => ({ labels: { severity }, value: alerts.firing().filter(a => a.severity === severity).length }))
+});
+registry.gauge({ name: 'process_resident_memory_bytes', help: 'Resident memory size in bytes', collect: () => process.memoryUsage().rss });
+registry.gauge({ name: 'process_start_time_seconds', help: 'Start time of the process since unix epoch in seconds', collect: () => Math.round(Date.now() / 1000 - process.uptime()) });
+
+// Counts a transport socket's traffic while it is open, then folds it into the totals.
+function trackMqttSocket(sock) {
+  mqttSockets.add(sock);
+  sock.once('close', () => {
+    mqttSockets.delete(sock);
+    closedSocketBytes.read += sock.bytesRead;
+    closedSocketBytes.written += sock.bytesWritten;
+  });
+}
+// devices/<name>/... -> devices/+/... so per-device topics do not explode the series.
+function topicLabel(topic) {
+  return topic.replace(/^devices\/[^/]+(?=\/)/, 'devices/+');
+}
+// Route templates for the latency histogram (a :name matches one path segment). Any
+// other path is labelled "unmatched", whatever its status, so requests to made-up paths
+// cannot use up the metric's series. Add a route here when adding it below.
+const ROUTES = [
+  '/', '/health', '/login', '/logout', '/metrics', '/upload',
+  '/devices', '/devices/:device', '/devices/:device/history', '/control', '/credentials', '/users', '/sessions',
+  '/audit', '/schedules', '/rules', '/webhooks', '/tokens', '/groups', '/mqtt-explorer', '/firmware',
+  '/firmware/:id/:filename', '/alerts', '/settings',
+  '/api/devices', '/api/devices/stream', '/api/devices/quarantine', '/api/devices/quarantine/:device',
+  '/api/devices/quarantine/:device/approve', '/api/devices/:device', '/api/devices/:device/rename',
+  '/api/devices/:device/history', '/api/devices/:device/telemetry', '/api/devices/:device/command-settings',
+  '/api/devices/:device/tags',
+  '/api/command', '/api/commands', '/api/commands/:id',
+  '/api/credentials', '/api/credentials/:device',
+  '/api/users', '/api/users/:username', '/api/users/:username/sessions', '/api/users/:username/lockout',
+  '/api/sessions', '/api/sessions/:ref', '/api/audit',
+  '/api/schedules', '/api/schedules/:id', '/api/schedules/:id/run',
+  '/api/rules', '/api/rules/activity', '/api/rules/:id', '/api/rules/:id/test',
+  '/api/webhooks', '/api/webhooks/deliveries', '/api/webhooks/deliveries/:id/redeliver', '/api/webhooks/:id',
+  '/api/webhooks/:id/test', '/api/webhooks/:id/rotate-secret',
+  '/api/tokens', '/api/tokens/:id', '/api/groups', '/api/groups/:name',
+  '/api/mqtt/topics', '/api/mqtt/messages', '/api/mqtt/clients', '/api/mqtt/publish', '/api/mqtt/stream',
+  '/api/firmware', '/api/firmware/:id', '/api/ota/rollouts', '/api/ota/rollouts/:id', '/api/ota/rollouts/:id/cancel',
+  '/api/ota/stream',
+  '/api/alerts', '/api/alerts/stream', '/api/alerts/rules', '/api/alerts/rules/:id', '/api/alerts/silences',
+  '/api/alerts/silences/:id', '/api/alerts/channels', '/api/alerts/channels/:id', '/api/alerts/channels/:id/test',
+  '/api/settings', '/api/settings/:key'
+];
+const ROUTE_LITERALS = new Set(ROUTES.filter(r => !r.includes(':')));
+const ROUTE_TEMPLATES = ROUTES.filter(r => r.includes(':'))
+  .map(route => ({ route, re: new RegExp('^' + route.replace(/:\w+/g, '[^/]+') + '$') }));
+function routeLabel(pathname) {
+  if (ROUTE_LITERALS.has(pathname)) return pathname;
+  return ROUTE_TEMPLATES.find(t => t.re.test(pathname))?.route ?? 'unmatched';
+}
+function metricsTokenMatches(req) {
+  const m = String(req.headers.authorization ?? '').match(/^Bearer\s+(.+)$/i);
+  if (!METRICS_TOKEN || !m) return false;
+  const a = crypto.createHash('sha256').update(m[1]).digest();
+  const b = crypto.createHash('sha256').update(METRICS_TOKEN).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// ---------- Users ----------
+const users = createUserStore({
+  store: createStore('users', { driver: STORE_DRIVER, dir: DATA_DIR }),
+  seed: { username: ADMIN_USER, password: ADMIN_PASS }
+});
+// Server-side sessions (revocable, one CSRF token each) and failed-login throttling.
+const sessions = createSessionStore({
+  store: createStore('sessions', { driver: STORE_DRIVER, dir: DATA_DIR }),
+  maxAgeMs: SESSION_MAX_AGE
+});
+const loginLimiter = createLoginLimiter({
+  maxPerUser: LOGIN_MAX_ATTEMPTS,
+  maxPerIp: LOGIN_MAX_ATTEMPTS_PER_IP,
+  windowMs: LOGIN_WINDOW_MS,
+  lockoutMs: LOGIN_LOCKOUT_MS
+});
+// Unsafe methods need the session's CSRF token in X-CSRF-Token, except these, which check
+// it themselves: the login forms (as a _csrf field) and /upload (before reading the body).
+const CSRF_FORM_ROUTES = ['/login', '/logout', '/upload'];
+
+// Minimum role per route (optionally only for some methods); first match wins,
+// anything else protected needs 'viewer'.
+const ROUTE_ROLES = [
+  { path: /^\/(users|credentials|audit|rules|webhooks|tokens|mqtt-explorer|settings)$/, role: 'admin' },
+  { path: /^\/api\/(users|credentials|audit|rules|webhooks|tokens|mqtt|settings)(\/|$)/, role: 'admin' },
+  { path: /^\/metrics$/,                               role: 'admin' },
+  { path: /^\/api\/devices\/[^/]+\/command-settings$/, role: 'admin' },
+  { path: /^\/api\/firmware\/[^/]+$/, methods: ['DELETE'], role: 'admin' },
+  { path: /^\/(control|schedules|groups|firmware|upload)$/,  role: 'operator' },
+  { path: /^\/api\/(commands?|schedules|firmware|ota)(\/|$)/, role: 'operator' },
+  { path: /^\/api\/groups(\/|$)/, methods: ['POST', 'PUT', 'DELETE'], role: 'operator' },
+  { path: /^\/api\/devices\/[^/]+\/tags$/, methods: ['PUT'], role: 'operator' },
+  { path: /^\/api\/devices\/[^/]+\/rename$/, role: 'admin' },
+  { path: /^\/api\/devices\/quarantine\/[^/]+(\/approve)?$/, methods: ['POST', 'DELETE'], role: 'operator' },
+  { path: /^\/api\/devices\/[^/]+$/, methods: ['DELETE'], role: 'admin' },
+  { path: /^\/api\/devices(\/[^/]+)?$/, methods: ['POST', 'PUT'], role: 'operator' },
+  { path: /^\/api\/alerts\/(rules|channels)(\/|$)/, role: 'admin' },
+  { path: /^\/api\/alerts\/silences(\/|$)/, methods: ['POST', 'DELETE'], role: 'operator' }
+];
+function requiredRole(pathname, method) {
+  return ROUTE_ROLES.find(r => r.path.test(pathname) && (!r.methods || r.methods.includes(method)))?.role ?? 'viewer';
+}
+
+// ---------- API tokens ----------
+// Bearer tokens for scripts (manage at /tokens). They work on /api/* only, and only on
+// the routes their scopes list here; sessions are unaffected.
+const apiTokens = createApiTokenStore({
+  store: createStore('api-tokens', { driver: STORE_DRIVER, dir: DATA_DIR })
+});
+const TOKEN_SCOPES = [
+  { method: 'GET',  path: /^\/api\/devices(\/[^/]+(\/(?:history|telemetry))?)?$/, scope: 'devices:read' },
+  { method: 'GET',  path: /^\/api\/groups$/,                           scope: 'devices:read' },
+  { method: 'POST', path: /^\/api\/command$/,                          scope: 'commands:send' },
+  { method: 'GET',  path: /^\/api\/commands(\/[^/]+)?$/,                scope: 'commands:send' }
+];
+function requiredScope(method, pathname) {
+  return TOKEN_SCOPES.find(r => r.method === method && r.path.test(pathname))?.scope ?? null;
 }
+
+// ---------- Helpers ----------
 function safeId(s) {
   return String(s).replace(/[^a-zA-Z0-9_\-]/g, '_');
 }
+// Absolute base URL for links handed to devices: PUBLIC_URL, else the one this request used.
+function publicBaseUrl(req) {
+  if (PUBLIC_URL) return PUBLIC_URL;
+  return `${requestProto(req, { trustProxy: TRUST_PROXY })}://${req.headers.host ?? `localhost:${PORT}`}`;
+}
 function parseCookies(req) {
   const header = req.headers.cookie;
   const out = Object.create(null);
@@ -41,7 +484,7 @@ function parseCookies(req) {
     if (idx < 0) continue;
     const k = p.slice(0, idx).trim();
     const v = p.slice(idx + 1).trim();
-    out[k] = decodeURIComponent(v);
+    out[k] = safeDecode(v) ?? v;
   }
   return out;
 }
@@ -59,93 +502,383 @@ function setCookie(res, name, value, options = {}) {
 function clearCookie(res, name) {
   res.setHeader('Set-Cookie', `${name}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0${COOKIE_SECURE ? '; Secure' : ''}`);
 }
-function sign(b64) {
-  return crypto.createHmac('sha256', SESSION_SECRET).update(b64).digest('hex');
+// Constant-time comparison for signatures and tokens.
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a ?? ''));
+  const y = Buffer.from(String(b ?? ''));
+  return x.length > 0 && x.length === y.length && crypto.timingSafeEqual(x, y);
 }
-function makeSession(username) {
-  const payload = { u: username, exp: Date.now() + SESSION_MAX_AGE };
-  const b64 = Buffer.from(JSON.stringify(payload)).toString('base64url');
-  const sig = sign(b64);
-  return `${b64}.${sig}`;
+function sign(value) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(value).digest('hex');
 }
+// sid cookie: "<session id>.<signature>"; the session itself lives in lib/sessions.
+function sessionCookie(session) {
+  return `${session.id}.${sign(session.id)}`;
+}
+// Returns the session id of a correctly signed sid cookie, else null.
 function checkSession(token) {
   if (!token) return null;
-  const [b64, sig] = String(token).split('.');
-  if (!b64 || !sig) return null;
-  if (sign(b64) !== sig) return null;
+  const [id, sig] = String(token).split('.');
+  if (!id || !sig || !safeEqual(sign(id), sig)) return null;
+  return id;
+}
+// devices/status payload: JSON { device, status, ts } or "device:status" / "device,status"
+function parseStatusPayload(payloadStr) {
+  let device, status, ts;
   try {
-    const obj = JSON.parse(Buffer.from(b64, 'base64url').toString('utf8'));
-    if (!obj.exp || obj.exp < Date.now()) return null;
-    return obj.u;
+    const obj = JSON.parse(payloadStr);
+    device = String(obj.device ?? '').trim();
+    status = String(obj.status ?? '').trim();
+    ts = obj.ts;
   } catch {
-    return null;
+    const parts = payloadStr.split(/[,:]/).map(s => s.trim());
+    if (parts.length >= 2) {
+      device = parts[0];
+      status = parts[1];
+    }
+  }
+  return { device, status, ts };
+}
+
+// ---------- Commands ----------
+// Validates an /api/command body: legacy { device, status: "on"|"off" } or
+// { device, command: {...} } checked against the device's announced capabilities.
+// Returns { device, status } / { device, command } or { error, details? }.
+function parseCommandRequest(body) {
+  const device = String(body?.device ?? '').trim();
+  if (!device) return { error: 'Invalid device. Expected { device | group | tag, status: "on"|"off" } or { device | group | tag, command }' };
+  if (deviceStatus[device]?.archived) return { error: `${device} is archived` };
+  if (commandRouter.settings(device).mode === 'device' && !isValidDeviceName(device)) {
+    return { error: 'Invalid device name for a per-device command topic' };
+  }
+  if (body.command !== undefined) {
+    const schema = capabilities.get(device);
+    if (!schema) return { error: `${device} has not announced capabilities on devices/${device}/meta` };
+    const checked = validateCommand(schema, body.command);
+    if (checked.errors) return { error: 'Command does not match device capabilities', details: checked.errors };
+    return { device, command: checked.value };
+  }
+  const status = String(body.status ?? '').trim().toLowerCase();
+  if (!['on', 'off'].includes(status)) return { error: 'Invalid device/status. Expected { device, status: "on"|"off" }' };
+  return { device, status };
+}
+
+// Bulk selector on /api/command: { group } or { tag } instead of { device }. Archived
+// devices are left out. Returns { devices } (sorted) or { error, code }.
+function resolveSelector(body) {
+  if (body.group !== undefined) {
+    const members = deviceGroups.resolve(String(body.group));
+    if (!members) return { error: `Unknown group "${body.group}"`, code: 404 };
+    const devices = members.filter(name => !deviceStatus[name]?.archived);
+    return devices.length ? { devices } : { error: `Group "${body.group}" has no devices`, code: 400 };
+  }
+  const tag = String(body.tag);
+  const devices = Object.keys(deviceStatus).filter(name => deviceStatus[name].tags?.includes(tag) && !deviceStatus[name].archived).sort();
+  return devices.length ? { devices } : { error: `No devices tagged "${tag}"`, code: 400 };
+}
+
+// OTA targets: { device } / { devices: [...] } (registered devices only) or { group } / { tag }.
+// Returns { devices, selector } or { error, code }.
+function resolveOtaTargets(body) {
+  if (body.group !== undefined || body.tag !== undefined) {
+    const target = resolveSelector(body);
+    if (target.error) return target;
+    return { devices: target.devices, selector: body.group !== undefined ? { group: String(body.group) } : { tag: String(body.tag) } };
   }
+  const list = body.devices !== undefined ? body.devices : (body.device !== undefined ? [body.device] : null);
+  if (!Array.isArray(list) || list.length === 0) return { error: 'Expected { firmware, device | devices | group | tag }', code: 400 };
+  const devices = [...new Set(list.map(d => String(d).trim()))].sort();
+  const unknown = devices.find(d => !isValidDeviceName(d) || !deviceStatus[d]);
+  if (unknown !== undefined) return { error: `Unknown device "${unknown}"`, code: 400 };
+  return { devices, selector: null };
 }
-async function readJsonBody(req) {
-  return new Promise((resolve) => {
-    let body = '';
-    req.on('data', (chunk) => (body += chunk));
-    req.on('end', () => {
-      try { resolve(JSON.parse(body ?? '{}')); }
-      catch { resolve({}); }
+
+// Records the command in the ledger and publishes it on the device's command topic.
+// Resolves with the ledger entry; rejects (err.command = entry) if the publish fails.
+function publishCommand({ device, status, command }, actor) {
+  const id = newCommandId();
+  const topic = commandRouter.topicFor(device);
+  const payload = commandRouter.encode(device, id, { status, command });
+  const cmd = commands.create({ id, device, command: command ?? status, topic, payload, actor });
+  return new Promise((resolve, reject) => {
+    aedes.publish({ topic, payload, qos: COMMAND_QOS, retain: false }, (err) => {
+      if (err) {
+        commands.fail(cmd.id, err.message);
+        err.command = cmd;
+        return reject(err);
+      }
+      console.log(`[HOST->MQTT] command published -> ${topic}: ${payload}`);
+      resolve(cmd);
     });
   });
 }
-async function readFormBody(req) {
-  // application/x-www-form-urlencoded
-  return new Promise((resolve) => {
-    let body = '';
-    req.on('data', (chunk) => (body += chunk));
-    req.on('end', () => {
-      const params = new URLSearchParams(body);
-      const obj = {};
-      for (const [k, v] of params) obj[k] = v;
-      resolve(obj);
+
+// Commands sent by the server itself (schedules, rules): parse, publish and audit under
+// `actor`; `context` is added to the audit payload. Rejects with a readable error.
+async function sendCommandAs(request, actor, context) {
+  const parsed = parseCommandRequest(request);
+  if (parsed.error) {
+    audit.record({ actor, action: 'command.send', target: request?.device ?? null, payload: context, result: 'invalid' });
+    throw new Error(parsed.error);
+  }
+  try {
+    const cmd = await publishCommand(parsed, actor);
+    audit.record({ actor, action: 'command.send', target: cmd.device, payload: { command: cmd.command, id: cmd.id, topic: cmd.topic, ...context } });
+    return cmd;
+  } catch (err) {
+    audit.record({ actor, action: 'command.send', target: parsed.device, payload: context, result: 'failed' });
+    throw err;
+  }
+}
+
+// ---------- Scheduler ----------
+// Scheduled commands go through the same parse/publish path as POST /api/command.
+const scheduler = createScheduler({
+  store: createStore('schedules', { driver: STORE_DRIVER, dir: DATA_DIR }),
+  maxLatenessMs: SCHEDULE_MAX_LATENESS_MS,
+  execute: (schedule, reason) => sendCommandAs(schedule.request, `schedule:${schedule.id}`, { schedule: schedule.name, reason })
+});
+
+// POST/PUT /api/schedules body -> scheduler fields. device + status|command become the
+// stored /api/command request (validated now and again when the schedule runs); on PUT
+// they are optional but replace the whole request when given.
+function parseScheduleBody(body, { partial = false } = {}) {
+  const input = {};
+  for (const k of ['name', 'type', 'cron', 'at', 'catchUp', 'enabled']) {
+    if (body[k] !== undefined) input[k] = body[k];
+  }
+  if (body.device !== undefined || body.status !== undefined || body.command !== undefined) {
+    const parsed = parseCommandRequest(body);
+    if (parsed.error) return { error: parsed.error, details: parsed.details };
+    input.request = parsed.command !== undefined
+      ? { device: parsed.device, command: parsed.command }
+      : { device: parsed.device, status: parsed.status };
+  } else if (!partial) {
+    return { error: 'Expected device and status ("on"|"off") or command' };
+  }
+  return { input };
+}
+
+// ---------- Rules ----------
+// Status-triggered automations (lib/rules.js), fed by devices/status and auto-offline.
+const rules = createRulesEngine({
+  store: createStore('rules', { driver: STORE_DRIVER, dir: DATA_DIR }),
+  checkCommand: (action) => parseCommandRequest(action).error ?? null,
+  runCommand: (action, { rule, device, status }) =>
+    sendCommandAs(action, `rule:${rule.id}`, { rule: rule.name, trigger: { device, status } }),
+  onFire: (entry) => {
+    const failed = entry.results?.some(r => r.ok === false);
+    console.log(`[RULE] ${entry.rule} (${entry.name}) ${entry.skipped ? `skipped (${entry.skipped})` : entry.dryRun ? 'dry-run' : failed ? 'fired with errors' : 'fired'} on ${entry.device} = ${entry.status}`);
+    audit.record({
+      actor: `rule:${entry.rule}`,
+      action: 'rule.fire',
+      target: entry.device,
+      payload: { rule: entry.name, status: entry.status, prev: entry.prev, dryRun: entry.dryRun, results: entry.results, skipped: entry.skipped },
+      result: entry.skipped ? 'skipped' : entry.dryRun ? 'dry-run' : failed ? 'failed' : 'ok'
     });
-  });
+  }
+});
+
+// POST/PUT /api/rules body -> rule fields (validated by the engine).
+function parseRuleBody(body) {
+  const input = {};
+  for (const k of ['name', 'enabled', 'dryRun', 'when', 'actions', 'debounceMs', 'cooldownMs']) {
+    if (body[k] !== undefined) input[k] = body[k];
+  }
+  return input;
+}
+
+// ---------- MQTT auth / ACL ----------
+const mqttAuth = installMqttAuth(aedes, {
+  credentials,
+  allowAnonymous: MQTT_ALLOW_ANONYMOUS,
+  commandTopic: settings.get('COMMAND_TOPIC'),
+  commandTopicTemplate: COMMAND_TOPIC_TEMPLATE,
+  statusDevice: (payloadStr) => parseStatusPayload(payloadStr).device,
+  serverTopic: (topic) => (Boolean(STATUS_RETAIN_TOPIC) && STATUS_TOPIC_RE.test(topic)) || /^devices\/[^/]+\/ota$/.test(topic)
+});
+
+// ---------- MQTT explorer ----------
+// Recent traffic and client sessions for /mqtt-explorer, fed by the aedes events below.
+const MQTT_EXPLORER_PER_TOPIC = 20;        // messages kept per topic
+const topicLog = createTopicLog({ perTopic: MQTT_EXPLORER_PER_TOPIC });
+const mqttExplorerEvents = createSseHub(); // GET /api/mqtt/stream
+const mqttClientsSince = new Map();        // client id -> connectedAt
+function mqttClientItem(client) {
+  return {
+    id: client.id,
+    device: client.device ?? null,
+    connectedAt: mqttClientsSince.get(client.id) ?? null,
+    subscriptions: [...(mqttSubscriptions.get(client.id) ?? [])].sort()
+  };
+}
+function mqttClientList() {
+  return Object.values(aedes.clients).map(mqttClientItem).sort((a, b) => a.id.localeCompare(b.id));
+}
+// { topic, payload: text | JSON | hex string, encoding: text|json|hex, qos, retain } -> { topic, payload: Buffer, qos, retain } or { error }
+function parseExplorerPublish(body) {
+  const topic = String(body.topic ?? '');
+  if (!topic) return { error: 'topic is required' };
+  if (/[+#\u0000]/.test(topic)) return { error: 'topic must not contain wildcards (+, #) or NUL' };
+  if (topic.startsWith('$SYS/')) return { error: '$SYS/ topic is reserved' };
+  const encoding = body.encoding ?? 'text';
+  let payload;
+  if (encoding === 'text') {
+    payload = Buffer.from(String(body.payload ?? ''), 'utf8');
+  } else if (encoding === 'json') {
+    const raw = typeof body.payload === 'string' ? body.payload : JSON.stringify(body.payload ?? null);
+    try { JSON.parse(raw); } catch (err) { return { error: `payload is not valid JSON: ${err.message}` }; }
+    payload = Buffer.from(raw, 'utf8');
+  } else if (encoding === 'hex') {
+    const hex = String(body.payload ?? '').replace(/\s+/g, '');
+    if (!/^([0-9a-fA-F]{2})*$/.test(hex)) return { error: 'payload must be an even number of hex digits' };
+    payload = Buffer.from(hex, 'hex');
+  } else {
+    return { error: 'encoding must be one of text|json|hex' };
+  }
+  const qos = Number(body.qos ?? 0);
+  if (![0, 1, 2].includes(qos)) return { error: 'qos must be 0, 1 or 2' };
+  return { topic, payload, qos, retain: body.retain === true };
 }
 
 // ---------- MQTT events ----------
 aedes.on('client', (client) => {
   console.log(`[MQTT] client connected: ${client?.id ?? '(no-id)'}`);
+  mqttClientsSince.set(client.id, new Date().toISOString());
+  mqttExplorerEvents.send('client', { ...mqttClientItem(client), connected: true });
+  // Credentialed clients are linked to their device as soon as they connect.
+  const info = deviceStatus[client?.device];
+  if (info && info.clientId !== client.id) {
+    info.clientId = client.id;
+    persistDevices();
+  }
+  if (info) deviceChanged(client.device);
 });
 aedes.on('clientDisconnect', (client) => {
   console.log(`[MQTT] client disconnected: ${client?.id ?? '(no-id)'}`);
+  mqttSubscriptions.delete(client?.id);
+  if (!client) return;
+  mqttClientsSince.delete(client.id);
+  mqttExplorerEvents.send('client', { id: client.id, connected: false });
+  // Every device this client reported for (a gateway may report several). A Last Will on
+  // devices/status is handled like any other status report.
+  let changed = false;
+  for (const [name, info] of Object.entries(deviceStatus)) {
+    if (info.clientId !== client.id) continue;
+    if (settings.get('OFFLINE_ON_DISCONNECT') && markOffline(name, 'disconnect')) changed = true;
+    else deviceChanged(name);
+  }
+  if (changed) persistDevices();
 });
 aedes.on('subscribe', (subs, client) => {
   const topics = Array.isArray(subs) ? subs.map(s => s.topic).join(', ') : String(subs);
   console.log(`[MQTT] ${client?.id} subscribed: ${topics}`);
+  if (!client) return;
+  if (!mqttSubscriptions.has(client.id)) mqttSubscriptions.set(client.id, new Set());
+  for (const s of subs) mqttSubscriptions.get(client.id).add(s.topic);
+  mqttExplorerEvents.send('client', { ...mqttClientItem(client), connected: true });
+});
+aedes.on('unsubscribe', (topics, client) => {
+  for (const t of topics) mqttSubscriptions.get(client?.id)?.delete(t);
+  if (client) mqttExplorerEvents.send('client', { ...mqttClientItem(client), connected: true });
 });
 aedes.on('publish', (packet, client) => {
+  const topic = packet?.topic ?? '';
+  if (!topic.startsWith('$SYS/')) {
+    metrics.publishes.inc({ topic: topicLabel(topic), origin: client ? 'client' : 'server' });
+    const msg = topicLog.record(packet, client?.id ?? null);
+    if (mqttExplorerEvents.size()) mqttExplorerEvents.send('message', msg);
+  }
   // Only handle client-origin publishes
   if (!client) return;
-  const topic = packet?.topic ?? '';
   const payloadStr = packet?.payload ? packet.payload.toString() : '';
 
-  if (topic === 'devices/status') {
-    let device, status, ts;
-    try {
-      const obj = JSON.parse(payloadStr);
-      device = String(obj.device ?? '').trim();
-      status = String(obj.status ?? '').trim();
-      ts = obj.ts;
-    } catch {
-      const parts = payloadStr.split(/[,:]/).map(s => s.trim());
-      if (parts.length >= 2) {
-        device = parts[0];
-        status = parts[1];
-      }
+  const ackTopic = topic.match(/^devices\/([^/]+)\/ack$/);
+  if (ackTopic) {
+    const cmd = commands.ack(ackTopic[1], parseAckPayload(payloadStr));
+    if (cmd) console.log(`[MQTT] ${client.id} -> ack ${cmd.id} (${cmd.device}): ${cmd.status}${cmd.late ? ' (late)' : ''}`);
+    else console.warn(`[MQTT] ack ignored (no matching command): ${topic} ${payloadStr}`);
+    return;
+  }
+
+  const otaTopic = topic.match(/^devices\/([^/]+)\/ota\/status$/);
+  if (otaTopic) {
+    const report = parseOtaReport(payloadStr);
+    if (report.error) {
+      console.warn(`[MQTT] ${topic} ignored: ${report.error}`);
+      return;
+    }
+    if (!ota.report(otaTopic[1], report)) console.warn(`[MQTT] OTA report ignored (no matching rollout): ${topic} ${payloadStr}`);
+    return;
+  }
+
+  const telemetryTopic = TELEMETRY_TOPIC_RE && topic.match(TELEMETRY_TOPIC_RE);
+  if (telemetryTopic) {
+    const device = telemetryTopic[1];
+    const sample = parseTelemetryPayload(payloadStr, { maxFields: TELEMETRY_MAX_FIELDS });
+    if (!device || !isValidDeviceName(device) || sample.error) {
+      console.warn(`[MQTT] ${topic} ignored: ${sample.error ?? 'invalid device name'}`);
+      return;
+    }
+    // Same rule as devices/status: unregistered devices wait in quarantine, and their
+    // samples are dropped rather than stored or alerted on.
+    if (!deviceStatus[device] && settings.get('DEVICE_QUARANTINE') && client.device !== device) return;
+    metrics.telemetrySamples.inc({}, telemetry.record(device, sample.values, sample.ts));
+    alerts.handleTelemetry(device, sample.values);
+    return;
+  }
+
+  const metaTopic = topic.match(/^devices\/([^/]+)\/meta$/);
+  if (metaTopic) {
+    const device = metaTopic[1];
+    let raw;
+    try { raw = JSON.parse(payloadStr); } catch { raw = null; }
+    const result = capabilities.announce(device, raw);
+    if (result.error) {
+      console.warn(`[MQTT] ${topic} ignored: ${result.error}`);
+      return;
     }
+    console.log(`[MQTT] ${client.id} -> ${topic}: ${Object.keys(result.schema).join(', ')}`);
+    if (deviceStatus[device]) deviceChanged(device);
+    return;
+  }
 
+  if (topic === 'devices/status') {
+    const { device, status, ts } = parseStatusPayload(payloadStr);
+
+    if (RESERVED_DEVICE_NAMES.has(device)) {
+      console.warn(`[MQTT] ${client.id} -> devices/status ignored: "${device}" is a reserved name`);
+      return;
+    }
     if (device && status) {
       const nowIso = new Date(ts ? Number(ts) : Date.now()).toISOString();
+      const prev = deviceStatus[device]?.status ?? null;
+      // A device with provisioned credentials reporting for itself counts as registered.
+      if (!deviceStatus[device] && settings.get('DEVICE_QUARANTINE') && client.device !== device) {
+        const { added } = quarantine.report(device, { status, ts: nowIso, clientId: client.id });
+        quarantineChanged();
+        if (added) {
+          webhooks.emit('device.quarantined', { device, status, ts: nowIso, client: client.id });
+          console.warn(`[MQTT] ${client.id} -> devices/status: ${device} is not registered, quarantined until approved`);
+        }
+        return;
+      }
       if (!deviceStatus[device]) {
-        deviceStatus[device] = { status, firstSeen: nowIso, lastSeen: nowIso, updatedAt: nowIso };
+        deviceStatus[device] = { status, firstSeen: nowIso, lastSeen: nowIso, updatedAt: nowIso, clientId: client.id };
+        webhooks.emit('device.registered', deviceItem(device, deviceStatus[device]));
       } else {
         deviceStatus[device].status = status;
+        deviceStatus[device].firstSeen ??= nowIso; // pre-registered, first report
         deviceStatus[device].lastSeen = nowIso;
         deviceStatus[device].updatedAt = nowIso;
+        deviceStatus[device].clientId = client.id;
       }
+      if (prev !== status) history.record(device, { ts: nowIso, status, prev, source: 'mqtt', client: client.id });
+      persistDevices();
+      deviceChanged(device);
+      if (prev !== status) webhooks.emit('device.status', { device, status, prev, ts: nowIso, source: 'mqtt' });
+      rules.handleStatus({ device, status, prev, source: 'mqtt' });
+      alerts.handleStatus({ device, status, prev, source: 'mqtt' });
       console.log(`[MQTT] ${client.id} -> devices/status: ${device} = ${status}`);
     } else {
       console.warn(`[MQTT] devices/status payload ignored (bad format): ${payloadStr}`);
@@ -154,22 +887,137 @@ aedes.on('publish', (packet, client) => {
 });
 
 // ---------- Auto-offline ----------
+// source: 'stale' (no report within STALE_MS) or 'disconnect' (its MQTT client went away).
+// Returns false if the device was already offline; the caller persists.
+function markOffline(name, source) {
+  const info = deviceStatus[name];
+  if (!info || info.status === 'offline') return false;
+  const prev = info.status;
+  info.status = 'offline';
+  info.updatedAt = new Date().toISOString();
+  history.record(name, { ts: info.updatedAt, status: 'offline', prev, source, client: info.clientId ?? undefined });
+  deviceChanged(name);
+  webhooks.emit('device.status', { device: name, status: 'offline', prev, ts: info.updatedAt, source });
+  if (source === 'stale') webhooks.emit('device.stale', { device: name, prev, lastSeen: info.lastSeen ?? null, staleAfterMs: settings.get('STALE_MS') });
+  rules.handleStatus({ device: name, status: 'offline', prev, source });
+  alerts.handleStatus({ device: name, status: 'offline', prev, source });
+  console.log(`[MQTT] ${name} marked offline (${source})`);
+  return true;
+}
 setInterval(() => {
   const now = Date.now();
+  const staleMs = settings.get('STALE_MS');
+  let changed = false;
   for (const [name, info] of Object.entries(deviceStatus)) {
+    if (!info.firstSeen || info.archived) continue; // never reported yet, or decommissioned
     const last = Date.parse(info.lastSeen ?? info.updatedAt ?? info.firstSeen ?? new Date().toISOString());
-    const stale = isNaN(last) ? true : (now - last > STALE_MS);
-    if (stale && info.status !== 'offline') {
-      info.status = 'offline';
-      info.updatedAt = new Date().toISOString();
-    }
+    const stale = isNaN(last) ? true : (now - last > staleMs);
+    if (stale && markOffline(name, 'stale')) changed = true;
   }
+  if (changed) persistDevices();
 }, 5000);
+// aedes keeps retained messages in memory only: restore them from the registry on boot.
+for (const name of Object.keys(deviceStatus)) publishRetainedStatus(name);
+
+// ---------- Registry management ----------
+// Pre-registration, approval, rename/merge and deletion behind /api/devices. Per-device
+// data in the other stores (history, telemetry, capabilities, group lists, command
+// routing) follows the registry entry; alerts for a name that leaves the registry resolve
+// on the next evaluation.
+
+// held: the quarantine entry when approving a device that already reported.
+function registerDevice(name, { meta, tags, held }, actor) {
+  const nowIso = new Date().toISOString();
+  deviceStatus[name] = {
+    status: held?.status ?? 'unknown',
+    firstSeen: held?.firstSeen ?? null,
+    lastSeen: held?.lastSeen ?? null,
+    updatedAt: held?.lastSeen ?? nowIso,
+    ...(held ? { clientId: held.clientId } : {}),
+    ...meta,
+    tags,
+    registeredBy: actor ?? null,
+    registeredAt: nowIso
+  };
+  if (held) history.record(name, { ts: held.lastSeen, status: held.status, prev: null, source: 'approved', client: held.clientId });
+  persistDevices();
+  deviceChanged(name);
+  webhooks.emit('device.registered', deviceItem(name, deviceStatus[name]));
+  return deviceItem(name, deviceStatus[name]);
+}
+
+// Empty retained payload: brokers drop the retained message for the topic.
+function clearRetainedStatus(name) {
+  if (!STATUS_RETAIN_TOPIC) return;
+  aedes.publish({ topic: statusTopicFor(name), payload: Buffer.alloc(0), qos: 1, retain: true }, (err) => {
+    if (err) console.warn(`[MQTT] clearing retained status for ${name} failed: ${err.message}`);
+  });
+}
+
+// Moves `from` to `to`. If `to` exists (merge) it keeps its own metadata where set, tags
+// are combined and whichever entry reported last decides status and lastSeen.
+function renameDevice(from, to) {
+  const src = deviceStatus[from];
+  const dst = deviceStatus[to];
+  let next = { ...src };
+  if (dst) {
+    const newer = (dst.lastSeen ?? '') >= (src.lastSeen ?? '') ? dst : src;
+    next = {
+      ...src,
+      ...dst,
+      status: newer.status,
+      lastSeen: newer.lastSeen ?? null,
+      updatedAt: newer.updatedAt,
+      clientId: newer.clientId,
+      firstSeen: [src.firstSeen, dst.firstSeen].filter(Boolean).sort()[0] ?? null,
+      tags: [...new Set([...(dst.tags ?? []), ...(src.tags ?? [])])]
+    };
+    for (const k of ['displayName', 'location', 'notes']) next[k] = dst[k] ?? src[k] ?? null;
+  }
+  delete deviceStatus[from];
+  deviceStatus[to] = next;
+  history.rename(from, to);
+  telemetry.rename(from, to);
+  capabilities.rename(from, to);
+  deviceGroups.renameDevice(from, to);
+  commandRouter.rename(from, to);
+  if (quarantine.remove(to)) quarantineChanged();
+  persistDevices();
+  clearRetainedStatus(from);
+  deviceEvents.send('removed', { device: from });
+  deviceChanged(to);
+  return deviceItem(to, next);
+}
+
+// Drops the entry and its data everywhere, revoking MQTT credentials so the hardware
+// cannot come straight back. Returns { credentialsRevoked }.
+function deleteDevice(name) {
+  delete deviceStatus[name];
+  history.remove(name);
+  telemetry.remove(name);
+  capabilities.remove(name);
+  deviceGroups.removeDevice(name);
+  commandRouter.remove(name);
+  const credentialsRevoked = credentials.revoke(name);
+  if (credentialsRevoked) mqttAuth.disconnectDevice(name);
+  persistDevices();
+  clearRetainedStatus(name);
+  deviceEvents.send('removed', { device: name });
+  return { credentialsRevoked };
+}
 
 // ---------- HTTP server ----------
 const logger = morgan('dev');
 const server = http.createServer((req, res) => {
-  logger(req, res, async () => {
+  const started = process.hrtime.bigint();
+  res.once('finish', () => {
+    const pathname = req.url.split('?')[0];
+    metrics.httpDuration.observe(
+      { method: req.method, route: routeLabel(pathname), status: res.statusCode },
+      Number(process.hrtime.bigint() - started) / 1e9
+    );
+  });
+  const handle = async () => {
 
     // Parse URL
     let urlObj;
@@ -179,434 +1027,1619 @@ const server = http.createServer((req, res) => {
       urlObj = { pathname: req.url, searchParams: new URLSearchParams() };
     }
     const pathname = urlObj.pathname;
+    // Routes decode their path parameters; a malformed %-escape anywhere is refused here.
+    if (safeDecode(pathname) === null) {
+      if (pathname.startsWith('/api/')) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Malformed URL encoding' }));
+      } else {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end('Bad request: malformed URL encoding');
+      }
+      return;
+    }
 
     // ---- Authentication gate (protect everything except /login and /health) ----
     const cookies = parseCookies(req);
-    const user = checkSession(cookies.sid);
-    const isPublic = (pathname === '/login' || pathname === '/health');
+    const ip = clientIp(req, { trustProxy: TRUST_PROXY });
+    const session = sessions.get(checkSession(cookies.sid), ip);
+    // Role is looked up per request, so role changes and deleted accounts apply at once.
+    const account = session ? users.get(session.username) : null;
+    const csrfToken = account ? session.csrf : '';
+    // API tokens are only looked at on /api/* requests without a session.
+    const bearer = String(req.headers.authorization ?? '').match(/^Bearer\s+(\S+)$/i)?.[1] ?? null;
+    const apiToken = !account && bearer && pathname.startsWith('/api/') ? apiTokens.verify(bearer, ip) : null;
+    const user = account?.username ?? (apiToken ? `token:${apiToken.name}` : null);
+    // Scrapers reach /metrics with METRICS_TOKEN instead of a session.
+    const metricsScrape = pathname === '/metrics' && (METRICS_PUBLIC || metricsTokenMatches(req));
+    // Devices fetch OTA images with the signed link from their rollout message.
+    const firmwareDownload = req.method === 'GET' && /^\/firmware\/[0-9a-f]{12}\/[^/]+$/.test(pathname)
+      && firmwareLinkValid(pathname.split('/')[2], urlObj.searchParams);
+    const isPublic = (pathname === '/login' || pathname === '/logout' || pathname === '/health' || metricsScrape || firmwareDownload);
+    const logAudit = (entry) => audit.record({ actor: user, ip, ...entry });
+
+    // Programmatic clients get JSON errors, not a redirect to the login page.
+    if (!user && !isPublic && pathname.startsWith('/api/')) {
+      if (bearer) audit.record({ action: 'token.auth', ip, target: `${req.method} ${pathname}`, result: 'denied' });
+      res.writeHead(401, { 'Content-Type': 'application/json', 'WWW-Authenticate': 'Bearer' });
+      res.end(JSON.stringify({ error: bearer ? 'Invalid or revoked API token' : 'Authentication required' }));
+      return;
+    }
+    if (apiToken) {
+      const scope = requiredScope(req.method, pathname);
+      if (!scope || !apiToken.scopes.includes(scope)) {
+        logAudit({ action: 'access', target: `${req.method} ${pathname}`, result: 'denied' });
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: scope ? `Forbidden. Token lacks scope ${scope}` : 'Forbidden. API tokens cannot use this route' }));
+        return;
+      }
+    }
 
+    if (!user && !isPublic && pathname === '/metrics') {
+      res.writeHead(401, { 'Content-Type': 'text/plain', 'WWW-Authenticate': 'Bearer realm="metrics"' });
+      res.end('Unauthorized');
+      return;
+    }
     if (!user && !isPublic) {
       // Redirect to login with ?next=
       res.writeHead(302, { Location: `/login?next=${encodeURIComponent(req.url)}` });
       res.end();
       return;
     }
+    if (account && !metricsScrape && !roleAtLeast(account.role, requiredRole(pathname, req.method))) {
+      logAudit({ action: 'access', target: `${req.method} ${pathname}`, result: 'denied' });
+      if (pathname.startsWith('/api/')) {
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: `Forbidden. Requires role ${requiredRole(pathname, req.method)}` }));
+      } else {
+        res.writeHead(403, { 'Content-Type': 'text/plain' });
+        res.end(`Forbidden: requires role ${requiredRole(pathname, req.method)}`);
+      }
+      return;
+    }
+    // API tokens are exempt: a browser never attaches them on its own.
+    if (account && !['GET', 'HEAD', 'OPTIONS'].includes(req.method) && !CSRF_FORM_ROUTES.includes(pathname)
+        && !safeEqual(req.headers['x-csrf-token'], session.csrf)) {
+      logAudit({ action: 'csrf', target: `${req.method} ${pathname}`, result: 'denied' });
+      if (pathname.startsWith('/api/')) {
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Missing or invalid CSRF token. Reload the page and try again' }));
+      } else {
+        res.writeHead(403, { 'Content-Type': 'text/plain' });
+        res.end('Forbidden: missing or invalid CSRF token');
+      }
+      return;
+    }
 
     // ---------- LOGIN (GET) ----------
     if (req.method === 'GET' && pathname === '/login') {
       const errMsg = urlObj.searchParams.get('error') ?? '';
-      const next = urlObj.searchParams.get('next') ?? '/';
-      const html =
-`<!doctype html>
-<html lang="en">
-<head>
-  <meta charset="utf-8" />
-  <meta name="viewport" content="width=device-width, initial-scale=1" />
-  <title>Login • Main Host</title>
-  <style>
-    :root { color-scheme: light dark; }
-    body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; margin: 2rem; }
-    main { max-width: 440px; margin: 0 auto; }
-    .card { border: 1px solid #ddd; border-radius: 8px; padding: 16px; }
-    .row { display: flex; flex-direction: column; gap: 8px; margin-top: 8px; }
-    label { font-weight: 600; }
-    input[type="text"], input[type="password"] { padding: 8px; border: 1px solid #ccc; border-radius: 6px; }
-    button { padding: 10px 14px; border: none; border-radius: 6px; background: #0b78ff; color: #fff; cursor: pointer; }
-    button:hover { background: #075fcc; }
-    .err { color: #6d1111; margin-top: 8px; }
-    .muted { color: #666; font-size: 0.9rem; }
-  </style>
-</head>
-<body>
-  <main>
-    <h1>Sign in</h1>
-    <p class="muted">Use your admin credentials to access Devices & Control.</p>
-    <div class="card">
-      /login
-        <input type="hidden" name="next" value="${escapeHtml(next)}" />
-        <div class="row">
-          <label for="user">Username</label>
-          <input id="user" name="user" type="text" autocomplete="username" required />
-        </div>
-        <div class="row">
-          <label for="pass">Password</label>
-          <input id="pass" name="pass" type="password" autocomplete="current-password" required />
-        </div>
-        <div class="row">
-          <button type="submit">Login</button>
-        </div>
-        ${errMsg ? `<div class="err">${escapeHtml(errMsg)}</div>` : ''}
-      </form>
-    </div>
-    <p class="muted" style="margin-top:12px;">MQTT WebSocket endpoint: <code>ws(s)://&lt;host&gt;${WS_PATH}</code></p>
-  </main>
-</body>
-</html>`;
+      const next = safeNext(urlObj.searchParams.get('next'));
+      // No session yet, so the form's CSRF token is double-submitted: cookie + hidden field.
+      const loginCsrf = crypto.randomBytes(18).toString('base64url');
+      setCookie(res, 'login_csrf', loginCsrf, { maxAge: 60 * 60 * 1000 });
+      const html = views.login({ next, error: errMsg, csrf: loginCsrf, wsPath: WS_PATH });
       res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
       res.end(html);
       return;
     }
 
     // ---------- LOGIN (POST) ----------
-    console.log("checking the creds");
-    if (req.method === 'GET' && pathname === '/login') {
+    if (req.method === 'POST' && pathname === '/login') {
       const form = await readFormBody(req);
-      const next = String(form.next ?? '/');
+      const next = safeNext(form.next);
       const userIn = String(form.user ?? '').trim();
-      const passIn = String(form.pass ?? '').trim();
-      console.log("entering userIn and Password ");
-      if (userIn === ADMIN_USER && passIn === ADMIN_PASS) {
-        console.log("userIn and Password matched");
-        const token = makeSession(userIn);
-        setCookie(res, 'sid', token, { maxAge: SESSION_MAX_AGE });
-        res.writeHead(302, { Location: next });
+      const passIn = String(form.pass ?? ''); // passwords are stored as typed
+      const retry = (msg, headers = {}) => {
+        res.writeHead(302, { ...headers, Location: `/login?error=${encodeURIComponent(msg)}&next=${encodeURIComponent(next)}` });
         res.end();
+      };
+      if (!safeEqual(form._csrf, cookies.login_csrf)) {
+        logAudit({ actor: userIn || null, action: 'login', payload: { reason: 'csrf' }, result: 'denied' });
+        retry('Your login form expired. Please try again');
         return;
-      } else {
-        console.log("userIn and Password Not matched");
-        res.writeHead(302, { Location: `/login?error=${encodeURIComponent('Invalid credentials')}&next=${encodeURIComponent(next)}` });
+      }
+      // Locked out: refuse before spending a password check.
+      const blockedMs = loginLimiter.blockedFor(ip, userIn);
+      if (blockedMs) {
+        logAudit({ actor: userIn || null, action: 'login', result: 'locked' });
+        retry(`Too many failed attempts. Try again in ${Math.ceil(blockedMs / 60000)} min`, { 'Retry-After': String(Math.ceil(blockedMs / 1000)) });
+        return;
+      }
+      if (users.verify(userIn, passIn)) {
+        loginLimiter.succeed(userIn);
+        const created = sessions.create(userIn, { ip, userAgent: req.headers['user-agent'] });
+        logAudit({ actor: userIn, action: 'login', payload: { session: created.ref } });
+        setCookie(res, 'sid', sessionCookie(created), { maxAge: SESSION_MAX_AGE });
+        res.writeHead(302, { Location: next });
         res.end();
         return;
       }
+      metrics.loginFailures.inc();
+      const { lockedFor } = loginLimiter.fail(ip, userIn);
+      logAudit({ actor: userIn || null, action: 'login', payload: lockedFor ? { lockedForMs: lockedFor } : undefined, result: 'denied' });
+      retry(lockedFor ? `Too many failed attempts. Try again in ${Math.ceil(lockedFor / 60000)} min` : 'Invalid credentials');
+      return;
     }
 
     // ---------- LOGOUT ----------
+    // GET shows a confirmation form (so plain /logout links keep working); only the
+    // CSRF-checked POST ends sessions.
     if (req.method === 'GET' && pathname === '/logout') {
+      if (!account) {
+        res.writeHead(302, { Location: '/login' });
+        res.end();
+        return;
+      }
+      const html = views.logout({ username: account.username, csrf: csrfToken, otherSessions: sessions.countFor(account.username) - 1 });
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+      return;
+    }
+    if (req.method === 'POST' && pathname === '/logout') {
+      const form = await readFormBody(req);
+      if (!account) {
+        res.writeHead(302, { Location: '/login' });
+        res.end();
+        return;
+      }
+      if (!safeEqual(form._csrf, session.csrf)) {
+        logAudit({ action: 'csrf', target: 'POST /logout', result: 'denied' });
+        res.writeHead(403, { 'Content-Type': 'text/plain' });
+        res.end('Forbidden: missing or invalid CSRF token');
+        return;
+      }
+      const everywhere = form.everywhere === '1';
+      const ended = everywhere ? sessions.revokeUser(account.username) : Number(sessions.revoke(session.id));
+      logAudit({ action: 'logout', payload: { everywhere, sessions: ended } });
       clearCookie(res, 'sid');
       res.writeHead(302, { Location: '/login' });
       res.end();
       return;
     }
 
+    // ---------- Sessions API (own sessions) ----------
+    if (req.method === 'GET' && pathname === '/api/sessions') {
+      const items = sessions.listFor(user).map(s => ({ ...s, current: s.ref === session.ref }));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ items, count: items.length }));
+      return;
+    }
+    // Signs out every other session of the caller.
+    if (req.method === 'DELETE' && pathname === '/api/sessions') {
+      const revoked = sessions.revokeUser(user, { except: session.id });
+      logAudit({ action: 'session.revoke', target: user, payload: { others: true, sessions: revoked } });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, revoked }));
+      return;
+    }
+    const sessionApi = pathname.match(/^\/api\/sessions\/([^/]+)$/);
+    if (req.method === 'DELETE' && sessionApi) {
+      const ref = decodeURIComponent(sessionApi[1]);
+      if (!sessions.revokeRef(user, ref)) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown session' }));
+        return;
+      }
+      logAudit({ action: 'session.revoke', target: user, payload: { session: ref } });
+      if (ref === session.ref) clearCookie(res, 'sid');
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, ref, current: ref === session.ref }));
+      return;
+    }
+
     // ---------- Health ----------
     if (req.method === 'GET' && pathname === '/health') {
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ status: 'ok', staleMs: STALE_MS, commandTopic: COMMAND_TOPIC }));
+      res.end(JSON.stringify({
+        status: 'ok',
+        staleMs: settings.get('STALE_MS'),
+        commandTopic: settings.get('COMMAND_TOPIC'),
+        commandTopicTemplate: COMMAND_TOPIC_TEMPLATE,
+        commandTopicMode: settings.get('COMMAND_TOPIC_MODE'),
+        mqtt: mqttListeners
+      }));
+      return;
+    }
+
+    // ---------- Metrics ----------
+    if (req.method === 'GET' && pathname === '/metrics') {
+      res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE });
+      res.end(registry.render());
       return;
     }
 
     // ---------- Landing (protected) ----------
     if (req.method === 'GET' && pathname === '/') {
-      const html =
-`<!doctype html>
-<html lang="en">
-<head>
-  <meta charset="utf-8" />
-  <meta name="viewport" content="width=device-width, initial-scale=1" />
-  <title>Main Host • Dashboard</title>
-  <style>
-    :root { color-scheme: light dark; }
-    body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; margin: 2rem; }
-    main { max-width: 720px; margin: 0 auto; }
-    h1 { margin-bottom: 0.5rem; }
-    p { color: #666; }
-    .grid { display: grid; grid-template-columns: 1fr 1fr; gap: 12px; margin-top: 1rem; }
-    .card { border: 1px solid #ddd; border-radius: 8px; padding: 16px; display: flex; flex-direction: column; gap: 8px; cursor: pointer; }
-    .card h2 { margin: 0; font-size: 1.2rem; }
-    .card p { margin: 0; font-size: 0.95rem; color: #555; }
-    .card a { align-self: flex-start; display: inline-block; padding: 6px 12px; border-radius: 6px; background: #0b78ff; color: #fff; text-decoration: none; }
-    .card a:hover { background: #075fcc; }
-    .row { display:flex; gap:8px; align-items:center; margin-top: 12px; }
-    .muted { color: #777; font-size: 0.9rem; }
-    code { background: #0001; padding: 2px 4px; border-radius: 4px; }
-    ul { margin-top: 1rem; }
-    ul li { margin: 4px 0; }
-  </style>
-</head>
-<body>
-  <main>
-    <h1>Welcome <strong>${escapeHtml(user)}</strong></h1>
-    <p class="muted">Click a card or the button to open the page.</p>
-
-    <div class="grid">
-      /devices
-        <h2>Devices</h2>
-        <p>Live device table (auto-refresh every 5s). Shows <code>online/offline</code> based on last seen.</p>
-        /devicesOpen Devices</a>
-      </div>
-
-      /control
-        <h2>Control</h2>
-        <p>Send <code>&lt;device&gt;:&lt;on/off&gt;</code> commands via toggle per device or manual input.</p>
-        /controlOpen Control</a>
-      </div>
-    </div>
-
-    <h3>Quick endpoints</h3>
-    <ul>
-      <li>/health/health</a></li>
-      <li>/api/devices/api/devices</a></li>
-    </ul>
-
-    <div class="row">
-      /logoutLogout</a>
-      <span class="muted">MQTT WebSocket endpoint: <code>ws(s)://&lt;host&gt;${WS_PATH}</code></span>
-    </div>
-  </main>
-
-  <script>
-    // Make entire card clickable (same tab)
-    document.querySelectorAll('.card[data-href]').forEach(card => {
-      card.addEventListener('click', (e) => {
-        if (e.target.tagName.toLowerCase() === 'a') return;
-        const href = card.getAttribute('data-href');
-        if (href) window.location.href = href;
-      });
-    });
-  </script>
-</body>
-</html>`;
+      const html = views.home({ username: user, role: account.role, wsPath: WS_PATH });
       res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
       res.end(html);
       return;
     }
 
     // ---------- Devices API (protected) ----------
+    // ?q=&status=&group=&tag=&archived=exclude|include|only&sort=&order=&offset=&limit=
+    // (see lib/devices.js); without limit every match is returned.
     if (req.method === 'GET' && pathname === '/api/devices') {
-      const items = Object.entries(deviceStatus).map(([name, info]) => ({
-        device: name,
-        status: info.status,
-        updatedAt: info.updatedAt,
-        lastSeen: info.lastSeen,
-        firstSeen: info.firstSeen
-      }));
+      const all = Object.entries(deviceStatus).map(([name, info]) => deviceItem(name, info));
+      const result = queryDevices(all, Object.fromEntries(urlObj.searchParams));
+      if (result.error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: result.error }));
+        return;
+      }
+      const { items, total, offset, limit } = result;
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ items, count: items.length }));
+      res.end(JSON.stringify({ items, count: items.length, total, offset, limit }));
       return;
     }
 
-    // ---------- Command API (protected) ----------
-    if (req.method === 'POST' && pathname === '/api/command') {
-      const body = await readJsonBody(req);
-      const device = String(body.device ?? '').trim();
-      const status = String(body.status ?? '').trim().toLowerCase(); // 'on'|'off'
+    // ---------- Devices stream (protected, SSE) ----------
+    // "snapshot" with the (unarchived) list on connect, then one "device" event per change
+    // and "removed" when a device is renamed away or deleted.
+    if (req.method === 'GET' && pathname === '/api/devices/stream') {
+      const items = Object.entries(deviceStatus).filter(([, info]) => !info.archived).map(([name, info]) => deviceItem(name, info));
+      deviceEvents.attach(req, res, { event: 'snapshot', data: { items, count: items.length } });
+      return;
+    }
 
-      if (!device || !status || !['on', 'off'].includes(status)) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Invalid device/status. Expected { device, status: "on"|"off" }' }));
+    // ---------- Device registry API ----------
+    // Register (operator): POST /api/devices { device, displayName?, location?, notes?, tags? }
+    // or approve a quarantined device with the same body minus device.
+    const approveApi = pathname.match(/^\/api\/devices\/quarantine\/([^/]+)\/approve$/);
+    if (req.method === 'POST' && (pathname === '/api/devices' || approveApi)) {
+      const body = await readJsonBody(req);
+      const name = approveApi ? decodeURIComponent(approveApi[1]) : String(body.device ?? '').trim();
+      const action = approveApi ? 'device.approve' : 'device.register';
+      const meta = normalizeDeviceMeta(body);
+      const tags = normalizeTags(body.tags ?? []);
+      let code = 400;
+      let error = meta.error ?? tags.error ?? null;
+      if (approveApi && !quarantine.has(name)) {
+        code = 404;
+        error = 'Device is not in quarantine';
+      } else if (!isValidDeviceName(name)) {
+        error = 'Invalid device name (letters, digits, _ . - up to 64; not quarantine or stream)';
+      } else if (deviceStatus[name]) {
+        code = 409;
+        error = `Device "${name}" already exists`;
+      }
+      if (error) {
+        logAudit({ action, target: name || null, payload: body, result: 'invalid' });
+        res.writeHead(code, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error }));
         return;
       }
-
-      const payload = `${device}:${status}`;
-      aedes.publish({ topic: COMMAND_TOPIC, payload, qos: 0, retain: false }, (err) => {
-        if (err) {
-          res.writeHead(500, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Publish failed', details: err.message }));
-        } else {
-          console.log(`[HOST->MQTT] command published -> ${COMMAND_TOPIC}: ${payload}`);
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ ok: true, topic: COMMAND_TOPIC, payload }));
-        }
-      });
+      const held = quarantine.take(name);
+      if (held) quarantineChanged();
+      const device = registerDevice(name, { meta: meta.meta, tags: tags.tags, held }, user);
+      logAudit({ action, target: name, payload: { ...meta.meta, tags: tags.tags, ...(held ? { reports: held.reports } : {}) } });
+      res.writeHead(201, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, device }));
       return;
     }
-
-    // ---------- Devices UI (protected) ----------
-    if (req.method === 'GET' && pathname === '/devices') {
-      const html =
-`<!doctype html>
-<html lang="en">
-<head>
-  <meta charset="utf-8" />
-  <meta name="viewport" content="width=device-width, initial-scale=1" />
-  <title>Device Live Status</title>
-  <style>
-    body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; margin: 2rem; }
-    table { border-collapse: collapse; width: 100%; max-width: 980px; }
-    th, td { border: 1px solid #ddd; padding: 8px; }
-    th { background: #f3f3f3; text-align: left; }
-    .badge { padding: 2px 8px; border-radius: 999px; font-size: 0.9rem; }
-    .online { background: #d5f5d5; color: #175217; }
-    .offline { background: #ffd7d7; color: #6d1111; }
-    .unknown { background: #eee; color: #333; }
-    .muted { color: #666; font-size: 0.9rem; }
-    code { background: #0001; padding: 2px 4px; border-radius: 4px; }
-    a.button { display:inline-block; padding:8px 14px; background:#0b78ff; color:#fff; border-radius:6px; text-decoration:none; }
-    a.button:hover { background:#075fcc; }
-  </style>
-</head>
-<body>
-  <main>
-    <h1>Device Live Status</h1>
-    <p class="muted">Auto-refreshes every 5 seconds • Stale threshold: ${STALE_MS} ms</p>
-    <p>/controlOpen Control</a> • /Home</a> • /logoutLogout</a></p>
-
-    <table id="tbl">
-      <thead>
-        <tr>
-          <th>Device</th>
-          <th>Status</th>
-          <th>Last Update (UTC)</th>
-          <th>Last Seen (UTC)</th>
-          <th>First Seen (UTC)</th>
-        </tr>
-      </thead>
-      <tbody id="rows"><tr><td colspan="5">Loading…</td></tr></tbody>
-    </table>
-  </main>
-
-  <script>
-    function escapeHtml(s) { return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;'); }
-    async function load() {
-      try {
-        const res = await fetch('/api/devices', { cache: 'no-store' });
-        if (!res.ok) throw new Error('HTTP ' + res.status);
-        const data = await res.json();
-        const items = Array.isArray(data.items) ? data.items : [];
-        const tbody = document.getElementById('rows');
-        if (items.length === 0) {
-          tbody.innerHTML = '<tr><td colspan="5">No devices yet. Publish to topic <code>devices/status</code> to register.</td></tr>';
-          return;
-        }
-        var htmlRows = '';
-        for (var i = 0; i < items.length; i++) {
-          var x = items[i];
-          var dev = escapeHtml(x.device ?? '');
-          var st = String(x.status ?? '').toLowerCase();
-          var cls = (st === 'online') ? 'online' : ((st === 'offline') ? 'offline' : 'unknown');
-          var upd = escapeHtml(x.updatedAt ?? '');
-          var lst = escapeHtml(x.lastSeen ?? '');
-          var fst = escapeHtml(x.firstSeen ?? '');
-          htmlRows += '<tr>'
-            + '<td>' + dev + '</td>'
-            + '<td><span class="badge ' + cls + '">' + escapeHtml(x.status ?? '') + '</span></td>'
-            + '<td>' + upd + '</td>'
-            + '<td>' + lst + '</td>'
-            + '<td>' + fst + '</td>'
-            + '</tr>';
-        }
-        tbody.innerHTML = htmlRows;
-      } catch (e) {
-        console.error('Load error:', e);
-        var tbody = document.getElementById('rows');
-        tbody.innerHTML = '<tr><td colspan="5">Error loading. Check console.</td></tr>';
-      }
-    }
-    load();
-    setInterval(load, 5000);
-  </script>
-</body>
-</html>`;
-      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
-      res.end(html);
+    if (req.method === 'GET' && pathname === '/api/devices/quarantine') {
+      const items = quarantine.list();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ items, count: items.length, enabled: settings.get('DEVICE_QUARANTINE') }));
       return;
     }
-
-    // ---------- Control UI (protected) ----------
-    if (req.method === 'GET' && pathname === '/control') {
-      const html =
-`<!doctype html>
-<html lang="en">
-<head>
-  <meta charset="utf-8" />
-  <meta name="viewport" content="width=device-width, initial-scale=1" />
-  <title>Device Control</title>
-  <style>
-    body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; margin: 2rem; }
-    table { border-collapse: collapse; width: 100%; max-width: 980px; }
-    th, td { border: 1px solid #ddd; padding: 8px; }
-    th { background: #f3f3f3; text-align: left; }
-    .muted { color: #666; font-size: 0.9rem; }
-    .toggle { width: 50px; height: 24px; }
-    .row-controls { display: flex; gap: 8px; align-items: center; }
-    #msg { margin-top: 1rem; color: #175217; }
-    #err { margin-top: 1rem; color: #6d1111; }
-    a.button { display:inline-block; padding:8px 14px; background:#0b78ff; color:#fff; border-radius:6px; text-decoration:none; }
-    a.button:hover { background:#075fcc; }
-  </style>
-</head>
-<body>
-  <main>
-    <h1>Device Control</h1>
-    <p class="muted">Toggle <strong>On/Off</strong> next to a device and click <strong>Send</strong>. Payload: <code>device_name:on|off</code></p>
-    <p>/devicesOpen Devices</a> • /Home</a> • /logoutLogout</a></p>
-
-    <table id="tbl">
-      <thead><tr><th>Device</th><th>Current Status</th><th>Control</th><th>Action</th></tr></thead>
-      <tbody id="rows"><tr><td colspan="4">Loading…</td></tr></tbody>
-    </table>
-
-    <h2>Manual Command</h2>
-    <div class="row-controls">
-      <input type="text" id="manual-device" placeholder="Device name" />
-      <label><input type="checkbox" id="manual-toggle" /> On</label>
-      <button id="manual-send">Send</button>
-    </div>
-
-    <div id="msg"></div><div id="err"></div>
-  </main>
-
-  <script>
-    function escapeHtml(s) { return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;'); }
-    async function loadTable() {
-      const tbody = document.getElementById('rows');
-      try {
-        const res = await fetch('/api/devices', { cache: 'no-store' });
-        if (!res.ok) throw new Error('HTTP ' + res.status);
-        const data = await res.json();
-        const items = Array.isArray(data.items) ? data.items : [];
-        if (items.length === 0) {
-          tbody.innerHTML = '<tr><td colspan="4">No devices yet. Publish to <code>devices/status</code> to register.</td></tr>';
-          return;
-        }
-        var htmlRows = '';
-        for (var i = 0; i < items.length; i++) {
-          var x = items[i];
-          var dev = escapeHtml(x.device ?? '');
-          var st = String(x.status ?? '').toLowerCase();
-          var checked = (st === 'on' || st === 'online') ? 'checked' : '';
-          var id = 'toggle_' + dev.replace(/[^a-zA-Z0-9_\-]/g, '_');
-          htmlRows += '<tr>'
-            + '<td>' + dev + '</td>'
-            + '<td>' + escapeHtml(x.status ?? '') + '</td>'
-            + '<td><label><input type="checkbox" class="toggle" id="' + id + '" ' + checked + '> On</label></td>'
-            + '<td><button data-device="' + dev + '" data-toggle-id="' + id + '" class="send-btn">Send</button></td>'
-            + '</tr>';
-        }
-        tbody.innerHTML = htmlRows;
-
-        var buttons = document.getElementsByClassName('send-btn');
-        for (var j = 0; j < buttons.length; j++) {
-          buttons[j].addEventListener('click', async function(e) {
-            var device = this.getAttribute('data-device');
-            var tid = this.getAttribute('data-toggle-id');
-            var checked = document.getElementById(tid).checked;
-            await sendCommand(device, checked ? 'on' : 'off');
-          });
-        }
-      } catch (e) {
-        console.error('Load error:', e);
-        tbody.innerHTML = '<tr><td colspan="4">Error loading. Check console.</td></tr>';
+    const quarantineApi = pathname.match(/^\/api\/devices\/quarantine\/([^/]+)$/);
+    if (req.method === 'DELETE' && quarantineApi) {
+      const name = decodeURIComponent(quarantineApi[1]);
+      const held = quarantine.take(name);
+      if (!held) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Device is not in quarantine' }));
+        return;
       }
-    }
-    async function sendCommand(device, status) {
-      var msg = document.getElementById('msg');
-      var err = document.getElementById('err');
-      msg.textContent = ''; err.textContent = '';
+      quarantineChanged();
+      logAudit({ action: 'device.reject', target: name, payload: { reports: held.reports, client: held.clientId } });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, device: name }));
+      return;
+    }
+    // Rename or merge (admin): { to, merge? }. Devices with MQTT credentials log in under
+    // their name, so those have to be re-provisioned instead.
+    const renameApi = pathname.match(/^\/api\/devices\/([^/]+)\/rename$/);
+    if (req.method === 'POST' && renameApi) {
+      const name = decodeURIComponent(renameApi[1]);
+      if (!deviceStatus[name]) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown device' }));
+        return;
+      }
+      const body = await readJsonBody(req);
+      const to = String(body.to ?? '').trim();
+      const merge = Boolean(deviceStatus[to]);
+      let code = 400;
+      let error = null;
+      if (!isValidDeviceName(to)) error = 'Invalid new name (letters, digits, _ . - up to 64; not quarantine or stream)';
+      else if (to === name) error = 'New name is the current name';
+      else if (credentials.has(name)) {
+        code = 409;
+        error = `${name} has MQTT credentials; provision ${to} and delete ${name} instead`;
+      } else if (merge && body.merge !== true) {
+        code = 409;
+        error = `Device "${to}" already exists; send merge: true to combine the two`;
+      }
+      if (error) {
+        logAudit({ action: 'device.rename', target: name, payload: body, result: 'invalid' });
+        res.writeHead(code, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error }));
+        return;
+      }
+      const device = renameDevice(name, to);
+      logAudit({ action: merge ? 'device.merge' : 'device.rename', target: name, payload: { to } });
+      webhooks.emit('device.renamed', { from: name, to, merged: merge });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, from: name, merged: merge, device }));
+      return;
+    }
+    // GET (viewer), PUT metadata / archived (operator), DELETE (admin).
+    const deviceApi = pathname.match(/^\/api\/devices\/([^/]+)$/);
+    if (deviceApi && ['GET', 'PUT', 'DELETE'].includes(req.method)) {
+      const name = decodeURIComponent(deviceApi[1]);
+      const info = deviceStatus[name];
+      if (!info) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown device' }));
+        return;
+      }
+      if (req.method === 'PUT') {
+        const body = await readJsonBody(req);
+        const meta = normalizeDeviceMeta(body);
+        const error = meta.error ?? (body.archived !== undefined && typeof body.archived !== 'boolean' ? 'archived must be true or false' : null);
+        if (error) {
+          logAudit({ action: 'device.update', target: name, payload: body, result: 'invalid' });
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error }));
+          return;
+        }
+        const changes = { ...meta.meta };
+        Object.assign(info, meta.meta);
+        if (body.archived !== undefined && body.archived !== (info.archived === true)) {
+          info.archived = body.archived;
+          info.archivedAt = body.archived ? new Date().toISOString() : null;
+          changes.archived = body.archived;
+        }
+        persistDevices();
+        deviceChanged(name);
+        logAudit({ action: 'device.update', target: name, payload: changes });
+      } else if (req.method === 'DELETE') {
+        const { credentialsRevoked } = deleteDevice(name);
+        logAudit({ action: 'device.delete', target: name, payload: { credentialsRevoked } });
+        webhooks.emit('device.deleted', { device: name, credentialsRevoked });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, device: name, credentialsRevoked }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(deviceItem(name, info)));
+      return;
+    }
+
+    // ---------- Device history API (protected) ----------
+    const historyApi = pathname.match(/^\/api\/devices\/([^/]+)\/history$/);
+    if (req.method === 'GET' && historyApi) {
+      const device = decodeURIComponent(historyApi[1]);
+      const q = urlObj.searchParams;
+      for (const k of ['from', 'to']) {
+        if (q.get(k) && toMs(q.get(k)) == null) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: `Invalid ${k}. Expected ISO date or epoch ms` }));
+          return;
+        }
+      }
+      if (!deviceStatus[device] && !history.has(device)) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown device' }));
+        return;
+      }
+      const items = history.query(device, { from: q.get('from'), to: q.get('to'), limit: q.get('limit') });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ device, items, count: items.length }));
+      return;
+    }
+
+    // ---------- Device telemetry API (protected) ----------
+    // ?fields=a,b&from=&to=&points= ; from defaults to an hour before to (default now).
+    const telemetryApi = pathname.match(/^\/api\/devices\/([^/]+)\/telemetry$/);
+    if (req.method === 'GET' && telemetryApi) {
+      const device = decodeURIComponent(telemetryApi[1]);
+      const q = urlObj.searchParams;
+      for (const k of ['from', 'to']) {
+        if (q.get(k) && toMs(q.get(k)) == null) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: `Invalid ${k}. Expected ISO date or epoch ms` }));
+          return;
+        }
+      }
+      if (!deviceStatus[device] && !telemetry.has(device)) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown device' }));
+        return;
+      }
+      const from = q.get('from') ? toMs(q.get('from')) : undefined;
+      const to = q.get('to') ? toMs(q.get('to')) : undefined;
+      if (from !== undefined && to !== undefined && from > to) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'from must be before to' }));
+        return;
+      }
+      const fields = q.get('fields') ? q.get('fields').split(',').map(f => f.trim()).filter(Boolean) : undefined;
+      const points = Math.max(10, Math.min(1000, Number(q.get('points')) || 300));
+      const result = telemetry.query(device, { fields, from, to, maxPoints: points });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        device,
+        resolution: result.resolution,
+        stepMs: result.stepMs,
+        from: new Date(result.from).toISOString(),
+        to: new Date(result.to).toISOString(),
+        latest: telemetry.latest(device),
+        series: result.series
+      }));
+      return;
+    }
+
+    // ---------- Command API (protected) ----------
+    if (req.method === 'POST' && pathname === '/api/command') {
+      const body = await readJsonBody(req);
+
+      // Fan-out to a group or tag: one command per device, each validated on its own.
+      if (body.device === undefined && (body.group !== undefined || body.tag !== undefined)) {
+        const selector = body.group !== undefined ? { group: String(body.group) } : { tag: String(body.tag) };
+        const target = resolveSelector(body);
+        if (target.error) {
+          logAudit({ action: 'command.send', target: selector.group ?? `tag:${selector.tag}`, payload: body, result: 'invalid' });
+          res.writeHead(target.code, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: target.error }));
+          return;
+        }
+        const results = await Promise.all(target.devices.map(async (device) => {
+          const parsed = parseCommandRequest({ device, status: body.status, command: body.command });
+          if (parsed.error) {
+            logAudit({ action: 'command.send', target: device, payload: { ...selector, status: body.status, command: body.command }, result: 'invalid' });
+            return { device, ok: false, error: parsed.error, ...(parsed.details ? { details: parsed.details } : {}) };
+          }
+          try {
+            const cmd = await publishCommand(parsed, user);
+            logAudit({ action: 'command.send', target: cmd.device, payload: { command: cmd.command, id: cmd.id, topic: cmd.topic, ...selector } });
+            return { device, ok: true, id: cmd.id, status: cmd.status, topic: cmd.topic, payload: cmd.payload };
+          } catch (err) {
+            const cmd = err.command;
+            logAudit({ action: 'command.send', target: cmd.device, payload: { command: cmd.command, id: cmd.id, topic: cmd.topic, ...selector }, result: 'failed' });
+            return { device, ok: false, error: 'Publish failed', details: err.message, id: cmd.id };
+          }
+        }));
+        const sent = results.filter(r => r.ok).length;
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: sent === results.length, selector, count: results.length, sent, results }));
+        return;
+      }
+
+      const parsed = parseCommandRequest(body);
+      if (parsed.error) {
+        logAudit({ action: 'command.send', target: String(body.device ?? '').trim() || null, payload: body, result: 'invalid' });
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: parsed.error, ...(parsed.details ? { details: parsed.details } : {}) }));
+        return;
+      }
+      try {
+        const cmd = await publishCommand(parsed, user);
+        logAudit({ action: 'command.send', target: cmd.device, payload: { command: cmd.command, id: cmd.id, topic: cmd.topic } });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, id: cmd.id, status: cmd.status, topic: cmd.topic, payload: cmd.payload }));
+      } catch (err) {
+        const cmd = err.command;
+        logAudit({ action: 'command.send', target: cmd.device, payload: { command: cmd.command, id: cmd.id, topic: cmd.topic }, result: 'failed' });
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Publish failed', details: err.message, id: cmd.id }));
+      }
+      return;
+    }
+
+    // ---------- Command routing API (admin) ----------
+    const routingApi = pathname.match(/^\/api\/devices\/([^/]+)\/command-settings$/);
+    if (routingApi && (req.method === 'GET' || req.method === 'PUT')) {
+      const device = decodeURIComponent(routingApi[1]);
+      if (req.method === 'PUT') {
+        const body = await readJsonBody(req);
+        try {
+          commandRouter.configure(device, { mode: body.mode, encoding: body.encoding });
+        } catch (err) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: err.message }));
+          return;
+        }
+        logAudit({ action: 'device.command_settings', target: device, payload: { mode: body.mode, encoding: body.encoding } });
+        if (deviceStatus[device]) deviceChanged(device);
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, device, ...commandRouter.settings(device), topic: commandRouter.topicFor(device) }));
+      return;
+    }
+
+    // ---------- Groups & tags API (read: viewer, write: operator) ----------
+    if (req.method === 'GET' && pathname === '/api/groups') {
+      const items = deviceGroups.list();
+      const tags = [...new Set(Object.values(deviceStatus).flatMap(info => info.tags ?? []))].sort();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ items, count: items.length, tags }));
+      return;
+    }
+    const groupApi = pathname.match(/^\/api\/groups\/([^/]+)$/);
+    if ((req.method === 'POST' && pathname === '/api/groups') || (groupApi && (req.method === 'PUT' || req.method === 'DELETE'))) {
+      const name = groupApi ? decodeURIComponent(groupApi[1]) : null;
+      const body = req.method === 'DELETE' ? {} : await readJsonBody(req);
+      const action = { POST: 'group.create', PUT: 'group.update', DELETE: 'group.delete' }[req.method];
+      // Everything in the affected subtree before and after, so open dashboards refresh.
+      const before = name ? (deviceGroups.resolve(name) ?? []) : [];
+      const result = req.method === 'POST' ? deviceGroups.create(body)
+        : req.method === 'PUT' ? deviceGroups.update(name, body)
+        : deviceGroups.remove(name);
+      if (!result) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown group' }));
+        return;
+      }
+      if (result.error) {
+        logAudit({ action, target: name ?? body.name ?? null, payload: body, result: 'invalid' });
+        res.writeHead(req.method === 'DELETE' ? 409 : 400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: result.error }));
+        return;
+      }
+      const group = result.group ?? null;
+      const after = group ? deviceGroups.resolve(group.name) : [];
+      for (const d of new Set([...before, ...after])) if (deviceStatus[d]) deviceChanged(d);
+      logAudit({ action, target: group?.name ?? name, payload: group ? { parent: group.parent, devices: group.devices } : null });
+      res.writeHead(req.method === 'POST' ? 201 : 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(group ? { ok: true, group: { ...group, members: after } } : { ok: true, name }));
+      return;
+    }
+    const tagsApi = pathname.match(/^\/api\/devices\/([^/]+)\/tags$/);
+    if (req.method === 'PUT' && tagsApi) {
+      const device = decodeURIComponent(tagsApi[1]);
+      if (!deviceStatus[device]) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown device' }));
+        return;
+      }
+      const body = await readJsonBody(req);
+      const result = normalizeTags(body.tags);
+      if (result.error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: result.error }));
+        return;
+      }
+      deviceStatus[device].tags = result.tags;
+      persistDevices();
+      deviceChanged(device);
+      logAudit({ action: 'device.tags', target: device, payload: { tags: result.tags } });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, device, tags: result.tags }));
+      return;
+    }
+
+    // ---------- Command ledger API (protected) ----------
+    if (req.method === 'GET' && pathname === '/api/commands') {
+      const q = urlObj.searchParams;
+      const status = q.get('status') ?? undefined;
+      if (status && !COMMAND_STATES.includes(status)) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: `Invalid status. Expected one of ${COMMAND_STATES.join('|')}` }));
+        return;
+      }
+      const limit = Math.max(1, Math.min(Number(q.get('limit')) || 100, 1000));
+      const items = commands.list({ device: q.get('device') ?? undefined, status, limit });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ items, count: items.length }));
+      return;
+    }
+    const commandApi = pathname.match(/^\/api\/commands\/([^/]+)$/);
+    if (req.method === 'GET' && commandApi) {
+      const cmd = commands.get(decodeURIComponent(commandApi[1]));
+      if (!cmd) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown command' }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(cmd));
+      return;
+    }
+
+    // ---------- Device credentials API (protected) ----------
+    if (req.method === 'GET' && pathname === '/api/credentials') {
+      const items = credentials.list();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ items, count: items.length, allowAnonymous: MQTT_ALLOW_ANONYMOUS }));
+      return;
+    }
+    if (req.method === 'POST' && pathname === '/api/credentials') {
+      const body = await readJsonBody(req);
+      const device = String(body.device ?? '').trim();
+      if (!isValidDeviceName(device)) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Invalid device. Expected 1-64 chars of A-Z a-z 0-9 _ . - other than quarantine or stream' }));
+        return;
+      }
+      const created = credentials.provision(device);
+      mqttAuth.disconnectDevice(device); // force reconnect with the new password
+      console.log(`[AUTH] credentials provisioned for ${device} by ${user}`);
+      logAudit({ action: 'credentials.provision', target: device });
+      res.writeHead(201, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, ...created }));
+      return;
+    }
+    const credApi = pathname.match(/^\/api\/credentials\/([^/]+)$/);
+    if (req.method === 'DELETE' && credApi) {
+      const device = decodeURIComponent(credApi[1]);
+      if (!credentials.revoke(device)) {
+        logAudit({ action: 'credentials.revoke', target: device, result: 'not_found' });
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown device' }));
+        return;
+      }
+      mqttAuth.disconnectDevice(device);
+      console.log(`[AUTH] credentials revoked for ${device} by ${user}`);
+      logAudit({ action: 'credentials.revoke', target: device });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, device }));
+      return;
+    }
+
+    // ---------- Users API (admin) ----------
+    if (req.method === 'GET' && pathname === '/api/users') {
+      const items = users.list().map(u => ({ ...u, sessions: sessions.countFor(u.username), lockedUntil: loginLimiter.lockedUntil(u.username) }));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ items, count: items.length, roles: ROLES }));
+      return;
+    }
+    if (req.method === 'POST' && pathname === '/api/users') {
+      const body = await readJsonBody(req);
+      const input = { username: String(body.username ?? '').trim(), password: String(body.password ?? ''), role: String(body.role ?? '') };
+      const invalid = validateUser(input);
+      if (invalid || users.get(input.username)) {
+        logAudit({ action: 'user.create', target: input.username || null, payload: { role: input.role }, result: 'invalid' });
+        res.writeHead(invalid ? 400 : 409, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: invalid ?? 'User already exists' }));
+        return;
+      }
+      const created = users.create(input);
+      console.log(`[USERS] ${user} created ${created.username} (${created.role})`);
+      logAudit({ action: 'user.create', target: created.username, payload: { role: created.role } });
+      res.writeHead(201, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, user: created }));
+      return;
+    }
+    const userApi = pathname.match(/^\/api\/users\/([^/]+)$/);
+    if (req.method === 'PATCH' && userApi) {
+      const name = decodeURIComponent(userApi[1]);
+      const body = await readJsonBody(req);
+      const patch = {
+        password: body.password === undefined || body.password === '' ? undefined : String(body.password),
+        role: body.role === undefined ? undefined : String(body.role)
+      };
+      const invalid = validateUser(patch, { partial: true });
+      // Never log the password itself, only that it changed.
+      const auditPayload = { role: patch.role, passwordReset: patch.password !== undefined };
+      if (invalid) {
+        logAudit({ action: 'user.update', target: name, payload: auditPayload, result: 'invalid' });
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: invalid }));
+        return;
+      }
+      try {
+        const updated = users.update(name, patch);
+        if (!updated) {
+          logAudit({ action: 'user.update', target: name, payload: auditPayload, result: 'not_found' });
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Unknown user' }));
+          return;
+        }
+        // A new password signs the user out everywhere else (an admin's own session survives).
+        if (patch.password !== undefined) auditPayload.sessionsRevoked = sessions.revokeUser(name, { except: session.id });
+        console.log(`[USERS] ${user} updated ${name}${patch.role ? ` role=${patch.role}` : ''}${patch.password ? ' (password reset)' : ''}`);
+        logAudit({ action: 'user.update', target: name, payload: auditPayload });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, user: updated }));
+      } catch (err) {
+        logAudit({ action: 'user.update', target: name, payload: auditPayload, result: 'rejected' });
+        res.writeHead(409, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: err.message }));
+      }
+      return;
+    }
+    if (req.method === 'DELETE' && userApi) {
+      const name = decodeURIComponent(userApi[1]);
       try {
-        const res = await fetch('/api/command', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ device: device, status: status })
+        if (!users.remove(name)) {
+          logAudit({ action: 'user.delete', target: name, result: 'not_found' });
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Unknown user' }));
+          return;
+        }
+        console.log(`[USERS] ${user} deleted ${name}`);
+        logAudit({ action: 'user.delete', target: name, payload: { sessionsRevoked: sessions.revokeUser(name) } });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, username: name }));
+      } catch (err) {
+        logAudit({ action: 'user.delete', target: name, result: 'rejected' });
+        res.writeHead(409, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: err.message }));
+      }
+      return;
+    }
+
+    const userSessionsApi = pathname.match(/^\/api\/users\/([^/]+)\/sessions$/);
+    if (req.method === 'DELETE' && userSessionsApi) {
+      const name = decodeURIComponent(userSessionsApi[1]);
+      if (!users.get(name)) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown user' }));
+        return;
+      }
+      const revoked = sessions.revokeUser(name);
+      logAudit({ action: 'session.revoke', target: name, payload: { sessions: revoked } });
+      if (name === user) clearCookie(res, 'sid');
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, username: name, revoked }));
+      return;
+    }
+    const userLockoutApi = pathname.match(/^\/api\/users\/([^/]+)\/lockout$/);
+    if (req.method === 'DELETE' && userLockoutApi) {
+      const name = decodeURIComponent(userLockoutApi[1]);
+      const wasLocked = loginLimiter.unlock(name);
+      logAudit({ action: 'user.unlock', target: name, payload: { wasLocked } });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, username: name, wasLocked }));
+      return;
+    }
+
+    // ---------- Audit API (admin) ----------
+    if (req.method === 'GET' && pathname === '/api/audit') {
+      const q = urlObj.searchParams;
+      for (const k of ['from', 'to']) {
+        if (q.get(k) && toMs(q.get(k)) == null) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: `Invalid ${k}. Expected ISO date or epoch ms` }));
+          return;
+        }
+      }
+      const filter = {};
+      for (const k of ['actor', 'action', 'target', 'result', 'from', 'to']) {
+        if (q.get(k)) filter[k] = q.get(k);
+      }
+      filter.limit = Math.max(1, Math.min(Number(q.get('limit')) || 200, 2000));
+      const items = await audit.query(filter);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ items, count: items.length }));
+      return;
+    }
+
+    // ---------- Schedules API (operator) ----------
+    if (req.method === 'GET' && pathname === '/api/schedules') {
+      const items = scheduler.list();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ items, count: items.length }));
+      return;
+    }
+    const scheduleApi = pathname.match(/^\/api\/schedules\/([^/]+)(\/run)?$/);
+    if ((req.method === 'POST' && pathname === '/api/schedules') || (req.method === 'PUT' && scheduleApi && !scheduleApi[2])) {
+      const creating = req.method === 'POST';
+      const id = creating ? null : decodeURIComponent(scheduleApi[1]);
+      const body = await readJsonBody(req);
+      const parsed = parseScheduleBody(body, { partial: !creating });
+      const result = parsed.error ? parsed : (creating ? scheduler.create(parsed.input, user) : scheduler.update(id, parsed.input));
+      if (!result) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown schedule' }));
+        return;
+      }
+      if (result.error) {
+        logAudit({ action: creating ? 'schedule.create' : 'schedule.update', target: id, payload: body, result: 'invalid' });
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: result.error, ...(result.details ? { details: result.details } : {}) }));
+        return;
+      }
+      const sch = result.schedule;
+      logAudit({ action: creating ? 'schedule.create' : 'schedule.update', target: sch.id, payload: { name: sch.name, type: sch.type, cron: sch.cron, at: sch.at, enabled: sch.enabled, request: sch.request } });
+      res.writeHead(creating ? 201 : 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, schedule: sch }));
+      return;
+    }
+    if (scheduleApi && !scheduleApi[2] && (req.method === 'GET' || req.method === 'DELETE')) {
+      const id = decodeURIComponent(scheduleApi[1]);
+      const sch = scheduler.get(id);
+      if (!sch) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown schedule' }));
+        return;
+      }
+      if (req.method === 'DELETE') {
+        scheduler.remove(id);
+        logAudit({ action: 'schedule.delete', target: id, payload: { name: sch.name } });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, id }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(sch));
+      return;
+    }
+    if (req.method === 'POST' && scheduleApi && scheduleApi[2]) {
+      const id = decodeURIComponent(scheduleApi[1]);
+      if (!scheduler.get(id)) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown schedule' }));
+        return;
+      }
+      logAudit({ action: 'schedule.run', target: id });
+      const sch = await scheduler.runNow(id);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: sch.lastResult?.ok === true, schedule: sch }));
+      return;
+    }
+
+    // ---------- Rules API (admin) ----------
+    if (req.method === 'GET' && pathname === '/api/rules') {
+      const items = rules.list();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ items, count: items.length }));
+      return;
+    }
+    if (req.method === 'GET' && pathname === '/api/rules/activity') {
+      const limit = Math.max(1, Math.min(Number(urlObj.searchParams.get('limit')) || 50, 200));
+      const items = rules.recent(limit);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ items, count: items.length }));
+      return;
+    }
+    const ruleApi = pathname.match(/^\/api\/rules\/([^/]+)(\/test)?$/);
+    if ((req.method === 'POST' && pathname === '/api/rules') || (req.method === 'PUT' && ruleApi && !ruleApi[2])) {
+      const creating = req.method === 'POST';
+      const id = creating ? null : decodeURIComponent(ruleApi[1]);
+      const body = await readJsonBody(req);
+      const input = parseRuleBody(body);
+      const result = creating ? rules.create(input, user) : rules.update(id, input);
+      if (!result) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown rule' }));
+        return;
+      }
+      if (result.error) {
+        logAudit({ action: creating ? 'rule.create' : 'rule.update', target: id, payload: body, result: 'invalid' });
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: result.error }));
+        return;
+      }
+      const rule = result.rule;
+      logAudit({ action: creating ? 'rule.create' : 'rule.update', target: rule.id, payload: { name: rule.name, enabled: rule.enabled, dryRun: rule.dryRun, when: rule.when, actions: rule.actions } });
+      res.writeHead(creating ? 201 : 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, rule }));
+      return;
+    }
+    if (ruleApi && !ruleApi[2] && (req.method === 'GET' || req.method === 'DELETE')) {
+      const id = decodeURIComponent(ruleApi[1]);
+      const rule = rules.get(id);
+      if (!rule) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown rule' }));
+        return;
+      }
+      if (req.method === 'DELETE') {
+        rules.remove(id);
+        logAudit({ action: 'rule.delete', target: id, payload: { name: rule.name } });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, id }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(rule));
+      return;
+    }
+    // Dry evaluation against a hypothetical status: nothing is sent.
+    if (req.method === 'POST' && ruleApi && ruleApi[2]) {
+      const id = decodeURIComponent(ruleApi[1]);
+      const body = await readJsonBody(req);
+      const rule = rules.get(id);
+      const status = String(body.status ?? deviceStatus[rule?.when.device]?.status ?? '').trim();
+      const result = rule ? rules.test(id, status) : null;
+      if (!result) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown rule' }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, status, ...result }));
+      return;
+    }
+
+    // ---------- Webhooks API (admin) ----------
+    if (req.method === 'GET' && pathname === '/api/webhooks') {
+      const items = webhooks.list();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ items, count: items.length, events: WEBHOOK_EVENTS }));
+      return;
+    }
+    if (req.method === 'GET' && pathname === '/api/webhooks/deliveries') {
+      const q = urlObj.searchParams;
+      const items = webhooks.log({
+        webhook: q.get('webhook') || undefined,
+        status: q.get('status') || undefined,
+        limit: Math.max(1, Math.min(Number(q.get('limit')) || 100, 500))
+      });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ items, count: items.length }));
+      return;
+    }
+    const redeliverApi = pathname.match(/^\/api\/webhooks\/deliveries\/([^/]+)\/redeliver$/);
+    if (req.method === 'POST' && redeliverApi) {
+      const result = webhooks.redeliver(decodeURIComponent(redeliverApi[1]));
+      if (!result || result.error) {
+        res.writeHead(result ? 409 : 404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: result?.error ?? 'Unknown delivery' }));
+        return;
+      }
+      logAudit({ action: 'webhook.redeliver', target: result.delivery.webhook, payload: { delivery: decodeURIComponent(redeliverApi[1]), event: result.delivery.event } });
+      res.writeHead(202, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, delivery: result.delivery }));
+      return;
+    }
+    const webhookApi = pathname.match(/^\/api\/webhooks\/([^/]+)(\/test|\/rotate-secret)?$/);
+    if ((req.method === 'POST' && pathname === '/api/webhooks') || (req.method === 'PUT' && webhookApi && !webhookApi[2])) {
+      const creating = req.method === 'POST';
+      const id = creating ? null : decodeURIComponent(webhookApi[1]);
+      const body = await readJsonBody(req);
+      const input = {};
+      for (const k of ['url', 'events', 'description', 'enabled']) {
+        if (body[k] !== undefined) input[k] = body[k];
+      }
+      const result = creating ? webhooks.create(input, user) : webhooks.update(id, input);
+      if (!result) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown webhook' }));
+        return;
+      }
+      if (result.error) {
+        logAudit({ action: creating ? 'webhook.create' : 'webhook.update', target: id, payload: input, result: 'invalid' });
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: result.error }));
+        return;
+      }
+      const hook = result.webhook;
+      logAudit({ action: creating ? 'webhook.create' : 'webhook.update', target: hook.id, payload: { url: hook.url, events: hook.events, enabled: hook.enabled } });
+      res.writeHead(creating ? 201 : 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, webhook: hook }));
+      return;
+    }
+    if (webhookApi && !webhookApi[2] && (req.method === 'GET' || req.method === 'DELETE')) {
+      const id = decodeURIComponent(webhookApi[1]);
+      const hook = webhooks.get(id);
+      if (!hook) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown webhook' }));
+        return;
+      }
+      if (req.method === 'DELETE') {
+        webhooks.remove(id);
+        logAudit({ action: 'webhook.delete', target: id, payload: { url: hook.url } });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, id }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(hook));
+      return;
+    }
+    if (req.method === 'POST' && webhookApi && webhookApi[2]) {
+      const id = decodeURIComponent(webhookApi[1]);
+      const testing = webhookApi[2] === '/test';
+      const result = testing ? webhooks.test(id) : webhooks.rotateSecret(id);
+      if (!result) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown webhook' }));
+        return;
+      }
+      logAudit({ action: testing ? 'webhook.test' : 'webhook.rotate_secret', target: id });
+      res.writeHead(testing ? 202 : 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(testing ? { ok: true, delivery: result } : { ok: true, webhook: result }));
+      return;
+    }
+
+    // ---------- API tokens API (admin) ----------
+    if (req.method === 'GET' && pathname === '/api/tokens') {
+      const items = apiTokens.list();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ items, count: items.length, scopes: TOKEN_SCOPE_NAMES }));
+      return;
+    }
+    if (req.method === 'POST' && pathname === '/api/tokens') {
+      const body = await readJsonBody(req);
+      const result = apiTokens.create({ name: body.name, scopes: body.scopes }, user);
+      if (result.error) {
+        logAudit({ action: 'token.create', target: body.name ?? null, payload: { scopes: body.scopes }, result: 'invalid' });
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: result.error }));
+        return;
+      }
+      logAudit({ action: 'token.create', target: result.record.id, payload: { name: result.record.name, scopes: result.record.scopes } });
+      res.writeHead(201, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, token: result.token, ...result.record }));
+      return;
+    }
+    const tokenApi = pathname.match(/^\/api\/tokens\/([^/]+)$/);
+    if (req.method === 'DELETE' && tokenApi) {
+      const id = decodeURIComponent(tokenApi[1]);
+      const record = apiTokens.revoke(id);
+      if (!record) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown token' }));
+        return;
+      }
+      logAudit({ action: 'token.revoke', target: id, payload: { name: record.name } });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, ...record }));
+      return;
+    }
+
+    // ---------- MQTT explorer API (admin) ----------
+    if (req.method === 'GET' && pathname === '/api/mqtt/stream') {
+      mqttExplorerEvents.attach(req, res, { event: 'snapshot', data: { topics: topicLog.list(), clients: mqttClientList() } });
+      return;
+    }
+    if (req.method === 'GET' && pathname === '/api/mqtt/topics') {
+      const items = topicLog.list();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ items, count: items.length }));
+      return;
+    }
+    if (req.method === 'DELETE' && pathname === '/api/mqtt/topics') {
+      topicLog.clear();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true }));
+      return;
+    }
+    if (req.method === 'GET' && pathname === '/api/mqtt/messages') {
+      const topic = urlObj.searchParams.get('topic');
+      const limit = Number(urlObj.searchParams.get('limit') ?? 20);
+      if (!topic) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'topic is required' }));
+        return;
+      }
+      const items = topicLog.messages(topic, Number.isFinite(limit) && limit > 0 ? limit : 20);
+      if (!items) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'No messages seen on this topic' }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ topic, items, count: items.length }));
+      return;
+    }
+    if (req.method === 'GET' && pathname === '/api/mqtt/clients') {
+      const items = mqttClientList();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ items, count: items.length }));
+      return;
+    }
+    // Publishes as the broker itself: no ACL applies, and the registry ignores
+    // server-origin devices/status reports.
+    if (req.method === 'POST' && pathname === '/api/mqtt/publish') {
+      const body = await readJsonBody(req);
+      const parsed = parseExplorerPublish(body);
+      if (parsed.error) {
+        logAudit({ action: 'mqtt.publish', target: body.topic ?? null, payload: { encoding: body.encoding }, result: 'invalid' });
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: parsed.error }));
+        return;
+      }
+      const { topic, payload, qos, retain } = parsed;
+      aedes.publish({ topic, payload, qos, retain }, (err) => {
+        const result = err ? 'failed' : 'ok';
+        logAudit({ action: 'mqtt.publish', target: topic, payload: { size: payload.length, qos, retain, encoding: body.encoding ?? 'text' }, result });
+        if (err) {
+          res.writeHead(502, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: `Publish failed: ${err.message}` }));
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, topic, size: payload.length, qos, retain }));
+      });
+      return;
+    }
+
+    // ---------- Firmware & OTA API (operator; deleting images: admin) ----------
+    // multipart/form-data: file, version (optional when the filename has one), notes.
+    // Browser forms send the CSRF token as a _csrf field, scripts as X-CSRF-Token.
+    if (req.method === 'POST' && pathname === '/upload') {
+      if (!safeEqual(req.headers['x-csrf-token'], session.csrf)) {
+        logAudit({ action: 'csrf', target: 'POST /upload', result: 'denied' });
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Missing or invalid CSRF token. Reload the page and try again' }));
+        return;
+      }
+      const form = await readMultipart(req, { maxFileBytes: FIRMWARE_MAX_BYTES });
+      if (form.error) {
+        logAudit({ action: 'firmware.upload', result: 'invalid', payload: { error: form.error } });
+        res.writeHead(form.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: form.error }));
+        return;
+      }
+      const file = form.files.find(f => f.field === 'file');
+      const result = !file ? { error: 'file is required (form field "file")', code: 400 }
+        : await firmware.add({ filename: file.filename, version: form.fields.version, notes: form.fields.notes, data: file.data }, user);
+      if (result.error) {
+        logAudit({ action: 'firmware.upload', target: form.fields.version || null, payload: { filename: file?.filename, size: file?.data.length }, result: 'invalid' });
+        res.writeHead(result.code, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: result.error }));
+        return;
+      }
+      const { image } = result;
+      logAudit({ action: 'firmware.upload', target: image.version, payload: { id: image.id, filename: image.filename, size: image.size, sha256: image.sha256 } });
+      console.log(`[OTA] ${user} uploaded ${image.filename} (${image.version}, ${image.size} bytes)`);
+      res.writeHead(201, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, ...image, url: firmwareUrl(image, publicBaseUrl(req)) }));
+      return;
+    }
+    if (req.method === 'GET' && pathname === '/api/firmware') {
+      const items = firmware.list().map(f => ({ ...f, url: `/firmware/${f.id}/${encodeURIComponent(f.filename)}`, inUse: ota.uses(f.id) }));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ items, count: items.length, maxBytes: FIRMWARE_MAX_BYTES }));
+      return;
+    }
+    const firmwareApi = pathname.match(/^\/api\/firmware\/([^/]+)$/);
+    if (req.method === 'DELETE' && firmwareApi) {
+      const id = decodeURIComponent(firmwareApi[1]);
+      const image = firmware.get(id);
+      if (!image) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown firmware image' }));
+        return;
+      }
+      if (ota.uses(id)) {
+        res.writeHead(409, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: `Version ${image.version} is in a running rollout; cancel it first` }));
+        return;
+      }
+      await firmware.remove(id);
+      logAudit({ action: 'firmware.delete', target: image.version, payload: { id, filename: image.filename } });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, id }));
+      return;
+    }
+    // Image download: signed link (devices) or any signed-in user.
+    const firmwareFile = pathname.match(/^\/firmware\/([^/]+)\/[^/]+$/);
+    if (req.method === 'GET' && firmwareFile) {
+      const image = firmware.get(decodeURIComponent(firmwareFile[1]));
+      if (!image) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Unknown firmware image');
+        return;
+      }
+      const stream = fs.createReadStream(firmware.filePath(image.id));
+      stream.once('error', (err) => {
+        console.error(`[OTA] reading ${image.id} failed: ${err.message}`);
+        if (!res.headersSent) res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end();
+      });
+      stream.once('open', () => {
+        res.writeHead(200, {
+          'Content-Type': 'application/octet-stream',
+          'Content-Length': image.size,
+          'Content-Disposition': `attachment; filename="${image.filename}"`,
+          'ETag': `"${image.sha256}"`,
+          'Cache-Control': 'private, max-age=86400'
         });
-        const data = await res.json();
-        if (!res.ok || !data.ok) throw new Error(data.error ?? ('HTTP ' + res.status));
-        msg.textContent = 'Sent: ' + data.payload + ' (topic: ' + data.topic + ')';
-      } catch (e) {
-        console.error('Send error:', e);
-        err.textContent = 'Failed: ' + e.message;
-      }
-    }
-    document.getElementById('manual-send').addEventListener('click', async function() {
-      var device = document.getElementById('manual-device').value.trim();
-      var status = document.getElementById('manual-toggle').checked ? 'on' : 'off';
-      if (!device) { alert('Enter device name'); return; }
-      await sendCommand(device, status);
-    });
-    loadTable();
-  </script>
-</body>
-</html>`;
+        stream.pipe(res);
+      });
+      return;
+    }
+
+    if (req.method === 'GET' && pathname === '/api/ota/stream') {
+      otaEvents.attach(req, res, { event: 'snapshot', data: { items: ota.list() } });
+      return;
+    }
+    if (req.method === 'GET' && pathname === '/api/ota/rollouts') {
+      const items = ota.list();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ items, count: items.length, timeoutMs: ota.timeoutMs }));
+      return;
+    }
+    // { firmware: <image id>, device | devices: [...] | group | tag }
+    if (req.method === 'POST' && pathname === '/api/ota/rollouts') {
+      const body = await readJsonBody(req);
+      const image = firmware.get(String(body.firmware ?? ''));
+      const target = !image ? { error: 'Unknown firmware image', code: 404 } : resolveOtaTargets(body);
+      if (target.error) {
+        logAudit({ action: 'ota.start', target: image?.version ?? null, payload: body, result: 'invalid' });
+        res.writeHead(target.code, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: target.error }));
+        return;
+      }
+      const rollout = ota.start({ image, devices: target.devices, url: firmwareUrl(image, publicBaseUrl(req)), selector: target.selector }, user);
+      await Promise.all(target.devices.map(device => publishOta(device, ota.message(rollout))
+        .catch(err => ota.fail(rollout.id, device, `Publish failed: ${err.message}`))));
+      logAudit({ action: 'ota.start', target: image.version, payload: { rollout: rollout.id, devices: target.devices, ...target.selector } });
+      console.log(`[OTA] ${user} started rollout ${rollout.id}: ${image.version} -> ${target.devices.join(', ')}`);
+      res.writeHead(201, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, ...ota.get(rollout.id) }));
+      return;
+    }
+    const rolloutApi = pathname.match(/^\/api\/ota\/rollouts\/([^/]+)(\/cancel)?$/);
+    if (rolloutApi && ((req.method === 'GET' && !rolloutApi[2]) || (req.method === 'POST' && rolloutApi[2]))) {
+      const id = decodeURIComponent(rolloutApi[1]);
+      if (!ota.get(id)) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown rollout' }));
+        return;
+      }
+      if (rolloutApi[2]) {
+        const stopped = ota.cancel(id);
+        await Promise.all(stopped.map(device => (ota.current(device) ? null : publishOta(device, null).catch(() => {}))));
+        logAudit({ action: 'ota.cancel', target: id, payload: { devices: stopped } });
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(ota.get(id)));
+      return;
+    }
+
+    // ---------- Alerts API (viewer; silences: operator; rules & channels: admin) ----------
+    if (req.method === 'GET' && pathname === '/api/alerts') {
+      const { firing, resolved } = alerts.list();
+      const ruleNames = alerts.listRules().map(r => ({ id: r.id, name: r.name }));
+      const channelNames = alertChannels.list().map(c => ({ id: c.id, name: c.name }));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ firing, resolved, count: firing.length, rules: ruleNames, channels: channelNames }));
+      return;
+    }
+    if (req.method === 'GET' && pathname === '/api/alerts/stream') {
+      alertEvents.attach(req, res, { event: 'snapshot', data: alerts.list() });
+      return;
+    }
+    if (req.method === 'GET' && pathname === '/api/alerts/rules') {
+      const items = alerts.listRules();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ items, count: items.length, kinds: ALERT_KINDS, severities: ALERT_SEVERITIES }));
+      return;
+    }
+    const alertRuleApi = pathname.match(/^\/api\/alerts\/rules\/([^/]+)$/);
+    if ((req.method === 'POST' && pathname === '/api/alerts/rules') || (req.method === 'PUT' && alertRuleApi)) {
+      const creating = req.method === 'POST';
+      const id = creating ? null : decodeURIComponent(alertRuleApi[1]);
+      const body = await readJsonBody(req);
+      const input = parseAlertRuleBody(body);
+      const result = creating ? alerts.createRule(input, user) : alerts.updateRule(id, input);
+      if (!result) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown alert rule' }));
+        return;
+      }
+      if (result.error) {
+        logAudit({ action: creating ? 'alert.rule.create' : 'alert.rule.update', target: id, payload: body, result: 'invalid' });
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: result.error }));
+        return;
+      }
+      const rule = result.rule;
+      logAudit({ action: creating ? 'alert.rule.create' : 'alert.rule.update', target: rule.id, payload: { name: rule.name, enabled: rule.enabled, kind: rule.kind, scope: rule.scope, params: rule.params, channels: rule.channels } });
+      res.writeHead(creating ? 201 : 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, rule }));
+      return;
+    }
+    if (alertRuleApi && (req.method === 'GET' || req.method === 'DELETE')) {
+      const id = decodeURIComponent(alertRuleApi[1]);
+      const rule = alerts.getRule(id);
+      if (!rule) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown alert rule' }));
+        return;
+      }
+      if (req.method === 'DELETE') {
+        alerts.removeRule(id);
+        logAudit({ action: 'alert.rule.delete', target: id, payload: { name: rule.name } });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, id }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(rule));
+      return;
+    }
+    if (req.method === 'GET' && pathname === '/api/alerts/silences') {
+      const items = alerts.listSilences();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ items, count: items.length }));
+      return;
+    }
+    // { rule?, device?, comment?, startsAt?, endsAt | durationMs }; no rule and no device silences everything.
+    if (req.method === 'POST' && pathname === '/api/alerts/silences') {
+      const body = await readJsonBody(req);
+      const result = alerts.createSilence(body, user);
+      if (result.error) {
+        logAudit({ action: 'alert.silence.create', payload: body, result: 'invalid' });
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: result.error }));
+        return;
+      }
+      const { silence } = result;
+      logAudit({ action: 'alert.silence.create', target: silence.id, payload: { rule: silence.rule, device: silence.device, endsAt: silence.endsAt, comment: silence.comment } });
+      res.writeHead(201, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, silence }));
+      return;
+    }
+    // Silences are expired rather than deleted, so the record stays visible for a day.
+    const silenceApi = pathname.match(/^\/api\/alerts\/silences\/([^/]+)$/);
+    if (req.method === 'DELETE' && silenceApi) {
+      const id = decodeURIComponent(silenceApi[1]);
+      const silence = alerts.expireSilence(id);
+      if (!silence) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown silence' }));
+        return;
+      }
+      logAudit({ action: 'alert.silence.expire', target: id });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, silence }));
+      return;
+    }
+    if (req.method === 'GET' && pathname === '/api/alerts/channels') {
+      const items = alertChannels.list();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ items, count: items.length, types: Object.keys(NOTIFIERS) }));
+      return;
+    }
+    const channelApi = pathname.match(/^\/api\/alerts\/channels\/([^/]+)(\/test)?$/);
+    if ((req.method === 'POST' && pathname === '/api/alerts/channels') || (req.method === 'PUT' && channelApi && !channelApi[2])) {
+      const creating = req.method === 'POST';
+      const id = creating ? null : decodeURIComponent(channelApi[1]);
+      const body = await readJsonBody(req);
+      const input = {};
+      for (const k of ['name', 'type', 'enabled', 'config']) if (body[k] !== undefined) input[k] = body[k];
+      const result = creating ? alertChannels.create(input, user) : alertChannels.update(id, input);
+      if (!result) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown channel' }));
+        return;
+      }
+      if (result.error) {
+        logAudit({ action: creating ? 'alert.channel.create' : 'alert.channel.update', target: id, payload: { name: body.name, type: body.type }, result: 'invalid' });
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: result.error }));
+        return;
+      }
+      const { channel } = result;
+      logAudit({ action: creating ? 'alert.channel.create' : 'alert.channel.update', target: channel.id, payload: { name: channel.name, type: channel.type, config: channel.config } });
+      res.writeHead(creating ? 201 : 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, channel }));
+      return;
+    }
+    if (channelApi && ((!channelApi[2] && (req.method === 'GET' || req.method === 'DELETE')) || (channelApi[2] && req.method === 'POST'))) {
+      const id = decodeURIComponent(channelApi[1]);
+      const channel = alertChannels.get(id);
+      if (!channel) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown channel' }));
+        return;
+      }
+      if (channelApi[2]) {
+        const result = await alertChannels.test(id);
+        logAudit({ action: 'alert.channel.test', target: id, payload: result, result: result.ok ? 'ok' : 'failed' });
+        res.writeHead(result.ok ? 200 : 502, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result.ok ? result : { error: result.error }));
+        return;
+      }
+      if (req.method === 'DELETE') {
+        const usedBy = alerts.listRules().filter(r => r.channels.includes(id)).map(r => r.name);
+        if (usedBy.length) {
+          res.writeHead(409, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: `Channel is used by alert rule(s): ${usedBy.join(', ')}` }));
+          return;
+        }
+        alertChannels.remove(id);
+        logAudit({ action: 'alert.channel.delete', target: id, payload: { name: channel.name } });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, id }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(channel));
+      return;
+    }
+
+    // ---------- Settings API (admin) ----------
+    if (req.method === 'GET' && pathname === '/api/settings') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ items: settings.list(), file: config.file }));
+      return;
+    }
+    if (req.method === 'PUT' && pathname === '/api/settings') {
+      const body = await readJsonBody(req);
+      const result = settings.update(body);
+      if (result.error) {
+        logAudit({ action: 'settings.update', payload: body, result: 'invalid' });
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: result.error }));
+        return;
+      }
+      if (Object.keys(result.changes).length) logAudit({ action: 'settings.update', payload: result.changes });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, changes: result.changes, items: Object.keys(body).map(settings.describe) }));
+      return;
+    }
+    const settingApi = pathname.match(/^\/api\/settings\/([^/]+)$/);
+    if (settingApi && (req.method === 'GET' || req.method === 'DELETE')) {
+      const key = decodeURIComponent(settingApi[1]);
+      if (!settings.has(key)) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown setting' }));
+        return;
+      }
+      if (req.method === 'DELETE') {
+        const change = settings.reset(key);
+        if (change) logAudit({ action: 'settings.reset', target: key, payload: change });
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(settings.describe(key)));
+      return;
+    }
+
+    // ---------- Devices UI (protected) ----------
+    if (req.method === 'GET' && pathname === '/devices') {
+      const html = views.devices({ staleMs: settings.get('STALE_MS'), csrf: csrfToken, canControl: roleAtLeast(account.role, 'operator') });
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+      return;
+    }
+
+    // ---------- Device detail UI (protected) ----------
+    const devicePage = pathname.match(/^\/devices\/([^/]+)$/);
+    if (req.method === 'GET' && devicePage) {
+      const device = decodeURIComponent(devicePage[1]);
+      const html = views.deviceDetail({
+        device, rawMs: TELEMETRY_RAW_MS, retentionMs: TELEMETRY_RETENTION_MS, csrf: csrfToken,
+        canEdit: roleAtLeast(account.role, 'operator'), isAdmin: roleAtLeast(account.role, 'admin')
+      });
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+      return;
+    }
+
+    // ---------- Device history UI (protected) ----------
+    const historyPage = pathname.match(/^\/devices\/([^/]+)\/history$/);
+    if (req.method === 'GET' && historyPage) {
+      const device = decodeURIComponent(historyPage[1]);
+      const html = views.deviceHistory({ device, historyLimit: HISTORY_LIMIT });
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+      return;
+    }
+
+    // ---------- Device credentials UI (protected) ----------
+    if (req.method === 'GET' && pathname === '/credentials') {
+      const html = views.credentials({ csrf: csrfToken, wsPath: WS_PATH, allowAnonymous: MQTT_ALLOW_ANONYMOUS });
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+      return;
+    }
+
+    // ---------- Users UI (admin) ----------
+    if (req.method === 'GET' && pathname === '/users') {
+      const html = views.users({ csrf: csrfToken, username: user });
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+      return;
+    }
+
+    // ---------- Audit UI (admin) ----------
+    if (req.method === 'GET' && pathname === '/audit') {
+      const html = views.audit({ auditDir: AUDIT_DIR });
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+      return;
+    }
+
+    // ---------- Schedules UI (operator) ----------
+    if (req.method === 'GET' && pathname === '/schedules') {
+      const html = views.schedules({ csrf: csrfToken, maxLatenessMs: SCHEDULE_MAX_LATENESS_MS });
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+      return;
+    }
+
+    // ---------- Rules UI (admin) ----------
+    if (req.method === 'GET' && pathname === '/rules') {
+      const html = views.rules({ csrf: csrfToken });
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+      return;
+    }
+
+    // ---------- Webhooks UI (admin) ----------
+    if (req.method === 'GET' && pathname === '/webhooks') {
+      const html = views.webhooks({ csrf: csrfToken, timeoutMs: WEBHOOK_TIMEOUT_MS, maxAttempts: WEBHOOK_MAX_ATTEMPTS, backoffMs: WEBHOOK_BACKOFF_MS });
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+      return;
+    }
+
+    // ---------- API tokens UI (admin) ----------
+    if (req.method === 'GET' && pathname === '/tokens') {
+      const html = views.tokens({ csrf: csrfToken });
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+      return;
+    }
+
+    // ---------- MQTT explorer UI (admin) ----------
+    if (req.method === 'GET' && pathname === '/mqtt-explorer') {
+      const html = views.mqttExplorer({ csrf: csrfToken, perTopic: MQTT_EXPLORER_PER_TOPIC });
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+      return;
+    }
+
+    // ---------- Groups & tags UI (operator) ----------
+    if (req.method === 'GET' && pathname === '/groups') {
+      const html = views.groups({ csrf: csrfToken });
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+      return;
+    }
+
+    // ---------- Alerts UI (protected; silences: operator; rules & channels: admin) ----------
+    if (req.method === 'GET' && pathname === '/alerts') {
+      const html = views.alerts({
+        csrf: csrfToken,
+        canSilence: roleAtLeast(account.role, 'operator'),
+        isAdmin: account.role === 'admin',
+        kinds: ALERT_KINDS,
+        severities: ALERT_SEVERITIES,
+        channelTypes: Object.keys(NOTIFIERS)
+      });
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+      return;
+    }
+
+    // ---------- Settings UI (admin) ----------
+    if (req.method === 'GET' && pathname === '/settings') {
+      const html = views.settings({ csrf: csrfToken, file: config.file });
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+      return;
+    }
+
+    // ---------- Firmware & OTA UI (operator) ----------
+    if (req.method === 'GET' && pathname === '/firmware') {
+      const html = views.firmware({ csrf: csrfToken, maxBytes: FIRMWARE_MAX_BYTES, timeoutMs: OTA_TIMEOUT_MS, isAdmin: account.role === 'admin' });
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+      return;
+    }
+
+    // ---------- Sessions UI (own sessions) ----------
+    if (req.method === 'GET' && pathname === '/sessions') {
+      const html = views.sessions({ csrf: csrfToken, username: account.username, maxAgeMs: SESSION_MAX_AGE });
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+      return;
+    }
+
+    // ---------- Control UI (protected) ----------
+    if (req.method === 'GET' && pathname === '/control') {
+      const html = views.control({
+        commandTopic: {
+          mode: settings.get('COMMAND_TOPIC_MODE'), topic: settings.get('COMMAND_TOPIC'), template: COMMAND_TOPIC_TEMPLATE,
+          encoding: settings.get('COMMAND_ENCODING'), payload: commandRouter.encode('device_name', '<id>', { status: 'on|off' })
+        },
+        ackTimeoutMs: COMMAND_ACK_TIMEOUT_MS,
+        csrf: csrfToken,
+        isAdmin: account.role === 'admin'
+      });
       res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
       res.end(html);
       return;
@@ -615,19 +2648,79 @@ const server = http.createServer((req, res) => {
     // ---------- 404 ----------
     res.writeHead(404, { 'Content-Type': 'text/plain' });
     res.end('Not found');
-  });
+  };
+  // Errors with a status (an oversized body, see lib/http) answer with it; anything else
+  // is a 500. Either way the broker keeps running.
+  logger(req, res, () => handle().catch((err) => {
+    const status = err.status ?? 500;
+    const message = err.status ? err.message : 'Internal server error';
+    if (!err.status) console.error(`[HTTP] ${req.method} ${req.url} failed:`, err);
+    if (res.headersSent) {
+      res.destroy();
+    } else if (req.url.startsWith('/api/')) {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: message }));
+    } else {
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(message);
+    }
+  }));
 });
 
 // ---------- WebSocket endpoint for MQTT ----------
 const wss = new ws.Server({ server, path: WS_PATH });
-wss.on('connection', (socket) => {
+wss.on('connection', (socket, req) => {
+  trackMqttSocket(req.socket);
   const stream = ws.createWebSocketStream(socket);
   aedes.handle(stream);
 });
 
+// ---------- Raw MQTT listeners (optional) ----------
+// Plain TCP and TLS for devices and bridges that cannot speak WebSockets. They feed the
+// same aedes instance, so auth, ACLs and the registry behave exactly as on /mqtt.
+const mqttListeners = { ws: WS_PATH, tcp: null, tls: null }; // ports actually listening (see /health)
+function listenMqtt(kind, srv, port) {
+  srv.on('error', (err) => console.error(`[MQTT] ${kind} listener on port ${port} failed: ${err.message}`));
+  srv.listen(port, () => {
+    mqttListeners[kind] = port;
+    console.log(`${kind.toUpperCase()} MQTT endpoint: ${kind === 'tls' ? 'mqtts' : 'mqtt'}://<your-host>:${port}`);
+  });
+}
+if (MQTT_TCP_PORT) {
+  listenMqtt('tcp', net.createServer((sock) => {
+    trackMqttSocket(sock);
+    aedes.handle(sock);
+  }), MQTT_TCP_PORT);
+}
+if (MQTT_TLS_PORT) {
+  let tlsOptions = null;
+  try {
+    tlsOptions = { cert: fs.readFileSync(MQTT_TLS_CERT), key: fs.readFileSync(MQTT_TLS_KEY) };
+  } catch (err) {
+    console.error(`[MQTT] tls listener disabled: cannot read MQTT_TLS_CERT / MQTT_TLS_KEY (${err.message})`);
+  }
+  if (tlsOptions) {
+    listenMqtt('tls', tls.createServer(tlsOptions, (sock) => {
+      trackMqttSocket(sock);
+      aedes.handle(sock);
+    }), MQTT_TLS_PORT);
+  }
+}
+
 // ---------- Start ----------
 server.listen(PORT, () => {
   console.log(`Broker + UI + Login listening on PORT=${PORT}`);
   console.log('WS MQTT endpoint: ws(s)://<your-host>' + WS_PATH);
   console.log('Landing: GET / • Status: GET /devices • Control: GET /control • Health: GET /health • Login: GET/POST /login • Logout: GET /logout');
+  console.log(`Device store: ${deviceStore.driver}${deviceStore.file ? ` (${deviceStore.file})` : ''} • ${Object.keys(deviceStatus).length} device(s) restored`);
 });
+
+// ---------- Shutdown ----------
+// Railway sends SIGTERM on redeploy; write any pending registry changes first.
+for (const sig of ['SIGTERM', 'SIGINT']) {
+  process.once(sig, () => {
+    telemetry.persist(); // snapshots are otherwise only taken once a minute
+    flushAll();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,42 @@
+// The audit log: rotation, queries across rotated files, and what the routes record.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createAuditLog } = require('../lib/audit');
+const { startServer, session } = require('./helpers');
+
+test('the audit log rotates and queries newest first across files', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mqtt-ws-broker-audit-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const audit = createAuditLog({ dir, maxBytes: 400, maxFiles: 2 });
+
+  for (let i = 0; i < 12; i++) audit.record({ actor: i % 2 ? 'bob' : 'alice', action: i % 3 ? 'user.create' : 'login', target: `t${i}` });
+  const files = fs.readdirSync(dir);
+  assert.ok(files.includes('audit.jsonl'));
+  assert.ok(files.filter((f) => f.startsWith('audit-')).length <= 2, files.join(', '));
+
+  const all = await audit.query({ limit: 100 });
+  assert.equal(all[0].target, 't11');
+  assert.ok(all.every((e, i) => i === 0 || e.ts <= all[i - 1].ts));
+  assert.deepEqual((await audit.query({ action: 'user', actor: 'bob', limit: 2 })).map((e) => e.target), ['t11', 't7']);
+  assert.deepEqual(await audit.query({ action: 'use' }), []);
+});
+
+test('admin actions and denied requests are audited', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  const admin = await session(srv.base);
+  assert.equal((await admin('POST', '/api/users', { username: 'viewer', password: 'viewer-password', role: 'viewer' })).status, 201);
+  const viewer = await session(srv.base, { user: 'viewer', pass: 'viewer-password' });
+  assert.equal((await viewer('GET', '/api/audit')).status, 403);
+
+  const created = await (await admin('GET', '/api/audit?action=user')).json();
+  assert.deepEqual(created.items.map((e) => [e.actor, e.action, e.target, e.result]), [['admin', 'user.create', 'viewer', 'ok']]);
+  assert.deepEqual(created.items[0].payload, { role: 'viewer' });
+
+  const denied = await (await admin('GET', '/api/audit?result=denied')).json();
+  assert.deepEqual(denied.items.map((e) => [e.actor, e.action, e.target]), [['viewer', 'access', 'GET /api/audit']]);
+  assert.equal((await admin('GET', '/api/audit?from=yesterday')).status, 400);
+});
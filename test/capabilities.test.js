@@ -0,0 +1,59 @@
+// Capability schemas and command validation.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeSchema, validateCommand } = require('../lib/capabilities');
+
+const { schema } = normalizeSchema({
+  capabilities: {
+    power: { type: 'boolean' },
+    brightness: { type: 'number', min: 0, max: 100, step: 5, unit: '%' },
+    mode: { type: 'enum', values: ['auto', 'heat', 'cool'] },
+    label: { type: 'string', maxLength: 8 }
+  }
+});
+
+test('normalizeSchema keeps known attributes and rejects bad definitions', () => {
+  assert.deepEqual(schema.brightness, { type: 'number', min: 0, max: 100, step: 5, unit: '%' });
+  assert.deepEqual(normalizeSchema({ capabilities: { a: { type: 'number', min: 5, max: 1 } } }), { error: 'a: min > max' });
+  assert.deepEqual(normalizeSchema({ capabilities: { a: { type: 'enum', values: [] } } }), { error: 'a: values must be a non-empty array' });
+  assert.deepEqual(normalizeSchema({ capabilities: { a: { type: 'color' } } }), { error: 'a: type must be one of boolean|number|enum|string' });
+  assert.deepEqual(normalizeSchema({ capabilities: {} }), { error: 'No capabilities declared' });
+  assert.match(normalizeSchema([]).error, /^Expected/);
+});
+
+test('normalizeSchema rejects names that collide with Object.prototype', () => {
+  for (const name of ['constructor', 'prototype']) {
+    assert.deepEqual(normalizeSchema({ capabilities: { [name]: { type: 'boolean' } } }), { error: `Invalid capability name "${name}"` });
+  }
+  const raw = JSON.parse('{ "capabilities": { "__proto__": { "type": "boolean" } } }');
+  assert.deepEqual(normalizeSchema(raw), { error: 'Invalid capability name "__proto__"' });
+});
+
+test('validateCommand coerces valid values', () => {
+  assert.deepEqual(validateCommand(schema, { power: true, brightness: 35, mode: 'heat', label: 'desk' }),
+    { value: { power: true, brightness: 35, mode: 'heat', label: 'desk' } });
+});
+
+test('validateCommand reports every invalid field', () => {
+  assert.deepEqual(validateCommand(schema, { power: 'yes', brightness: 101, mode: 'dry', label: 'far too long', fan: 1 }), {
+    errors: [
+      'power: expected boolean',
+      'brightness: must be <= 100',
+      'mode: expected one of auto|heat|cool',
+      'label: longer than 8',
+      'fan: unknown capability'
+    ]
+  });
+  assert.deepEqual(validateCommand(schema, { brightness: 7 }), { errors: ['brightness: must be a multiple of 5'] });
+  assert.deepEqual(validateCommand(schema, { brightness: -5 }), { errors: ['brightness: must be >= 0'] });
+  assert.deepEqual(validateCommand(schema, {}), { errors: ['command is empty'] });
+  assert.deepEqual(validateCommand(schema, null), { errors: ['command must be an object'] });
+  assert.deepEqual(validateCommand(schema, [true]), { errors: ['command must be an object'] });
+});
+
+test('validateCommand does not accept inherited keys as capabilities', () => {
+  for (const key of ['toString', 'constructor', 'hasOwnProperty', 'valueOf']) {
+    assert.deepEqual(validateCommand(schema, { [key]: 'x' }), { errors: [`${key}: unknown capability`] }, key);
+  }
+  assert.deepEqual(validateCommand(schema, JSON.parse('{ "__proto__": { "type": "boolean" } }')), { errors: ['__proto__: unknown capability'] });
+});
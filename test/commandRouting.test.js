@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../lib/store');
+const { createCommandRouter } = require('../lib/commandRouting');
+
+const router = (options = {}) => createCommandRouter({
+  store: createStore('command-routing', { driver: 'memory' }),
+  legacyTopic: 'devices/command',
+  template: 'devices/{device}/command',
+  ...options
+});
+
+test('colon payloads stay "<device>:<on|off>" by default', () => {
+  assert.equal(router().encode('lamp', 'c1', { status: 'on' }), 'lamp:on');
+});
+
+test('the command id goes out with colon-id, json or COMMAND_INCLUDE_ID', () => {
+  const r = router();
+  r.configure('lamp', { encoding: 'colon-id' });
+  assert.equal(r.encode('lamp', 'c1', { status: 'off' }), 'lamp:off:c1');
+  r.configure('lamp', { encoding: 'json' });
+  assert.deepEqual(JSON.parse(r.encode('lamp', 'c1', { status: 'on' })), { device: 'lamp', id: 'c1', status: 'on' });
+  assert.equal(r.encode('other', 'c2', { status: 'on' }), 'other:on');
+  assert.equal(router({ includeId: true }).encode('lamp', 'c1', { status: 'on' }), 'lamp:on:c1');
+  assert.equal(router({ defaultEncoding: 'colon-id' }).encode('lamp', 'c1', { status: 'on' }), 'lamp:on:c1');
+});
+
+test('capability commands are always JSON with the id', () => {
+  assert.deepEqual(JSON.parse(router().encode('lamp', 'c1', { command: { level: 3 } })), { device: 'lamp', id: 'c1', command: { level: 3 } });
+});
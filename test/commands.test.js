@@ -0,0 +1,34 @@
+// Commands over the shared topic and their acknowledgements.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, session, mqttConnect } = require('./helpers');
+
+async function until(check) {
+  for (let i = 0; i < 100 && !(await check()); i++) await new Promise((r) => setTimeout(r, 20));
+  assert.ok(await check());
+}
+
+test('commands keep the "<device>:<on|off>" payload and an id-less ack settles the newest', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  const request = await session(srv.base);
+  const lamp = await mqttConnect(srv.base);
+  t.after(() => lamp.end());
+  await lamp.subscribe('devices/command');
+
+  const { id, payload } = await (await request('POST', '/api/command', { device: 'lamp', status: 'on' })).json();
+  assert.equal(payload, 'lamp:on');
+  await until(() => lamp.messages.length === 1);
+  assert.deepEqual(lamp.messages[0], { topic: 'devices/command', payload: 'lamp:on' });
+
+  lamp.publish('devices/lamp/ack', '{"ok":true}');
+  await until(async () => (await (await request('GET', `/api/commands/${id}`)).json()).status === 'acked');
+});
+
+test('COMMAND_INCLUDE_ID=true appends the id', async (t) => {
+  const srv = await startServer({ COMMAND_INCLUDE_ID: 'true' });
+  t.after(() => srv.stop());
+  const request = await session(srv.base);
+  const { id, payload } = await (await request('POST', '/api/command', { device: 'lamp', status: 'off' })).json();
+  assert.equal(payload, `lamp:off:${id}`);
+});
@@ -0,0 +1,72 @@
+// Configuration: layered loading, fail-fast validation and runtime (hot) settings.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { loadConfig } = require('../lib/config');
+const { startServer, session, mqttConnect } = require('./helpers');
+
+test('loadConfig layers defaults, the config file and env, and lists every error', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mqtt-ws-broker-config-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'config.json');
+  fs.writeFileSync(file, JSON.stringify({ PORT: 4000, STALE_MS: 60000, DATA_DIR: '/srv/data' }));
+
+  const ok = loadConfig({ env: { CONFIG_FILE: file, STALE_MS: '45000', COOKIE_SECURE: '' } });
+  assert.deepEqual(ok.errors, []);
+  assert.deepEqual([ok.values.PORT, ok.values.STALE_MS, ok.values.COOKIE_SECURE], [4000, 45000, false]);
+  assert.deepEqual([ok.sources.PORT, ok.sources.STALE_MS, ok.sources.COOKIE_SECURE], ['file', 'env', 'default']);
+  assert.equal(ok.values.AUDIT_DIR, path.join('/srv/data', 'audit'));
+
+  fs.writeFileSync(file, JSON.stringify({ PORTT: 1 }));
+  const bad = loadConfig({ env: { CONFIG_FILE: file, PORT: 'eighty', STALE_MS: '10', COMMAND_TOPIC: 'devices/#' } });
+  assert.deepEqual(bad.errors, [
+    'PORTT (config file): unknown setting',
+    'PORT (env): must be a whole number, got "eighty"',
+    'STALE_MS (env): must be at least 1000, got 10',
+    'COMMAND_TOPIC (env): must not contain MQTT wildcards'
+  ]);
+  assert.match(loadConfig({ env: { CONFIG_FILE: path.join(dir, 'missing.json') } }).errors[0], /not found/);
+});
+
+test('the server refuses to start with an invalid setting', async () => {
+  await assert.rejects(startServer({ STALE_MS: 'soon', COMMAND_QOS: '3' }), (err) => {
+    assert.match(err.message, /server exited during startup/);
+    assert.match(err.message, /STALE_MS \(env\): must be a whole number/);
+    assert.match(err.message, /COMMAND_QOS \(env\): must be at most 2/);
+    return true;
+  });
+});
+
+test('hot settings are validated, applied at once and can be reset', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  const request = await session(srv.base);
+
+  for (const [body, error] of [
+    [{ STALE_MS: 500 }, /STALE_MS: must be at least 1000/],
+    [{ PORT: 4000 }, /PORT: set in the config file or environment/],
+    [{ NOPE: 1 }, /NOPE: unknown setting/],
+    [{ STALE_MS: 60000, COMMAND_TOPIC: 'a/+' }, /COMMAND_TOPIC: must not contain MQTT wildcards/]
+  ]) {
+    const res = await request('PUT', '/api/settings', body);
+    assert.equal(res.status, 400, JSON.stringify(body));
+    assert.match((await res.json()).error, error);
+  }
+  // All or nothing: the valid STALE_MS above was not applied either.
+  assert.equal((await (await request('GET', '/api/settings/STALE_MS')).json()).source, 'default');
+
+  const client = await mqttConnect(srv.base);
+  t.after(() => client.end());
+  assert.equal(await client.subscribe('site/commands'), 0);
+  let res = await request('PUT', '/api/settings', { COMMAND_TOPIC: 'site/commands' });
+  assert.equal(res.status, 200);
+  assert.deepEqual((await res.json()).changes, { COMMAND_TOPIC: { from: 'devices/command', to: 'site/commands' } });
+  assert.equal((await request('POST', '/api/command', { device: 'lamp', status: 'on' })).status, 200);
+  await client.flush();
+  assert.deepEqual(client.messages.map((m) => [m.topic, String(m.payload)]), [['site/commands', 'lamp:on']]);
+
+  const reset = await (await request('DELETE', '/api/settings/COMMAND_TOPIC')).json();
+  assert.deepEqual([reset.value, reset.source], ['devices/command', 'default']);
+});
@@ -0,0 +1,31 @@
+// Device names that would collide with the collection endpoints under /api/devices/.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidDeviceName } = require('../lib/mqttAuth');
+const { startServer, session } = require('./helpers');
+
+test('isValidDeviceName rejects reserved names', () => {
+  for (const name of ['sensor-1', 'lamp_2.b', 'streams', 'Quarantine', 'x'.repeat(64)]) assert.equal(isValidDeviceName(name), true, name);
+  for (const name of ['quarantine', 'stream', '', 'a/b', 'a b', 'x'.repeat(65), null]) assert.equal(isValidDeviceName(name), false, String(name));
+});
+
+test('reserved names cannot be registered or given credentials', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  const request = await session(srv.base);
+
+  for (const name of ['quarantine', 'stream']) {
+    let res = await request('POST', '/api/devices', { device: name });
+    assert.equal(res.status, 400, name);
+    assert.match((await res.json()).error, /not quarantine or stream/);
+    res = await request('POST', '/api/credentials', { device: name });
+    assert.equal(res.status, 400, name);
+  }
+  const created = await request('POST', '/api/devices', { device: 'streamer' });
+  assert.equal(created.status, 201, await created.clone().text());
+  assert.equal((await (await request('GET', '/api/devices/streamer')).json()).device, 'streamer');
+
+  const quarantine = await request('GET', '/api/devices/quarantine');
+  assert.equal(quarantine.status, 200);
+  assert.ok(Array.isArray((await quarantine.json()).items));
+});
@@ -0,0 +1,53 @@
+// The admin MQTT explorer API: recorded traffic, connected clients and test publishes.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, session, mqttConnect } = require('./helpers');
+
+test('the explorer records traffic, lists clients and publishes as the broker', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  const request = await session(srv.base);
+  const client = await mqttConnect(srv.base, { clientId: 'sensor-gw' });
+  t.after(() => client.end());
+  assert.equal(await client.subscribe('lab/#'), 0);
+  await client.publish('lab/temp', '{"c":21.5}');
+  await client.publish('lab/raw', Buffer.from([0xff, 0x00]));
+  await client.flush();
+
+  // A QoS 0 publish can still be on its way through the broker after the ping round trip.
+  let topics = [];
+  for (let i = 0; i < 50 && topics.length < 2; i++) {
+    if (i) await new Promise((r) => setTimeout(r, 100));
+    topics = (await (await request('GET', '/api/mqtt/topics')).json()).items;
+  }
+  const temp = topics.find((x) => x.topic === 'lab/temp');
+  assert.equal(temp.count, 1);
+  assert.equal(temp.lastClient, 'sensor-gw');
+  const { items } = await (await request('GET', '/api/mqtt/messages?topic=lab%2Fraw')).json();
+  assert.deepEqual([items[0].text, items[0].hex, items[0].client], [null, 'ff00', 'sensor-gw']);
+  assert.equal((await request('GET', '/api/mqtt/messages?topic=lab%2Fnone')).status, 404);
+  assert.equal((await request('GET', '/api/mqtt/messages')).status, 400);
+
+  const clients = (await (await request('GET', '/api/mqtt/clients')).json()).items;
+  assert.deepEqual(clients.find((c) => c.id === 'sensor-gw').subscriptions, ['lab/#']);
+
+  let res = await request('POST', '/api/mqtt/publish', { topic: 'lab/cmd', payload: { on: true }, encoding: 'json', qos: 1 });
+  assert.equal(res.status, 200, await res.clone().text());
+  await client.flush();
+  assert.deepEqual(client.messages.filter((m) => m.topic === 'lab/cmd').map((m) => String(m.payload)), ['{"on":true}']);
+
+  for (const [body, error] of [
+    [{ topic: 'lab/#', payload: 'x' }, /wildcards/],
+    [{ topic: '$SYS/x', payload: 'x' }, /reserved/],
+    [{ topic: 'lab/x', payload: 'zz', encoding: 'hex' }, /hex digits/],
+    [{ topic: 'lab/x', payload: '{', encoding: 'json' }, /not valid JSON/],
+    [{ topic: 'lab/x', qos: 3 }, /qos/]
+  ]) {
+    res = await request('POST', '/api/mqtt/publish', body);
+    assert.equal(res.status, 400, JSON.stringify(body));
+    assert.match((await res.json()).error, error);
+  }
+
+  assert.equal((await request('DELETE', '/api/mqtt/topics')).status, 200);
+  assert.deepEqual((await (await request('GET', '/api/mqtt/topics')).json()).items, []);
+});
@@ -0,0 +1,44 @@
+// Nested groups, device tags and group/tag command fan-out.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, session, mqttConnect } = require('./helpers');
+
+test('commands fan out to every device of a group subtree or tag', async (t) => {
+  const srv = await startServer({ DEVICE_QUARANTINE: 'false' });
+  t.after(() => srv.stop());
+  const request = await session(srv.base);
+  const client = await mqttConnect(srv.base);
+  for (const device of ['lamp', 'fan', 'heater', 'pump']) await client.publish('devices/status', `${device}:off`);
+  await client.flush();
+  await client.end();
+
+  const create = (body) => request('POST', '/api/groups', body);
+  assert.equal((await create({ name: 'building', devices: ['pump'] })).status, 201);
+  const floor = await create({ name: 'floor-1', parent: 'building', devices: ['lamp', 'fan'] });
+  assert.deepEqual((await floor.json()).group.members, ['fan', 'lamp']);
+  assert.equal((await create({ name: 'floor-1' })).status, 400);
+  const cycle = await request('PUT', '/api/groups/building', { parent: 'floor-1' });
+  assert.equal(cycle.status, 400);
+  assert.match((await cycle.json()).error, /nested inside itself/);
+  for (const device of ['heater', 'lamp']) {
+    assert.equal((await request('PUT', `/api/devices/${device}/tags`, { tags: ['warm', 'warm', ' indoor '] })).status, 200);
+  }
+  assert.equal((await request('PUT', '/api/devices/lamp/tags', { tags: ['no spaces'] })).status, 400);
+  assert.deepEqual((await (await request('GET', '/api/groups')).json()).tags, ['indoor', 'warm']);
+
+  let res = await request('POST', '/api/command', { group: 'building', status: 'on' });
+  assert.equal(res.status, 200);
+  let body = await res.json();
+  assert.deepEqual(body.selector, { group: 'building' });
+  assert.deepEqual(body.results.map((r) => [r.device, r.ok]), [['fan', true], ['lamp', true], ['pump', true]]);
+  const cmd = await (await request('GET', `/api/commands/${body.results[0].id}`)).json();
+  assert.equal(cmd.device, 'fan');
+
+  res = await request('POST', '/api/command', { tag: 'warm', status: 'off' });
+  body = await res.json();
+  assert.deepEqual([body.sent, body.results.map((r) => r.device)], [2, ['heater', 'lamp']]);
+
+  assert.equal((await request('POST', '/api/command', { group: 'attic', status: 'on' })).status, 404);
+  assert.equal((await request('POST', '/api/command', { tag: 'cold', status: 'on' })).status, 400);
+  assert.equal((await request('DELETE', '/api/groups/building')).status, 409);
+});
@@ -0,0 +1,301 @@
+// test/helpers.js
+// Runs server.js as a child process for end-to-end tests: a free port, an empty DATA_DIR
+// (also the working directory, so no .env or config.json is picked up) and an admin login.
+// Also local stand-ins for the services outbound notifications talk to, and a minimal
+// MQTT client.
+
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const http = require('node:http');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+const WebSocket = require('ws');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+const ADMIN = { user: 'admin', pass: 'test-admin-pass' };
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+    srv.on('error', reject);
+  });
+}
+
+// Returns { base, dir, output(), stop() }; env entries override the test defaults.
+async function startServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mqtt-ws-broker-test-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    cwd: dir,
+    env: { ...process.env, PORT: String(port), DATA_DIR: dir, ADMIN_USER: ADMIN.user, ADMIN_PASS: ADMIN.pass, ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stdout.on('data', (d) => (output += d));
+  child.stderr.on('data', (d) => (output += d));
+  const exited = new Promise((resolve) => child.once('exit', resolve));
+  const base = `http://127.0.0.1:${port}`;
+
+  const deadline = Date.now() + 10000;
+  for (;;) {
+    if (child.exitCode !== null) throw new Error(`server exited during startup:\n${output}`);
+    try {
+      if ((await fetch(base + '/health')).ok) break;
+    } catch { /* not listening yet */ }
+    if (Date.now() > deadline) {
+      child.kill();
+      throw new Error(`server did not start:\n${output}`);
+    }
+    await new Promise((r) => setTimeout(r, 100));
+  }
+
+  return {
+    base,
+    dir,
+    alive: () => child.exitCode === null,
+    output: () => output,
+    async stop() {
+      if (child.exitCode === null) {
+        child.kill('SIGTERM');
+        await exited;
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Form login through GET /login (for the double-submit CSRF cookie) and POST /login.
+// Returns the raw response; redirects are not followed.
+async function postLogin(base, { user, pass, next = '' }, headers = {}) {
+  const page = await fetch(base + '/login');
+  const loginCsrf = page.headers.get('set-cookie').match(/login_csrf=([^;]+)/)[1];
+  return fetch(base + '/login', {
+    method: 'POST',
+    redirect: 'manual',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Cookie: `login_csrf=${loginCsrf}`, ...headers },
+    body: new URLSearchParams({ user, pass, next, _csrf: decodeURIComponent(loginCsrf) })
+  });
+}
+
+// Signs in and returns a fetch wrapper that sends the session cookie and CSRF token.
+// Objects are sent as JSON; strings, FormData and streams as they are.
+async function session(base, { user, pass } = ADMIN) {
+  const res = await postLogin(base, { user, pass });
+  const sid = res.headers.get('set-cookie')?.match(/sid=([^;]+)/)?.[1];
+  if (!sid) throw new Error(`login failed for ${user}: ${res.status} ${res.headers.get('location')}`);
+  const html = await (await fetch(base + '/devices', { headers: { Cookie: `sid=${sid}` } })).text();
+  const csrf = JSON.parse(html.match(/CSRF_TOKEN = ("[^"]*")/)[1]);
+  return function request(method, url, body, headers = {}) {
+    const json = body !== undefined && typeof body !== 'string' && !(body instanceof FormData) && !(body instanceof ReadableStream);
+    return fetch(base + url, {
+      method,
+      redirect: 'manual',
+      headers: { Cookie: `sid=${sid}`, 'X-CSRF-Token': csrf, ...(json ? { 'Content-Type': 'application/json' } : {}), ...headers },
+      body: json ? JSON.stringify(body) : body,
+      duplex: body instanceof ReadableStream ? 'half' : undefined
+    });
+  };
+}
+
+// HTTP receiver answering with the next status from `statuses` (the last one repeats).
+// Returns { url, requests: [{ at, method, headers, body }], close() }.
+async function httpReceiver(statuses = [200]) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => (body += c));
+    req.on('end', () => {
+      requests.push({ at: Date.now(), method: req.method, headers: req.headers, body });
+      res.writeHead(statuses[Math.min(requests.length, statuses.length) - 1]);
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    requests,
+    close: () => new Promise((r) => server.close(r))
+  };
+}
+
+// Plain-TCP SMTP stand-in. `ehlo` is the list of extensions advertised (null answers EHLO
+// with 502 so the client falls back to HELO); `replies` overrides the reply to a verb, e.g.
+// { 'RCPT TO': '550 no such user' }. Each session is recorded as
+// { commands: [lines], messages: [{ from, to, data }] }.
+async function smtpServer({ ehlo = ['PIPELINING'], replies = {} } = {}) {
+  const sessions = [];
+  const server = net.createServer((sock) => {
+    const session = { commands: [], messages: [] };
+    sessions.push(session);
+    let buf = '';
+    let data = null;
+    let envelope = { from: null, to: [] };
+    const reply = (verb, fallback) => sock.write((replies[verb] ?? fallback) + '\r\n');
+    sock.write('220 localhost ESMTP test\r\n');
+    sock.on('data', (chunk) => {
+      buf += chunk.toString('utf8');
+      let i;
+      while ((i = buf.indexOf('\r\n')) >= 0) {
+        const line = buf.slice(0, i);
+        buf = buf.slice(i + 2);
+        if (data) {
+          if (line === '.') {
+            session.messages.push({ ...envelope, data: data.lines.join('\r\n') });
+            envelope = { from: null, to: [] };
+            data = null;
+            reply('message', '250 2.0.0 queued as TEST1');
+          } else {
+            data.lines.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+        session.commands.push(line);
+        const verb = /^(MAIL FROM|RCPT TO)/i.test(line) ? line.slice(0, line.indexOf(':')).toUpperCase() : line.split(' ')[0].toUpperCase();
+        if (replies[verb]) { reply(verb); continue; }
+        if (verb === 'EHLO') {
+          if (!ehlo) reply(verb, '502 5.5.2 command not recognized');
+          else sock.write(['localhost', ...ehlo].map((l, n, all) => `250${n === all.length - 1 ? ' ' : '-'}${l}\r\n`).join(''));
+        } else if (verb === 'HELO') reply(verb, '250 localhost');
+        else if (verb === 'AUTH') reply(verb, line.split(' ')[1] === 'LOGIN' ? '334 VXNlcm5hbWU6' : '235 2.7.0 authenticated');
+        else if (verb === 'MAIL FROM') { envelope.from = line.match(/<(.*)>/)[1]; reply(verb, '250 OK'); }
+        else if (verb === 'RCPT TO') { envelope.to.push(line.match(/<(.*)>/)[1]); reply(verb, '250 OK'); }
+        else if (verb === 'DATA') { data = { lines: [] }; reply(verb, '354 end with <CRLF>.<CRLF>'); }
+        else if (verb === 'QUIT') { reply(verb, '221 bye'); sock.end(); }
+        else if (session.commands.at(-2) === 'AUTH LOGIN') reply('AUTH', '334 UGFzc3dvcmQ6');
+        else if (session.commands.at(-3) === 'AUTH LOGIN') reply('AUTH', '235 2.7.0 authenticated');
+        else reply(verb, '500 5.5.1 unrecognized command');
+      }
+    });
+    sock.on('error', () => {});
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    host: '127.0.0.1',
+    port: server.address().port,
+    sessions,
+    close: () => new Promise((r) => server.close(r))
+  };
+}
+
+// Minimal MQTT 3.1.1 client: `target` is the server's base URL (WebSocket endpoint
+// /mqtt) or a plain TCP port. Resolves once connected; rejects on a refused CONNACK.
+// Received publishes collect in `messages` as { topic, payload } (QoS 1 is acked).
+async function mqttConnect(target, { clientId = `test-${Math.random().toString(16).slice(2, 10)}`, username, password, will } = {}) {
+  const str = (s) => {
+    const b = Buffer.from(s);
+    return Buffer.concat([Buffer.from([b.length >> 8, b.length & 0xff]), b]);
+  };
+  const packet = (type, body) => {
+    const len = [];
+    let n = body.length;
+    do {
+      len.push((n % 128) | (n >= 128 ? 0x80 : 0));
+      n = Math.floor(n / 128);
+    } while (n > 0);
+    return Buffer.concat([Buffer.from([type, ...len]), body]);
+  };
+  const stream = typeof target === 'number'
+    ? net.connect(target, '127.0.0.1')
+    : WebSocket.createWebSocketStream(new WebSocket(target.replace(/^http/, 'ws') + '/mqtt', 'mqtt'));
+  const messages = [];
+  const waiting = new Map(); // packet type -> resolve
+  let packetId = 0;
+  let buf = Buffer.alloc(0);
+  let closed = false;
+
+  stream.on('data', (chunk) => {
+    buf = Buffer.concat([buf, chunk]);
+    for (;;) {
+      let len = 0;
+      let mul = 1;
+      let i = 1;
+      for (; i < buf.length && i < 5; i++) {
+        len += (buf[i] & 0x7f) * mul;
+        mul *= 128;
+        if (!(buf[i] & 0x80)) break;
+      }
+      if (i >= buf.length || buf.length < i + 1 + len) return;
+      const type = buf[0] >> 4;
+      const body = buf.subarray(i + 1, i + 1 + len);
+      const qos = (buf[0] >> 1) & 3;
+      buf = buf.subarray(i + 1 + len);
+      if (type === 3) {
+        const topicLen = body.readUInt16BE(0);
+        const topic = body.subarray(2, 2 + topicLen).toString();
+        const start = 2 + topicLen + (qos ? 2 : 0);
+        if (qos) stream.write(packet(0x40, body.subarray(2 + topicLen, start)));
+        messages.push({ topic, payload: body.subarray(start).toString() });
+      } else {
+        waiting.get(type)?.(body);
+        waiting.delete(type);
+      }
+    }
+  });
+  stream.on('error', () => {});
+  stream.on('end', () => stream.destroy());
+  stream.on('close', () => {
+    closed = true;
+    for (const resolve of waiting.values()) resolve(null);
+  });
+  const reply = (type) => new Promise((resolve) => (closed ? resolve(null) : waiting.set(type, resolve)));
+
+  let flags = 0x02; // clean session
+  const payload = [str(clientId)];
+  if (will) {
+    flags |= 0x04 | (will.retain ? 0x20 : 0);
+    payload.push(str(will.topic), str(will.payload));
+  }
+  if (username) {
+    flags |= 0x80;
+    payload.push(str(username));
+  }
+  if (password) {
+    flags |= 0x40;
+    payload.push(str(password));
+  }
+  const connack = reply(2);
+  stream.write(packet(0x10, Buffer.concat([str('MQTT'), Buffer.from([4, flags, 0, 60]), ...payload])));
+  const ack = await connack;
+  if (!ack || ack[1] !== 0) {
+    stream.destroy();
+    throw new Error(`MQTT connection refused (${ack ? `return code ${ack[1]}` : 'closed'})`);
+  }
+
+  return {
+    messages,
+    // Resolves the granted QoS (128 = refused).
+    async subscribe(filter, qos = 0) {
+      const id = ++packetId;
+      const suback = reply(9);
+      stream.write(packet(0x82, Buffer.concat([Buffer.from([id >> 8, id & 0xff]), str(filter), Buffer.from([qos])])));
+      const body = await suback;
+      return body ? body[2] : 128;
+    },
+    publish(topic, message, { retain = false } = {}) {
+      stream.write(packet(0x30 | (retain ? 1 : 0), Buffer.concat([str(topic), Buffer.from(message)])));
+    },
+    // Round trip through the broker: everything published before has been handled.
+    async flush() {
+      const pong = reply(13);
+      stream.write(Buffer.from([0xc0, 0]));
+      await pong;
+    },
+    // Drops the connection without DISCONNECT, so the broker sends the Last Will.
+    drop() {
+      stream.destroy();
+    },
+    end() {
+      if (closed) return Promise.resolve();
+      return new Promise((resolve) => {
+        stream.once('close', resolve);
+        stream.write(Buffer.from([0xe0, 0]));
+      });
+    }
+  };
+}
+
+module.exports = { startServer, postLogin, session, httpReceiver, smtpServer, mqttConnect, freePort, ADMIN };
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { safeNext, safeDecode, clientIp, requestProto, readJsonBody } = require('../lib/http');
+
+test('safeNext keeps local paths with query and hash', () => {
+  assert.equal(safeNext('/devices'), '/devices');
+  assert.equal(safeNext('/devices/sensor1/history?from=1h#top'), '/devices/sensor1/history?from=1h#top');
+  assert.equal(safeNext('/'), '/');
+});
+
+test('safeNext sends anything that could leave the site to /', () => {
+  for (const next of ['//evil.example', '//evil.example/devices', '/\\evil.example', '/\\/evil.example',
+    'https://x', 'https://x/devices', 'javascript:alert(1)', 'devices', '', null, undefined, '/\t/evil.example']) {
+    assert.equal(safeNext(next), '/', `next=${JSON.stringify(next)}`);
+  }
+});
+
+test('safeNext does not loop back to /login', () => {
+  assert.equal(safeNext('/login'), '/');
+  assert.equal(safeNext('/login?next=/devices'), '/');
+});
+
+test('safeDecode returns null instead of throwing on malformed escapes', () => {
+  assert.equal(safeDecode('sensor%201'), 'sensor 1');
+  assert.equal(safeDecode('%E2%9C%93'), '✓');
+  assert.equal(safeDecode('%E0'), null);
+  assert.equal(safeDecode('%zz'), null);
+  assert.equal(safeDecode('100%'), null);
+});
+
+test('readJsonBody gives {} for anything but a JSON object', async () => {
+  const { Readable } = require('node:stream');
+  const req = (body) => Object.assign(Readable.from([Buffer.from(body)]), { headers: {} });
+  assert.deepEqual(await readJsonBody(req('{"a":1}')), { a: 1 });
+  for (const body of ['', 'null', '[1]', '5', '"x"', 'true', '{bad']) {
+    assert.deepEqual(await readJsonBody(req(body)), {}, body);
+  }
+  await assert.rejects(readJsonBody(req('{"a":"' + 'x'.repeat(100) + '"}'), { maxBytes: 50 }), { status: 413 });
+});
+
+test('clientIp takes the proxy-appended X-Forwarded-For entry, never a client-sent one', () => {
+  const req = (xff, remoteAddress = '10.0.0.2') => ({ headers: xff === undefined ? {} : { 'x-forwarded-for': xff }, socket: { remoteAddress } });
+  assert.equal(clientIp(req('6.6.6.6, 203.0.113.9'), { trustProxy: true }), '203.0.113.9');
+  assert.equal(clientIp(req('203.0.113.9'), { trustProxy: true }), '203.0.113.9');
+  assert.equal(clientIp(req('1.1.1.1, 2.2.2.2,203.0.113.9 '), { trustProxy: true }), '203.0.113.9');
+  assert.equal(clientIp(req(undefined), { trustProxy: true }), '10.0.0.2');
+  assert.equal(clientIp(req(' , '), { trustProxy: true }), '10.0.0.2');
+  assert.equal(clientIp(req('6.6.6.6, 203.0.113.9'), { trustProxy: false }), '10.0.0.2');
+});
+
+test('requestProto only believes the proxy-appended X-Forwarded-Proto', () => {
+  const req = (proto, encrypted = false) => ({ headers: proto === undefined ? {} : { 'x-forwarded-proto': proto }, socket: { encrypted } });
+  assert.equal(requestProto(req('http, https'), { trustProxy: true }), 'https');
+  assert.equal(requestProto(req('https, http'), { trustProxy: true }), 'http');
+  assert.equal(requestProto(req('javascript'), { trustProxy: true }), 'http');
+  assert.equal(requestProto(req('https'), { trustProxy: false }), 'http');
+  assert.equal(requestProto(req(undefined, true), { trustProxy: true }), 'https');
+});
@@ -0,0 +1,27 @@
+// The plain TCP MQTT listener shares the broker, credentials and device registry with the
+// WebSocket endpoint.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, session, mqttConnect, freePort } = require('./helpers');
+
+test('plain MQTT clients on MQTT_TCP_PORT reach the same broker', async (t) => {
+  const port = await freePort();
+  const srv = await startServer({ MQTT_TCP_PORT: String(port), DEVICE_QUARANTINE: 'false' });
+  t.after(() => srv.stop());
+  const request = await session(srv.base);
+  const { password } = await (await request('POST', '/api/credentials', { device: 'lamp' })).json();
+
+  await assert.rejects(mqttConnect(port, { username: 'lamp', password: 'wrong' }));
+  const lamp = await mqttConnect(port, { username: 'lamp', password });
+  const watcher = await mqttConnect(srv.base, { username: 'lamp', password });
+  t.after(() => Promise.all([lamp.end(), watcher.end()]));
+  assert.equal(await watcher.subscribe('devices/lamp/#'), 0);
+
+  await lamp.publish('devices/status', 'lamp:on');
+  await lamp.publish('devices/lamp/meta', 'over tcp');
+  await lamp.flush();
+  await watcher.flush();
+  assert.deepEqual(watcher.messages.filter((m) => m.topic === 'devices/lamp/meta').map((m) => String(m.payload)), ['over tcp']);
+  const { items } = await (await request('GET', '/api/devices')).json();
+  assert.deepEqual(items.map((d) => [d.device, d.status]), [['lamp', 'on']]);
+});
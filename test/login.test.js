@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, postLogin, ADMIN } = require('./helpers');
+
+test('POST /login', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+
+  await t.test('signs in and redirects to a local next', async () => {
+    const res = await postLogin(srv.base, { ...ADMIN, next: '/devices?x=1' });
+    assert.equal(res.status, 302);
+    assert.equal(res.headers.get('location'), '/devices?x=1');
+    const sid = res.headers.get('set-cookie').match(/sid=([^;]+)/)[1];
+    const home = await fetch(srv.base + '/', { headers: { Cookie: `sid=${sid}` }, redirect: 'manual' });
+    assert.equal(home.status, 200);
+    assert.match(await home.text(), /Welcome <strong>admin<\/strong>/);
+  });
+
+  await t.test('redirects off-site next values to /', async () => {
+    for (const next of ['//evil.example', '/\\evil.example', 'https://x']) {
+      const res = await postLogin(srv.base, { ...ADMIN, next });
+      assert.equal(res.headers.get('location'), '/', `next=${next}`);
+    }
+  });
+
+  await t.test('rejects a wrong password without a session', async () => {
+    const res = await postLogin(srv.base, { user: ADMIN.user, pass: 'wrong', next: '/devices' });
+    assert.equal(res.status, 302);
+    const location = new URL(res.headers.get('location'), srv.base);
+    assert.equal(location.pathname, '/login');
+    assert.equal(location.searchParams.get('error'), 'Invalid credentials');
+    assert.equal(location.searchParams.get('next'), '/devices');
+    assert.doesNotMatch(res.headers.get('set-cookie') ?? '', /sid=/);
+  });
+
+  await t.test('rejects a form without the login CSRF cookie', async () => {
+    const res = await fetch(srv.base + '/login', {
+      method: 'POST',
+      redirect: 'manual',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ ...ADMIN, _csrf: 'forged' })
+    });
+    assert.equal(res.status, 302);
+    assert.match(res.headers.get('location'), /^\/login\?error=/);
+    assert.doesNotMatch(res.headers.get('set-cookie') ?? '', /sid=/);
+  });
+});
+
+test('the per-IP lockout holds when the client rotates its own X-Forwarded-For entries', async (t) => {
+  const srv = await startServer({ LOGIN_MAX_ATTEMPTS_PER_IP: '3', LOGIN_MAX_ATTEMPTS: '100' });
+  t.after(() => srv.stop());
+  // What Railway's proxy forwards: the client's header, then the address it saw.
+  const via = (spoofed) => ({ 'X-Forwarded-For': `${spoofed}, 203.0.113.9` });
+  for (let i = 1; i <= 3; i++) {
+    const res = await postLogin(srv.base, { user: `guess${i}`, pass: 'wrong' }, via(`10.0.0.${i}`));
+    assert.equal(new URL(res.headers.get('location'), srv.base).searchParams.get('error'),
+      i < 3 ? 'Invalid credentials' : 'Too many failed attempts. Try again in 15 min');
+  }
+  const locked = await postLogin(srv.base, ADMIN, via('10.0.0.99'));
+  assert.match(new URL(locked.headers.get('location'), srv.base).searchParams.get('error'), /^Too many failed attempts/);
+  assert.doesNotMatch(locked.headers.get('set-cookie') ?? '', /sid=/);
+  // Another client behind the same proxy is not affected.
+  const other = await postLogin(srv.base, ADMIN, { 'X-Forwarded-For': '10.0.0.1, 198.51.100.4' });
+  assert.equal(other.headers.get('location'), '/');
+});
@@ -0,0 +1,36 @@
+// Failed-login throttling per IP and per username.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLoginLimiter } = require('../lib/loginLimiter');
+
+test('locks a username out after maxPerUser failures, from any IP', () => {
+  const limiter = createLoginLimiter({ maxPerUser: 3, maxPerIp: 100, lockoutMs: 60000 });
+  assert.deepEqual(limiter.fail('10.0.0.1', 'alice'), { lockedFor: 0 });
+  assert.deepEqual(limiter.fail('10.0.0.2', 'alice'), { lockedFor: 0 });
+  assert.deepEqual(limiter.fail('10.0.0.3', 'alice'), { lockedFor: 60000 });
+  assert.ok(limiter.blockedFor('10.0.0.4', 'alice') > 59000);
+  assert.equal(limiter.blockedFor('10.0.0.4', 'bob'), 0);
+  assert.match(limiter.lockedUntil('alice'), /^\d{4}-\d\d-\d\dT/);
+  assert.equal(limiter.unlock('alice'), true);
+  assert.equal(limiter.blockedFor('10.0.0.4', 'alice'), 0);
+  assert.equal(limiter.lockedUntil('alice'), null);
+  assert.equal(limiter.unlock('alice'), false);
+});
+
+test('locks an IP out after maxPerIp failures across usernames', () => {
+  const limiter = createLoginLimiter({ maxPerUser: 100, maxPerIp: 2 });
+  limiter.fail('10.0.0.1', 'a');
+  limiter.fail('10.0.0.1', 'b');
+  assert.ok(limiter.blockedFor('10.0.0.1', 'c') > 0);
+  assert.equal(limiter.blockedFor('10.0.0.2', 'c'), 0);
+});
+
+test('a successful login clears the username failures but keeps the IP ones', () => {
+  const limiter = createLoginLimiter({ maxPerUser: 2, maxPerIp: 2 });
+  limiter.fail('10.0.0.1', 'alice');
+  limiter.succeed('alice');
+  limiter.fail('10.0.0.2', 'alice');
+  assert.equal(limiter.blockedFor('10.0.0.2', 'alice'), 0);
+  limiter.fail('10.0.0.1', 'mallory');
+  assert.ok(limiter.blockedFor('10.0.0.1', 'someone') > 0);
+});
@@ -0,0 +1,41 @@
+// Prometheus /metrics: scraper auth and bounded route labels.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const TOKEN = 'test-metrics-token';
+
+async function routes(base) {
+  const res = await fetch(base + '/metrics', { headers: { Authorization: `Bearer ${TOKEN}` } });
+  assert.equal(res.status, 200);
+  const text = await res.text();
+  return [...text.matchAll(/^http_request_duration_seconds_count\{method="(\w+)",route="([^"]*)",status="(\d+)"\}/gm)]
+    .map(([, method, route, status]) => `${method} ${route} ${status}`);
+}
+
+test('/metrics needs a session or METRICS_TOKEN', async (t) => {
+  const srv = await startServer({ METRICS_TOKEN: TOKEN });
+  t.after(() => srv.stop());
+  assert.equal((await fetch(srv.base + '/metrics')).status, 401);
+  assert.equal((await fetch(srv.base + '/metrics', { headers: { Authorization: 'Bearer nope' } })).status, 401);
+  assert.match(await (await fetch(srv.base + '/metrics', { headers: { Authorization: `Bearer ${TOKEN}` } })).text(), /^mqtt_clients_connected 0$/m);
+});
+
+test('paths that are not a known route are labelled "unmatched" whatever the status', async (t) => {
+  const srv = await startServer({ METRICS_TOKEN: TOKEN });
+  t.after(() => srv.stop());
+  for (let i = 0; i < 5; i++) {
+    for (const path of [`/random-${i}`, `/api/nope-${i}`, `/devices/x/junk-${i}`, `/api/devices/x/junk-${i}`]) {
+      await fetch(srv.base + path, { redirect: 'manual' });
+    }
+  }
+  await fetch(srv.base + '/api/devices/lamp', { redirect: 'manual' });
+  await fetch(srv.base + '/devices/lamp', { redirect: 'manual' });
+
+  const seen = await routes(srv.base);
+  assert.ok(!seen.some(s => /random|nope|junk/.test(s)), seen.join('\n'));
+  assert.ok(seen.includes('GET unmatched 302'), seen.join('\n'));
+  assert.ok(seen.includes('GET unmatched 401'), seen.join('\n'));
+  assert.ok(seen.includes('GET /api/devices/:device 401'), seen.join('\n'));
+  assert.ok(seen.includes('GET /devices/:device 302'), seen.join('\n'));
+});
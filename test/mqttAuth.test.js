@@ -0,0 +1,69 @@
+// MQTT access for credentialed devices next to anonymous (legacy) clients.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { filtersOverlap } = require('../lib/mqttAuth');
+const { startServer, session, mqttConnect } = require('./helpers');
+
+test('filtersOverlap', () => {
+  assert.equal(filtersOverlap('#', 'devices/lamp/#'), true);
+  assert.equal(filtersOverlap('devices/+/command', 'devices/lamp/#'), true);
+  assert.equal(filtersOverlap('devices/+', 'devices/lamp/#'), true);
+  assert.equal(filtersOverlap('+/lamp/command', 'devices/lamp/command'), true);
+  assert.equal(filtersOverlap('devices/fan/#', 'devices/lamp/#'), false);
+  assert.equal(filtersOverlap('devices/command', 'devices/lamp/#'), false);
+  assert.equal(filtersOverlap('+', 'devices/lamp/command'), false);
+});
+
+async function until(check) {
+  for (let i = 0; i < 100 && !check(); i++) await new Promise((r) => setTimeout(r, 20));
+  assert.ok(check());
+}
+
+test('an anonymous client cannot receive a credentialed device\'s commands', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  const request = await session(srv.base);
+  const { password } = await (await request('POST', '/api/credentials', { device: 'lamp' })).json();
+
+  const lamp = await mqttConnect(srv.base, { username: 'lamp', password });
+  const anon = await mqttConnect(srv.base);
+  t.after(() => Promise.all([lamp.end(), anon.end()]));
+  assert.equal(await lamp.subscribe('devices/command'), 0);
+  assert.equal(await lamp.subscribe('devices/lamp/#'), 0);
+  assert.equal(await lamp.subscribe('devices/fan/#'), 128);
+
+  assert.equal(await anon.subscribe('devices/command'), 0);
+  for (const filter of ['#', 'devices/#', 'devices/+/command', 'devices/lamp/command', '+/lamp/#']) {
+    assert.equal(await anon.subscribe(filter), 128, filter);
+  }
+  assert.equal(await anon.subscribe('devices/fan/#'), 0);
+
+  for (const device of ['lamp', 'fan']) {
+    const res = await request('POST', '/api/command', { device, status: 'on' });
+    assert.equal(res.status, 200, await res.clone().text());
+  }
+  await until(() => lamp.messages.length >= 1 && anon.messages.some(m => m.payload.startsWith('fan:')));
+  await Promise.all([lamp.flush(), anon.flush()]);
+  assert.deepEqual(lamp.messages.map(m => m.payload.split(':')[0]), ['lamp']);
+  assert.deepEqual(anon.messages.filter(m => m.payload.startsWith('lamp')), []);
+  assert.ok(anon.messages.every(m => m.topic === 'devices/command' || m.topic.startsWith('devices/fan/')));
+});
+
+test('an anonymous client cannot publish as a credentialed device', async (t) => {
+  const srv = await startServer({ DEVICE_QUARANTINE: 'false' });
+  t.after(() => srv.stop());
+  const request = await session(srv.base);
+  const { password } = await (await request('POST', '/api/credentials', { device: 'lamp' })).json();
+
+  const lamp = await mqttConnect(srv.base, { username: 'lamp', password });
+  const anon = await mqttConnect(srv.base);
+  t.after(() => Promise.all([lamp.end(), anon.end()]));
+  lamp.publish('devices/status', 'lamp:on');
+  await lamp.flush();
+  anon.publish('devices/status', 'fan:on');
+  anon.publish('devices/status', 'lamp:offline');
+  await anon.flush();
+  const { items } = await (await request('GET', '/api/devices')).json();
+  assert.equal(items.find(d => d.device === 'lamp').status, 'on');
+  assert.ok(items.some(d => d.device === 'fan'));
+});
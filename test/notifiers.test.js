@@ -0,0 +1,94 @@
+// Alert channels delivering to a local SMTP stand-in and a local HTTP receiver.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../lib/store');
+const { createChannelStore } = require('../lib/notifiers');
+const { httpReceiver, smtpServer } = require('./helpers');
+
+const ALERT = { name: 'Battery low', device: 'sensor-1', severity: 'warning', summary: 'battery 9% < 10%', startsAt: '2026-01-01T00:00:00.000Z' };
+
+function channels() {
+  return createChannelStore({ store: createStore('alert-channels', { driver: 'memory' }), timeoutMs: 2000 });
+}
+
+test('smtp channel mails the alert through the configured relay', async (t) => {
+  const smtp = await smtpServer({ ehlo: ['AUTH PLAIN'] });
+  t.after(smtp.close);
+  const store = channels();
+  const { channel } = store.create({
+    type: 'smtp',
+    config: { host: smtp.host, port: smtp.port, starttls: 'never', username: 'relay', password: 'pw', from: 'alerts@example.com', to: 'ops@example.com, oncall@example.com' }
+  });
+  assert.equal(channel.config.password, '…');
+  assert.deepEqual(channel.config.to, ['ops@example.com', 'oncall@example.com']);
+
+  const result = await store.send(channel.id, { status: 'firing', alert: ALERT });
+  assert.deepEqual(result, { ok: true, response: '250 2.0.0 queued as TEST1' });
+  const [session] = smtp.sessions;
+  assert.ok(session.commands.includes('AUTH PLAIN ' + Buffer.from('\0relay\0pw').toString('base64')));
+  const [message] = session.messages;
+  assert.deepEqual(message.to, ['ops@example.com', 'oncall@example.com']);
+  assert.match(message.data, /^Subject: \[FIRING\] Battery low - sensor-1$/m);
+  const text = Buffer.from(message.data.split('\r\n\r\n')[1].replace(/\r\n/g, ''), 'base64').toString('utf8');
+  assert.match(text, /^Battery low is firing\.$/m);
+  assert.match(text, /^Summary: {2}battery 9% < 10%$/m);
+  assert.equal(store.get(channel.id).lastResult.ok, true);
+});
+
+test('smtp failures are recorded on the channel', async (t) => {
+  const smtp = await smtpServer({ replies: { 'MAIL FROM': '421 4.3.0 try later' } });
+  t.after(smtp.close);
+  const store = channels();
+  const { channel } = store.create({ type: 'smtp', config: { host: smtp.host, port: smtp.port, from: 'a@example.com', to: ['b@example.com'] } });
+  const result = await store.test(channel.id);
+  assert.deepEqual(result, { ok: false, error: 'SMTP MAIL FROM: 421 4.3.0 try later' });
+  assert.equal(store.get(channel.id).lastResult.status, 'test');
+  assert.equal(store.get(channel.id).lastResult.error, result.error);
+});
+
+test('http channel sends the JSON note with its headers and method', async (t) => {
+  const rx = await httpReceiver([204]);
+  t.after(rx.close);
+  const store = channels();
+  const { channel } = store.create({ type: 'http', config: { url: rx.url, method: 'put', headers: { Authorization: 'Bearer t0k' } } });
+  assert.deepEqual(channel.config.headers, { Authorization: '…' });
+
+  const resolved = { ...ALERT, endsAt: '2026-01-01T01:00:00.000Z' };
+  assert.deepEqual(await store.send(channel.id, { status: 'resolved', alert: resolved }), { ok: true, response: 'HTTP 204' });
+  const [req] = rx.requests;
+  assert.equal(req.method, 'PUT');
+  assert.equal(req.headers.authorization, 'Bearer t0k');
+  assert.equal(req.headers['content-type'], 'application/json');
+  const body = JSON.parse(req.body);
+  assert.equal(body.status, 'resolved');
+  assert.deepEqual(body.alert, resolved);
+
+  // A masked header on update keeps the stored value.
+  store.update(channel.id, { config: { url: rx.url, method: 'PUT', headers: { Authorization: '…', 'X-Extra': '1' } } });
+  await store.test(channel.id);
+  assert.equal(rx.requests[1].headers.authorization, 'Bearer t0k');
+  assert.equal(rx.requests[1].headers['x-extra'], '1');
+  assert.deepEqual(JSON.parse(rx.requests[1].body).alert, null);
+});
+
+test('http channel reports non-2xx answers and skips disabled channels', async (t) => {
+  const rx = await httpReceiver([500]);
+  t.after(rx.close);
+  const store = channels();
+  const { channel } = store.create({ type: 'http', config: { url: rx.url } });
+  assert.deepEqual(await store.send(channel.id, { status: 'firing', alert: ALERT }), { ok: false, error: 'HTTP 500' });
+
+  store.update(channel.id, { enabled: false });
+  assert.deepEqual(await store.send(channel.id, { status: 'firing', alert: ALERT }), { ok: false, error: 'Channel disabled' });
+  assert.equal(rx.requests.length, 1);
+});
+
+test('invalid configs are rejected', () => {
+  const store = channels();
+  assert.equal(store.create({ type: 'smtp', config: { host: 'mail', from: 'nope', to: ['a@example.com'] } }).error, 'config.from must be an email address');
+  assert.equal(store.create({ type: 'smtp', config: { host: 'mail', from: 'a@example.com', to: 'ok@example.com, bad' } }).error, 'Invalid address "bad"');
+  assert.equal(store.create({ type: 'http', config: { url: 'ftp://example.com' } }).error, 'config.url must be http(s)');
+  assert.equal(store.create({ type: 'http', config: { url: 'http://example.com', headers: { 'X-A': 'a\r\nb' } } }).error, 'Invalid header "X-A"');
+  assert.match(store.create({ type: 'pager', config: {} }).error, /^type must be one of smtp\|http$/);
+  assert.deepEqual(store.list(), []);
+});
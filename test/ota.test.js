@@ -0,0 +1,80 @@
+// Rollout retention and the signed firmware download link.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { createStore } = require('../lib/store');
+const { createOtaManager } = require('../lib/ota');
+const { startServer, session } = require('./helpers');
+
+const IMAGE = { id: 'a1b2c3d4e5f6', version: '1.0.0', sha256: '00', size: 1 };
+
+test('trimming to the limit evicts finished rollouts only', () => {
+  const ota = createOtaManager({ store: createStore('ota-rollouts', { driver: 'memory' }), limit: 2 });
+  const a = ota.start({ image: IMAGE, devices: ['a'], url: 'u' });
+  const b = ota.start({ image: IMAGE, devices: ['b'], url: 'u' });
+  const c = ota.start({ image: IMAGE, devices: ['c'], url: 'u' });
+  assert.deepEqual(ota.list().map(r => r.id).sort(), [a.id, b.id, c.id].sort());
+
+  ota.report('b', { state: 'succeeded' });
+  const d = ota.start({ image: IMAGE, devices: ['d'], url: 'u' });
+  assert.deepEqual(ota.list().map(r => r.id).sort(), [a.id, c.id, d.id].sort());
+  assert.equal(ota.report('a', { state: 'downloading' }).id, a.id);
+  assert.ok(ota.uses(IMAGE.id));
+});
+
+test('firmware links are signed with an expiry', async (t) => {
+  const secret = 'test-session-secret';
+  const srv = await startServer({ SESSION_SECRET: secret });
+  t.after(() => srv.stop());
+  const request = await session(srv.base);
+  const form = new FormData();
+  form.append('version', '1.2.3');
+  form.append('file', new Blob([Buffer.from('firmware-bytes')]), 'fw.bin');
+  const uploaded = await request('POST', '/upload', form);
+  assert.equal(uploaded.status, 201, await uploaded.clone().text());
+  const { id, url } = await uploaded.json();
+
+  const link = new URL(url);
+  const exp = Number(link.searchParams.get('exp'));
+  assert.ok(Math.abs(exp * 1000 - (Date.now() + 24 * 60 * 60 * 1000)) < 60 * 1000, `exp ${exp}`);
+  const ok = await fetch(srv.base + link.pathname + link.search, { redirect: 'manual' });
+  assert.equal(ok.status, 200);
+  assert.equal(await ok.text(), 'firmware-bytes');
+
+  const sign = (value) => crypto.createHmac('sha256', secret).update(value).digest('hex');
+  const past = Math.floor(Date.now() / 1000) - 1;
+  const denied = [
+    `?exp=${exp + 3600}&sig=${link.searchParams.get('sig')}`, // extended expiry
+    `?exp=${past}&sig=${sign(`firmware:${id}:${past}`)}`, // expired
+    `?sig=${sign(`firmware:${id}`)}` // old never-expiring form
+  ];
+  for (const search of denied) {
+    const res = await fetch(srv.base + link.pathname + search, { redirect: 'manual' });
+    assert.equal(res.status, 302, search);
+  }
+});
+
+test('an upload without the CSRF header is refused before its body is read', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  const request = await session(srv.base);
+  const form = new FormData();
+  form.append('file', new Blob([Buffer.from('firmware-bytes')]), 'fw-1.0.0.bin');
+
+  // The body never ends: only a response sent before reading it can arrive.
+  const stalled = new ReadableStream({
+    start(controller) { controller.enqueue(new TextEncoder().encode('--x\r\n')); }
+  });
+  const res = await request('POST', '/upload', stalled, {
+    'X-CSRF-Token': '',
+    'Content-Type': 'multipart/form-data; boundary=x'
+  });
+  assert.equal(res.status, 403);
+  assert.match((await res.json()).error, /CSRF/);
+
+  const withField = new FormData();
+  withField.append('_csrf', 'whatever');
+  withField.append('file', new Blob([Buffer.from('firmware-bytes')]), 'fw-1.0.0.bin');
+  assert.equal((await request('POST', '/upload', withField, { 'X-CSRF-Token': '' })).status, 403);
+  assert.equal((await request('POST', '/upload', form)).status, 201);
+});
@@ -0,0 +1,74 @@
+// Presence: a device goes offline when its MQTT client disconnects or its Last Will fires,
+// and the current state is mirrored to a retained topic.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, session, mqttConnect } = require('./helpers');
+
+// Polls GET /api/devices until `device` has `status`; returns the device item.
+async function waitForStatus(request, device, status) {
+  let item;
+  for (let i = 0; i < 50; i++) {
+    const { items } = await (await request('GET', '/api/devices')).json();
+    item = items.find((d) => d.device === device);
+    if (item?.status === status) return item;
+    await new Promise((r) => setTimeout(r, 100));
+  }
+  assert.fail(`${device} is ${item?.status}, expected ${status}`);
+}
+
+// Waits for the newest message a watcher got to have `status`; retained messages follow
+// the SUBACK on their own schedule.
+async function waitForMirror(watcher, status) {
+  const last = () => watcher.messages.length && JSON.parse(watcher.messages.at(-1).payload);
+  for (let i = 0; i < 50 && last().status !== status; i++) await new Promise((r) => setTimeout(r, 100));
+  assert.equal(last().status, status);
+  return last();
+}
+
+test('a device goes offline when the client that reported it disconnects', async (t) => {
+  const srv = await startServer({ DEVICE_QUARANTINE: 'false' });
+  t.after(() => srv.stop());
+  const request = await session(srv.base);
+
+  const gateway = await mqttConnect(srv.base);
+  await gateway.publish('devices/status', 'lamp:on');
+  await gateway.publish('devices/status', 'fan:on');
+  await gateway.flush();
+  await waitForStatus(request, 'fan', 'on');
+
+  const watcher = await mqttConnect(srv.base);
+  t.after(() => watcher.end());
+  assert.equal(await watcher.subscribe('devices/lamp/status', 1), 1);
+  assert.equal((await waitForMirror(watcher, 'on')).device, 'lamp');
+
+  await gateway.end();
+  await waitForStatus(request, 'lamp', 'offline');
+  await waitForStatus(request, 'fan', 'offline');
+  await waitForMirror(watcher, 'offline');
+
+  // Only the server publishes the mirror.
+  const spoofer = await mqttConnect(srv.base);
+  await spoofer.publish('devices/lamp/status', JSON.stringify({ device: 'lamp', status: 'on' }));
+  await spoofer.end();
+  await watcher.flush();
+  assert.equal(JSON.parse(watcher.messages.at(-1).payload).status, 'offline');
+});
+
+test('a Last Will on devices/status marks the device offline', async (t) => {
+  const srv = await startServer({ DEVICE_QUARANTINE: 'false', OFFLINE_ON_DISCONNECT: 'false' });
+  t.after(() => srv.stop());
+  const request = await session(srv.base);
+
+  const quiet = await mqttConnect(srv.base);
+  await quiet.publish('devices/status', 'lamp:on');
+  await quiet.end();
+  const device = await mqttConnect(srv.base, { will: { topic: 'devices/status', payload: 'fan:offline' } });
+  await device.publish('devices/status', 'fan:on');
+  await device.flush();
+  await waitForStatus(request, 'fan', 'on');
+
+  device.drop();
+  await waitForStatus(request, 'fan', 'offline');
+  // Without OFFLINE_ON_DISCONNECT a clean disconnect leaves the status alone.
+  assert.equal((await waitForStatus(request, 'lamp', 'on')).status, 'on');
+});
@@ -0,0 +1,140 @@
+// Role checks: every protected route answers 403 below its minimum role and lets that
+// role through. (The SSE streams are left out: they never end when allowed.)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, session } = require('./helpers');
+
+// [method, path, minimum role]
+const ROUTES = [
+  ['GET', '/', 'viewer'],
+  ['GET', '/devices', 'viewer'],
+  ['GET', '/api/devices', 'viewer'],
+  ['GET', '/devices/lamp/history', 'viewer'],
+  ['GET', '/api/devices/lamp/history', 'viewer'],
+  ['GET', '/control', 'operator'],
+  ['POST', '/api/command', 'operator'],
+  ['GET', '/api/commands', 'operator'],
+  ['GET', '/api/commands/c-1', 'operator'],
+  ['GET', '/credentials', 'admin'],
+  ['GET', '/api/credentials', 'admin'],
+  ['POST', '/api/credentials', 'admin'],
+  ['DELETE', '/api/credentials/lamp', 'admin'],
+  ['GET', '/users', 'admin'],
+  ['GET', '/api/users', 'admin'],
+  ['POST', '/api/users', 'admin'],
+  ['PATCH', '/api/users/nobody', 'admin'],
+  ['DELETE', '/api/users/nobody', 'admin'],
+  ['GET', '/audit', 'admin'],
+  ['GET', '/api/audit', 'admin'],
+  ['GET', '/api/devices/lamp/command-settings', 'admin'],
+  ['PUT', '/api/devices/lamp/command-settings', 'admin'],
+  ['GET', '/schedules', 'operator'],
+  ['GET', '/api/schedules', 'operator'],
+  ['POST', '/api/schedules', 'operator'],
+  ['DELETE', '/api/schedules/s-1', 'operator'],
+  ['PUT', '/api/schedules/s-1', 'operator'],
+  ['POST', '/api/schedules/s-1/run', 'operator'],
+  ['GET', '/rules', 'admin'],
+  ['GET', '/api/rules', 'admin'],
+  ['POST', '/api/rules', 'admin'],
+  ['GET', '/api/rules/activity', 'admin'],
+  ['PUT', '/api/rules/r-1', 'admin'],
+  ['DELETE', '/api/rules/r-1', 'admin'],
+  ['POST', '/api/rules/r-1/test', 'admin'],
+  ['GET', '/webhooks', 'admin'],
+  ['GET', '/api/webhooks', 'admin'],
+  ['GET', '/api/webhooks/deliveries', 'admin'],
+  ['POST', '/api/webhooks/deliveries/d-1/redeliver', 'admin'],
+  ['POST', '/api/webhooks', 'admin'],
+  ['PUT', '/api/webhooks/w-1', 'admin'],
+  ['DELETE', '/api/webhooks/w-1', 'admin'],
+  ['POST', '/api/webhooks/w-1/test', 'admin'],
+  ['POST', '/api/webhooks/w-1/rotate-secret', 'admin'],
+  ['GET', '/metrics', 'admin'],
+  ['GET', '/tokens', 'admin'],
+  ['GET', '/api/tokens', 'admin'],
+  ['POST', '/api/tokens', 'admin'],
+  ['DELETE', '/api/tokens/t-1', 'admin'],
+  ['GET', '/groups', 'operator'],
+  ['GET', '/api/groups', 'viewer'],
+  ['POST', '/api/groups', 'operator'],
+  ['PUT', '/api/groups/kitchen', 'operator'],
+  ['DELETE', '/api/groups/kitchen', 'operator'],
+  ['PUT', '/api/devices/lamp/tags', 'operator'],
+  ['GET', '/mqtt-explorer', 'admin'],
+  ['GET', '/api/mqtt/topics', 'admin'],
+  ['GET', '/api/mqtt/clients', 'admin'],
+  ['GET', '/api/mqtt/messages', 'admin'],
+  ['DELETE', '/api/mqtt/topics', 'admin'],
+  ['POST', '/api/mqtt/publish', 'admin'],
+  ['GET', '/sessions', 'viewer'],
+  ['GET', '/api/sessions', 'viewer'],
+  ['DELETE', '/api/sessions/s-1', 'viewer'],
+  ['DELETE', '/api/users/nobody/sessions', 'admin'],
+  ['DELETE', '/api/users/nobody/lockout', 'admin'],
+  ['GET', '/firmware', 'operator'],
+  ['POST', '/upload', 'operator'],
+  ['GET', '/api/firmware', 'operator'],
+  ['DELETE', '/api/firmware/fw-1', 'admin'],
+  ['GET', '/api/ota/rollouts', 'operator'],
+  ['POST', '/api/ota/rollouts', 'operator'],
+  ['GET', '/api/ota/rollouts/r-1', 'operator'],
+  ['POST', '/api/ota/rollouts/r-1/cancel', 'operator'],
+  ['GET', '/api/devices/lamp/telemetry', 'viewer'],
+  ['GET', '/devices/lamp', 'viewer'],
+  ['GET', '/alerts', 'viewer'],
+  ['GET', '/api/alerts', 'viewer'],
+  ['GET', '/api/alerts/rules', 'admin'],
+  ['POST', '/api/alerts/rules', 'admin'],
+  ['PUT', '/api/alerts/rules/a-1', 'admin'],
+  ['DELETE', '/api/alerts/rules/a-1', 'admin'],
+  ['GET', '/api/alerts/channels', 'admin'],
+  ['POST', '/api/alerts/channels', 'admin'],
+  ['PUT', '/api/alerts/channels/c-1', 'admin'],
+  ['DELETE', '/api/alerts/channels/c-1', 'admin'],
+  ['POST', '/api/alerts/channels/c-1/test', 'admin'],
+  ['GET', '/api/alerts/silences', 'viewer'],
+  ['POST', '/api/alerts/silences', 'operator'],
+  ['DELETE', '/api/alerts/silences/s-1', 'operator'],
+  ['GET', '/settings', 'admin'],
+  ['GET', '/api/settings', 'admin'],
+  ['PUT', '/api/settings', 'admin'],
+  ['GET', '/api/settings/STALE_MS', 'admin'],
+  ['GET', '/api/devices/lamp', 'viewer'],
+  ['POST', '/api/devices', 'operator'],
+  ['PUT', '/api/devices/lamp', 'operator'],
+  ['POST', '/api/devices/lamp/rename', 'admin'],
+  ['DELETE', '/api/devices/lamp', 'admin'],
+  ['GET', '/api/devices/quarantine', 'viewer'],
+  ['POST', '/api/devices/quarantine/lamp/approve', 'operator'],
+  ['DELETE', '/api/devices/quarantine/lamp', 'operator']
+];
+const RANK = { viewer: 0, operator: 1, admin: 2 };
+
+test('every route enforces its minimum role', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  const admin = await session(srv.base);
+  for (const role of ['viewer', 'operator']) {
+    const res = await admin('POST', '/api/users', { username: role, password: `${role}-password`, role });
+    assert.equal(res.status, 201, await res.text());
+  }
+  const as = {
+    viewer: await session(srv.base, { user: 'viewer', pass: 'viewer-password' }),
+    operator: await session(srv.base, { user: 'operator', pass: 'operator-password' }),
+    admin
+  };
+
+  for (const [method, url, min] of ROUTES) {
+    for (const role of ['viewer', 'operator', 'admin']) {
+      const res = await as[role](method, url, method === 'GET' || method === 'DELETE' ? undefined : {});
+      if (RANK[role] < RANK[min]) {
+        assert.equal(res.status, 403, `${role} ${method} ${url}`);
+        if (url.startsWith('/api/')) assert.match((await res.json()).error, new RegExp(`Requires role ${min}`), `${method} ${url}`);
+      } else {
+        assert.notEqual(res.status, 403, `${role} ${method} ${url}`);
+      }
+      if (!res.bodyUsed) await res.body?.cancel();
+    }
+  }
+});
@@ -0,0 +1,76 @@
+// Malformed requests against the HTTP routes: each must get a 4xx and leave the server up.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, session } = require('./helpers');
+
+test('malformed requests', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  const request = await session(srv.base);
+
+  await t.test('bad %-escapes in path parameters answer 400', async () => {
+    const cases = [
+      ['GET', '/api/devices/%E0/history'],
+      ['GET', '/devices/%E0/history'],
+      ['GET', '/devices/%E0'],
+      ['GET', '/api/devices/%E0'],
+      ['DELETE', '/api/devices/%E0'],
+      ['POST', '/api/devices/%E0/rename'],
+      ['POST', '/api/devices/quarantine/%E0/approve'],
+      ['DELETE', '/api/credentials/%E0'],
+      ['PUT', '/api/users/%E0'],
+      ['DELETE', '/api/schedules/%E0'],
+      ['DELETE', '/api/rules/%E0'],
+      ['DELETE', '/api/webhooks/%E0'],
+      ['DELETE', '/api/firmware/%E0'],
+      ['GET', '/firmware/%E0/image.bin'],
+      ['GET', '/api/ota/rollouts/%E0'],
+      ['GET', '/api/settings/%zz']
+    ];
+    for (const [method, url] of cases) {
+      const res = await request(method, url, method === 'GET' || method === 'DELETE' ? undefined : {});
+      assert.equal(res.status, 400, `${method} ${url}`);
+      if (url.startsWith('/api/')) assert.match((await res.json()).error, /Malformed URL encoding/);
+    }
+    assert.ok(srv.alive(), srv.output());
+  });
+
+  await t.test('a bad %-escape in a cookie is ignored', async () => {
+    const res = await fetch(srv.base + '/api/devices', { headers: { Cookie: 'sid=%E0' } });
+    assert.equal(res.status, 401);
+    assert.ok(srv.alive(), srv.output());
+  });
+
+  await t.test('non-object JSON bodies are treated as {}', async () => {
+    const routes = [
+      ['POST', '/api/credentials'],
+      ['POST', '/api/users'],
+      ['POST', '/api/schedules'],
+      ['POST', '/api/rules'],
+      ['POST', '/api/webhooks'],
+      ['POST', '/api/tokens'],
+      ['POST', '/api/groups'],
+      ['POST', '/api/mqtt/publish'],
+      ['POST', '/api/alerts/rules'],
+      ['POST', '/api/alerts/silences'],
+      ['POST', '/api/alerts/channels'],
+      ['POST', '/api/devices'],
+      ['POST', '/api/command']
+    ];
+    for (const [method, url] of routes) {
+      for (const body of ['null', '[]', '5', '"x"']) {
+        const res = await request(method, url, body);
+        assert.ok(res.status >= 400 && res.status < 500, `${method} ${url} ${body}: ${res.status}`);
+        assert.ok((await res.json()).error);
+      }
+    }
+    assert.ok(srv.alive(), srv.output());
+  });
+
+  await t.test('oversized bodies answer 413', async () => {
+    const res = await request('POST', '/api/groups', JSON.stringify({ name: 'g', description: 'x'.repeat(2 * 1024 * 1024) }));
+    assert.equal(res.status, 413);
+    assert.match((await res.json()).error, /too large/);
+    assert.ok(srv.alive(), srv.output());
+  });
+});
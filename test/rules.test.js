@@ -0,0 +1,98 @@
+// Status-triggered rules: when they fire, re-arm and skip, and a rule firing end to end.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRulesEngine } = require('../lib/rules');
+const { createStore } = require('../lib/store');
+const { startServer, session, mqttConnect } = require('./helpers');
+
+// An engine whose command actions are recorded instead of sent.
+function engine() {
+  const sent = [];
+  const fired = [];
+  const rules = createRulesEngine({
+    store: createStore('rules', { driver: 'memory' }),
+    checkCommand: (a) => (a.device ? null : 'device is required'),
+    runCommand: async (a) => {
+      sent.push(`${a.device}:${a.status}`);
+      return { id: `c${sent.length}` };
+    },
+    onFire: (entry) => fired.push(entry)
+  });
+  return { rules, sent, fired };
+}
+const settle = () => new Promise((r) => setImmediate(r));
+
+test('a rule fires once per match and re-arms when the condition clears', async () => {
+  const { rules, sent, fired } = engine();
+  const { rule } = rules.create({ name: 'fan on', when: { device: 'lamp', status: 'off' }, actions: [{ type: 'command', device: 'fan', status: 'on' }] });
+
+  for (const status of ['on', 'off', 'off', 'on', 'OFF']) {
+    rules.handleStatus({ device: 'lamp', status });
+    rules.handleStatus({ device: 'other', status: 'off' });
+  }
+  await settle();
+  assert.deepEqual(sent, ['fan:on', 'fan:on']);
+  assert.deepEqual(fired.map((e) => e.results), [[{ type: 'command', ok: true, commandId: 'c1' }], [{ type: 'command', ok: true, commandId: 'c2' }]]);
+  assert.equal(rules.get(rule.id).lastResult.results[0].commandId, 'c2');
+});
+
+test('debounce, cooldown and dry-run', async () => {
+  const { rules, sent, fired } = engine();
+  rules.create({ when: { device: 'lamp', status: 'off' }, debounceMs: 60000, actions: [{ type: 'command', device: 'fan', status: 'on' }] });
+  rules.create({ when: { device: 'door', status: 'open' }, cooldownMs: 60000, actions: [{ type: 'command', device: 'siren', status: 'on' }] });
+  rules.create({ when: { device: 'tank', status: 'full', op: 'eq' }, dryRun: true, actions: [{ type: 'command', device: 'pump', status: 'off' }] });
+
+  // Cleared for less than debounceMs: still disarmed.
+  for (const status of ['off', 'on', 'off']) rules.handleStatus({ device: 'lamp', status });
+  // Re-armed, but inside the cooldown: consumed as a skip.
+  for (const status of ['open', 'closed', 'open']) rules.handleStatus({ device: 'door', status });
+  rules.handleStatus({ device: 'tank', status: 'full' });
+  await settle();
+
+  assert.deepEqual(sent, ['fan:on', 'siren:on']);
+  // Skips are recorded at once, firings after their actions complete.
+  assert.deepEqual(fired.map((e) => [e.device, e.skipped ?? null]).sort(), [['door', null], ['door', 'cooldown'], ['lamp', null], ['tank', null]]);
+  assert.deepEqual(fired.find((e) => e.device === 'tank').results, [{ type: 'command', dryRun: true, would: 'pump <- off' }]);
+  assert.deepEqual(rules.test(rules.list()[2].id, 'empty'), { matches: false, forMs: 0, would: [] });
+});
+
+test('invalid rules are rejected', () => {
+  const { rules } = engine();
+  const action = { type: 'command', device: 'fan', status: 'on' };
+  assert.match(rules.create({ when: { status: 'off' }, actions: [action] }).error, /when.device/);
+  assert.match(rules.create({ when: { device: 'lamp', status: 'off', op: 'gt' }, actions: [action] }).error, /when.op/);
+  assert.match(rules.create({ when: { device: 'lamp', status: 'off' }, actions: [] }).error, /At least one action/);
+  assert.match(rules.create({ when: { device: 'lamp', status: 'off' }, actions: [{ type: 'command' }] }).error, /actions\[0\]: device is required/);
+  assert.match(rules.create({ when: { device: 'lamp', status: 'off' }, actions: [{ type: 'webhook', url: 'ftp://x' }] }).error, /http\(s\)/);
+  assert.match(rules.create({ when: { device: 'lamp', status: 'off' }, cooldownMs: -1, actions: [action] }).error, /cooldownMs/);
+  assert.equal(rules.list().length, 0);
+});
+
+test('a device status report fires a rule that sends a command', async (t) => {
+  const srv = await startServer({ DEVICE_QUARANTINE: 'false' });
+  t.after(() => srv.stop());
+  const request = await session(srv.base);
+  const created = await request('POST', '/api/rules', {
+    name: 'lamp off -> fan on',
+    when: { device: 'lamp', status: 'off' },
+    actions: [{ type: 'command', device: 'fan', status: 'on' }]
+  });
+  assert.equal(created.status, 201, await created.clone().text());
+
+  const client = await mqttConnect(srv.base);
+  await client.publish('devices/status', 'lamp:off');
+  await client.flush();
+  await client.end();
+
+  let items = [];
+  for (let i = 0; i < 50 && !items.length; i++) {
+    items = (await (await request('GET', '/api/rules/activity')).json()).items;
+    if (!items.length) await new Promise((r) => setTimeout(r, 100));
+  }
+  assert.equal(items.length, 1);
+  assert.equal(items[0].device, 'lamp');
+  const [result] = items[0].results;
+  assert.equal(result.ok, true, JSON.stringify(result));
+  const cmd = await (await request('GET', `/api/commands/${result.commandId}`)).json();
+  assert.equal(cmd.device, 'fan');
+});
@@ -0,0 +1,79 @@
+// Command schedules and the cron parser.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../lib/store');
+const { createScheduler } = require('../lib/scheduler');
+const { parseCron, nextRun } = require('../lib/cron');
+
+function scheduler() {
+  return createScheduler({ store: createStore('schedules', { driver: 'memory' }), execute: async () => ({ ok: true }) });
+}
+const request = { device: 'lamp', status: 'on' };
+
+test('cron expressions that never match are rejected', () => {
+  const s = scheduler();
+  for (const cron of ['* * 31 2 *', '0 0 30,31 2 *', '0 12 31 4,6,9,11 *']) {
+    const { error } = s.create({ type: 'cron', cron, request });
+    assert.match(error ?? '', /never matches/, cron);
+  }
+  assert.equal(s.list().length, 0);
+});
+
+test('rare but possible cron expressions are accepted with a nextRunAt', () => {
+  const s = scheduler();
+  for (const cron of ['0 0 29 2 *', '0 0 31 2 mon', '0 0 31 * *', '*/15 * * * *']) {
+    const { schedule, error } = s.create({ type: 'cron', cron, request });
+    assert.equal(error, undefined, cron);
+    assert.ok(schedule.nextRunAt, cron);
+  }
+});
+
+test('an update to a never-matching cron is rejected and leaves the schedule as it was', () => {
+  const s = scheduler();
+  const { schedule } = s.create({ type: 'cron', cron: '0 8 * * *', request });
+  assert.match(s.update(schedule.id, { cron: '0 0 31 2 *' }).error, /never matches/);
+  assert.equal(s.list()[0].cron, '0 8 * * *');
+});
+
+test('an update while the schedule runs does not leave it stuck as running', async () => {
+  let finish;
+  let saved;
+  const store = { load: (fallback) => fallback, save: (data) => (saved = JSON.parse(JSON.stringify(data))) };
+  const s = createScheduler({ store, execute: () => new Promise((resolve) => (finish = resolve)) });
+  const { schedule } = s.create({ type: 'cron', cron: '0 8 * * *', request });
+  const run = s.runNow(schedule.id);
+  assert.equal(s.get(schedule.id).running, true);
+
+  const { schedule: edited } = s.update(schedule.id, { name: 'Morning' });
+  assert.equal(edited.running, undefined);
+  finish({ id: 'cmd-1' });
+  const after = await run;
+  assert.equal(after, s.get(schedule.id));
+  assert.equal(after.name, 'Morning');
+  assert.equal(after.running, undefined);
+  assert.deepEqual({ ...after.lastResult, at: undefined }, { ok: true, at: undefined, reason: 'manual', commandId: 'cmd-1' });
+  assert.equal(saved[0].running, undefined);
+  assert.equal(saved[0].lastResult.commandId, 'cmd-1');
+});
+
+// The dates of the next `count` runs after 2026-01-01T00:00Z.
+function runs(cron, count = 4) {
+  const c = parseCron(cron);
+  const out = [];
+  for (let t = Date.UTC(2026, 0, 1); out.length < count;) {
+    t = nextRun(c, t).getTime();
+    out.push(new Date(t).toISOString().slice(0, 10));
+  }
+  return out;
+}
+
+test('a day-of-month field covering every day does not widen a day-of-week restriction', () => {
+  const mondays = ['2026-01-05', '2026-01-12', '2026-01-19', '2026-01-26'];
+  for (const cron of ['0 8 * * 1', '0 8 */1 * 1', '0 8 1-31 * mon', '0 8 1-31/1 * 1']) assert.deepEqual(runs(cron), mondays, cron);
+  // And the other way round: every day of the week restricts nothing.
+  for (const cron of ['0 8 13 * *', '0 8 13 * */1', '0 8 13 * 0-6', '0 8 13 * sun-sat', '0 8 13 * 1-7']) {
+    assert.deepEqual(runs(cron, 2), ['2026-01-13', '2026-02-13'], cron);
+  }
+  // Both restricted: either matches, as in classic cron.
+  assert.deepEqual(runs('0 8 13 * 1'), ['2026-01-05', '2026-01-12', '2026-01-13', '2026-01-19']);
+});
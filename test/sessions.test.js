@@ -0,0 +1,44 @@
+// Server-side sessions and the CSRF check on unsafe methods.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, session } = require('./helpers');
+
+test('unsafe methods need the session CSRF token', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  const admin = await session(srv.base);
+
+  const missing = await admin('POST', '/api/credentials', { device: 'lamp', password: 'lamp-secret-1' }, { 'X-CSRF-Token': '' });
+  assert.equal(missing.status, 403);
+  assert.match((await missing.json()).error, /CSRF token/);
+  const forged = await admin('POST', '/api/credentials', { device: 'lamp', password: 'lamp-secret-1' }, { 'X-CSRF-Token': 'forged' });
+  assert.equal(forged.status, 403);
+
+  const ok = await admin('POST', '/api/credentials', { device: 'lamp', password: 'lamp-secret-1' });
+  assert.equal(ok.status, 201, await ok.text());
+  // Safe methods do not need it.
+  assert.equal((await admin('GET', '/api/credentials', undefined, { 'X-CSRF-Token': '' })).status, 200);
+});
+
+test('sessions can be listed and revoked', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  const admin = await session(srv.base);
+  const res = await admin('POST', '/api/users', { username: 'viewer', password: 'viewer-password', role: 'viewer' });
+  assert.equal(res.status, 201, await res.text());
+  const viewer = await session(srv.base, { user: 'viewer', pass: 'viewer-password' });
+
+  const { items } = await (await viewer('GET', '/api/sessions')).json();
+  assert.equal(items.length, 1);
+  assert.equal(items[0].username, 'viewer');
+  assert.equal(items[0].current, true);
+  assert.equal(items[0].id, undefined, 'the session id is never exposed');
+  assert.equal(items[0].csrf, undefined);
+
+  assert.equal((await viewer('DELETE', '/api/sessions/nope')).status, 404);
+  const revoked = await admin('DELETE', '/api/users/viewer/sessions');
+  assert.deepEqual(await revoked.json(), { ok: true, username: 'viewer', revoked: 1 });
+  assert.equal((await viewer('GET', '/api/sessions')).status, 401);
+  // The admin's own session is untouched.
+  assert.equal((await admin('GET', '/api/sessions')).status, 200);
+});
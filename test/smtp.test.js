@@ -0,0 +1,98 @@
+// sendMail against a local plain-TCP SMTP stand-in.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('node:net');
+const { sendMail } = require('../lib/smtp');
+const { smtpServer } = require('./helpers');
+
+const MAIL = { from: 'alerts@example.com', to: ['ops@example.com', 'oncall@example.com'], subject: 'Disk full', text: 'sensor-1 is firing.\n.dot line' };
+
+function parse(data) {
+  const [head, body] = data.split('\r\n\r\n');
+  const headers = Object.fromEntries(head.split('\r\n').map(l => [l.slice(0, l.indexOf(':')).toLowerCase(), l.slice(l.indexOf(':') + 2)]));
+  return { headers, text: Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8') };
+}
+
+test('delivers one message with the envelope, headers and base64 body', async (t) => {
+  const smtp = await smtpServer();
+  t.after(smtp.close);
+  const { response } = await sendMail({ host: smtp.host, port: smtp.port, hostname: 'test.local', ...MAIL });
+  assert.equal(response, '250 2.0.0 queued as TEST1');
+
+  const [session] = smtp.sessions;
+  assert.equal(session.commands[0], 'EHLO test.local');
+  assert.ok(!session.commands.some(c => c.startsWith('STARTTLS') || c.startsWith('AUTH')));
+  assert.equal(session.messages.length, 1);
+  const { from, to, data } = session.messages[0];
+  assert.equal(from, MAIL.from);
+  assert.deepEqual(to, MAIL.to);
+  const { headers, text } = parse(data);
+  assert.equal(headers.from, MAIL.from);
+  assert.equal(headers.to, 'ops@example.com, oncall@example.com');
+  assert.equal(headers.subject, 'Disk full');
+  assert.match(headers['message-id'], /^<[0-9a-f]{24}@test\.local>$/);
+  assert.equal(text, MAIL.text);
+});
+
+test('non-ASCII subjects are encoded and header line breaks removed', async (t) => {
+  const smtp = await smtpServer();
+  t.after(smtp.close);
+  await sendMail({ host: smtp.host, port: smtp.port, ...MAIL, subject: 'Température\r\nBcc: x@evil.test' });
+  const { headers } = parse(smtp.sessions[0].messages[0].data);
+  assert.equal(headers.bcc, undefined);
+  const encoded = headers.subject.match(/^=\?UTF-8\?B\?(.+)\?=$/)[1];
+  assert.equal(Buffer.from(encoded, 'base64').toString('utf8'), 'Température Bcc: x@evil.test');
+});
+
+test('AUTH PLAIN when offered, AUTH LOGIN when only LOGIN is', async (t) => {
+  const plain = await smtpServer({ ehlo: ['AUTH PLAIN LOGIN'] });
+  t.after(plain.close);
+  await sendMail({ host: plain.host, port: plain.port, username: 'alice', password: 's3cret', ...MAIL });
+  const auth = plain.sessions[0].commands.find(c => c.startsWith('AUTH'));
+  assert.equal(auth, 'AUTH PLAIN ' + Buffer.from('\0alice\0s3cret').toString('base64'));
+
+  const login = await smtpServer({ ehlo: ['AUTH LOGIN'] });
+  t.after(login.close);
+  await sendMail({ host: login.host, port: login.port, username: 'alice', password: 's3cret', ...MAIL });
+  const cmds = login.sessions[0].commands;
+  const i = cmds.indexOf('AUTH LOGIN');
+  assert.deepEqual(cmds.slice(i + 1, i + 3), [Buffer.from('alice').toString('base64'), Buffer.from('s3cret').toString('base64')]);
+  assert.equal(login.sessions[0].messages.length, 1);
+});
+
+test('falls back to HELO when EHLO is rejected', async (t) => {
+  const smtp = await smtpServer({ ehlo: null });
+  t.after(smtp.close);
+  await sendMail({ host: smtp.host, port: smtp.port, hostname: 'test.local', ...MAIL });
+  assert.deepEqual(smtp.sessions[0].commands.slice(0, 2), ['EHLO test.local', 'HELO test.local']);
+  assert.equal(smtp.sessions[0].messages.length, 1);
+});
+
+test('starttls "always" fails when the server does not offer it', async (t) => {
+  const smtp = await smtpServer();
+  t.after(smtp.close);
+  await assert.rejects(
+    sendMail({ host: smtp.host, port: smtp.port, starttls: 'always', ...MAIL }),
+    /does not offer STARTTLS/
+  );
+  assert.equal(smtp.sessions[0].messages.length, 0);
+});
+
+test('a rejected recipient rejects with the server reply', async (t) => {
+  const smtp = await smtpServer({ replies: { 'RCPT TO': '550 5.1.1 no such user' } });
+  t.after(smtp.close);
+  await assert.rejects(
+    sendMail({ host: smtp.host, port: smtp.port, ...MAIL }),
+    (err) => err.code === 550 && err.message === 'SMTP RCPT TO: 550 5.1.1 no such user'
+  );
+});
+
+test('a silent server times out', async (t) => {
+  const server = net.createServer(() => {}).listen(0, '127.0.0.1');
+  await new Promise((r) => server.once('listening', r));
+  t.after(() => new Promise((r) => server.close(r)));
+  await assert.rejects(
+    sendMail({ host: '127.0.0.1', port: server.address().port, timeoutMs: 200, ...MAIL }),
+    /SMTP timed out after 200 ms/
+  );
+});
@@ -0,0 +1,58 @@
+// Live device updates over GET /api/devices/stream.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, session, mqttConnect } = require('./helpers');
+
+// Reads server-sent events from a fetch response: next() resolves with { event, data },
+// close() cancels the stream.
+function sseReader(res) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  async function next() {
+    for (;;) {
+      const end = buffer.indexOf('\n\n');
+      if (end !== -1) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const event = block.match(/^event: (.*)$/m)?.[1];
+        const data = block.match(/^data: (.*)$/m)?.[1];
+        if (event) return { event, data: JSON.parse(data) };
+        continue;
+      }
+      const { value, done } = await reader.read();
+      if (done) throw new Error('stream ended');
+      buffer += decoder.decode(value, { stream: true });
+    }
+  }
+  return { next, close: () => reader.cancel() };
+}
+
+test('the devices stream sends a snapshot, then each status change', async (t) => {
+  const srv = await startServer({ DEVICE_QUARANTINE: 'false' });
+  t.after(() => srv.stop());
+  const request = await session(srv.base);
+  const client = await mqttConnect(srv.base);
+  await client.publish('devices/status', 'lamp:on');
+  await client.flush();
+
+  const res = await request('GET', '/api/devices/stream');
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+  const { next, close } = sseReader(res);
+
+  const snapshot = await next();
+  assert.equal(snapshot.event, 'snapshot');
+  assert.deepEqual(snapshot.data.items.map((d) => [d.device, d.status]), [['lamp', 'on']]);
+
+  await client.publish('devices/status', 'lamp:off');
+  await client.publish('devices/status', 'fan:on');
+  const seen = [];
+  while (seen.length < 2) {
+    const { event, data } = await next();
+    if (event === 'device') seen.push([data.device, data.status]);
+  }
+  assert.deepEqual(seen, [['lamp', 'off'], ['fan', 'on']]);
+  await close();
+  await client.end();
+});
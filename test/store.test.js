@@ -0,0 +1,55 @@
+// Device registry persistence: the file store and a restart that keeps devices.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createStore } = require('../lib/store');
+const { startServer, session, mqttConnect } = require('./helpers');
+
+test('the file store writes on flush and a new store loads it', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mqtt-ws-broker-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const store = createStore('devices', { dir });
+  assert.deepEqual(store.load({}), {});
+  store.save({ lamp: { status: 'on' } });
+  store.save({ lamp: { status: 'off' } });
+  store.flush();
+  assert.deepEqual(createStore('devices', { dir }).load({}), { lamp: { status: 'off' } });
+
+  fs.writeFileSync(path.join(dir, 'broken.json'), '{not json');
+  assert.deepEqual(createStore('broken', { dir }).load({ empty: true }), { empty: true });
+
+  const memory = createStore('devices', { driver: 'memory', dir });
+  memory.save({ fan: { status: 'on' } });
+  memory.flush();
+  assert.deepEqual(memory.load({}), {});
+  assert.throws(() => createStore('devices', { driver: 'redis' }), /Unknown store driver/);
+});
+
+test('devices survive a server restart', async (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mqtt-ws-broker-data-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const env = { DATA_DIR: dataDir, DEVICE_QUARANTINE: 'false' };
+
+  const first = await startServer(env);
+  let before;
+  try {
+    const client = await mqttConnect(first.base);
+    await client.publish('devices/status', 'lamp:on');
+    await client.flush();
+    const request = await session(first.base);
+    before = (await (await request('GET', '/api/devices')).json()).items;
+    assert.deepEqual(before.map((d) => [d.device, d.status]), [['lamp', 'on']]);
+    await client.end();
+  } finally {
+    await first.stop();
+  }
+
+  const second = await startServer(env);
+  t.after(() => second.stop());
+  const request = await session(second.base);
+  const { items } = await (await request('GET', '/api/devices')).json();
+  assert.deepEqual(items.map((d) => [d.device, d.firstSeen]), [['lamp', before[0].firstSeen]]);
+});
@@ -0,0 +1,64 @@
+// Telemetry store downsampling, MQTT ingestion and telemetry from unregistered devices.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../lib/store');
+const { createTelemetryStore } = require('../lib/telemetry');
+const { startServer, session, mqttConnect } = require('./helpers');
+
+test('raw samples are capped per field, oldest first, while buckets keep every sample', () => {
+  const telemetry = createTelemetryStore({ store: createStore('telemetry', { driver: 'memory' }), maxRawPerField: 10 });
+  const now = Date.now();
+  for (let i = 0; i < 25; i++) telemetry.record('sensor-1', { temp: i, hum: 50 }, now - (25 - i) * 1000);
+  const raw = telemetry.query('sensor-1', { from: now - 60 * 1000, to: now, maxPoints: 1000 });
+  assert.equal(raw.resolution, 'raw');
+  assert.deepEqual(raw.series.temp.filter(p => p.t > now - 60 * 1000).map(p => p.avg), [15, 16, 17, 18, 19, 20, 21, 22, 23, 24]);
+  assert.equal(raw.series.hum.filter(p => p.t > now - 60 * 1000).length, 10);
+  const minute = telemetry.query('sensor-1', { from: now - 2 * 60 * 60 * 1000, to: now });
+  assert.equal(minute.resolution, 'minute');
+  assert.equal(minute.series.temp.reduce((n, p) => n + p.n, 0), 25);
+  assert.deepEqual(telemetry.latest('sensor-1').map(f => f.value), [50, 24]);
+});
+
+test('telemetry published over MQTT shows up on the device API', async (t) => {
+  const srv = await startServer({ DEVICE_QUARANTINE: 'false' });
+  t.after(() => srv.stop());
+  const request = await session(srv.base);
+  const client = await mqttConnect(srv.base);
+  t.after(() => client.end());
+
+  client.publish('devices/sensor-1/telemetry', JSON.stringify({ temp: 21.5, power: { w: 12 } }));
+  client.publish('devices/sensor-1/telemetry', 'not json');
+  await client.flush();
+  // A QoS 0 publish can still be on its way through the broker after the ping round trip.
+  let latest = [];
+  for (let i = 0; i < 20 && latest.length < 2; i++) {
+    if (i) await new Promise((r) => setTimeout(r, 50));
+    const res = await request('GET', '/api/devices/sensor-1/telemetry');
+    if (res.status === 200) ({ latest } = await res.json());
+  }
+  assert.deepEqual(latest.map(f => [f.name, f.value]).sort(), [['power.w', 12], ['temp', 21.5]]);
+  assert.equal((await request('GET', '/api/devices/ghost/telemetry')).status, 404);
+  assert.equal((await request('GET', '/api/devices/sensor-1/telemetry?from=soon')).status, 400);
+});
+
+test('telemetry from a quarantined (unregistered) device is dropped', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  const request = await session(srv.base);
+  assert.equal((await request('POST', '/api/devices', { device: 'known' })).status, 201);
+  const client = await mqttConnect(srv.base);
+  t.after(() => client.end());
+
+  client.publish('devices/ghost/telemetry', JSON.stringify({ temp: 1 }));
+  client.publish('devices/known/telemetry', JSON.stringify({ temp: 2 }));
+  await client.flush();
+  const { latest } = await (await request('GET', '/api/devices/known/telemetry')).json();
+  assert.deepEqual(latest.map(f => [f.name, f.value]), [['temp', 2]]);
+  assert.equal((await request('GET', '/api/devices/ghost/telemetry')).status, 404);
+
+  // With quarantine off, unknown devices are accepted as before.
+  assert.equal((await request('PUT', '/api/settings', { DEVICE_QUARANTINE: false })).status, 200);
+  client.publish('devices/ghost/telemetry', JSON.stringify({ temp: 3 }));
+  await client.flush();
+  assert.equal((await request('GET', '/api/devices/ghost/telemetry')).status, 200);
+});
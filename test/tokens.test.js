@@ -0,0 +1,65 @@
+// API bearer tokens: JSON 401/403 for /api routes and per-route scope checks.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, session } = require('./helpers');
+
+test('unauthenticated API requests get JSON errors, not a login redirect', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+
+  let res = await fetch(srv.base + '/api/devices', { redirect: 'manual' });
+  assert.equal(res.status, 401);
+  assert.equal(res.headers.get('www-authenticate'), 'Bearer');
+  assert.deepEqual(await res.json(), { error: 'Authentication required' });
+
+  res = await fetch(srv.base + '/api/command', { method: 'POST', redirect: 'manual', headers: { Authorization: 'Bearer not-a-token' }, body: '{}' });
+  assert.equal(res.status, 401);
+  assert.deepEqual(await res.json(), { error: 'Invalid or revoked API token' });
+
+  res = await fetch(srv.base + '/devices', { redirect: 'manual' });
+  assert.equal(res.status, 302);
+  assert.match(res.headers.get('location'), /^\/login\?next=/);
+});
+
+test('a token only reaches the routes its scopes allow', async (t) => {
+  const srv = await startServer();
+  t.after(() => srv.stop());
+  const request = await session(srv.base);
+
+  assert.equal((await request('POST', '/api/tokens', { name: 'bad', scopes: ['devices:write'] })).status, 400);
+  const created = await request('POST', '/api/tokens', { name: 'dashboard', scopes: ['devices:read'] });
+  assert.equal(created.status, 201);
+  const { id, token } = await created.json();
+  const bearer = (method, url, body) => fetch(srv.base + url, {
+    method,
+    redirect: 'manual',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  assert.equal((await bearer('GET', '/api/devices')).status, 200);
+  const history = (await bearer('GET', '/api/devices/lamp/history')).status;
+  assert.ok(history !== 401 && history !== 403, String(history));
+
+  let res = await bearer('POST', '/api/command', { device: 'lamp', status: 'on' });
+  assert.equal(res.status, 403);
+  assert.deepEqual(await res.json(), { error: 'Forbidden. Token lacks scope commands:send' });
+  res = await bearer('GET', '/api/users');
+  assert.equal(res.status, 403);
+  assert.deepEqual(await res.json(), { error: 'Forbidden. API tokens cannot use this route' });
+  // Pages are for sessions only.
+  assert.equal((await bearer('GET', '/devices')).status, 302);
+
+  const sender = await (await request('POST', '/api/tokens', { name: 'script', scopes: ['commands:send'] })).json();
+  res = await fetch(srv.base + '/api/command', {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${sender.token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ device: 'lamp', status: 'on' })
+  });
+  assert.ok(res.ok, `${res.status} ${await res.clone().text()}`);
+
+  assert.equal((await request('DELETE', `/api/tokens/${id}`)).status, 200);
+  res = await bearer('GET', '/api/devices');
+  assert.equal(res.status, 401);
+  assert.deepEqual(await res.json(), { error: 'Invalid or revoked API token' });
+});
@@ -0,0 +1,48 @@
+// The markup these pages lost once (forms posting nowhere, links without href) and that
+// the rest of the UI depends on.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const views = require('../views');
+
+test('login renders a POST form with next and the CSRF field', () => {
+  const html = views.login({ next: '/devices?x="1"', error: '<b>nope</b>', csrf: 'tok', wsPath: '/mqtt' });
+  assert.match(html, /<form method="POST" action="\/login">/);
+  assert.match(html, /<input type="hidden" name="next" value="\/devices\?x=&quot;1&quot;" \/>/);
+  assert.match(html, /<input type="hidden" name="_csrf" value="tok" \/>/);
+  assert.match(html, /<input id="user" name="user" type="text"/);
+  assert.match(html, /<input id="pass" name="pass" type="password"/);
+  assert.match(html, /<button type="submit">Login<\/button>/);
+  assert.match(html, /&lt;b&gt;nope&lt;\/b&gt;/);
+});
+
+test('home links to the pages the role may open', () => {
+  const viewer = views.home({ username: 'v', role: 'viewer', wsPath: '/mqtt' });
+  assert.match(viewer, /<a href="\/devices">Open Devices<\/a>/);
+  assert.match(viewer, /<a href="\/control">Open Control<\/a>/);
+  assert.match(viewer, /<a href="\/logout">Logout<\/a>/);
+  assert.match(viewer, /<a href="\/health">/);
+  assert.doesNotMatch(viewer, /href="\/users"/);
+  const admin = views.home({ username: 'a', role: 'admin', wsPath: '/mqtt' });
+  assert.match(admin, /<a href="\/users">\/users<\/a>/);
+  assert.match(admin, /<a href="\/settings">\/settings<\/a>/);
+});
+
+test('devices and control link to each other, home and logout', () => {
+  const devices = views.devices({ staleMs: 30000, csrf: 'tok', canControl: true });
+  assert.match(devices, /<a class="button" href="\/control">Open Control<\/a>/);
+  assert.match(devices, /<a href="\/">Home<\/a>/);
+  assert.match(devices, /<a href="\/logout">Logout<\/a>/);
+  const control = views.control({
+    commandTopic: { mode: 'legacy', topic: 'devices/command', encoding: 'colon', payload: 'device_name:on|off' },
+    ackTimeoutMs: 10000, csrf: 'tok', isAdmin: false
+  });
+  assert.match(control, /<a class="button" href="\/devices">Open Devices<\/a>/);
+  assert.match(control, /<a href="\/">Home<\/a>/);
+  assert.match(control, /<a href="\/logout">Logout<\/a>/);
+});
+
+test('logout confirms with a CSRF-checked POST form', () => {
+  const html = views.logout({ username: 'a', csrf: 'tok', otherSessions: 1 });
+  assert.match(html, /<form method="POST" action="\/logout">/);
+  assert.match(html, /name="_csrf" value="tok"/);
+});
@@ -0,0 +1,79 @@
+// Deliveries against a local HTTP receiver.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { createStore } = require('../lib/store');
+const { createWebhookDispatcher } = require('../lib/webhooks');
+const { httpReceiver } = require('./helpers');
+
+function dispatcher(options) {
+  return createWebhookDispatcher({
+    store: createStore('webhooks', { driver: 'memory' }),
+    logStore: createStore('webhook-deliveries', { driver: 'memory' }),
+    tickMs: 10,
+    ...options
+  });
+}
+
+async function settled(webhooks, id) {
+  for (let i = 0; i < 500; i++) {
+    const d = webhooks.delivery(id);
+    if (d.status !== 'pending') return d;
+    await new Promise((r) => setTimeout(r, 10));
+  }
+  throw new Error('delivery still pending');
+}
+
+test('deliveries are signed with HMAC-SHA256 over "<timestamp>.<body>"', async (t) => {
+  const rx = await httpReceiver([200]);
+  t.after(rx.close);
+  const webhooks = dispatcher({});
+  const { webhook } = webhooks.create({ url: rx.url, events: ['device.*'] });
+  webhooks.emit('command.sent', { device: 'lamp' }); // not subscribed
+  webhooks.emit('device.status', { device: 'lamp', status: 'online' });
+  const [d] = webhooks.log();
+  assert.equal((await settled(webhooks, d.id)).status, 'delivered');
+
+  assert.equal(rx.requests.length, 1);
+  const { headers, body } = rx.requests[0];
+  assert.equal(headers['content-type'], 'application/json');
+  assert.equal(headers['x-webhook-event'], 'device.status');
+  assert.equal(headers['x-webhook-delivery'], d.id);
+  const expected = 'sha256=' + crypto.createHmac('sha256', webhook.secret).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+  assert.equal(headers['x-webhook-signature'], expected);
+  assert.deepEqual(JSON.parse(body), { id: d.id, event: 'device.status', ts: JSON.parse(body).ts, data: { device: 'lamp', status: 'online' } });
+});
+
+test('a 500 is retried with backoff and the delivery log records every attempt', async (t) => {
+  const rx = await httpReceiver([500, 500, 200]);
+  t.after(rx.close);
+  const webhooks = dispatcher({ backoffMs: 50, maxAttempts: 5 });
+  webhooks.create({ url: rx.url, events: ['*'] });
+  webhooks.emit('device.stale', { device: 'lamp' });
+  const d = await settled(webhooks, webhooks.log()[0].id);
+
+  assert.equal(d.status, 'delivered');
+  assert.equal(d.error, null);
+  assert.equal(d.nextAttemptAt, null);
+  assert.deepEqual(d.attempts.map(a => [a.httpStatus, a.error]), [[500, 'HTTP 500'], [500, 'HTTP 500'], [200, null]]);
+  assert.equal(d.deliveredAt, d.attempts[2].at);
+  // Backoff doubles: >= 50 ms before the second attempt, >= 100 ms before the third.
+  const gaps = rx.requests.slice(1).map((r, i) => r.at - rx.requests[i].at);
+  assert.ok(gaps[0] >= 45 && gaps[1] >= 95, `gaps ${gaps}`);
+  // Every attempt is a fresh signature over the same body.
+  assert.equal(new Set(rx.requests.map(r => r.body)).size, 1);
+  assert.equal(new Set(rx.requests.map(r => r.headers['x-webhook-delivery'])).size, 1);
+});
+
+test('a delivery fails after maxAttempts', async (t) => {
+  const rx = await httpReceiver([503]);
+  t.after(rx.close);
+  const webhooks = dispatcher({ backoffMs: 10, maxAttempts: 3 });
+  const { webhook } = webhooks.create({ url: rx.url, events: ['*'] });
+  const d = await settled(webhooks, webhooks.test(webhook.id).id);
+  assert.equal(d.status, 'failed');
+  assert.equal(d.error, 'HTTP 503');
+  assert.equal(d.attempts.length, 3);
+  assert.equal(rx.requests.length, 3);
+  assert.deepEqual(webhooks.log({ status: 'failed' }).map(x => x.id), [d.id]);
+});
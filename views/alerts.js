@@ -0,0 +1,488 @@
+// views/alerts.js
+// Alerts: firing and recently resolved alerts (live over /api/alerts/stream, polling
+// fallback), silences for operators, and alert rules and notification channels for admins.
+
+const { escapeHtml, jsValue, layout } = require('./html');
+
+function alerts({ csrf, canSilence, isAdmin, kinds, severities, channelTypes }) {
+  const adminSections = !isAdmin ? '' : `
+    <h2>Alert rules</h2>
+    <table>
+      <thead><tr><th>Name</th><th>Condition</th><th>Scope</th><th>Severity</th><th>Channels</th><th>Enabled</th><th></th></tr></thead>
+      <tbody id="rules"><tr><td colspan="7">Loading…</td></tr></tbody>
+    </table>
+    <h3 id="rule-title">New rule</h3>
+    <div class="form">
+      <label for="ar-name">Name</label><input id="ar-name" type="text" maxlength="100" />
+      <label for="ar-kind">Kind</label>
+      <select id="ar-kind">
+${kinds.map(k => `        <option value="${escapeHtml(k)}">${escapeHtml(k)}</option>`).join('\n')}
+      </select>
+      <label class="p-count" for="ar-count">Count</label><input class="p-count" id="ar-count" type="number" min="1" value="3" />
+      <label class="p-window" for="ar-window">Window (min)</label><input class="p-window" id="ar-window" type="number" min="1" max="1440" value="60" />
+      <label class="p-for" for="ar-for">For (min)</label><input class="p-for" id="ar-for" type="number" min="0" step="any" value="10" />
+      <label class="p-threshold" for="ar-field">Telemetry field</label><input class="p-threshold" id="ar-field" type="text" placeholder="temperature" />
+      <label class="p-threshold" for="ar-op">Condition</label>
+      <span class="p-threshold"><select id="ar-op"><option value="gt">&gt;</option><option value="gte">&gt;=</option><option value="lt">&lt;</option><option value="lte">&lt;=</option></select>
+        <input id="ar-value" type="number" step="any" /></span>
+      <label>Scope</label>
+      <span><input id="ar-device" type="text" placeholder="device (any)" /> <input id="ar-group" type="text" placeholder="group (any)" /> <input id="ar-tag" type="text" placeholder="tag (any)" /></span>
+      <label for="ar-severity">Severity</label>
+      <select id="ar-severity">
+${severities.map(s => `        <option value="${escapeHtml(s)}"${s === 'warning' ? ' selected' : ''}>${escapeHtml(s)}</option>`).join('\n')}
+      </select>
+      <label>Channels</label><span id="ar-channels" class="muted">No channels yet.</span>
+      <label for="ar-repeat">Repeat every (min)</label><input id="ar-repeat" type="number" min="0" value="0" title="0 = notify once" />
+      <label for="ar-enabled">Enabled</label><input id="ar-enabled" type="checkbox" checked />
+      <span></span><span><button id="rule-save">Create</button> <button id="rule-cancel" hidden>Cancel</button></span>
+    </div>
+
+    <h2>Notification channels</h2>
+    <table>
+      <thead><tr><th>Name</th><th>Type</th><th>Target</th><th>Last result</th><th>Enabled</th><th></th></tr></thead>
+      <tbody id="channels"><tr><td colspan="6">Loading…</td></tr></tbody>
+    </table>
+    <h3 id="channel-title">New channel</h3>
+    <div class="form">
+      <label for="ch-name">Name</label><input id="ch-name" type="text" maxlength="100" />
+      <label for="ch-type">Type</label>
+      <select id="ch-type">
+${channelTypes.map(t => `        <option value="${escapeHtml(t)}">${escapeHtml(t)}</option>`).join('\n')}
+      </select>
+      <label class="t-smtp" for="ch-host">SMTP host / port</label>
+      <span class="t-smtp"><input id="ch-host" type="text" placeholder="smtp.example.com" /> <input id="ch-port" type="number" min="1" max="65535" placeholder="587" /></span>
+      <label class="t-smtp">TLS</label>
+      <span class="t-smtp"><select id="ch-tls"><option value="auto">STARTTLS if offered</option><option value="always">STARTTLS required</option><option value="never">none</option><option value="secure">implicit TLS (465)</option></select>
+        <label><input id="ch-selfsigned" type="checkbox" /> allow self-signed</label></span>
+      <label class="t-smtp">Username / password</label>
+      <span class="t-smtp"><input id="ch-user" type="text" autocomplete="off" /> <input id="ch-pass" type="password" autocomplete="new-password" placeholder="unchanged" /></span>
+      <label class="t-smtp" for="ch-from">From</label><input class="t-smtp" id="ch-from" type="email" placeholder="alerts@example.com" />
+      <label class="t-smtp" for="ch-to">To</label><input class="t-smtp" id="ch-to" type="text" placeholder="ops@example.com, oncall@example.com" />
+      <label class="t-http" for="ch-url">URL</label><input class="t-http" id="ch-url" type="url" placeholder="https://example.com/alert-hook" />
+      <label class="t-http" for="ch-method">Method</label><select class="t-http" id="ch-method"><option>POST</option><option>PUT</option></select>
+      <label class="t-http" for="ch-headers">Headers (JSON)</label><input class="t-http" id="ch-headers" type="text" placeholder='{"Authorization": "Bearer …"}' />
+      <label for="ch-enabled">Enabled</label><input id="ch-enabled" type="checkbox" checked />
+      <span></span><span><button id="channel-save">Create</button> <button id="channel-cancel" hidden>Cancel</button></span>
+    </div>`;
+
+  return layout({
+    title: 'Alerts',
+    style: `
+    body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; margin: 2rem; }
+    table { border-collapse: collapse; width: 100%; max-width: 1200px; }
+    th, td { border: 1px solid #ddd; padding: 8px; vertical-align: top; }
+    th { background: #f3f3f3; text-align: left; }
+    .muted { color: #666; font-size: 0.9rem; }
+    .form { display: grid; grid-template-columns: max-content 1fr; gap: 8px 12px; max-width: 760px; align-items: center; }
+    .sev { padding: 2px 8px; border-radius: 999px; font-size: 0.85rem; }
+    .sev-critical { background: #ffd7d7; color: #6d1111; }
+    .sev-warning { background: #fff1c2; color: #7a5b00; }
+    .sev-info { background: #e3edff; color: #1b3f7a; }
+    .ok { color: #175217; }
+    .bad { color: #6d1111; }
+    #msg { margin-top: 1rem; color: #175217; }
+    #err { margin-top: 1rem; color: #6d1111; }
+    code { background: #0001; padding: 2px 4px; border-radius: 4px; }`,
+    body: `  <main>
+    <h1>Alerts</h1>
+    <p class="muted">Rules watch devices for offline flapping, missing status reports, unacknowledged commands and
+      telemetry thresholds. Firing and resolved alerts go to the rule's channels and to <code>alert.*</code> webhooks;
+      a matching silence holds notifications back. Updates: <span id="mode">connecting…</span></p>
+    <p><a href="/devices">Devices</a> • <a href="/">Home</a> • <a href="/logout">Logout</a></p>
+    <div id="msg"></div><div id="err"></div>
+
+    <h2>Firing</h2>
+    <table>
+      <thead><tr><th>Severity</th><th>Alert</th><th>Device</th><th>Summary</th><th>Since</th><th>Notified</th><th></th></tr></thead>
+      <tbody id="firing"><tr><td colspan="7">Loading…</td></tr></tbody>
+    </table>
+
+    <h2>Silences</h2>
+    <table>
+      <thead><tr><th>Matches</th><th>Comment</th><th>From</th><th>Until</th><th>State</th><th></th></tr></thead>
+      <tbody id="silences"><tr><td colspan="6">Loading…</td></tr></tbody>
+    </table>${canSilence ? `
+    <h3>New silence</h3>
+    <div class="form">
+      <label for="s-rule">Rule</label><select id="s-rule"><option value="">any rule</option></select>
+      <label for="s-device">Device</label><input id="s-device" type="text" placeholder="any device" />
+      <label for="s-minutes">Duration (min)</label><input id="s-minutes" type="number" min="1" value="60" />
+      <label for="s-comment">Comment</label><input id="s-comment" type="text" maxlength="500" placeholder="maintenance window" />
+      <span></span><span><button id="s-create">Silence</button></span>
+    </div>` : ''}
+${adminSections}
+
+    <h2>Recently resolved</h2>
+    <table>
+      <thead><tr><th>Severity</th><th>Alert</th><th>Device</th><th>Summary</th><th>Started</th><th>Resolved</th></tr></thead>
+      <tbody id="resolved"><tr><td colspan="6">Loading…</td></tr></tbody>
+    </table>
+  </main>`,
+    script: `
+    var CSRF_TOKEN = ${jsValue(csrf)};
+    var CAN_SILENCE = ${jsValue(canSilence)};
+    var IS_ADMIN = ${jsValue(isAdmin)};
+    function escapeHtml(s) { return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
+    function $(id) { return document.getElementById(id); }
+    async function call(method, url, body) {
+      $('msg').textContent = ''; $('err').textContent = '';
+      try {
+        const res = await fetch(url, {
+          method: method,
+          headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': CSRF_TOKEN },
+          body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error ?? ('HTTP ' + res.status));
+        return data;
+      } catch (e) {
+        console.error('Request error:', e);
+        $('err').textContent = 'Failed: ' + e.message;
+        return null;
+      }
+    }
+    function sev(s) { return '<span class="sev sev-' + escapeHtml(s) + '">' + escapeHtml(s) + '</span>'; }
+    function mins(ms) { return Math.round((ms ?? 0) / 6000) / 10; }
+    function notified(a) {
+      if (a.silencedBy) return '<span class="muted">silenced</span>';
+      var n = a.lastNotification;
+      if (!n) return '<span class="muted">' + (a.notifiedAt ? 'no channels' : '—') + '</span>';
+      return (n.results ?? []).map(function(r) {
+        return '<span class="' + (r.ok ? 'ok' : 'bad') + '" title="' + escapeHtml(r.response ?? r.error ?? '') + '">' + escapeHtml(channelNames[r.channel] ?? r.channel) + (r.ok ? ' ✓' : ' ✕') + '</span>';
+      }).join(' ') + '<div class="muted">' + escapeHtml(n.status + ' ' + n.at) + '</div>';
+    }
+
+    // ---------- Alerts ----------
+    var ruleNames = Object.create(null);
+    var channelNames = Object.create(null);
+    function setAlerts(data) {
+      var firing = data.firing ?? [];
+      $('firing').innerHTML = firing.length === 0 ? '<tr><td colspan="7">Nothing firing.</td></tr>' : firing.map(function(a) {
+        return '<tr><td>' + sev(a.severity) + '</td><td>' + escapeHtml(a.name) + '</td>'
+          + '<td>' + (a.device ? '<a href="/devices/' + encodeURIComponent(a.device) + '">' + escapeHtml(a.device) + '</a>' : '') + '</td>'
+          + '<td>' + escapeHtml(a.summary) + '</td><td>' + escapeHtml(a.startsAt) + '</td><td>' + notified(a) + '</td>'
+          + '<td>' + (CAN_SILENCE && !a.silencedBy ? '<button class="silence" data-rule="' + escapeHtml(a.rule) + '" data-device="' + escapeHtml(a.device ?? '') + '">Silence…</button>' : '') + '</td></tr>';
+      }).join('');
+      $('firing').querySelectorAll('.silence').forEach(function(btn) {
+        btn.addEventListener('click', async function() {
+          var m = prompt('Silence this alert for how many minutes?', '60');
+          if (!m) return;
+          var body = { rule: this.getAttribute('data-rule'), device: this.getAttribute('data-device') || undefined, durationMs: Number(m) * 60000, comment: 'from /alerts' };
+          if (await call('POST', '/api/alerts/silences', body)) { $('msg').textContent = 'Silenced.'; loadSilences(); }
+        });
+      });
+      var resolved = (data.resolved ?? []).slice(0, 50);
+      $('resolved').innerHTML = resolved.length === 0 ? '<tr><td colspan="6">None yet.</td></tr>' : resolved.map(function(a) {
+        return '<tr><td>' + sev(a.severity) + '</td><td>' + escapeHtml(a.name) + '</td><td>' + escapeHtml(a.device ?? '') + '</td>'
+          + '<td>' + escapeHtml(a.summary) + '</td><td>' + escapeHtml(a.startsAt) + '</td><td>' + escapeHtml(a.endsAt) + '</td></tr>';
+      }).join('');
+    }
+    async function loadAlerts() {
+      try {
+        const res = await fetch('/api/alerts', { cache: 'no-store' });
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        const data = await res.json();
+        (data.rules ?? []).forEach(function(r) { ruleNames[r.id] = r.name; });
+        (data.channels ?? []).forEach(function(c) { channelNames[c.id] = c.name; });
+        if (CAN_SILENCE) {
+          var sel = $('s-rule'), current = sel.value;
+          sel.innerHTML = '<option value="">any rule</option>' + (data.rules ?? []).map(function(r) {
+            return '<option value="' + escapeHtml(r.id) + '">' + escapeHtml(r.name) + '</option>';
+          }).join('');
+          sel.value = current;
+        }
+        setAlerts(data);
+      } catch (e) {
+        console.error('Load error:', e);
+        $('firing').innerHTML = '<tr><td colspan="7">Error loading. Check console.</td></tr>';
+      }
+    }
+
+    // ---------- Silences ----------
+    async function loadSilences() {
+      try {
+        const res = await fetch('/api/alerts/silences', { cache: 'no-store' });
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        var items = (await res.json()).items ?? [];
+        $('silences').innerHTML = items.length === 0 ? '<tr><td colspan="6">No silences.</td></tr>' : items.map(function(s) {
+          var what = [s.rule ? 'rule ' + (ruleNames[s.rule] ?? s.rule) : null, s.device ? 'device ' + s.device : null].filter(Boolean).join(', ') || 'everything';
+          return '<tr><td>' + escapeHtml(what) + '</td><td>' + escapeHtml(s.comment) + '<div class="muted">' + escapeHtml(s.createdBy ?? '') + '</div></td>'
+            + '<td>' + escapeHtml(s.startsAt) + '</td><td>' + escapeHtml(s.endsAt) + '</td>'
+            + '<td>' + (s.state === 'active' ? '<strong>active</strong>' : '<span class="muted">' + escapeHtml(s.state) + '</span>') + '</td>'
+            + '<td>' + (CAN_SILENCE && s.state !== 'expired' ? '<button class="expire" data-id="' + escapeHtml(s.id) + '">Expire</button>' : '') + '</td></tr>';
+        }).join('');
+        $('silences').querySelectorAll('.expire').forEach(function(btn) {
+          btn.addEventListener('click', async function() {
+            if (await call('DELETE', '/api/alerts/silences/' + encodeURIComponent(this.getAttribute('data-id')))) loadSilences();
+          });
+        });
+      } catch (e) {
+        console.error('Load error:', e);
+        $('silences').innerHTML = '<tr><td colspan="6">Error loading. Check console.</td></tr>';
+      }
+    }
+    if (CAN_SILENCE) {
+      $('s-create').addEventListener('click', async function() {
+        var body = {
+          rule: $('s-rule').value || undefined,
+          device: $('s-device').value.trim() || undefined,
+          durationMs: Number($('s-minutes').value) * 60000,
+          comment: $('s-comment').value.trim()
+        };
+        if (await call('POST', '/api/alerts/silences', body)) {
+          $('msg').textContent = 'Silence created.';
+          $('s-device').value = ''; $('s-comment').value = '';
+          loadSilences();
+        }
+      });
+    }
+
+    // ---------- Rules & channels (admin) ----------
+    var channels = [];
+    var editingRule = null, editingChannel = null;
+    function describeRule(r) {
+      var p = r.params;
+      if (r.kind === 'flapping') return '≥ ' + p.count + ' offline transitions in ' + mins(p.windowMs) + ' min';
+      if (r.kind === 'silent') return 'no status for ' + mins(p.forMs) + ' min';
+      if (r.kind === 'unacked') return '≥ ' + p.count + ' unacknowledged command(s) in ' + mins(p.windowMs) + ' min';
+      var ops = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+      return p.field + ' ' + ops[p.op] + ' ' + p.value + (p.forMs ? ' for ' + mins(p.forMs) + ' min' : '');
+    }
+    function syncKind() {
+      var kind = $('ar-kind').value;
+      var show = { 'p-count': kind === 'flapping' || kind === 'unacked', 'p-window': kind === 'flapping' || kind === 'unacked', 'p-for': kind === 'silent' || kind === 'threshold', 'p-threshold': kind === 'threshold' };
+      Object.keys(show).forEach(function(cls) {
+        document.querySelectorAll('.' + cls).forEach(function(el) { el.hidden = !show[cls]; });
+      });
+    }
+    function renderChannelChoices(selected) {
+      $('ar-channels').innerHTML = channels.length === 0 ? 'No channels yet.' : channels.map(function(c) {
+        return '<label><input type="checkbox" class="ar-ch" value="' + escapeHtml(c.id) + '"' + (selected.indexOf(c.id) >= 0 ? ' checked' : '') + ' /> ' + escapeHtml(c.name) + '</label>';
+      }).join(' ');
+    }
+    function resetRule() {
+      editingRule = null;
+      $('rule-title').textContent = 'New rule';
+      $('rule-save').textContent = 'Create';
+      $('rule-cancel').hidden = true;
+      ['ar-name', 'ar-field', 'ar-value', 'ar-device', 'ar-group', 'ar-tag'].forEach(function(id) { $(id).value = ''; });
+      $('ar-kind').value = 'flapping'; $('ar-count').value = '3'; $('ar-window').value = '60'; $('ar-for').value = '10';
+      $('ar-op').value = 'gt'; $('ar-severity').value = 'warning'; $('ar-repeat').value = '0'; $('ar-enabled').checked = true;
+      renderChannelChoices([]);
+      syncKind();
+    }
+    function editRule(r) {
+      editingRule = r.id;
+      $('rule-title').textContent = 'Edit: ' + r.name;
+      $('rule-save').textContent = 'Save';
+      $('rule-cancel').hidden = false;
+      $('ar-name').value = r.name; $('ar-kind').value = r.kind; $('ar-severity').value = r.severity;
+      $('ar-count').value = r.params.count ?? 3; $('ar-window').value = mins(r.params.windowMs ?? 3600000);
+      $('ar-for').value = mins(r.params.forMs ?? 0);
+      $('ar-field').value = r.params.field ?? ''; $('ar-op').value = r.params.op ?? 'gt'; $('ar-value').value = r.params.value ?? '';
+      $('ar-device').value = r.scope.device ?? ''; $('ar-group').value = r.scope.group ?? ''; $('ar-tag').value = r.scope.tag ?? '';
+      $('ar-repeat').value = mins(r.repeatMs); $('ar-enabled').checked = r.enabled;
+      renderChannelChoices(r.channels);
+      syncKind();
+      $('rule-title').scrollIntoView();
+    }
+    async function loadRules() {
+      try {
+        const res = await fetch('/api/alerts/rules', { cache: 'no-store' });
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        var items = (await res.json()).items ?? [];
+        $('rules').innerHTML = items.length === 0 ? '<tr><td colspan="7">No alert rules yet.</td></tr>' : items.map(function(r, i) {
+          var scope = [r.scope.device ? 'device ' + r.scope.device : null, r.scope.group ? 'group ' + r.scope.group : null, r.scope.tag ? '#' + r.scope.tag : null].filter(Boolean).join(', ') || 'all devices';
+          return '<tr><td>' + escapeHtml(r.name) + '</td><td>' + escapeHtml(r.kind) + ': ' + escapeHtml(describeRule(r)) + '</td>'
+            + '<td>' + escapeHtml(scope) + '</td><td>' + sev(r.severity) + '</td>'
+            + '<td>' + r.channels.map(function(id) { return escapeHtml(channelNames[id] ?? id); }).join(', ') + (r.repeatMs ? '<div class="muted">every ' + mins(r.repeatMs) + ' min</div>' : '') + '</td>'
+            + '<td><input type="checkbox" class="r-enabled" data-i="' + i + '"' + (r.enabled ? ' checked' : '') + ' /></td>'
+            + '<td><button class="r-edit" data-i="' + i + '">Edit</button> <button class="r-del" data-i="' + i + '">Delete</button></td></tr>';
+        }).join('');
+        $('rules').querySelectorAll('.r-enabled').forEach(function(el) {
+          el.addEventListener('change', async function() {
+            await call('PUT', '/api/alerts/rules/' + items[this.getAttribute('data-i')].id, { enabled: this.checked });
+            loadRules(); loadAlerts();
+          });
+        });
+        $('rules').querySelectorAll('.r-edit').forEach(function(el) {
+          el.addEventListener('click', function() { editRule(items[this.getAttribute('data-i')]); });
+        });
+        $('rules').querySelectorAll('.r-del').forEach(function(el) {
+          el.addEventListener('click', async function() {
+            var r = items[this.getAttribute('data-i')];
+            if (!confirm('Delete alert rule ' + r.name + '? Its firing alerts resolve.')) return;
+            if (await call('DELETE', '/api/alerts/rules/' + r.id)) { loadRules(); loadAlerts(); }
+          });
+        });
+      } catch (e) {
+        console.error('Load error:', e);
+        $('rules').innerHTML = '<tr><td colspan="7">Error loading. Check console.</td></tr>';
+      }
+    }
+    function channelTarget(c) {
+      return c.type === 'smtp' ? (c.config.to ?? []).join(', ') + ' via ' + c.config.host + ':' + c.config.port : c.config.method + ' ' + c.config.url;
+    }
+    function syncType() {
+      var type = $('ch-type').value;
+      document.querySelectorAll('.t-smtp').forEach(function(el) { el.hidden = type !== 'smtp'; });
+      document.querySelectorAll('.t-http').forEach(function(el) { el.hidden = type !== 'http'; });
+    }
+    function resetChannel() {
+      editingChannel = null;
+      $('channel-title').textContent = 'New channel';
+      $('channel-save').textContent = 'Create';
+      $('channel-cancel').hidden = true;
+      $('ch-type').disabled = false;
+      ['ch-name', 'ch-host', 'ch-port', 'ch-user', 'ch-pass', 'ch-from', 'ch-to', 'ch-url', 'ch-headers'].forEach(function(id) { $(id).value = ''; });
+      $('ch-tls').value = 'auto'; $('ch-selfsigned').checked = false; $('ch-method').value = 'POST'; $('ch-enabled').checked = true;
+      syncType();
+    }
+    function editChannel(c) {
+      editingChannel = c.id;
+      $('channel-title').textContent = 'Edit: ' + c.name;
+      $('channel-save').textContent = 'Save';
+      $('channel-cancel').hidden = false;
+      $('ch-name').value = c.name; $('ch-type').value = c.type; $('ch-type').disabled = true; $('ch-enabled').checked = c.enabled;
+      var k = c.config;
+      if (c.type === 'smtp') {
+        $('ch-host').value = k.host; $('ch-port').value = k.port; $('ch-tls').value = k.secure ? 'secure' : k.starttls;
+        $('ch-selfsigned').checked = k.allowSelfSigned; $('ch-user').value = k.username; $('ch-pass').value = '';
+        $('ch-from').value = k.from; $('ch-to').value = (k.to ?? []).join(', ');
+      } else {
+        $('ch-url').value = k.url; $('ch-method').value = k.method;
+        $('ch-headers').value = Object.keys(k.headers ?? {}).length ? JSON.stringify(k.headers) : '';
+      }
+      syncType();
+      $('channel-title').scrollIntoView();
+    }
+    async function loadChannels() {
+      try {
+        const res = await fetch('/api/alerts/channels', { cache: 'no-store' });
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        channels = (await res.json()).items ?? [];
+        channels.forEach(function(c) { channelNames[c.id] = c.name; });
+        $('channels').innerHTML = channels.length === 0 ? '<tr><td colspan="6">No channels yet.</td></tr>' : channels.map(function(c, i) {
+          var r = c.lastResult;
+          return '<tr><td>' + escapeHtml(c.name) + '</td><td>' + escapeHtml(c.type) + '</td><td>' + escapeHtml(channelTarget(c)) + '</td>'
+            + '<td>' + (r ? '<span class="' + (r.ok ? 'ok' : 'bad') + '">' + escapeHtml(r.ok ? r.response : r.error) + '</span><div class="muted">' + escapeHtml(r.status + ' ' + r.at) + '</div>' : '<span class="muted">—</span>') + '</td>'
+            + '<td>' + (c.enabled ? 'yes' : 'no') + '</td>'
+            + '<td><button class="c-test" data-i="' + i + '">Send test</button> <button class="c-edit" data-i="' + i + '">Edit</button> <button class="c-del" data-i="' + i + '">Delete</button></td></tr>';
+        }).join('');
+        $('channels').querySelectorAll('.c-test').forEach(function(el) {
+          el.addEventListener('click', async function() {
+            var c = channels[this.getAttribute('data-i')];
+            this.disabled = true;
+            var data = await call('POST', '/api/alerts/channels/' + c.id + '/test');
+            this.disabled = false;
+            if (data) $('msg').textContent = 'Test sent via ' + c.name + ': ' + data.response;
+            loadChannels();
+          });
+        });
+        $('channels').querySelectorAll('.c-edit').forEach(function(el) {
+          el.addEventListener('click', function() { editChannel(channels[this.getAttribute('data-i')]); });
+        });
+        $('channels').querySelectorAll('.c-del').forEach(function(el) {
+          el.addEventListener('click', async function() {
+            var c = channels[this.getAttribute('data-i')];
+            if (!confirm('Delete channel ' + c.name + '?')) return;
+            if (await call('DELETE', '/api/alerts/channels/' + c.id)) loadChannels();
+          });
+        });
+        if (!editingRule) {
+          var checked = Array.from(document.querySelectorAll('.ar-ch:checked')).map(function(el) { return el.value; });
+          renderChannelChoices(checked);
+        }
+      } catch (e) {
+        console.error('Load error:', e);
+        $('channels').innerHTML = '<tr><td colspan="6">Error loading. Check console.</td></tr>';
+      }
+    }
+    if (IS_ADMIN) {
+      $('ar-kind').addEventListener('change', syncKind);
+      $('rule-cancel').addEventListener('click', resetRule);
+      $('rule-save').addEventListener('click', async function() {
+        var kind = $('ar-kind').value;
+        var params = {};
+        if (kind === 'flapping' || kind === 'unacked') { params.count = Number($('ar-count').value); params.windowMs = Number($('ar-window').value) * 60000; }
+        if (kind === 'silent' || kind === 'threshold') params.forMs = Number($('ar-for').value) * 60000;
+        if (kind === 'threshold') { params.field = $('ar-field').value.trim(); params.op = $('ar-op').value; params.value = $('ar-value').value; }
+        var body = {
+          name: $('ar-name').value.trim(), kind: kind, severity: $('ar-severity').value, params: params,
+          scope: { device: $('ar-device').value.trim(), group: $('ar-group').value.trim(), tag: $('ar-tag').value.trim() },
+          channels: Array.from(document.querySelectorAll('.ar-ch:checked')).map(function(el) { return el.value; }),
+          repeatMs: Number($('ar-repeat').value) * 60000,
+          enabled: $('ar-enabled').checked
+        };
+        var data = editingRule ? await call('PUT', '/api/alerts/rules/' + editingRule, body) : await call('POST', '/api/alerts/rules', body);
+        if (!data) return;
+        $('msg').textContent = (editingRule ? 'Saved ' : 'Created ') + data.rule.name + '.';
+        resetRule(); loadRules(); loadAlerts();
+      });
+      $('ch-type').addEventListener('change', syncType);
+      $('channel-cancel').addEventListener('click', resetChannel);
+      $('channel-save').addEventListener('click', async function() {
+        var type = $('ch-type').value;
+        var config;
+        if (type === 'smtp') {
+          var tlsMode = $('ch-tls').value;
+          config = {
+            host: $('ch-host').value.trim(), port: $('ch-port').value || undefined,
+            secure: tlsMode === 'secure', starttls: tlsMode === 'secure' ? 'never' : tlsMode,
+            allowSelfSigned: $('ch-selfsigned').checked,
+            username: $('ch-user').value.trim(), password: $('ch-pass').value || (editingChannel ? '…' : ''),
+            from: $('ch-from').value.trim(), to: $('ch-to').value
+          };
+        } else {
+          var headers;
+          try { headers = $('ch-headers').value.trim() ? JSON.parse($('ch-headers').value) : {}; } catch (e) { $('err').textContent = 'Headers must be a JSON object.'; return; }
+          config = { url: $('ch-url').value.trim(), method: $('ch-method').value, headers: headers };
+        }
+        var body = { name: $('ch-name').value.trim(), type: type, config: config, enabled: $('ch-enabled').checked };
+        var data = editingChannel ? await call('PUT', '/api/alerts/channels/' + editingChannel, body) : await call('POST', '/api/alerts/channels', body);
+        if (!data) return;
+        $('msg').textContent = (editingChannel ? 'Saved ' : 'Created ') + data.channel.name + '.';
+        resetChannel(); loadChannels();
+      });
+      resetRule();
+      resetChannel();
+    }
+
+    // Live updates over SSE; poll every 10 s while the stream is down.
+    var pollTimer = null;
+    function setMode(text) { $('mode').textContent = text; }
+    function startPolling() {
+      setMode('polling every 10 s');
+      if (pollTimer) return;
+      loadAlerts();
+      pollTimer = setInterval(function() { loadAlerts(); loadSilences(); }, 10000);
+    }
+    function stopPolling() {
+      if (pollTimer) { clearInterval(pollTimer); pollTimer = null; }
+    }
+    var reloadTimer = null;
+    if (window.EventSource) {
+      var es = new EventSource('/api/alerts/stream');
+      es.addEventListener('snapshot', function(e) {
+        stopPolling();
+        setMode('live');
+        setAlerts(JSON.parse(e.data));
+      });
+      // Changes come one alert at a time; refetch the lists once a burst settles.
+      es.addEventListener('alert', function() {
+        clearTimeout(reloadTimer);
+        reloadTimer = setTimeout(loadAlerts, 300);
+      });
+      es.onerror = startPolling;
+    } else {
+      startPolling();
+    }
+    (IS_ADMIN ? loadChannels() : Promise.resolve()).then(function() {
+      loadAlerts();
+      loadSilences();
+      if (IS_ADMIN) loadRules();
+    });`
+  });
+}
+
+module.exports = { alerts };
@@ -0,0 +1,119 @@
+// views/audit.js
+// Audit log (admin), newest first, filtered by actor, action and time range over /api/audit.
+
+const { escapeHtml, layout } = require('./html');
+
+function audit({ auditDir }) {
+  return layout({
+    title: 'Audit Log',
+    style: `
+    body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; margin: 2rem; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #ddd; padding: 8px; vertical-align: top; }
+    th { background: #f3f3f3; text-align: left; }
+    .muted { color: #666; font-size: 0.9rem; }
+    .filters { display: flex; gap: 8px; align-items: end; flex-wrap: wrap; margin-bottom: 1rem; }
+    .filters label { display: flex; flex-direction: column; font-size: 0.9rem; gap: 4px; }
+    .denied, .failed, .invalid, .rejected, .not_found { color: #6d1111; }
+    code { background: #0001; padding: 2px 4px; border-radius: 4px; font-size: 0.85rem; }`,
+    body: `  <main>
+    <h1>Audit Log</h1>
+    <p class="muted">Logins, commands and configuration changes, newest first. Append-only JSONL under <code>${escapeHtml(auditDir)}</code>.</p>
+    <p><a href="/devices">Devices</a> • <a href="/control">Control</a> • <a href="/users">Users</a> • <a href="/">Home</a> • <a href="/logout">Logout</a></p>
+
+    <div class="filters">
+      <label>Actor <input type="text" id="actor" /></label>
+      <label>Action <select id="action">
+        <option value="">(any)</option>
+        <option value="login">login</option>
+        <option value="logout">logout</option>
+        <option value="command">command.*</option>
+        <option value="user">user.*</option>
+        <option value="credentials">credentials.*</option>
+        <option value="device">device.*</option>
+        <option value="schedule">schedule.*</option>
+        <option value="group">group.*</option>
+        <option value="firmware">firmware.*</option>
+        <option value="ota">ota.*</option>
+        <option value="rule">rule.*</option>
+        <option value="alert">alert.*</option>
+        <option value="webhook">webhook.*</option>
+        <option value="token">token.*</option>
+        <option value="mqtt">mqtt.*</option>
+        <option value="session">session.*</option>
+        <option value="settings">settings.*</option>
+        <option value="csrf">csrf</option>
+        <option value="access">access</option>
+      </select></label>
+      <label>Target <input type="text" id="target" placeholder="device / user" /></label>
+      <label>Result <select id="result">
+        <option value="">(any)</option>
+        <option value="ok">ok</option>
+        <option value="denied">denied</option>
+        <option value="locked">locked</option>
+        <option value="failed">failed</option>
+        <option value="invalid">invalid</option>
+        <option value="rejected">rejected</option>
+        <option value="not_found">not_found</option>
+        <option value="skipped">skipped</option>
+        <option value="dry-run">dry-run</option>
+      </select></label>
+      <label>From <input type="datetime-local" id="from" /></label>
+      <label>To <input type="datetime-local" id="to" /></label>
+      <label>Limit <input type="number" id="limit" min="1" max="2000" value="200" /></label>
+      <button id="apply">Apply</button>
+    </div>
+
+    <table>
+      <thead><tr><th>Time (UTC)</th><th>Actor</th><th>Action</th><th>Target</th><th>Payload</th><th>IP</th><th>Result</th></tr></thead>
+      <tbody id="rows"><tr><td colspan="7">Loading…</td></tr></tbody>
+    </table>
+  </main>`,
+    script: `
+    function escapeHtml(s) { return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
+    async function load() {
+      var tbody = document.getElementById('rows');
+      var q = new URLSearchParams();
+      ['actor', 'action', 'target', 'result'].forEach(function(k) {
+        var v = document.getElementById(k).value.trim();
+        if (v) q.set(k, v);
+      });
+      var from = document.getElementById('from').value;
+      var to = document.getElementById('to').value;
+      if (from) q.set('from', new Date(from).toISOString());
+      if (to) q.set('to', new Date(to).toISOString());
+      q.set('limit', document.getElementById('limit').value || '200');
+      try {
+        const res = await fetch('/api/audit?' + q, { cache: 'no-store' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error ?? ('HTTP ' + res.status));
+        var items = Array.isArray(data.items) ? data.items : [];
+        if (items.length === 0) {
+          tbody.innerHTML = '<tr><td colspan="7">No matching entries.</td></tr>';
+          return;
+        }
+        var htmlRows = '';
+        for (var i = 0; i < items.length; i++) {
+          var x = items[i];
+          htmlRows += '<tr>'
+            + '<td>' + escapeHtml(x.ts ?? '') + '</td>'
+            + '<td>' + escapeHtml(x.actor ?? '') + '</td>'
+            + '<td>' + escapeHtml(x.action ?? '') + '</td>'
+            + '<td>' + escapeHtml(x.target ?? '') + '</td>'
+            + '<td>' + (x.payload == null ? '' : '<code>' + escapeHtml(JSON.stringify(x.payload)) + '</code>') + '</td>'
+            + '<td>' + escapeHtml(x.ip ?? '') + '</td>'
+            + '<td class="' + escapeHtml(x.result ?? '') + '">' + escapeHtml(x.result ?? '') + '</td>'
+            + '</tr>';
+        }
+        tbody.innerHTML = htmlRows;
+      } catch (e) {
+        console.error('Load error:', e);
+        tbody.innerHTML = '<tr><td colspan="7">' + escapeHtml(e.message) + '</td></tr>';
+      }
+    }
+    document.getElementById('apply').addEventListener('click', load);
+    load();`
+  });
+}
+
+module.exports = { audit };
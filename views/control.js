@@ -0,0 +1,371 @@
+// views/control.js
+// Command page: per-device toggles or capability widgets, command acks from the ledger,
+// group/tag fan-out, a manual command box and (for admins) per-device delivery overrides.
+
+const { escapeHtml, jsValue, layout } = require('./html');
+
+// commandTopic: { mode, topic, template, encoding, payload } - the server's default delivery
+// and an example payload in it.
+function control({ commandTopic, ackTimeoutMs, csrf, isAdmin }) {
+  const delivery = (commandTopic.mode === 'device'
+    ? `<code>${escapeHtml(commandTopic.template)}</code>`
+    : `<code>${escapeHtml(commandTopic.topic)}</code> (shared)`)
+    + `, ${escapeHtml(commandTopic.encoding)} payload <code>${escapeHtml(commandTopic.payload)}</code>`;
+  return layout({
+    title: 'Device Control',
+    style: `
+    body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; margin: 2rem; }
+    table { border-collapse: collapse; width: 100%; max-width: 980px; }
+    th, td { border: 1px solid #ddd; padding: 8px; }
+    th { background: #f3f3f3; text-align: left; }
+    .muted { color: #666; font-size: 0.9rem; }
+    .toggle { width: 50px; height: 24px; }
+    .row-controls { display: flex; gap: 8px; align-items: center; }
+    #msg { margin-top: 1rem; color: #175217; }
+    #err { margin-top: 1rem; color: #6d1111; }
+    .cmd-pending { color: #8a6d00; }
+    .cmd-acked { color: #175217; }
+    .cmd-failed, .cmd-timeout { color: #6d1111; }
+    .caps { display: flex; flex-direction: column; gap: 6px; }
+    .caps label { display: flex; gap: 6px; align-items: center; }
+    .caps output { min-width: 3em; font-variant-numeric: tabular-nums; }
+    .delivery { font-size: 0.85rem; }
+    .tag { display: inline-block; background: #eef3ff; color: #1d3f8a; border-radius: 4px; padding: 0 6px; margin: 1px; font-size: 0.85rem; }
+    .toolbar { display: flex; gap: 8px; align-items: center; margin: 1rem 0; }
+    .delivery select { font-size: 0.85rem; }
+    a.button { display:inline-block; padding:8px 14px; background:#0b78ff; color:#fff; border-radius:6px; text-decoration:none; }
+    a.button:hover { background:#075fcc; }`,
+    body: `  <main>
+    <h1>Device Control</h1>
+    <p class="muted">Toggle <strong>On/Off</strong> next to a device and click <strong>Send</strong>. Default delivery: ${delivery} • Devices confirm on <code>devices/&lt;name&gt;/ack</code> within ${ackTimeoutMs} ms.
+      Devices that announce capabilities on <code>devices/&lt;name&gt;/meta</code> get matching controls and receive JSON commands.</p>
+    <p><a class="button" href="/devices">Open Devices</a> • <a href="/">Home</a> • <a href="/logout">Logout</a></p>
+
+    <div class="toolbar">
+      <label>Show <select id="filter"><option value="">All devices</option></select></label>
+      <span id="bulk" hidden><button id="all-on">All on</button> <button id="all-off">All off</button></span>
+      <a href="/groups">Manage groups &amp; tags</a>
+    </div>
+
+    <table id="tbl">
+      <thead><tr><th>Device</th><th>Current Status</th><th>Last Command</th><th>Delivery</th><th>Control</th><th>Action</th></tr></thead>
+      <tbody id="rows"><tr><td colspan="6">Loading…</td></tr></tbody>
+    </table>
+
+    <h2>Manual Command</h2>
+    <div class="row-controls">
+      <input type="text" id="manual-device" placeholder="Device name" />
+      <label><input type="checkbox" id="manual-toggle" /> On</label>
+      <button id="manual-send">Send</button>
+    </div>
+
+    <div id="msg"></div><div id="err"></div>
+  </main>`,
+    script: `
+    var CSRF_TOKEN = ${jsValue(csrf)};
+    function escapeHtml(s) { return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
+    var rowsByDevice = Object.create(null);
+    // Widgets for an announced capability schema; plain on/off toggle otherwise.
+    function controlHtml(x, id) {
+      var caps = x.capabilities;
+      if (!caps) {
+        var st = String(x.status ?? '').toLowerCase();
+        var checked = (st === 'on' || st === 'online') ? 'checked' : '';
+        return '<label><input type="checkbox" class="toggle" id="' + id + '" ' + checked + '> On</label>';
+      }
+      var html = '<div class="caps">';
+      Object.keys(caps).forEach(function(name) {
+        var c = caps[name];
+        var label = escapeHtml(c.label ?? name);
+        var attrs = ' data-cap="' + escapeHtml(name) + '" data-type="' + c.type + '"';
+        if (c.type === 'boolean') {
+          html += '<label><input type="checkbox"' + attrs + '> ' + label + '</label>';
+        } else if (c.type === 'number') {
+          var bounds = (c.min != null ? ' min="' + c.min + '"' : '') + (c.max != null ? ' max="' + c.max + '"' : '')
+            + ' step="' + (c.step ?? 'any') + '"';
+          var start = c.min ?? 0;
+          var unit = c.unit ? ' ' + escapeHtml(c.unit) : '';
+          if (c.min != null && c.max != null) {
+            html += '<label>' + label + ' <input type="range"' + attrs + bounds + ' value="' + start + '"'
+              + ' oninput="this.nextElementSibling.value = this.value"> <output>' + start + '</output>' + unit + '</label>';
+          } else {
+            html += '<label>' + label + ' <input type="number"' + attrs + bounds + ' value="' + start + '">' + unit + '</label>';
+          }
+        } else if (c.type === 'enum') {
+          html += '<label>' + label + ' <select' + attrs + '>'
+            + c.values.map(function(v) { return '<option value="' + escapeHtml(v) + '">' + escapeHtml(v) + '</option>'; }).join('')
+            + '</select></label>';
+        } else {
+          html += '<label>' + label + ' <input type="text"' + attrs + (c.maxLength ? ' maxlength="' + c.maxLength + '"' : '') + '></label>';
+        }
+      });
+      return html + '</div>';
+    }
+    function readCommand(tr) {
+      var command = {};
+      tr.querySelectorAll('[data-cap]').forEach(function(el) {
+        var name = el.getAttribute('data-cap');
+        var type = el.getAttribute('data-type');
+        if (type === 'boolean') command[name] = el.checked;
+        else if (type === 'number') command[name] = Number(el.value);
+        else if (el.value !== '') command[name] = el.value;
+      });
+      return command;
+    }
+    // New rows start with the toggle matching the device status; later updates only touch
+    // the status cell (and the controls if the capability schema changed) so an
+    // operator's pending choices are not overwritten.
+    function upsertRow(x) {
+      if (x.archived) return removeRow(x.device);
+      var tbody = document.getElementById('rows');
+      var tr = rowsByDevice[x.device];
+      var dev = escapeHtml(x.device ?? '');
+      var id = 'toggle_' + dev.replace(/[^a-zA-Z0-9_\-]/g, '_');
+      var capsKey = JSON.stringify(x.capabilities ?? null);
+      if (!tr) {
+        if (Object.keys(rowsByDevice).length === 0) tbody.innerHTML = '';
+        tr = document.createElement('tr');
+        tr.innerHTML = '<td>' + dev + '<div class="member"></div></td>'
+          + '<td class="status"></td>'
+          + '<td class="cmd"><span class="muted">—</span></td>'
+          + '<td class="delivery"></td>'
+          + '<td class="control"></td>'
+          + '<td><button class="send-btn">Send</button></td>';
+        tr.querySelector('.send-btn').addEventListener('click', async function() {
+          if (tr.capsKey !== 'null') {
+            await sendCommand(x.device, null, readCommand(tr));
+          } else {
+            await sendCommand(x.device, document.getElementById(id).checked ? 'on' : 'off');
+          }
+        });
+        rowsByDevice[x.device] = tr;
+        tbody.appendChild(tr);
+      }
+      if (tr.capsKey !== capsKey) {
+        tr.capsKey = capsKey;
+        tr.querySelector('.control').innerHTML = controlHtml(x, id);
+      }
+      tr.querySelector('.status').textContent = x.status ?? '';
+      tr.querySelector('.member').innerHTML = '<span class="muted">' + (x.groups ?? []).map(function(g) { return escapeHtml(g); }).join(', ') + '</span> '
+        + (x.tags ?? []).map(function(t) { return '<span class="tag">#' + escapeHtml(t) + '</span>'; }).join('');
+      tr.item = x;
+      tr.hidden = !matchesFilter(x);
+      renderDelivery(tr, x);
+    }
+    // Group / tag filter; value is "group:<name>" or "tag:<name>".
+    function matchesFilter(x) {
+      var f = document.getElementById('filter').value;
+      if (!f) return true;
+      var name = f.slice(f.indexOf(':') + 1);
+      return f.indexOf('group:') === 0 ? (x.groups ?? []).indexOf(name) >= 0 : (x.tags ?? []).indexOf(name) >= 0;
+    }
+    function applyFilter() {
+      Object.keys(rowsByDevice).forEach(function(d) { var tr = rowsByDevice[d]; tr.hidden = !matchesFilter(tr.item); });
+      document.getElementById('bulk').hidden = !document.getElementById('filter').value;
+    }
+    async function loadFilters() {
+      try {
+        const res = await fetch('/api/groups', { cache: 'no-store' });
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        const data = await res.json();
+        var sel = document.getElementById('filter'), current = sel.value;
+        sel.innerHTML = '<option value="">All devices</option>'
+          + (data.items ?? []).map(function(g) {
+              return '<option value="group:' + escapeHtml(g.name) + '">Group: ' + escapeHtml(g.name) + ' (' + g.members.length + ')</option>';
+            }).join('')
+          + (data.tags ?? []).map(function(t) { return '<option value="tag:' + escapeHtml(t) + '">Tag: #' + escapeHtml(t) + '</option>'; }).join('');
+        sel.value = current;
+        applyFilter();
+      } catch (e) {
+        console.error('Filter load error:', e);
+      }
+    }
+    // Topic + encoding per device; admins can override the defaults inline.
+    var IS_ADMIN = ${jsValue(isAdmin)};
+    function renderDelivery(tr, x) {
+      var d = x.delivery;
+      var cell = tr.querySelector('.delivery');
+      if (!d) { cell.textContent = ''; return; }
+      var key = JSON.stringify(d);
+      if (cell.getAttribute('data-key') === key) return;
+      cell.setAttribute('data-key', key);
+      var html = '<code>' + escapeHtml(d.topic) + '</code> • ' + escapeHtml(d.encoding) + (d.overridden ? ' <span class="muted">(override)</span>' : '');
+      if (IS_ADMIN) {
+        html += '<br><select class="mode-sel"><option value="">mode: default</option>'
+          + '<option value="legacy"' + (d.overridden && d.mode === 'legacy' ? ' selected' : '') + '>legacy (shared)</option>'
+          + '<option value="device"' + (d.overridden && d.mode === 'device' ? ' selected' : '') + '>per-device</option></select> '
+          + '<select class="enc-sel"><option value="">encoding: default</option>'
+          + '<option value="colon"' + (d.overridden && d.encoding === 'colon' ? ' selected' : '') + '>colon</option>'
+          + '<option value="colon-id"' + (d.overridden && d.encoding === 'colon-id' ? ' selected' : '') + '>colon + id</option>'
+          + '<option value="json"' + (d.overridden && d.encoding === 'json' ? ' selected' : '') + '>json</option></select>';
+      }
+      cell.innerHTML = html;
+      if (!IS_ADMIN) return;
+      cell.querySelectorAll('select').forEach(function(sel) {
+        sel.addEventListener('change', async function() {
+          var body = {
+            mode: cell.querySelector('.mode-sel').value || null,
+            encoding: cell.querySelector('.enc-sel').value || null
+          };
+          try {
+            const res = await fetch('/api/devices/' + encodeURIComponent(x.device) + '/command-settings', {
+              method: 'PUT',
+              headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': CSRF_TOKEN },
+              body: JSON.stringify(body)
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error ?? ('HTTP ' + res.status));
+            renderDelivery(tr, { device: x.device, delivery: { mode: data.mode, encoding: data.encoding, overridden: data.overridden, topic: data.topic } });
+          } catch (e) {
+            document.getElementById('err').textContent = 'Failed: ' + e.message;
+          }
+        });
+      });
+    }
+    // Archived, renamed or deleted devices leave the table.
+    function removeRow(device) {
+      var tr = rowsByDevice[device];
+      if (!tr) return;
+      tr.remove();
+      delete rowsByDevice[device];
+    }
+    function renderAll(items) {
+      var tbody = document.getElementById('rows');
+      if (items.length === 0 && Object.keys(rowsByDevice).length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6">No devices yet. Publish to <code>devices/status</code> to register.</td></tr>';
+        return;
+      }
+      for (var i = 0; i < items.length; i++) upsertRow(items[i]);
+    }
+    // Command ledger state: newest command per device in the table, plus the last one sent here.
+    var lastCommandAt = Object.create(null);
+    var lastSentId = null;
+    function showCommand(c) {
+      var tr = rowsByDevice[c.device];
+      if (tr && !(lastCommandAt[c.device] > c.createdAt)) {
+        lastCommandAt[c.device] = c.createdAt;
+        var cell = tr.querySelector('.cmd');
+        var what = (c.command && typeof c.command === 'object') ? JSON.stringify(c.command) : (c.command ?? '');
+        cell.innerHTML = escapeHtml(what) + ' → <span class="cmd-' + escapeHtml(c.status) + '">'
+          + escapeHtml(c.status) + (c.late ? ' (late)' : '') + '</span>';
+        cell.title = 'id ' + c.id + (c.error ? ' • ' + c.error : '') + (c.resolvedAt ? ' • ' + c.resolvedAt : '');
+      }
+      if (c.id === lastSentId && c.status !== 'pending') {
+        var msg = document.getElementById('msg');
+        var err = document.getElementById('err');
+        if (c.status === 'acked') msg.textContent = 'Acknowledged by ' + c.device + ': ' + c.payload;
+        else { msg.textContent = ''; err.textContent = 'Command ' + c.id + ' ' + c.status + (c.error ? ': ' + c.error : ''); }
+      }
+    }
+    async function loadCommands() {
+      try {
+        const res = await fetch('/api/commands?limit=200', { cache: 'no-store' });
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        const data = await res.json();
+        var items = Array.isArray(data.items) ? data.items : [];
+        for (var i = items.length - 1; i >= 0; i--) showCommand(items[i]);
+      } catch (e) {
+        console.error('Command load error:', e);
+      }
+    }
+    async function loadTable() {
+      try {
+        const res = await fetch('/api/devices', { cache: 'no-store' });
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        const data = await res.json();
+        renderAll(Array.isArray(data.items) ? data.items : []);
+      } catch (e) {
+        console.error('Load error:', e);
+        if (Object.keys(rowsByDevice).length === 0) {
+          document.getElementById('rows').innerHTML = '<tr><td colspan="6">Error loading. Check console.</td></tr>';
+        }
+      }
+    }
+    // status: 'on'|'off' for the legacy payload; command: object for capability devices.
+    async function sendCommand(device, status, command) {
+      var msg = document.getElementById('msg');
+      var err = document.getElementById('err');
+      msg.textContent = ''; err.textContent = '';
+      try {
+        const res = await fetch('/api/command', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': CSRF_TOKEN },
+          body: JSON.stringify(command ? { device: device, command: command } : { device: device, status: status })
+        });
+        const data = await res.json();
+        if (!res.ok || !data.ok) {
+          throw new Error((data.error ?? ('HTTP ' + res.status)) + (Array.isArray(data.details) ? ': ' + data.details.join('; ') : ''));
+        }
+        lastSentId = data.id;
+        msg.textContent = 'Sent: ' + data.payload + ' (topic: ' + data.topic + ') • waiting for ack…';
+      } catch (e) {
+        console.error('Send error:', e);
+        err.textContent = 'Failed: ' + e.message;
+      }
+    }
+    // "All on/off" for the selected group or tag: one /api/command fan-out.
+    async function sendBulk(status) {
+      var f = document.getElementById('filter').value;
+      var msg = document.getElementById('msg');
+      var err = document.getElementById('err');
+      msg.textContent = ''; err.textContent = '';
+      var body = { status: status };
+      body[f.indexOf('group:') === 0 ? 'group' : 'tag'] = f.slice(f.indexOf(':') + 1);
+      try {
+        const res = await fetch('/api/command', { method: 'POST', headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': CSRF_TOKEN }, body: JSON.stringify(body) });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error ?? ('HTTP ' + res.status));
+        lastSentId = null;
+        msg.textContent = 'Sent "' + status + '" to ' + data.sent + '/' + data.count + ' devices • acks show per row';
+        var failed = data.results.filter(function(r) { return !r.ok; });
+        if (failed.length) err.textContent = 'Failed: ' + failed.map(function(r) { return r.device + ' (' + r.error + ')'; }).join(', ');
+      } catch (e) {
+        console.error('Bulk send error:', e);
+        err.textContent = 'Failed: ' + e.message;
+      }
+    }
+    document.getElementById('filter').addEventListener('change', applyFilter);
+    document.getElementById('all-on').addEventListener('click', function() { sendBulk('on'); });
+    document.getElementById('all-off').addEventListener('click', function() { sendBulk('off'); });
+    setInterval(loadFilters, 30000);
+
+    document.getElementById('manual-send').addEventListener('click', async function() {
+      var device = document.getElementById('manual-device').value.trim();
+      var status = document.getElementById('manual-toggle').checked ? 'on' : 'off';
+      if (!device) { alert('Enter device name'); return; }
+      await sendCommand(device, status);
+    });
+
+    // Live updates over SSE; poll every 5 s while the stream is down.
+    var pollTimer = null;
+    function refresh() {
+      loadTable().then(loadCommands).then(loadFilters);
+    }
+    function startPolling() {
+      if (pollTimer) return;
+      refresh();
+      pollTimer = setInterval(refresh, 5000);
+    }
+    function stopPolling() {
+      if (pollTimer) { clearInterval(pollTimer); pollTimer = null; }
+    }
+    if (window.EventSource) {
+      var es = new EventSource('/api/devices/stream');
+      es.addEventListener('snapshot', function(e) {
+        stopPolling();
+        var data = JSON.parse(e.data);
+        renderAll(Array.isArray(data.items) ? data.items : []);
+        loadCommands();
+        loadFilters();
+      });
+      es.addEventListener('device', function(e) { upsertRow(JSON.parse(e.data)); });
+      es.addEventListener('removed', function(e) { removeRow(JSON.parse(e.data).device); });
+      es.addEventListener('command', function(e) { showCommand(JSON.parse(e.data)); });
+      es.onerror = startPolling;
+    } else {
+      startPolling();
+    }`
+  });
+}
+
+module.exports = { control };
@@ -0,0 +1,113 @@
+// views/credentials.js
+// Device MQTT credentials: provision (the password is shown once), rotate and revoke.
+
+const { escapeHtml, jsValue, layout } = require('./html');
+
+function credentials({ csrf, wsPath, allowAnonymous }) {
+  return layout({
+    title: 'Device Credentials',
+    style: `
+    body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; margin: 2rem; }
+    table { border-collapse: collapse; width: 100%; max-width: 980px; }
+    th, td { border: 1px solid #ddd; padding: 8px; }
+    th { background: #f3f3f3; text-align: left; }
+    .muted { color: #666; font-size: 0.9rem; }
+    .row-controls { display: flex; gap: 8px; align-items: center; }
+    .secret { margin-top: 1rem; padding: 12px; border: 1px solid #d5f5d5; border-radius: 6px; max-width: 980px; }
+    #err { margin-top: 1rem; color: #6d1111; }
+    code { background: #0001; padding: 2px 4px; border-radius: 4px; }`,
+    body: `  <main>
+    <h1>Device Credentials</h1>
+    <p class="muted">Devices connect to <code>${escapeHtml(wsPath)}</code> with their device name as MQTT username. A credentialed device may only publish its own
+      <code>devices/status</code> and <code>devices/&lt;name&gt;/…</code>, and only receives its own commands.
+      Anonymous clients: <strong>${allowAnonymous ? 'allowed' : 'rejected'}</strong> (<code>MQTT_ALLOW_ANONYMOUS</code>).</p>
+    <p><a href="/devices">Devices</a> • <a href="/control">Control</a> • <a href="/">Home</a> • <a href="/logout">Logout</a></p>
+
+    <h2>Provision</h2>
+    <div class="row-controls">
+      <input type="text" id="device" placeholder="Device name" />
+      <button id="provision">Provision / rotate</button>
+    </div>
+    <div id="secret"></div>
+    <div id="err"></div>
+
+    <h2>Provisioned devices</h2>
+    <table>
+      <thead><tr><th>Device</th><th>Created (UTC)</th><th>Rotated (UTC)</th><th>Last Auth (UTC)</th><th>Action</th></tr></thead>
+      <tbody id="rows"><tr><td colspan="5">Loading…</td></tr></tbody>
+    </table>
+  </main>`,
+    script: `
+    var CSRF_TOKEN = ${jsValue(csrf)};
+    function escapeHtml(s) { return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
+    async function load() {
+      var tbody = document.getElementById('rows');
+      try {
+        const res = await fetch('/api/credentials', { cache: 'no-store' });
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        const data = await res.json();
+        var items = Array.isArray(data.items) ? data.items : [];
+        if (items.length === 0) {
+          tbody.innerHTML = '<tr><td colspan="5">No device credentials yet.</td></tr>';
+          return;
+        }
+        var htmlRows = '';
+        for (var i = 0; i < items.length; i++) {
+          var x = items[i];
+          htmlRows += '<tr>'
+            + '<td>' + escapeHtml(x.device) + '</td>'
+            + '<td>' + escapeHtml(x.createdAt ?? '') + '</td>'
+            + '<td>' + escapeHtml(x.rotatedAt ?? '') + '</td>'
+            + '<td>' + escapeHtml(x.lastUsedAt ?? '') + '</td>'
+            + '<td><button class="revoke-btn" data-device="' + escapeHtml(x.device) + '">Revoke</button></td>'
+            + '</tr>';
+        }
+        tbody.innerHTML = htmlRows;
+        var buttons = document.getElementsByClassName('revoke-btn');
+        for (var j = 0; j < buttons.length; j++) {
+          buttons[j].addEventListener('click', async function() {
+            var device = this.getAttribute('data-device');
+            if (!confirm('Revoke credentials for ' + device + '? Connected clients are disconnected.')) return;
+            await call('DELETE', '/api/credentials/' + encodeURIComponent(device));
+            load();
+          });
+        }
+      } catch (e) {
+        console.error('Load error:', e);
+        tbody.innerHTML = '<tr><td colspan="5">Error loading. Check console.</td></tr>';
+      }
+    }
+    async function call(method, url, body) {
+      var err = document.getElementById('err');
+      err.textContent = '';
+      try {
+        const res = await fetch(url, {
+          method: method,
+          headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': CSRF_TOKEN },
+          body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await res.json();
+        if (!res.ok || !data.ok) throw new Error(data.error ?? ('HTTP ' + res.status));
+        return data;
+      } catch (e) {
+        console.error('Request error:', e);
+        err.textContent = 'Failed: ' + e.message;
+        return null;
+      }
+    }
+    document.getElementById('provision').addEventListener('click', async function() {
+      var device = document.getElementById('device').value.trim();
+      if (!device) { alert('Enter device name'); return; }
+      var data = await call('POST', '/api/credentials', { device: device });
+      var box = document.getElementById('secret');
+      box.innerHTML = data
+        ? '<div class="secret">Username: <code>' + escapeHtml(data.username) + '</code><br>Password: <code>' + escapeHtml(data.password)
+          + '</code><br><span class="muted">Copy it now, it is not shown again.</span></div>'
+        : '';
+      load();
+    });
+    load();`
+  });
+}
+
+module.exports = { credentials };
@@ -0,0 +1,270 @@
+// views/deviceDetail.js
+// One device: registry info, latest telemetry values and a chart per field (average line
+// over a min/max band) from /api/devices/:name/telemetry, refreshed every 30 s. Operators
+// edit the metadata and archive the device here; admins rename, merge or delete it.
+
+const { escapeHtml, jsValue, layout } = require('./html');
+
+const RANGES = [['1h', 60 * 60 * 1000], ['6h', 6 * 60 * 60 * 1000], ['24h', 24 * 60 * 60 * 1000], ['7d', 7 * 24 * 60 * 60 * 1000]];
+
+function deviceDetail({ device, rawMs, retentionMs, csrf, canEdit, isAdmin }) {
+  const ranges = RANGES.filter(([, ms], i) => i === 0 || ms <= retentionMs);
+  const href = '/devices/' + encodeURIComponent(device);
+  const manage = !canEdit ? '' : `
+    <h2>Manage</h2>
+    <div id="manage" class="form" hidden>
+      <label for="m-display">Display name</label><input id="m-display" type="text" maxlength="100" />
+      <label for="m-location">Location</label><input id="m-location" type="text" maxlength="100" />
+      <label for="m-notes">Notes</label><textarea id="m-notes" maxlength="1000" rows="3"></textarea>
+      <span></span><span><button id="m-save">Save</button> <button id="m-archive"></button></span>${isAdmin ? `
+      <label for="m-rename">Rename to</label>
+      <span><input id="m-rename" type="text" maxlength="64" placeholder="new or existing device name" /> <button id="m-rename-go">Rename</button>
+        <span class="muted">history, telemetry and group memberships move along; an existing name is merged into</span></span>
+      <label>Delete</label>
+      <span><button id="m-delete">Delete device…</button> <span class="muted">drops its history, telemetry and MQTT credentials</span></span>` : ''}
+    </div>
+    <div id="msg"></div>`;
+  return layout({
+    title: `Device • ${device}`,
+    style: `
+    body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; margin: 2rem; }
+    main { max-width: 1100px; }
+    table { border-collapse: collapse; }
+    th, td { border: 1px solid #ddd; padding: 6px 10px; text-align: left; }
+    th { background: #f3f3f3; }
+    .muted { color: #666; font-size: 0.9rem; }
+    .badge { padding: 2px 8px; border-radius: 999px; font-size: 0.9rem; }
+    .online { background: #d5f5d5; color: #175217; }
+    .offline { background: #ffd7d7; color: #6d1111; }
+    .unknown { background: #eee; color: #333; }
+    .archived { background: #f3e8ff; color: #4b2a7a; }
+    .tag { background: #eef; border-radius: 4px; padding: 1px 6px; margin-right: 4px; font-size: 0.85rem; }
+    .toolbar { display: flex; gap: 8px; align-items: center; margin: 1rem 0; }
+    .charts { display: grid; grid-template-columns: repeat(auto-fill, minmax(480px, 1fr)); gap: 16px; }
+    .chart { border: 1px solid #ddd; border-radius: 8px; padding: 8px 12px; }
+    .chart h3 { margin: 0 0 4px; font-size: 1rem; display: flex; justify-content: space-between; }
+    .chart svg { width: 100%; height: 160px; display: block; }
+    .chart .band { fill: #0b78ff22; stroke: none; }
+    .chart .line { fill: none; stroke: #0b78ff; stroke-width: 1.5; }
+    .chart .axis { stroke: #ccc; stroke-width: 1; }
+    .chart text { font-size: 10px; fill: #777; }
+    .form { display: grid; grid-template-columns: max-content 1fr; gap: 8px 12px; max-width: 760px; align-items: center; }
+    #msg { margin-top: 0.5rem; color: #175217; }
+    #err { color: #6d1111; }`,
+    body: `  <main>
+    <h1>Device: ${escapeHtml(device)}</h1>
+    <p><a href="/devices">Back to Devices</a> • <a href="${escapeHtml(href)}/history">Status history</a> • <a href="/">Home</a> • <a href="/logout">Logout</a></p>
+
+    <table>
+      <tbody id="info"><tr><td>Loading…</td></tr></tbody>
+    </table>
+${manage}
+
+    <h2>Telemetry</h2>
+    <p class="muted">Numeric fields published on the telemetry topic. Samples are kept as sent for ${Math.round(rawMs / 60000)} min,
+      then as 1-minute and 1-hour min/avg/max buckets; the line is the average, the band the min–max range.</p>
+    <div class="toolbar">
+      <label>Range <select id="range">
+${ranges.map(([label, ms]) => `        <option value="${ms}">${label}</option>`).join('\n')}
+      </select></label>
+      <button id="refresh">Refresh</button>
+      <span class="muted" id="resolution"></span>
+    </div>
+    <div id="err"></div>
+    <div id="charts" class="charts"><p class="muted">Loading…</p></div>
+  </main>`,
+    script: `
+    var DEVICE = ${jsValue(device)};
+    var CSRF_TOKEN = ${jsValue(csrf)};
+    var CAN_EDIT = ${jsValue(canEdit)};
+    var IS_ADMIN = ${jsValue(isAdmin)};
+    function escapeHtml(s) { return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
+    function $(id) { return document.getElementById(id); }
+    async function call(method, url, body) {
+      $('msg').textContent = ''; $('err').textContent = '';
+      try {
+        const res = await fetch(url, {
+          method: method,
+          headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': CSRF_TOKEN },
+          body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await res.json();
+        if (!res.ok) {
+          var err = new Error(data.error ?? ('HTTP ' + res.status));
+          err.status = res.status;
+          throw err;
+        }
+        return data;
+      } catch (e) {
+        console.error('Request error:', e);
+        $('err').textContent = 'Failed: ' + e.message;
+        return e;
+      }
+    }
+    function fmt(v) {
+      if (v == null) return '';
+      var a = Math.abs(v);
+      return (a !== 0 && (a >= 1e6 || a < 1e-2)) ? v.toExponential(2) : String(Math.round(v * 100) / 100);
+    }
+    function fmtTime(t, span) {
+      var d = new Date(t);
+      return span > 86400000 ? d.toLocaleDateString([], { month: 'short', day: 'numeric' }) + ' ' + d.toLocaleTimeString([], { hour: '2-digit' })
+        : d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+
+    var current = null;
+    async function loadInfo() {
+      var tbody = document.getElementById('info');
+      try {
+        var res = await fetch('/api/devices/' + encodeURIComponent(DEVICE), { cache: 'no-store' });
+        var x = await res.json();
+        if (res.status === 404) {
+          current = null;
+          tbody.innerHTML = '<tr><td class="muted">Not in the device registry (not registered, or waiting for approval on <a href="/devices">Devices</a>).</td></tr>';
+          if (CAN_EDIT) $('manage').hidden = true;
+          return;
+        }
+        if (!res.ok) throw new Error(x.error ?? ('HTTP ' + res.status));
+        var st = String(x.status ?? '').toLowerCase();
+        var cls = (st === 'online') ? 'online' : ((st === 'offline') ? 'offline' : 'unknown');
+        var rows = [
+          ['Name', (x.displayName ? escapeHtml(x.displayName) + ' ' : '') + '<code>' + escapeHtml(x.device) + '</code>'
+            + (x.archived ? ' <span class="badge archived">archived</span>' : '')],
+          ['Status', '<span class="badge ' + cls + '">' + escapeHtml(x.status ?? '') + '</span>'
+            + (x.clientId ? ' <span class="muted">' + (x.connected ? '● connected' : '○ disconnected') + ' (' + escapeHtml(x.clientId) + ')</span>' : '')],
+          ['Location', x.location ? escapeHtml(x.location) : '<span class="muted">—</span>'],
+          ['Notes', x.notes ? escapeHtml(x.notes).replace(/\\n/g, '<br>') : '<span class="muted">—</span>'],
+          ['Last seen', escapeHtml(x.lastSeen ?? '')],
+          ['First seen', escapeHtml(x.firstSeen ?? '')],
+          ['Firmware', x.firmware ? escapeHtml(x.firmware) : '<span class="muted">—</span>'],
+          ['Groups / tags', (x.groups ?? []).map(escapeHtml).join(', ')
+            + ' ' + (x.tags ?? []).map(function(t) { return '<span class="tag">#' + escapeHtml(t) + '</span>'; }).join('')]
+        ];
+        if (x.registeredAt) rows.push(['Registered', escapeHtml(x.registeredAt) + (x.registeredBy ? ' by ' + escapeHtml(x.registeredBy) : '')]);
+        tbody.innerHTML = rows.map(function(r) { return '<tr><th>' + r[0] + '</th><td>' + r[1] + '</td></tr>'; }).join('');
+        // Refill the form only when the device changed underneath it, not on every refresh.
+        if (CAN_EDIT && (!current || current.displayName !== x.displayName || current.location !== x.location || current.notes !== x.notes)) {
+          $('m-display').value = x.displayName ?? '';
+          $('m-location').value = x.location ?? '';
+          $('m-notes').value = x.notes ?? '';
+        }
+        if (CAN_EDIT) {
+          $('manage').hidden = false;
+          $('m-archive').textContent = x.archived ? 'Unarchive' : 'Archive';
+        }
+        current = x;
+      } catch (e) {
+        tbody.innerHTML = '<tr><td>' + escapeHtml(e.message) + '</td></tr>';
+      }
+    }
+
+    // Average line over a min/max band, with the value range and time span on the axes.
+    function chartSvg(points, from, to) {
+      var W = 480, H = 160, L = 48, R = 8, T = 8, B = 18;
+      if (points.length === 0) return '<svg viewBox="0 0 ' + W + ' ' + H + '"><text x="' + (W / 2) + '" y="' + (H / 2) + '" text-anchor="middle">No data in this range</text></svg>';
+      var lo = Infinity, hi = -Infinity;
+      points.forEach(function(p) { lo = Math.min(lo, p.min); hi = Math.max(hi, p.max); });
+      if (lo === hi) { lo -= 1; hi += 1; }
+      function x(t) { return L + (W - L - R) * (t - from) / Math.max(1, to - from); }
+      function y(v) { return T + (H - T - B) * (hi - v) / (hi - lo); }
+      function xy(t, v) { return x(t).toFixed(1) + ',' + y(v).toFixed(1); }
+      var band = points.map(function(p) { return xy(p.t, p.max); })
+        .concat(points.slice().reverse().map(function(p) { return xy(p.t, p.min); })).join(' ');
+      var line = points.map(function(p) { return xy(p.t, p.avg); }).join(' ');
+      return '<svg viewBox="0 0 ' + W + ' ' + H + '" preserveAspectRatio="none">'
+        + '<line class="axis" x1="' + L + '" y1="' + (H - B) + '" x2="' + (W - R) + '" y2="' + (H - B) + '"/>'
+        + '<line class="axis" x1="' + L + '" y1="' + T + '" x2="' + L + '" y2="' + (H - B) + '"/>'
+        + '<text x="' + (L - 4) + '" y="' + (T + 8) + '" text-anchor="end">' + escapeHtml(fmt(hi)) + '</text>'
+        + '<text x="' + (L - 4) + '" y="' + (H - B) + '" text-anchor="end">' + escapeHtml(fmt(lo)) + '</text>'
+        + '<text x="' + L + '" y="' + (H - 4) + '">' + escapeHtml(fmtTime(from, to - from)) + '</text>'
+        + '<text x="' + (W - R) + '" y="' + (H - 4) + '" text-anchor="end">' + escapeHtml(fmtTime(to, to - from)) + '</text>'
+        + (points.length > 1 ? '<polygon class="band" points="' + band + '"/>' : '')
+        + (points.length > 1 ? '<polyline class="line" points="' + line + '"/>'
+          : '<circle cx="' + x(points[0].t).toFixed(1) + '" cy="' + y(points[0].avg).toFixed(1) + '" r="2.5" fill="#0b78ff"/>')
+        + '</svg>';
+    }
+
+    async function loadTelemetry() {
+      var box = document.getElementById('charts');
+      var err = document.getElementById('err');
+      var to = Date.now();
+      var from = to - Number(document.getElementById('range').value);
+      var q = new URLSearchParams({ from: String(from), to: String(to), points: '240' });
+      try {
+        var res = await fetch('/api/devices/' + encodeURIComponent(DEVICE) + '/telemetry?' + q, { cache: 'no-store' });
+        var data = await res.json();
+        if (res.status === 404) {
+          box.innerHTML = '<p class="muted">No telemetry received from this device.</p>';
+          return;
+        }
+        if (!res.ok) throw new Error(data.error ?? ('HTTP ' + res.status));
+        err.textContent = '';
+        var latest = Object.create(null);
+        (data.latest ?? []).forEach(function(f) { latest[f.name] = f; });
+        var names = Object.keys(data.series ?? {}).sort();
+        document.getElementById('resolution').textContent = names.length
+          ? 'Resolution: ' + data.resolution + (data.stepMs ? ', ' + Math.round(data.stepMs / 1000) + ' s per point' : '')
+          : '';
+        if (names.length === 0) {
+          box.innerHTML = '<p class="muted">No telemetry received from this device.</p>';
+          return;
+        }
+        box.innerHTML = names.map(function(name) {
+          var last = latest[name];
+          return '<div class="chart"><h3><span>' + escapeHtml(name) + '</span>'
+            + (last ? '<span class="muted" title="' + escapeHtml(last.at) + '">' + escapeHtml(fmt(last.value)) + '</span>' : '')
+            + '</h3>' + chartSvg(data.series[name], from, to) + '</div>';
+        }).join('');
+      } catch (e) {
+        err.textContent = e.message;
+      }
+    }
+
+    if (CAN_EDIT) {
+      $('m-save').addEventListener('click', async function() {
+        var data = await call('PUT', '/api/devices/' + encodeURIComponent(DEVICE),
+          { displayName: $('m-display').value, location: $('m-location').value, notes: $('m-notes').value });
+        if (data instanceof Error) return;
+        $('msg').textContent = 'Saved';
+        loadInfo();
+      });
+      $('m-archive').addEventListener('click', async function() {
+        var archived = !(current && current.archived);
+        if (archived && !confirm('Archive ' + DEVICE + '? It is hidden from the device list, skipped by group commands and no longer goes stale.')) return;
+        var data = await call('PUT', '/api/devices/' + encodeURIComponent(DEVICE), { archived: archived });
+        if (data instanceof Error) return;
+        $('msg').textContent = archived ? 'Archived' : 'Unarchived';
+        loadInfo();
+      });
+    }
+    if (IS_ADMIN) {
+      $('m-rename-go').addEventListener('click', async function() {
+        var to = $('m-rename').value.trim();
+        if (!to) return;
+        var url = '/api/devices/' + encodeURIComponent(DEVICE) + '/rename';
+        var data = await call('POST', url, { to: to });
+        // 409 for an existing name: confirm, then merge.
+        if (data instanceof Error && data.status === 409 && /merge/.test(data.message)) {
+          if (!confirm(to + ' already exists. Merge ' + DEVICE + ' into it?')) return;
+          data = await call('POST', url, { to: to, merge: true });
+        }
+        if (data instanceof Error) return;
+        window.location.href = '/devices/' + encodeURIComponent(to);
+      });
+      $('m-delete').addEventListener('click', async function() {
+        if (!confirm('Delete ' + DEVICE + ' with its history, telemetry and MQTT credentials? This cannot be undone.')) return;
+        var data = await call('DELETE', '/api/devices/' + encodeURIComponent(DEVICE));
+        if (data instanceof Error) return;
+        window.location.href = '/devices';
+      });
+    }
+
+    function refresh() { loadInfo(); loadTelemetry(); }
+    document.getElementById('range').addEventListener('change', loadTelemetry);
+    document.getElementById('refresh').addEventListener('click', refresh);
+    setInterval(refresh, 30000);
+    refresh();`
+  });
+}
+
+module.exports = { deviceDetail };
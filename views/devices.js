@@ -0,0 +1,372 @@
+// views/devices.js
+// Device table: search, filters, sortable columns and paging through /api/devices, kept
+// live over SSE (polling fallback). Operators also get "All on/off" for the selected
+// group or tag, pre-registration and the quarantine of unknown devices.
+
+const { jsValue, layout } = require('./html');
+
+function devices({ staleMs, csrf, canControl }) {
+  const registerForm = !canControl ? '' : `
+    <details id="register-box">
+      <summary>Register a device</summary>
+      <div class="form">
+        <label for="r-device">Name</label><input id="r-device" type="text" maxlength="64" placeholder="as published on devices/status" />
+        <label for="r-display">Display name</label><input id="r-display" type="text" maxlength="100" />
+        <label for="r-location">Location</label><input id="r-location" type="text" maxlength="100" />
+        <label for="r-notes">Notes</label><textarea id="r-notes" maxlength="1000" rows="2"></textarea>
+        <label for="r-tags">Tags</label><input id="r-tags" type="text" placeholder="comma separated" />
+        <span></span><span><button id="r-save">Register</button></span>
+      </div>
+    </details>`;
+  return layout({
+    title: 'Device Live Status',
+    style: `
+    body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; margin: 2rem; }
+    table { border-collapse: collapse; width: 100%; max-width: 1200px; }
+    th, td { border: 1px solid #ddd; padding: 8px; }
+    th { background: #f3f3f3; text-align: left; }
+    th[data-sort] { cursor: pointer; user-select: none; }
+    th[data-sort]:hover { background: #e8e8e8; }
+    .badge { padding: 2px 8px; border-radius: 999px; font-size: 0.9rem; }
+    .online { background: #d5f5d5; color: #175217; }
+    .offline { background: #ffd7d7; color: #6d1111; }
+    .unknown { background: #eee; color: #333; }
+    .archived { background: #f3e8ff; color: #4b2a7a; }
+    .muted { color: #666; font-size: 0.9rem; }
+    .tag { display: inline-block; background: #eef3ff; color: #1d3f8a; border-radius: 4px; padding: 0 6px; margin: 1px; font-size: 0.85rem; }
+    .toolbar { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; margin: 1rem 0; }
+    .pager { display: flex; gap: 8px; align-items: center; margin: 0.5rem 0; }
+    .form { display: grid; grid-template-columns: max-content 1fr; gap: 8px 12px; max-width: 640px; align-items: center; margin: 0.5rem 0 1rem; }
+    #quarantine-box { border: 1px solid #f0d58a; background: #fffbea; border-radius: 8px; padding: 8px 12px; margin: 1rem 0; max-width: 1200px; }
+    #quarantine-box h2 { font-size: 1.1rem; margin: 0.2rem 0 0.5rem; }
+    #msg { color: #175217; }
+    #err { color: #6d1111; }
+    code { background: #0001; padding: 2px 4px; border-radius: 4px; }
+    a.button { display:inline-block; padding:8px 14px; background:#0b78ff; color:#fff; border-radius:6px; text-decoration:none; }
+    a.button:hover { background:#075fcc; }`,
+    body: `  <main>
+    <h1>Device Live Status</h1>
+    <p class="muted">Updates: <span id="mode">connecting…</span> • Stale threshold: ${staleMs} ms</p>
+    <p><a class="button" href="/control">Open Control</a> • <a href="/">Home</a> • <a href="/logout">Logout</a></p>
+
+    <div id="quarantine-box" hidden>
+      <h2>Waiting for approval</h2>
+      <p class="muted">These devices reported on <code>devices/status</code> without being registered. Their reports are held back
+        until they are approved${canControl ? '' : ' by an operator'}; rejecting only clears the entry.</p>
+      <table>
+        <thead><tr><th>Device</th><th>Reported</th><th>First seen</th><th>Last seen</th><th>Reports</th><th>Client</th>${canControl ? '<th></th>' : ''}</tr></thead>
+        <tbody id="quarantine"></tbody>
+      </table>
+    </div>
+${registerForm}
+    <div class="toolbar">
+      <input id="q" type="search" placeholder="Search name, location, notes, tags…" size="30" />
+      <label>Status <select id="status"><option value="">any</option><option>online</option><option>offline</option><option>unknown</option></select></label>
+      <label>Show <select id="filter"><option value="">All devices</option></select></label>
+      <label>Archived <select id="archived"><option value="exclude">hidden</option><option value="include">included</option><option value="only">only</option></select></label>
+      <label>Per page <select id="limit"><option>25</option><option selected>50</option><option>100</option><option>250</option></select></label>
+      <span id="bulk" hidden><button id="all-on">All on</button> <button id="all-off">All off</button></span>
+      <span id="msg"></span><span id="err"></span>
+    </div>
+
+    <table id="tbl">
+      <thead>
+        <tr>
+          <th data-sort="device">Device</th>
+          <th data-sort="status">Status</th>
+          <th data-sort="location">Location</th>
+          <th data-sort="updatedAt">Last Update (UTC)</th>
+          <th data-sort="lastSeen">Last Seen (UTC)</th>
+          <th data-sort="firstSeen">First Seen (UTC)</th>
+          <th>Groups / Tags</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody id="rows"><tr><td colspan="8">Loading…</td></tr></tbody>
+    </table>
+    <div class="pager"><button id="prev">‹ Prev</button> <span id="range" class="muted"></span> <button id="next">Next ›</button></div>
+  </main>`,
+    script: `
+    var CSRF_TOKEN = ${jsValue(csrf)};
+    var CAN_CONTROL = ${jsValue(canControl)};
+    function escapeHtml(s) { return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
+    function $(id) { return document.getElementById(id); }
+    async function call(method, url, body) {
+      $('msg').textContent = ''; $('err').textContent = '';
+      try {
+        const res = await fetch(url, {
+          method: method,
+          headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': CSRF_TOKEN },
+          body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error ?? ('HTTP ' + res.status));
+        return data;
+      } catch (e) {
+        console.error('Request error:', e);
+        $('err').textContent = 'Failed: ' + e.message;
+        return null;
+      }
+    }
+
+    // View state, mirrored in the address bar so a reload keeps it.
+    var params = new URLSearchParams(location.search);
+    var state = {
+      q: params.get('q') ?? '',
+      status: params.get('status') ?? '',
+      filter: params.get('filter') ?? '',
+      archived: params.get('archived') ?? 'exclude',
+      sort: params.get('sort') ?? 'device',
+      order: params.get('order') ?? 'asc',
+      limit: Number(params.get('limit')) || 50,
+      offset: Number(params.get('offset')) || 0
+    };
+    $('q').value = state.q;
+    $('status').value = state.status;
+    $('archived').value = state.archived;
+    $('limit').value = String(state.limit);
+
+    var rowsByDevice = Object.create(null);
+    function rowHtml(x) {
+      var dev = escapeHtml(x.device ?? '');
+      var st = String(x.status ?? '').toLowerCase();
+      var cls = (st === 'online') ? 'online' : ((st === 'offline') ? 'offline' : 'unknown');
+      var detail = '/devices/' + encodeURIComponent(x.device ?? '');
+      var link = x.clientId
+        ? ' <span class="muted" title="MQTT client ' + escapeHtml(x.clientId) + '">' + (x.connected ? '● connected' : '○ disconnected') + '</span>'
+        : '';
+      var fw = x.firmware ? ' <span class="muted">fw ' + escapeHtml(x.firmware) + '</span>' : '';
+      var name = x.displayName
+        ? '<a href="' + detail + '">' + escapeHtml(x.displayName) + '</a> <code>' + dev + '</code>'
+        : '<a href="' + detail + '">' + dev + '</a>';
+      return '<td>' + name + fw + link + (x.archived ? ' <span class="badge archived">archived</span>' : '') + '</td>'
+        + '<td><span class="badge ' + cls + '">' + escapeHtml(x.status ?? '') + '</span></td>'
+        + '<td>' + escapeHtml(x.location ?? '') + '</td>'
+        + '<td>' + escapeHtml(x.updatedAt ?? '') + '</td>'
+        + '<td>' + escapeHtml(x.lastSeen ?? '') + '</td>'
+        + '<td>' + escapeHtml(x.firstSeen ?? '') + '</td>'
+        + '<td>' + (x.groups ?? []).map(function(g) { return escapeHtml(g); }).join(', ')
+          + ' ' + (x.tags ?? []).map(function(t) { return '<span class="tag">#' + escapeHtml(t) + '</span>'; }).join('') + '</td>'
+        + '<td><a href="' + detail + '">Details</a> • <a href="' + detail + '/history">History</a></td>';
+    }
+    function query() {
+      var q = new URLSearchParams();
+      if (state.q) q.set('q', state.q);
+      if (state.status) q.set('status', state.status);
+      if (state.archived !== 'exclude') q.set('archived', state.archived);
+      // Filter value is "group:<name>" or "tag:<name>".
+      if (state.filter) q.set(state.filter.indexOf('group:') === 0 ? 'group' : 'tag', state.filter.slice(state.filter.indexOf(':') + 1));
+      q.set('sort', state.sort);
+      q.set('order', state.order);
+      q.set('offset', String(state.offset));
+      q.set('limit', String(state.limit));
+      return q;
+    }
+    function saveState() {
+      var q = new URLSearchParams();
+      Object.keys(state).forEach(function(k) { if (state[k] !== '' && state[k] != null) q.set(k, String(state[k])); });
+      history.replaceState(null, '', '/devices?' + q);
+    }
+    function renderHeaders() {
+      document.querySelectorAll('th[data-sort]').forEach(function(th) {
+        var label = th.textContent.replace(/ [▲▼]$/, '');
+        th.textContent = label + (th.getAttribute('data-sort') === state.sort ? (state.order === 'asc' ? ' ▲' : ' ▼') : '');
+      });
+    }
+    function renderPage(data) {
+      var tbody = $('rows');
+      rowsByDevice = Object.create(null);
+      var filtered = state.q || state.status || state.filter || state.archived !== 'exclude';
+      if (data.items.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="8">' + (filtered
+          ? 'No devices match.'
+          : 'No devices yet. Register one above or publish to topic <code>devices/status</code>.') + '</td></tr>';
+      } else {
+        tbody.innerHTML = '';
+        data.items.forEach(function(x) {
+          var tr = document.createElement('tr');
+          tr.item = x;
+          tr.innerHTML = rowHtml(x);
+          rowsByDevice[x.device] = tr;
+          tbody.appendChild(tr);
+        });
+      }
+      var first = data.total ? data.offset + 1 : 0;
+      $('range').textContent = first + '–' + (data.offset + data.items.length) + ' of ' + data.total;
+      $('prev').disabled = data.offset === 0;
+      $('next').disabled = data.offset + data.items.length >= data.total;
+      $('bulk').hidden = !CAN_CONTROL || !state.filter;
+    }
+    async function load() {
+      saveState();
+      renderHeaders();
+      try {
+        const res = await fetch('/api/devices?' + query(), { cache: 'no-store' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error ?? ('HTTP ' + res.status));
+        // Past the end (devices removed or filter narrowed): back to the last page.
+        if (data.items.length === 0 && data.total > 0 && state.offset > 0) {
+          state.offset = Math.max(0, Math.floor((data.total - 1) / state.limit) * state.limit);
+          return load();
+        }
+        renderPage(data);
+      } catch (e) {
+        console.error('Load error:', e);
+        rowsByDevice = Object.create(null);
+        $('rows').innerHTML = '<tr><td colspan="8">Error loading. Check console.</td></tr>';
+      }
+    }
+    // Changes to devices not on this page (or that may move them) reload it, at most once a second.
+    var reloadTimer = null;
+    function scheduleReload() {
+      if (reloadTimer) return;
+      reloadTimer = setTimeout(function() { reloadTimer = null; load(); }, 1000);
+    }
+    function onDevice(x) {
+      var tr = rowsByDevice[x.device];
+      var moved = !tr || tr.item.archived !== x.archived || state.sort !== 'device' || state.status || state.q;
+      if (tr) { tr.item = x; tr.innerHTML = rowHtml(x); }
+      if (moved) scheduleReload();
+    }
+
+    async function loadFilters() {
+      try {
+        const res = await fetch('/api/groups', { cache: 'no-store' });
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        const data = await res.json();
+        var sel = $('filter');
+        sel.innerHTML = '<option value="">All devices</option>'
+          + (data.items ?? []).map(function(g) {
+              return '<option value="group:' + escapeHtml(g.name) + '">Group: ' + escapeHtml(g.name) + ' (' + g.members.length + ')</option>';
+            }).join('')
+          + (data.tags ?? []).map(function(t) { return '<option value="tag:' + escapeHtml(t) + '">Tag: #' + escapeHtml(t) + '</option>'; }).join('');
+        sel.value = state.filter;
+        if (sel.value !== state.filter) { state.filter = ''; load(); }
+      } catch (e) {
+        console.error('Filter load error:', e);
+      }
+    }
+
+    function renderQuarantine(items) {
+      $('quarantine-box').hidden = items.length === 0;
+      $('quarantine').innerHTML = items.map(function(x) {
+        var d = escapeHtml(x.device);
+        return '<tr><td><code>' + d + '</code></td><td>' + escapeHtml(x.status) + '</td>'
+          + '<td>' + escapeHtml(x.firstSeen) + '</td><td>' + escapeHtml(x.lastSeen) + '</td>'
+          + '<td>' + x.reports + '</td><td class="muted">' + escapeHtml(x.clientId ?? '') + '</td>'
+          + (CAN_CONTROL ? '<td><button class="approve" data-device="' + d + '">Approve</button> <button class="reject" data-device="' + d + '">Reject</button></td>' : '')
+          + '</tr>';
+      }).join('');
+      $('quarantine').querySelectorAll('.approve').forEach(function(btn) {
+        btn.addEventListener('click', async function() {
+          var device = this.getAttribute('data-device');
+          var data = await call('POST', '/api/devices/quarantine/' + encodeURIComponent(device) + '/approve', {});
+          if (data) { $('msg').textContent = device + ' approved'; loadQuarantine(); load(); }
+        });
+      });
+      $('quarantine').querySelectorAll('.reject').forEach(function(btn) {
+        btn.addEventListener('click', async function() {
+          var device = this.getAttribute('data-device');
+          if (!confirm('Reject ' + device + '? It shows up here again if it keeps reporting.')) return;
+          var data = await call('DELETE', '/api/devices/quarantine/' + encodeURIComponent(device));
+          if (data) { $('msg').textContent = device + ' rejected'; loadQuarantine(); }
+        });
+      });
+    }
+    async function loadQuarantine() {
+      try {
+        const res = await fetch('/api/devices/quarantine', { cache: 'no-store' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error ?? ('HTTP ' + res.status));
+        renderQuarantine(data.items);
+      } catch (e) {
+        console.error('Quarantine load error:', e);
+      }
+    }
+
+    if (CAN_CONTROL) {
+      $('r-save').addEventListener('click', async function() {
+        var body = {
+          device: $('r-device').value.trim(),
+          displayName: $('r-display').value,
+          location: $('r-location').value,
+          notes: $('r-notes').value,
+          tags: $('r-tags').value.split(',').map(function(t) { return t.trim(); }).filter(Boolean)
+        };
+        var data = await call('POST', '/api/devices', body);
+        if (!data) return;
+        ['r-device', 'r-display', 'r-location', 'r-notes', 'r-tags'].forEach(function(id) { $(id).value = ''; });
+        $('msg').textContent = data.device.device + ' registered';
+        loadQuarantine();
+        load();
+      });
+    }
+
+    // "All on/off" for the selected group or tag: one /api/command fan-out.
+    async function sendBulk(status) {
+      var body = { status: status };
+      body[state.filter.indexOf('group:') === 0 ? 'group' : 'tag'] = state.filter.slice(state.filter.indexOf(':') + 1);
+      var data = await call('POST', '/api/command', body);
+      if (!data) return;
+      $('msg').textContent = 'Sent "' + status + '" to ' + data.sent + '/' + data.count + ' devices';
+      var failed = data.results.filter(function(r) { return !r.ok; });
+      if (failed.length) $('err').textContent = ' Failed: ' + failed.map(function(r) { return r.device + ' (' + r.error + ')'; }).join(', ');
+    }
+    $('all-on').addEventListener('click', function() { sendBulk('on'); });
+    $('all-off').addEventListener('click', function() { sendBulk('off'); });
+
+    var searchTimer = null;
+    $('q').addEventListener('input', function() {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(function() { state.q = $('q').value.trim(); state.offset = 0; load(); }, 300);
+    });
+    [['status', 'status'], ['filter', 'filter'], ['archived', 'archived']].forEach(function(p) {
+      $(p[0]).addEventListener('change', function() { state[p[1]] = this.value; state.offset = 0; load(); });
+    });
+    $('limit').addEventListener('change', function() { state.limit = Number(this.value); state.offset = 0; load(); });
+    $('prev').addEventListener('click', function() { state.offset = Math.max(0, state.offset - state.limit); load(); });
+    $('next').addEventListener('click', function() { state.offset += state.limit; load(); });
+    document.querySelectorAll('th[data-sort]').forEach(function(th) {
+      th.addEventListener('click', function() {
+        var key = th.getAttribute('data-sort');
+        state.order = (state.sort === key && state.order === 'asc') ? 'desc' : 'asc';
+        state.sort = key;
+        state.offset = 0;
+        load();
+      });
+    });
+    setInterval(loadFilters, 30000);
+
+    // Live updates over SSE; poll every 5 s while the stream is down.
+    var pollTimer = null;
+    function setMode(text) { $('mode').textContent = text; }
+    function refresh() { load(); loadQuarantine(); }
+    function startPolling() {
+      setMode('polling every 5 s');
+      if (pollTimer) return;
+      refresh();
+      pollTimer = setInterval(refresh, 5000);
+    }
+    function stopPolling() {
+      if (pollTimer) { clearInterval(pollTimer); pollTimer = null; }
+    }
+    loadFilters();
+    loadQuarantine();
+    if (window.EventSource) {
+      var es = new EventSource('/api/devices/stream');
+      es.addEventListener('snapshot', function() {
+        stopPolling();
+        setMode('live');
+        load();
+      });
+      es.addEventListener('device', function(e) { onDevice(JSON.parse(e.data)); });
+      es.addEventListener('removed', scheduleReload);
+      es.addEventListener('quarantine', function(e) { renderQuarantine(JSON.parse(e.data).items); });
+      es.onerror = startPolling;
+    } else {
+      startPolling();
+    }`
+  });
+}
+
+module.exports = { devices };
@@ -0,0 +1,256 @@
+// views/firmware.js
+// Firmware images and OTA rollouts: upload form (POST /upload), image list and a rollout
+// table with per-device progress, live over /api/ota/stream with a polling fallback.
+
+const { escapeHtml, jsValue, layout } = require('./html');
+
+function firmware({ csrf, maxBytes, timeoutMs, isAdmin }) {
+  return layout({
+    title: 'Firmware & OTA',
+    style: `
+    body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; margin: 2rem; }
+    table { border-collapse: collapse; width: 100%; max-width: 1100px; }
+    th, td { border: 1px solid #ddd; padding: 8px; vertical-align: top; }
+    th { background: #f3f3f3; text-align: left; }
+    .muted { color: #666; font-size: 0.9rem; }
+    .form { display: grid; grid-template-columns: max-content 1fr; gap: 8px 12px; max-width: 640px; align-items: center; }
+    .targets { list-style: none; margin: 0; padding: 0; }
+    .targets li { display: flex; gap: 8px; align-items: center; margin: 2px 0; }
+    .targets progress { width: 8rem; }
+    .st-succeeded { color: #175217; }
+    .st-failed, .st-timeout { color: #6d1111; }
+    .st-pending, .st-cancelled { color: #666; }
+    .st-downloading, .st-verifying, .st-installing { color: #8a6d00; }
+    #msg, #upload-result { margin-top: 1rem; color: #175217; }
+    #err { margin-top: 1rem; color: #6d1111; }
+    code { background: #0001; padding: 2px 4px; border-radius: 4px; }`,
+    body: `  <main>
+    <h1>Firmware &amp; OTA</h1>
+    <p class="muted">A rollout publishes <code>{ rollout, version, url, sha256, size }</code> (retained) on
+      <code>devices/&lt;name&gt;/ota</code>. Devices download the image from <code>url</code>, check the SHA-256 and report
+      <code>{ rollout, state, progress, error }</code> on <code>devices/&lt;name&gt;/ota/status</code> with state
+      <code>downloading | verifying | installing | succeeded | failed</code>. A device silent for ${Math.round(timeoutMs / 60000)} min times out.</p>
+    <p><a href="/devices">Devices</a> • <a href="/control">Control</a> • <a href="/">Home</a> • <a href="/logout">Logout</a></p>
+
+    <h2>Upload image</h2>
+    <form id="upload-form" class="form">
+      <label for="f-file">File</label><input id="f-file" name="file" type="file" required />
+      <label for="f-version">Version</label><input id="f-version" name="version" type="text" placeholder="1.4.2 (or taken from the filename)" maxlength="64" />
+      <label for="f-notes">Notes</label><input id="f-notes" name="notes" type="text" maxlength="500" />
+      <span></span><span><button type="submit">Upload</button> <span class="muted">max ${(maxBytes / 1048576).toFixed(1)} MiB</span></span>
+    </form>
+    <div id="upload-result"></div>
+
+    <h2>Images</h2>
+    <table>
+      <thead><tr><th>Version</th><th>File</th><th>Size</th><th>SHA-256</th><th>Uploaded (UTC)</th><th>Notes</th><th></th></tr></thead>
+      <tbody id="images"><tr><td colspan="7">Loading…</td></tr></tbody>
+    </table>
+
+    <h2>Start rollout</h2>
+    <div class="form">
+      <label for="r-image">Image</label><select id="r-image"></select>
+      <label for="r-target">Send to</label><select id="r-target"></select>
+      <span></span><span><button id="start">Start rollout</button></span>
+    </div>
+    <div id="msg"></div><div id="err"></div>
+
+    <h2>Rollouts</h2>
+    <p class="muted">Updates: <span id="mode">connecting…</span></p>
+    <table>
+      <thead><tr><th>Started (UTC)</th><th>Version</th><th>Target</th><th>Status</th><th>Devices</th><th></th></tr></thead>
+      <tbody id="rollouts"><tr><td colspan="6">Loading…</td></tr></tbody>
+    </table>
+  </main>`,
+    script: `
+    var CSRF_TOKEN = ${jsValue(csrf)};
+    var IS_ADMIN = ${jsValue(isAdmin)};
+    function escapeHtml(s) { return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
+    function $(id) { return document.getElementById(id); }
+    async function call(method, url, body) {
+      $('msg').textContent = ''; $('err').textContent = '';
+      try {
+        const res = await fetch(url, {
+          method: method,
+          headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': CSRF_TOKEN },
+          body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error ?? ('HTTP ' + res.status));
+        return data;
+      } catch (e) {
+        console.error('Request error:', e);
+        $('err').textContent = 'Failed: ' + e.message;
+        return null;
+      }
+    }
+    function size(n) { return n >= 1048576 ? (n / 1048576).toFixed(2) + ' MiB' : n >= 1024 ? (n / 1024).toFixed(1) + ' KiB' : n + ' B'; }
+
+    async function loadImages() {
+      try {
+        const res = await fetch('/api/firmware', { cache: 'no-store' });
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        const data = await res.json();
+        var items = data.items ?? [];
+        $('images').innerHTML = items.length === 0 ? '<tr><td colspan="7">No images yet.</td></tr>' : items.map(function(f) {
+          return '<tr><td><strong>' + escapeHtml(f.version) + '</strong>' + (f.inUse ? ' <span class="muted">(rolling out)</span>' : '') + '</td>'
+            + '<td><a href="' + escapeHtml(f.url) + '">' + escapeHtml(f.filename) + '</a></td>'
+            + '<td>' + size(f.size) + '</td>'
+            + '<td><code title="' + escapeHtml(f.sha256) + '">' + escapeHtml(f.sha256.slice(0, 12)) + '…</code></td>'
+            + '<td>' + escapeHtml(f.uploadedAt) + '<div class="muted">' + escapeHtml(f.uploadedBy ?? '') + '</div></td>'
+            + '<td class="muted">' + escapeHtml(f.notes) + '</td>'
+            + '<td>' + (IS_ADMIN ? '<button class="del" data-id="' + escapeHtml(f.id) + '" data-version="' + escapeHtml(f.version) + '">Delete</button>' : '') + '</td></tr>';
+        }).join('');
+        $('images').querySelectorAll('.del').forEach(function(btn) {
+          btn.addEventListener('click', async function() {
+            if (!confirm('Delete firmware ' + this.getAttribute('data-version') + '?')) return;
+            if (await call('DELETE', '/api/firmware/' + encodeURIComponent(this.getAttribute('data-id')))) loadImages();
+          });
+        });
+        var sel = $('r-image'), current = sel.value;
+        sel.innerHTML = items.map(function(f) { return '<option value="' + escapeHtml(f.id) + '">' + escapeHtml(f.version) + ' (' + escapeHtml(f.filename) + ')</option>'; }).join('');
+        if (current) sel.value = current;
+      } catch (e) {
+        console.error('Load error:', e);
+        $('images').innerHTML = '<tr><td colspan="7">Error loading. Check console.</td></tr>';
+      }
+    }
+    // Target values: "device:<name>", "group:<name>" or "tag:<name>".
+    async function loadTargets() {
+      try {
+        const [devices, groups] = await Promise.all([
+          fetch('/api/devices', { cache: 'no-store' }).then(function(r) { return r.json(); }),
+          fetch('/api/groups', { cache: 'no-store' }).then(function(r) { return r.json(); })
+        ]);
+        function opts(prefix, label, names) {
+          return names.length ? '<optgroup label="' + label + '">' + names.map(function(n) {
+            return '<option value="' + prefix + ':' + escapeHtml(n.value) + '">' + escapeHtml(n.text) + '</option>';
+          }).join('') + '</optgroup>' : '';
+        }
+        var sel = $('r-target'), current = sel.value;
+        sel.innerHTML = opts('device', 'Devices', (devices.items ?? []).map(function(d) { return { value: d.device, text: d.device + (d.firmware ? ' (' + d.firmware + ')' : '') }; }))
+          + opts('group', 'Groups', (groups.items ?? []).map(function(g) { return { value: g.name, text: g.name + ' (' + g.members.length + ')' }; }))
+          + opts('tag', 'Tags', (groups.tags ?? []).map(function(t) { return { value: t, text: '#' + t }; }));
+        if (current) sel.value = current;
+      } catch (e) {
+        console.error('Target load error:', e);
+      }
+    }
+
+    $('upload-form').addEventListener('submit', async function(e) {
+      e.preventDefault();
+      var out = $('upload-result');
+      out.textContent = 'Uploading…';
+      try {
+        const res = await fetch('/upload', { method: 'POST', headers: { 'X-CSRF-Token': CSRF_TOKEN }, body: new FormData(this) });
+        const data = await res.json();
+        out.textContent = data.ok
+          ? 'Uploaded: ' + data.filename + ' (' + data.size + ' bytes, version ' + data.version + ')'
+          : 'Upload failed: ' + (data.error || 'Unknown error');
+        if (data.ok) { this.reset(); loadImages(); }
+      } catch (e) {
+        console.error('Upload error:', e);
+        out.textContent = 'Upload failed: ' + e.message;
+      }
+    });
+
+    $('start').addEventListener('click', async function() {
+      var image = $('r-image').value, t = $('r-target').value;
+      if (!image || !t) { $('err').textContent = 'Pick an image and a target'; return; }
+      var kind = t.slice(0, t.indexOf(':')), name = t.slice(t.indexOf(':') + 1);
+      var body = { firmware: image };
+      body[kind] = name;
+      if (!confirm('Send ' + $('r-image').selectedOptions[0].textContent + ' to ' + kind + ' ' + name + '?')) return;
+      var data = await call('POST', '/api/ota/rollouts', body);
+      if (data) $('msg').textContent = 'Rollout ' + data.id + ' started for ' + Object.keys(data.targets).length + ' device(s)';
+    });
+
+    var rollouts = Object.create(null);
+    function targetLabel(r) {
+      if (r.selector && r.selector.group) return 'group ' + escapeHtml(r.selector.group);
+      if (r.selector && r.selector.tag) return 'tag #' + escapeHtml(r.selector.tag);
+      return 'devices';
+    }
+    function rolloutHtml(r) {
+      var targets = Object.keys(r.targets).sort().map(function(d) {
+        var t = r.targets[d];
+        return '<li><span>' + escapeHtml(d) + '</span>'
+          + (t.progress != null ? '<progress max="100" value="' + t.progress + '"></progress>' : '')
+          + '<span class="st-' + escapeHtml(t.state) + '">' + escapeHtml(t.state) + (t.progress != null && t.state !== 'succeeded' ? ' ' + t.progress + '%' : '') + (t.late ? ' (late)' : '') + '</span>'
+          + (t.error ? ' <span class="muted">' + escapeHtml(t.error) + '</span>' : '') + '</li>';
+      }).join('');
+      var s = r.summary;
+      return '<td>' + escapeHtml(r.createdAt) + '<div class="muted">' + escapeHtml(r.createdBy ?? '') + '</div></td>'
+        + '<td>' + escapeHtml(r.version) + '</td>'
+        + '<td>' + targetLabel(r) + '</td>'
+        + '<td>' + escapeHtml(r.status) + '<div class="muted">' + s.succeeded + ' ok • ' + (s.failed + s.timeout) + ' failed • '
+          + (s.pending + s.downloading + s.verifying + s.installing) + ' in progress</div></td>'
+        + '<td><ul class="targets">' + targets + '</ul></td>'
+        + '<td>' + (r.status === 'running' ? '<button class="cancel" data-id="' + escapeHtml(r.id) + '">Cancel</button>' : '') + '</td>';
+    }
+    function renderRollouts() {
+      var ids = Object.keys(rollouts).sort(function(a, b) { return rollouts[b].createdAt.localeCompare(rollouts[a].createdAt); });
+      var tbody = $('rollouts');
+      tbody.innerHTML = ids.length === 0 ? '<tr><td colspan="6">No rollouts yet.</td></tr>'
+        : ids.map(function(id) { return '<tr>' + rolloutHtml(rollouts[id]) + '</tr>'; }).join('');
+      tbody.querySelectorAll('.cancel').forEach(function(btn) {
+        btn.addEventListener('click', async function() {
+          if (!confirm('Cancel this rollout? Devices that have not finished are told to stop.')) return;
+          var data = await call('POST', '/api/ota/rollouts/' + encodeURIComponent(this.getAttribute('data-id')) + '/cancel');
+          if (data) { rollouts[data.id] = data; renderRollouts(); loadImages(); }
+        });
+      });
+    }
+    function setRollouts(items) {
+      rollouts = Object.create(null);
+      items.forEach(function(r) { rollouts[r.id] = r; });
+      renderRollouts();
+    }
+    async function loadRollouts() {
+      try {
+        const res = await fetch('/api/ota/rollouts', { cache: 'no-store' });
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        const data = await res.json();
+        setRollouts(data.items ?? []);
+      } catch (e) {
+        console.error('Load error:', e);
+        $('rollouts').innerHTML = '<tr><td colspan="6">Error loading. Check console.</td></tr>';
+      }
+    }
+
+    // Live updates over SSE; poll every 5 s while the stream is down.
+    var pollTimer = null;
+    function setMode(text) { $('mode').textContent = text; }
+    function startPolling() {
+      setMode('polling every 5 s');
+      if (pollTimer) return;
+      loadRollouts();
+      pollTimer = setInterval(loadRollouts, 5000);
+    }
+    function stopPolling() {
+      if (pollTimer) { clearInterval(pollTimer); pollTimer = null; }
+    }
+    if (window.EventSource) {
+      var es = new EventSource('/api/ota/stream');
+      es.addEventListener('snapshot', function(e) {
+        stopPolling();
+        setMode('live');
+        setRollouts(JSON.parse(e.data).items ?? []);
+      });
+      es.addEventListener('rollout', function(e) {
+        var r = JSON.parse(e.data);
+        var known = Boolean(rollouts[r.id]);
+        rollouts[r.id] = r;
+        renderRollouts();
+        if (!known || r.status !== 'running') loadImages();
+      });
+      es.onerror = startPolling;
+    } else {
+      startPolling();
+    }
+    loadImages();
+    loadTargets();`
+  });
+}
+
+module.exports = { firmware };
@@ -0,0 +1,177 @@
+// views/groups.js
+// Device groups (nested) and tags: edit groups and their members, tag devices.
+
+const { jsValue, layout } = require('./html');
+
+function groups({ csrf }) {
+  return layout({
+    title: 'Groups & Tags',
+    style: `
+    body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; margin: 2rem; }
+    table { border-collapse: collapse; width: 100%; max-width: 980px; }
+    th, td { border: 1px solid #ddd; padding: 8px; vertical-align: top; }
+    th { background: #f3f3f3; text-align: left; }
+    .muted { color: #666; font-size: 0.9rem; }
+    .form { display: grid; grid-template-columns: max-content 1fr; gap: 8px 12px; max-width: 640px; align-items: center; }
+    .devices { display: flex; flex-wrap: wrap; gap: 4px 14px; max-height: 12rem; overflow: auto; }
+    .tag { display: inline-block; background: #eef3ff; color: #1d3f8a; border-radius: 4px; padding: 0 6px; margin: 1px; font-size: 0.85rem; }
+    #msg { margin-top: 1rem; color: #175217; }
+    #err { margin-top: 1rem; color: #6d1111; }
+    code { background: #0001; padding: 2px 4px; border-radius: 4px; }`,
+    body: `  <main>
+    <h1>Groups &amp; Tags</h1>
+    <p class="muted">A group's members are its own devices plus those of its subgroups. Send to a whole group or tag with
+      <code>POST /api/command { "group": "floor-1", "status": "on" }</code> (or <code>"tag"</code>), or from the filters on
+      <a href="/control">Control</a> and <a href="/devices">Devices</a>.</p>
+    <p><a href="/control">Control</a> • <a href="/devices">Devices</a> • <a href="/">Home</a> • <a href="/logout">Logout</a></p>
+
+    <h2 id="form-title">New group</h2>
+    <div class="form">
+      <label for="f-name">Name</label><input id="f-name" type="text" placeholder="floor-1" maxlength="64" />
+      <label for="f-parent">Inside group</label><select id="f-parent"><option value="">(top level)</option></select>
+      <label for="f-desc">Description</label><input id="f-desc" type="text" placeholder="All lights on the first floor" />
+      <label>Devices</label><div id="f-devices" class="devices"></div>
+      <span></span><span><button id="save">Create</button> <button id="cancel" hidden>Cancel edit</button></span>
+    </div>
+    <div id="msg"></div><div id="err"></div>
+
+    <h2>Groups</h2>
+    <table>
+      <thead><tr><th>Name</th><th>Inside</th><th>Devices</th><th>All Members</th><th></th></tr></thead>
+      <tbody id="groups"><tr><td colspan="5">Loading…</td></tr></tbody>
+    </table>
+
+    <h2>Device tags</h2>
+    <p class="muted">Comma-separated; letters, digits, <code>_ . -</code>.</p>
+    <table>
+      <thead><tr><th>Device</th><th>Tags</th><th></th></tr></thead>
+      <tbody id="tags"><tr><td colspan="3">Loading…</td></tr></tbody>
+    </table>
+  </main>`,
+    script: `
+    var CSRF_TOKEN = ${jsValue(csrf)};
+    var editing = null;
+    var groups = [];
+    var devices = [];
+    function escapeHtml(s) { return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
+    function $(id) { return document.getElementById(id); }
+    async function call(method, url, body) {
+      $('msg').textContent = ''; $('err').textContent = '';
+      try {
+        const res = await fetch(url, {
+          method: method,
+          headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': CSRF_TOKEN },
+          body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error ?? ('HTTP ' + res.status));
+        return data;
+      } catch (e) {
+        console.error('Request error:', e);
+        $('err').textContent = 'Failed: ' + e.message;
+        return null;
+      }
+    }
+    function renderForm(selected) {
+      var parent = $('f-parent').value;
+      $('f-parent').innerHTML = '<option value="">(top level)</option>' + groups
+        .filter(function(g) { return g.name !== editing; })
+        .map(function(g) { return '<option value="' + escapeHtml(g.name) + '">' + escapeHtml(g.name) + '</option>'; }).join('');
+      $('f-parent').value = parent;
+      var names = devices.map(function(d) { return d.device; });
+      (selected || []).forEach(function(n) { if (names.indexOf(n) < 0) names.push(n); });
+      $('f-devices').innerHTML = names.length === 0 ? '<span class="muted">No devices yet.</span>' : names.map(function(n) {
+        return '<label><input type="checkbox" class="dev" value="' + escapeHtml(n) + '"' + ((selected || []).indexOf(n) >= 0 ? ' checked' : '') + '> ' + escapeHtml(n) + '</label>';
+      }).join('');
+    }
+    function resetForm() {
+      editing = null;
+      $('form-title').textContent = 'New group';
+      $('save').textContent = 'Create';
+      $('cancel').hidden = true;
+      $('f-name').disabled = false;
+      $('f-name').value = ''; $('f-desc').value = ''; $('f-parent').value = '';
+      renderForm([]);
+    }
+    function editGroup(g) {
+      editing = g.name;
+      $('form-title').textContent = 'Edit: ' + g.name;
+      $('save').textContent = 'Save';
+      $('cancel').hidden = false;
+      $('f-name').value = g.name;
+      $('f-name').disabled = true;
+      $('f-desc').value = g.description;
+      renderForm(g.devices);
+      $('f-parent').value = g.parent ?? '';
+      window.scrollTo(0, 0);
+    }
+    async function load() {
+      try {
+        const [gRes, dRes] = await Promise.all([fetch('/api/groups', { cache: 'no-store' }), fetch('/api/devices', { cache: 'no-store' })]);
+        if (!gRes.ok || !dRes.ok) throw new Error('HTTP ' + (gRes.ok ? dRes.status : gRes.status));
+        groups = (await gRes.json()).items ?? [];
+        devices = ((await dRes.json()).items ?? []).sort(function(a, b) { return a.device.localeCompare(b.device); });
+      } catch (e) {
+        console.error('Load error:', e);
+        $('groups').innerHTML = '<tr><td colspan="5">Error loading. Check console.</td></tr>';
+        return;
+      }
+      if (!editing) renderForm([]);
+      var tbody = $('groups');
+      tbody.innerHTML = groups.length === 0 ? '<tr><td colspan="5">No groups yet.</td></tr>' : '';
+      groups.forEach(function(g) {
+        var tr = document.createElement('tr');
+        tr.innerHTML = '<td><strong>' + escapeHtml(g.name) + '</strong>' + (g.description ? '<br><span class="muted">' + escapeHtml(g.description) + '</span>' : '') + '</td>'
+          + '<td>' + escapeHtml(g.parent ?? '—') + '</td>'
+          + '<td>' + (g.devices.map(escapeHtml).join(', ') || '<span class="muted">—</span>') + '</td>'
+          + '<td>' + g.members.length + '</td>'
+          + '<td><button class="edit">Edit</button> <button class="del">Delete</button></td>';
+        tr.querySelector('.edit').addEventListener('click', function() { editGroup(g); });
+        tr.querySelector('.del').addEventListener('click', async function() {
+          if (!confirm('Delete group ' + g.name + '? Devices are not affected.')) return;
+          var data = await call('DELETE', '/api/groups/' + encodeURIComponent(g.name));
+          if (data && editing === g.name) resetForm();
+          load();
+        });
+        tbody.appendChild(tr);
+      });
+      var tags = $('tags');
+      tags.innerHTML = devices.length === 0 ? '<tr><td colspan="3">No devices yet.</td></tr>' : '';
+      devices.forEach(function(d) {
+        var tr = document.createElement('tr');
+        tr.innerHTML = '<td>' + escapeHtml(d.device) + '</td>'
+          + '<td><input type="text" class="tags" size="40" value="' + escapeHtml((d.tags ?? []).join(', ')) + '"></td>'
+          + '<td><button class="save-tags">Save</button></td>';
+        tr.querySelector('.save-tags').addEventListener('click', async function() {
+          var list = tr.querySelector('.tags').value.split(',').map(function(t) { return t.trim(); }).filter(Boolean);
+          var data = await call('PUT', '/api/devices/' + encodeURIComponent(d.device) + '/tags', { tags: list });
+          if (data) $('msg').textContent = 'Saved tags for ' + d.device + ': ' + (data.tags.join(', ') || '(none)');
+        });
+        tags.appendChild(tr);
+      });
+    }
+    $('save').addEventListener('click', async function() {
+      var body = {
+        description: $('f-desc').value.trim(),
+        parent: $('f-parent').value || null,
+        devices: Array.from(document.querySelectorAll('#f-devices .dev')).filter(function(b) { return b.checked; }).map(function(b) { return b.value; })
+      };
+      var data;
+      if (editing) {
+        data = await call('PUT', '/api/groups/' + encodeURIComponent(editing), body);
+      } else {
+        body.name = $('f-name').value.trim();
+        data = await call('POST', '/api/groups', body);
+      }
+      if (data) {
+        $('msg').textContent = (editing ? 'Saved ' : 'Created ') + data.group.name + ' • ' + data.group.members.length + ' member(s)';
+        resetForm();
+      }
+      load();
+    });
+    $('cancel').addEventListener('click', resetForm);
+    load();`
+  });
+}
+
+module.exports = { groups };
@@ -0,0 +1,86 @@
+// views/history.js
+// Status history of one device (changes and auto-offline transitions), newest first, with
+// a time range and limit over /api/devices/:name/history.
+
+const { escapeHtml, jsValue, layout } = require('./html');
+
+function deviceHistory({ device, historyLimit }) {
+  return layout({
+    title: `History • ${device}`,
+    style: `
+    body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; margin: 2rem; }
+    table { border-collapse: collapse; width: 100%; max-width: 980px; }
+    th, td { border: 1px solid #ddd; padding: 8px; }
+    th { background: #f3f3f3; text-align: left; }
+    .badge { padding: 2px 8px; border-radius: 999px; font-size: 0.9rem; }
+    .online { background: #d5f5d5; color: #175217; }
+    .offline { background: #ffd7d7; color: #6d1111; }
+    .unknown { background: #eee; color: #333; }
+    .muted { color: #666; font-size: 0.9rem; }
+    .filters { display: flex; gap: 8px; align-items: end; flex-wrap: wrap; margin-bottom: 1rem; }
+    .filters label { display: flex; flex-direction: column; font-size: 0.9rem; gap: 4px; }`,
+    body: `  <main>
+    <h1>History: ${escapeHtml(device)}</h1>
+    <p class="muted">Status changes and auto-offline transitions, newest first. Keeps the last ${historyLimit} events per device.</p>
+    <p><a href="/devices">Back to Devices</a> • <a href="/">Home</a> • <a href="/logout">Logout</a></p>
+
+    <div class="filters">
+      <label>From <input type="datetime-local" id="from" /></label>
+      <label>To <input type="datetime-local" id="to" /></label>
+      <label>Limit <input type="number" id="limit" min="1" max="${historyLimit}" value="100" /></label>
+      <button id="apply">Apply</button>
+    </div>
+
+    <table>
+      <thead><tr><th>Time (UTC)</th><th>Status</th><th>Previous</th><th>Source</th><th>Client</th></tr></thead>
+      <tbody id="rows"><tr><td colspan="5">Loading…</td></tr></tbody>
+    </table>
+  </main>`,
+    script: `
+    var DEVICE = ${jsValue(device)};
+    function escapeHtml(s) { return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;'); }
+    function badge(st) {
+      var s = String(st ?? '').toLowerCase();
+      var cls = (s === 'online') ? 'online' : ((s === 'offline') ? 'offline' : 'unknown');
+      return '<span class="badge ' + cls + '">' + escapeHtml(st ?? '') + '</span>';
+    }
+    async function load() {
+      var tbody = document.getElementById('rows');
+      var q = new URLSearchParams();
+      var from = document.getElementById('from').value;
+      var to = document.getElementById('to').value;
+      if (from) q.set('from', new Date(from).toISOString());
+      if (to) q.set('to', new Date(to).toISOString());
+      q.set('limit', document.getElementById('limit').value || '100');
+      try {
+        const res = await fetch('/api/devices/' + encodeURIComponent(DEVICE) + '/history?' + q, { cache: 'no-store' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error ?? ('HTTP ' + res.status));
+        var items = Array.isArray(data.items) ? data.items : [];
+        if (items.length === 0) {
+          tbody.innerHTML = '<tr><td colspan="5">No events in this range.</td></tr>';
+          return;
+        }
+        var htmlRows = '';
+        for (var i = 0; i < items.length; i++) {
+          var x = items[i];
+          htmlRows += '<tr>'
+            + '<td>' + escapeHtml(x.ts ?? '') + '</td>'
+            + '<td>' + badge(x.status) + '</td>'
+            + '<td>' + (x.prev == null ? '<span class="muted">—</span>' : badge(x.prev)) + '</td>'
+            + '<td>' + escapeHtml(x.source ?? '') + '</td>'
+            + '<td>' + escapeHtml(x.client ?? '') + '</td>'
+            + '</tr>';
+        }
+        tbody.innerHTML = htmlRows;
+      } catch (e) {
+        console.error('Load error:', e);
+        tbody.innerHTML = '<tr><td colspan="5">' + escapeHtml(e.message) + '</td></tr>';
+      }
+    }
+    document.getElementById('apply').addEventListener('click', load);
+    load();`
+  });
+}
+
+module.exports = { deviceHistory };
@@ -0,0 +1,91 @@
+// views/home.js
+// Landing page: cards for the two main pages plus the endpoints the account's role may open.
+
+const { escapeHtml, layout } = require('./html');
+const { roleAtLeast } = require('../lib/users');
+
+// [minimum role, path, description]
+const LINKS = [
+  ['viewer', '/health', null],
+  ['viewer', '/api/devices', null],
+  ['viewer', '/sessions', 'where you are signed in'],
+  ['viewer', '/alerts', 'firing alerts & silences'],
+  ['operator', '/schedules', 'scheduled commands'],
+  ['operator', '/groups', 'device groups & tags'],
+  ['operator', '/firmware', 'firmware images & OTA rollouts'],
+  ['admin', '/rules', 'automations'],
+  ['admin', '/webhooks', 'outbound event subscriptions'],
+  ['admin', '/tokens', 'API tokens for scripts'],
+  ['admin', '/credentials', 'device MQTT credentials'],
+  ['admin', '/users', 'dashboard accounts'],
+  ['admin', '/audit', 'audit log'],
+  ['admin', '/settings', 'configuration & live settings'],
+  ['admin', '/metrics', 'Prometheus'],
+  ['admin', '/mqtt-explorer', 'live topics, messages & clients']
+];
+
+function home({ username, role, wsPath }) {
+  const links = LINKS
+    .filter(([min]) => roleAtLeast(role, min))
+    .map(([, href, desc]) => `      <li><a href="${href}">${href}</a>${desc ? ` (${escapeHtml(desc)})` : ''}</li>`)
+    .join('\n');
+  return layout({
+    title: 'Main Host • Dashboard',
+    style: `
+    :root { color-scheme: light dark; }
+    body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; margin: 2rem; }
+    main { max-width: 720px; margin: 0 auto; }
+    h1 { margin-bottom: 0.5rem; }
+    p { color: #666; }
+    .grid { display: grid; grid-template-columns: 1fr 1fr; gap: 12px; margin-top: 1rem; }
+    .card { border: 1px solid #ddd; border-radius: 8px; padding: 16px; display: flex; flex-direction: column; gap: 8px; cursor: pointer; }
+    .card h2 { margin: 0; font-size: 1.2rem; }
+    .card p { margin: 0; font-size: 0.95rem; color: #555; }
+    .card a { align-self: flex-start; display: inline-block; padding: 6px 12px; border-radius: 6px; background: #0b78ff; color: #fff; text-decoration: none; }
+    .card a:hover { background: #075fcc; }
+    .row { display:flex; gap:8px; align-items:center; margin-top: 12px; }
+    .muted { color: #777; font-size: 0.9rem; }
+    code { background: #0001; padding: 2px 4px; border-radius: 4px; }
+    ul { margin-top: 1rem; }
+    ul li { margin: 4px 0; }`,
+    body: `  <main>
+    <h1>Welcome <strong>${escapeHtml(username)}</strong> <span class="muted">(${escapeHtml(role)})</span></h1>
+    <p class="muted">Click a card or the button to open the page.</p>
+
+    <div class="grid">
+      <div class="card" data-href="/devices">
+        <h2>Devices</h2>
+        <p>Live device table (pushed updates, polling fallback). Shows <code>online/offline</code> based on last seen.</p>
+        <a href="/devices">Open Devices</a>
+      </div>
+
+      <div class="card" data-href="/control">
+        <h2>Control</h2>
+        <p>Send <code>&lt;device&gt;:&lt;on/off&gt;</code> commands via toggle per device or manual input.</p>
+        <a href="/control">Open Control</a>
+      </div>
+    </div>
+
+    <h3>Quick endpoints</h3>
+    <ul>
+${links}
+    </ul>
+
+    <div class="row">
+      <a href="/logout">Logout</a>
+      <span class="muted">MQTT WebSocket endpoint: <code>ws(s)://&lt;host&gt;${escapeHtml(wsPath)}</code></span>
+    </div>
+  </main>`,
+    script: `
+    // Make entire card clickable (same tab)
+    document.querySelectorAll('.card[data-href]').forEach(card => {
+      card.addEventListener('click', (e) => {
+        if (e.target.tagName.toLowerCase() === 'a') return;
+        const href = card.getAttribute('data-href');
+        if (href) window.location.href = href;
+      });
+    });`
+  });
+}
+
+module.exports = { home };
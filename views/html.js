@@ -0,0 +1,39 @@
+// views/html.js
+// Helpers shared by the server-rendered pages in views/. Every view is a plain function
+// from data to an HTML string; values are escaped here, never in server.js.
+
+function escapeHtml(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// A value for an inline <script>: JSON, with "<" escaped so it cannot close the tag.
+function jsValue(v) {
+  return JSON.stringify(v).replace(/</g, '\\u003c');
+}
+
+// Document shell. `style` and `script` are trusted markup from the view itself.
+function layout({ title, style = '', body, script = '' }) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>${escapeHtml(title)}</title>
+  <style>${style}
+  </style>
+</head>
+<body>
+${body}${script ? `
+
+  <script>${script}
+  </script>` : ''}
+</body>
+</html>`;
+}
+
+module.exports = { escapeHtml, jsValue, layout };
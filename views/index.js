@@ -0,0 +1,25 @@
+// views/index.js
+// Server-rendered pages. Each view takes plain data and returns a complete HTML document.
+
+module.exports = {
+  ...require('./login'),
+  ...require('./logout'),
+  ...require('./home'),
+  ...require('./devices'),
+  ...require('./deviceDetail'),
+  ...require('./history'),
+  ...require('./control'),
+  ...require('./groups'),
+  ...require('./schedules'),
+  ...require('./rules'),
+  ...require('./credentials'),
+  ...require('./users'),
+  ...require('./sessions'),
+  ...require('./audit'),
+  ...require('./webhooks'),
+  ...require('./tokens'),
+  ...require('./mqttExplorer'),
+  ...require('./firmware'),
+  ...require('./alerts'),
+  ...require('./settings')
+};
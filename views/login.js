@@ -0,0 +1,48 @@
+// views/login.js
+// Sign-in form. `next` must already be a safe local path; `csrf` is the double-submit
+// token that the server also sets as the login_csrf cookie.
+
+const { escapeHtml, layout } = require('./html');
+
+function login({ next, error, csrf, wsPath }) {
+  return layout({
+    title: 'Login • Main Host',
+    style: `
+    :root { color-scheme: light dark; }
+    body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; margin: 2rem; }
+    main { max-width: 440px; margin: 0 auto; }
+    .card { border: 1px solid #ddd; border-radius: 8px; padding: 16px; }
+    .row { display: flex; flex-direction: column; gap: 8px; margin-top: 8px; }
+    label { font-weight: 600; }
+    input[type="text"], input[type="password"] { padding: 8px; border: 1px solid #ccc; border-radius: 6px; }
+    button { padding: 10px 14px; border: none; border-radius: 6px; background: #0b78ff; color: #fff; cursor: pointer; }
+    button:hover { background: #075fcc; }
+    .err { color: #6d1111; margin-top: 8px; }
+    .muted { color: #666; font-size: 0.9rem; }`,
+    body: `  <main>
+    <h1>Sign in</h1>
+    <p class="muted">Use your account to access Devices &amp; Control.</p>
+    <div class="card">
+      <form method="POST" action="/login">
+        <input type="hidden" name="next" value="${escapeHtml(next)}" />
+        <input type="hidden" name="_csrf" value="${escapeHtml(csrf)}" />
+        <div class="row">
+          <label for="user">Username</label>
+          <input id="user" name="user" type="text" autocomplete="username" required />
+        </div>
+        <div class="row">
+          <label for="pass">Password</label>
+          <input id="pass" name="pass" type="password" autocomplete="current-password" required />
+        </div>
+        <div class="row">
+          <button type="submit">Login</button>
+        </div>
+        ${error ? `<div class="err">${escapeHtml(error)}</div>` : ''}
+      </form>
+    </div>
+    <p class="muted" style="margin-top:12px;">MQTT WebSocket endpoint: <code>ws(s)://&lt;host&gt;${escapeHtml(wsPath)}</code></p>
+  </main>`
+  });
+}
+
+module.exports = { login };
@@ -0,0 +1,35 @@
+// views/logout.js
+// Sign-out confirmation. Only the POST it submits ends sessions, so a plain link or
+// a cross-site GET to /logout cannot sign anyone out.
+
+const { escapeHtml, layout } = require('./html');
+
+function logout({ username, csrf, otherSessions }) {
+  return layout({
+    title: 'Sign out',
+    style: `
+    body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; margin: 2rem; }
+    main { max-width: 440px; margin: 0 auto; }
+    .card { border: 1px solid #ddd; border-radius: 8px; padding: 16px; }
+    .row { display: flex; flex-direction: column; gap: 8px; margin-top: 8px; }
+    button { padding: 10px 14px; border: none; border-radius: 6px; background: #0b78ff; color: #fff; cursor: pointer; }
+    button:hover { background: #075fcc; }
+    .muted { color: #666; font-size: 0.9rem; }`,
+    body: `  <main>
+    <h1>Sign out</h1>
+    <div class="card">
+      <form method="POST" action="/logout">
+        <input type="hidden" name="_csrf" value="${escapeHtml(csrf)}" />
+        <p>Signed in as <strong>${escapeHtml(username)}</strong>.</p>
+        <label><input type="checkbox" name="everywhere" value="1" /> Also sign out my ${otherSessions} other session(s)</label>
+        <div class="row">
+          <button type="submit">Sign out</button>
+        </div>
+      </form>
+    </div>
+    <p class="muted" style="margin-top:12px;"><a href="/sessions">Manage sessions</a> • <a href="/">Back</a></p>
+  </main>`
+  });
+}
+
+module.exports = { logout };
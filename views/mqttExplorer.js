@@ -0,0 +1,296 @@
+// views/mqttExplorer.js
+// MQTT explorer (admin): live topic tree, payload inspector, connected clients and a
+// test publish.
+
+const { jsValue, layout } = require('./html');
+
+function mqttExplorer({ csrf, perTopic }) {
+  return layout({
+    title: 'MQTT Explorer',
+    style: `
+    body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; margin: 2rem; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #ddd; padding: 6px 8px; vertical-align: top; }
+    th { background: #f3f3f3; text-align: left; }
+    .muted { color: #666; font-size: 0.9rem; }
+    .layout { display: grid; grid-template-columns: minmax(220px, 1fr) 3fr; gap: 1.5rem; max-width: 1280px; }
+    .tree { font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 0.9rem; max-height: 32rem; overflow: auto; }
+    .tree ul { list-style: none; padding-left: 1rem; margin: 0; }
+    .tree > ul { padding-left: 0; }
+    .tree a { text-decoration: none; }
+    .tree a.selected { background: #eef3ff; font-weight: 600; }
+    pre { margin: 0; white-space: pre-wrap; word-break: break-all; max-height: 14rem; overflow: auto; }
+    .form { display: grid; grid-template-columns: max-content 1fr; gap: 8px 12px; max-width: 640px; align-items: center; }
+    #msg { margin-top: 0.5rem; color: #175217; }
+    #err { margin-top: 0.5rem; color: #6d1111; }
+    code { background: #0001; padding: 2px 4px; border-radius: 4px; }`,
+    body: `  <main>
+    <h1>MQTT Explorer</h1>
+    <p class="muted">Live view of broker traffic since the server started (<span id="mode">connecting…</span>).
+      The last ${perTopic} messages per topic are kept in memory; <code>$SYS/</code> topics are hidden.</p>
+    <p><a href="/devices">Devices</a> • <a href="/">Home</a> • <a href="/logout">Logout</a></p>
+
+    <div class="layout">
+      <section>
+        <h2>Topics <span class="muted" id="topic-count"></span></h2>
+        <p><input id="topic-filter" type="search" placeholder="Filter topics" /> <button id="clear">Clear</button></p>
+        <div id="tree" class="tree"><span class="muted">Loading…</span></div>
+      </section>
+      <section>
+        <h2 id="sel-title">Messages</h2>
+        <p class="muted" id="sel-meta">Select a topic on the left.</p>
+        <p><label>Show payload as <select id="decode">
+          <option value="auto">auto</option><option value="text">text</option><option value="json">JSON</option><option value="hex">hex</option>
+        </select></label></p>
+        <table>
+          <thead><tr><th>Time (UTC)</th><th>From</th><th>QoS / Retain</th><th>Size</th><th>Payload</th></tr></thead>
+          <tbody id="messages"><tr><td colspan="5" class="muted">No topic selected.</td></tr></tbody>
+        </table>
+
+        <h2>Publish a test message</h2>
+        <p class="muted">Sent as the broker itself: ACLs do not apply, and <code>devices/status</code> reports sent from here do not update the registry.</p>
+        <div class="form">
+          <label for="p-topic">Topic</label><input id="p-topic" type="text" placeholder="devices/lamp-1/command" />
+          <label for="p-encoding">Encoding</label><select id="p-encoding"><option value="text">text</option><option value="json">JSON</option><option value="hex">hex</option></select>
+          <label for="p-payload">Payload</label><textarea id="p-payload" rows="4" placeholder="lamp-1:on"></textarea>
+          <label for="p-qos">QoS</label><span><select id="p-qos"><option value="0">0</option><option value="1">1</option><option value="2">2</option></select>
+            <label><input id="p-retain" type="checkbox" /> retain</label></span>
+          <span></span><span><button id="publish">Publish</button></span>
+        </div>
+        <div id="msg"></div><div id="err"></div>
+      </section>
+    </div>
+
+    <h2>Connected clients <span class="muted" id="client-count"></span></h2>
+    <table style="max-width: 1280px">
+      <thead><tr><th>Client ID</th><th>Device login</th><th>Connected since (UTC)</th><th>Subscriptions</th></tr></thead>
+      <tbody id="clients"><tr><td colspan="4">Loading…</td></tr></tbody>
+    </table>
+  </main>`,
+    script: `
+    var CSRF_TOKEN = ${jsValue(csrf)};
+    var MAX_MESSAGES = ${perTopic};
+    var topics = Object.create(null);   // topic -> summary
+    var clients = Object.create(null);  // id -> client
+    var selected = null;
+    var messages = [];
+    var treeTimer = null;
+    function escapeHtml(s) { return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
+    function $(id) { return document.getElementById(id); }
+    async function call(method, url, body) {
+      $('msg').textContent = ''; $('err').textContent = '';
+      try {
+        const res = await fetch(url, {
+          method: method,
+          headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': CSRF_TOKEN },
+          body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error ?? ('HTTP ' + res.status));
+        return data;
+      } catch (e) {
+        console.error('Request error:', e);
+        $('err').textContent = 'Failed: ' + e.message;
+        return null;
+      }
+    }
+
+    // ---- Topic tree ----
+    function renderTree() {
+      treeTimer = null;
+      var q = $('topic-filter').value.trim().toLowerCase();
+      var names = Object.keys(topics).filter(function(t) { return !q || t.toLowerCase().indexOf(q) >= 0; }).sort();
+      $('topic-count').textContent = '(' + Object.keys(topics).length + ')';
+      if (names.length === 0) {
+        $('tree').innerHTML = '<span class="muted">' + (q ? 'No matching topics.' : 'No messages yet.') + '</span>';
+        return;
+      }
+      var root = { children: Object.create(null) };
+      names.forEach(function(t) {
+        var node = root;
+        t.split('/').forEach(function(seg) {
+          node = node.children[seg] ?? (node.children[seg] = { children: Object.create(null) });
+        });
+        node.topic = t;
+      });
+      function render(node) {
+        return '<ul>' + Object.keys(node.children).sort().map(function(seg) {
+          var child = node.children[seg];
+          var label = escapeHtml(seg === '' ? '(empty)' : seg);
+          var head = child.topic != null
+            ? '<a href="#" data-topic="' + escapeHtml(child.topic) + '"' + (child.topic === selected ? ' class="selected"' : '') + '>' + label + '</a>'
+              + ' <span class="muted">' + topics[child.topic].count + (topics[child.topic].retained ? ' • retained' : '') + '</span>'
+            : label;
+          return '<li>' + head + (Object.keys(child.children).length ? render(child) : '') + '</li>';
+        }).join('') + '</ul>';
+      }
+      $('tree').innerHTML = render(root);
+    }
+    function scheduleTree() {
+      if (!treeTimer) treeTimer = setTimeout(renderTree, 300);
+    }
+    $('tree').addEventListener('click', function(e) {
+      var a = e.target.closest('a[data-topic]');
+      if (!a) return;
+      e.preventDefault();
+      select(a.getAttribute('data-topic'));
+    });
+    $('topic-filter').addEventListener('input', renderTree);
+    $('clear').addEventListener('click', async function() {
+      if (!confirm('Forget all recorded topics and messages?')) return;
+      if (!await call('DELETE', '/api/mqtt/topics')) return;
+      topics = Object.create(null);
+      selected = null;
+      messages = [];
+      renderTree();
+      renderMessages();
+    });
+
+    // ---- Messages ----
+    function hexDump(hex) {
+      var lines = [];
+      for (var i = 0; i < hex.length; i += 32) {
+        lines.push(hex.slice(i, i + 32).replace(/(..)(?!$)/g, '$1 '));
+      }
+      return lines.join('\\n');
+    }
+    function showPayload(m) {
+      var mode = $('decode').value;
+      if (mode === 'auto') mode = m.json !== undefined ? 'json' : (m.text !== null ? 'text' : 'hex');
+      if (mode === 'json') {
+        if (m.json === undefined) return '<span class="muted">(not a JSON object or array)</span>';
+        return '<pre>' + escapeHtml(JSON.stringify(m.json, null, 2)) + '</pre>';
+      }
+      if (mode === 'text') {
+        if (m.text === null) return '<span class="muted">(binary, not UTF-8)</span>';
+        return m.text === '' ? '<span class="muted">(empty)</span>' : '<pre>' + escapeHtml(m.text) + '</pre>';
+      }
+      return m.hex === '' ? '<span class="muted">(empty)</span>' : '<pre>' + escapeHtml(hexDump(m.hex)) + '</pre>';
+    }
+    function renderMessages() {
+      if (!selected) {
+        $('sel-title').textContent = 'Messages';
+        $('sel-meta').textContent = 'Select a topic on the left.';
+        $('messages').innerHTML = '<tr><td colspan="5" class="muted">No topic selected.</td></tr>';
+        return;
+      }
+      var t = topics[selected];
+      $('sel-title').textContent = selected;
+      $('sel-meta').textContent = t
+        ? t.count + ' message(s), ' + t.bytes + ' bytes since ' + t.firstAt + ' • last from ' + (t.lastClient ?? 'broker')
+        : 'No longer recorded.';
+      $('messages').innerHTML = messages.length === 0 ? '<tr><td colspan="5" class="muted">No messages.</td></tr>' : messages.map(function(m) {
+        return '<tr><td>' + escapeHtml(m.ts) + '</td>'
+          + '<td>' + (m.client == null ? '<span class="muted">broker</span>' : escapeHtml(m.client)) + '</td>'
+          + '<td>' + m.qos + (m.retain ? ' • retained' : '') + '</td>'
+          + '<td>' + m.size + (m.truncated ? ' <span class="muted">(truncated)</span>' : '') + '</td>'
+          + '<td>' + showPayload(m) + '</td></tr>';
+      }).join('');
+    }
+    async function select(topic) {
+      selected = topic;
+      $('p-topic').value = topic;
+      renderTree();
+      try {
+        const res = await fetch('/api/mqtt/messages?limit=' + MAX_MESSAGES + '&topic=' + encodeURIComponent(topic), { cache: 'no-store' });
+        const data = await res.json();
+        messages = res.ok ? data.items : [];
+      } catch (e) {
+        console.error('Load error:', e);
+        messages = [];
+      }
+      if (selected === topic) renderMessages();
+    }
+    $('decode').addEventListener('change', renderMessages);
+
+    // ---- Clients ----
+    function renderClients() {
+      var list = Object.keys(clients).sort().map(function(id) { return clients[id]; });
+      $('client-count').textContent = '(' + list.length + ')';
+      $('clients').innerHTML = list.length === 0 ? '<tr><td colspan="4">No clients connected.</td></tr>' : list.map(function(c) {
+        return '<tr><td>' + escapeHtml(c.id) + '</td>'
+          + '<td>' + (c.device ? escapeHtml(c.device) : '<span class="muted">anonymous</span>') + '</td>'
+          + '<td>' + escapeHtml(c.connectedAt ?? '') + '</td>'
+          + '<td>' + (c.subscriptions.length ? c.subscriptions.map(function(s) { return '<code>' + escapeHtml(s) + '</code>'; }).join(' ') : '<span class="muted">none</span>') + '</td></tr>';
+      }).join('');
+    }
+
+    // ---- Publish ----
+    $('publish').addEventListener('click', async function() {
+      var data = await call('POST', '/api/mqtt/publish', {
+        topic: $('p-topic').value.trim(),
+        encoding: $('p-encoding').value,
+        payload: $('p-payload').value,
+        qos: Number($('p-qos').value),
+        retain: $('p-retain').checked
+      });
+      if (data) $('msg').textContent = 'Published ' + data.size + ' byte(s) to ' + data.topic;
+    });
+
+    // ---- Live updates (polling when EventSource is unavailable) ----
+    function applySnapshot(topicList, clientList) {
+      topics = Object.create(null);
+      topicList.forEach(function(t) { topics[t.topic] = t; });
+      clients = Object.create(null);
+      clientList.forEach(function(c) { clients[c.id] = c; });
+      renderTree();
+      renderClients();
+      if (selected) select(selected);
+    }
+    var pollTimer = null;
+    function setMode(text) { $('mode').textContent = text; }
+    async function poll() {
+      try {
+        const [tRes, cRes] = await Promise.all([fetch('/api/mqtt/topics', { cache: 'no-store' }), fetch('/api/mqtt/clients', { cache: 'no-store' })]);
+        if (!tRes.ok || !cRes.ok) throw new Error('HTTP ' + (tRes.ok ? cRes.status : tRes.status));
+        applySnapshot((await tRes.json()).items, (await cRes.json()).items);
+      } catch (e) {
+        console.error('Load error:', e);
+      }
+    }
+    function startPolling() {
+      setMode('polling every 5 s');
+      if (pollTimer) return;
+      poll();
+      pollTimer = setInterval(poll, 5000);
+    }
+    function stopPolling() {
+      if (pollTimer) { clearInterval(pollTimer); pollTimer = null; }
+    }
+    if (window.EventSource) {
+      var es = new EventSource('/api/mqtt/stream');
+      es.addEventListener('snapshot', function(e) {
+        stopPolling();
+        setMode('live');
+        var data = JSON.parse(e.data);
+        applySnapshot(data.topics, data.clients);
+      });
+      es.onerror = startPolling;
+      es.addEventListener('message', function(e) {
+        var m = JSON.parse(e.data);
+        var t = topics[m.topic] ?? (topics[m.topic] = { topic: m.topic, count: 0, bytes: 0, firstAt: m.ts, retained: false });
+        t.count++;
+        t.bytes += m.size;
+        t.lastAt = m.ts;
+        t.lastClient = m.client;
+        if (m.retain) t.retained = m.size > 0;
+        scheduleTree();
+        if (m.topic === selected) {
+          messages.unshift(m);
+          if (messages.length > MAX_MESSAGES) messages.pop();
+          renderMessages();
+        }
+      });
+      es.addEventListener('client', function(e) {
+        var c = JSON.parse(e.data);
+        if (c.connected) clients[c.id] = c;
+        else delete clients[c.id];
+        renderClients();
+      });
+    } else {
+      startPolling();
+    }`
+  });
+}
+
+module.exports = { mqttExplorer };
@@ -0,0 +1,257 @@
+// views/rules.js
+// Automation rules (admin): status triggers with command/webhook actions and a dry run.
+
+const { jsValue, layout } = require('./html');
+const { OPS } = require('../lib/rules');
+
+function rules({ csrf }) {
+  return layout({
+    title: 'Rules',
+    style: `
+    body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; margin: 2rem; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #ddd; padding: 8px; vertical-align: top; }
+    th { background: #f3f3f3; text-align: left; }
+    .muted { color: #666; font-size: 0.9rem; }
+    .form { display: grid; grid-template-columns: max-content 1fr; gap: 8px 12px; max-width: 720px; align-items: center; }
+    .action { display: flex; gap: 6px; flex-wrap: wrap; margin-bottom: 6px; }
+    .action input[type=text] { min-width: 12rem; }
+    .ok { color: #175217; }
+    .bad { color: #6d1111; }
+    .dry { color: #7a5b00; }
+    #msg { margin-top: 1rem; color: #175217; }
+    #err { margin-top: 1rem; color: #6d1111; }
+    code { background: #0001; padding: 2px 4px; border-radius: 4px; }`,
+    body: `  <main>
+    <h1>Rules</h1>
+    <p class="muted">React to <code>devices/status</code> reports and auto-offline. A rule fires once when its condition becomes true
+      (and has held for the given time), then re-arms after the condition has cleared for the debounce time.
+      The cooldown is the minimum time between two firings. <strong>Dry-run</strong> rules only log what they would do.</p>
+    <p><a href="/control">Control</a> • <a href="/schedules">Schedules</a> • <a href="/devices">Devices</a> • <a href="/">Home</a> • <a href="/logout">Logout</a></p>
+
+    <h2 id="form-title">New rule</h2>
+    <div class="form">
+      <label for="f-name">Name</label><input id="f-name" type="text" placeholder="Siren on door open" />
+      <label for="f-device">When device</label><input id="f-device" type="text" placeholder="sensor-3" />
+      <label for="f-op">Status</label>
+      <span><select id="f-op">${OPS.map(o => `<option value="${o}">${o === 'eq' ? 'is' : 'is not'}</option>`).join('')}</select>
+        <input id="f-status" type="text" list="statuses" placeholder="open" /></span>
+      <label for="f-for">For at least (s)</label><input id="f-for" type="number" min="0" value="0" />
+      <label for="f-debounce">Debounce (s)</label><input id="f-debounce" type="number" min="0" value="0" />
+      <label for="f-cooldown">Cooldown (s)</label><input id="f-cooldown" type="number" min="0" value="0" />
+      <label>Actions</label><span><div id="actions"></div><button id="add-action" type="button">+ Add action</button></span>
+      <label for="f-enabled">Enabled</label><input id="f-enabled" type="checkbox" checked />
+      <label for="f-dry">Dry-run</label><input id="f-dry" type="checkbox" />
+      <span></span><span><button id="save">Create</button> <button id="cancel" hidden>Cancel edit</button></span>
+    </div>
+    <datalist id="statuses"><option value="on"><option value="off"><option value="online"><option value="offline"><option value="open"><option value="closed"></datalist>
+    <div id="msg"></div><div id="err"></div>
+
+    <h2>All rules</h2>
+    <table>
+      <thead><tr><th>Name</th><th>When</th><th>Then</th><th>Timing</th><th>Last Fired</th><th>Enabled</th><th>Dry-run</th><th>Actions</th></tr></thead>
+      <tbody id="rows"><tr><td colspan="8">Loading…</td></tr></tbody>
+    </table>
+
+    <h2>Recent activity</h2>
+    <table>
+      <thead><tr><th>Time</th><th>Rule</th><th>Trigger</th><th>Outcome</th></tr></thead>
+      <tbody id="activity"><tr><td colspan="4">Loading…</td></tr></tbody>
+    </table>
+  </main>`,
+    script: `
+    var CSRF_TOKEN = ${jsValue(csrf)};
+    var editing = null;
+    function escapeHtml(s) { return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
+    function $(id) { return document.getElementById(id); }
+
+    function addAction(a) {
+      a = a || { type: 'command', status: 'on' };
+      var row = document.createElement('div');
+      row.className = 'action';
+      row.innerHTML = '<select class="a-type"><option value="command">send command</option><option value="webhook">call webhook</option></select>'
+        + '<input class="a-device" type="text" placeholder="Device" />'
+        + '<select class="a-what"><option value="on">on</option><option value="off">off</option><option value="json">JSON</option></select>'
+        + '<input class="a-command" type="text" placeholder=\\'{"siren": true}\\' />'
+        + '<input class="a-url" type="text" placeholder="https://example.com/hook" />'
+        + '<button type="button" class="a-del">✕</button>';
+      function sync() {
+        var cmd = row.querySelector('.a-type').value === 'command';
+        row.querySelector('.a-device').hidden = !cmd;
+        row.querySelector('.a-what').hidden = !cmd;
+        row.querySelector('.a-command').hidden = !cmd || row.querySelector('.a-what').value !== 'json';
+        row.querySelector('.a-url').hidden = cmd;
+      }
+      row.querySelector('.a-type').value = a.type;
+      row.querySelector('.a-device').value = a.device ?? '';
+      row.querySelector('.a-what').value = a.command !== undefined ? 'json' : (a.status ?? 'on');
+      row.querySelector('.a-command').value = a.command !== undefined ? JSON.stringify(a.command) : '';
+      row.querySelector('.a-url').value = a.url ?? '';
+      row.querySelector('.a-type').addEventListener('change', sync);
+      row.querySelector('.a-what').addEventListener('change', sync);
+      row.querySelector('.a-del').addEventListener('click', function() { row.remove(); });
+      sync();
+      $('actions').appendChild(row);
+    }
+    function readActions() {
+      return Array.from(document.querySelectorAll('#actions .action')).map(function(row) {
+        if (row.querySelector('.a-type').value === 'webhook') return { type: 'webhook', url: row.querySelector('.a-url').value.trim() };
+        var a = { type: 'command', device: row.querySelector('.a-device').value.trim() };
+        if (row.querySelector('.a-what').value === 'json') a.command = JSON.parse(row.querySelector('.a-command').value);
+        else a.status = row.querySelector('.a-what').value;
+        return a;
+      });
+    }
+    function describeAction(a) {
+      if (a.type === 'webhook') return (a.method ?? 'POST') + ' ' + a.url;
+      return a.device + ' ← ' + (a.command !== undefined ? JSON.stringify(a.command) : a.status);
+    }
+    function secs(ms) { return Math.round((ms ?? 0) / 1000); }
+
+    function resetForm() {
+      editing = null;
+      $('form-title').textContent = 'New rule';
+      $('save').textContent = 'Create';
+      $('cancel').hidden = true;
+      ['f-name', 'f-device', 'f-status'].forEach(function(id) { $(id).value = ''; });
+      ['f-for', 'f-debounce', 'f-cooldown'].forEach(function(id) { $(id).value = '0'; });
+      $('f-op').value = 'eq'; $('f-enabled').checked = true; $('f-dry').checked = false;
+      $('actions').innerHTML = '';
+      addAction();
+    }
+    function editRule(x) {
+      editing = x.id;
+      $('form-title').textContent = 'Edit: ' + x.name;
+      $('save').textContent = 'Save';
+      $('cancel').hidden = false;
+      $('f-name').value = x.name;
+      $('f-device').value = x.when.device;
+      $('f-op').value = x.when.op;
+      $('f-status').value = x.when.status;
+      $('f-for').value = secs(x.when.forMs);
+      $('f-debounce').value = secs(x.debounceMs);
+      $('f-cooldown').value = secs(x.cooldownMs);
+      $('f-enabled').checked = x.enabled;
+      $('f-dry').checked = x.dryRun;
+      $('actions').innerHTML = '';
+      x.actions.forEach(addAction);
+      window.scrollTo(0, 0);
+    }
+    async function call(method, url, body) {
+      $('msg').textContent = ''; $('err').textContent = '';
+      try {
+        const res = await fetch(url, {
+          method: method,
+          headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': CSRF_TOKEN },
+          body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error ?? ('HTTP ' + res.status));
+        return data;
+      } catch (e) {
+        console.error('Request error:', e);
+        $('err').textContent = 'Failed: ' + e.message;
+        return null;
+      }
+    }
+    function outcome(o) {
+      if (!o) return '<span class="muted">—</span>';
+      if (o.skipped) return '<span class="muted">skipped (' + escapeHtml(o.skipped) + ')</span>';
+      return (o.results ?? []).map(function(r) {
+        if (r.dryRun) return '<span class="dry">would: ' + escapeHtml(r.would) + '</span>';
+        if (r.ok) return '<span class="ok">' + escapeHtml(r.type === 'command' ? 'sent ' + r.commandId : 'webhook ' + r.status) + '</span>';
+        return '<span class="bad">' + escapeHtml(r.type + ': ' + r.error) + '</span>';
+      }).join('<br>');
+    }
+    async function load() {
+      var tbody = $('rows');
+      try {
+        const res = await fetch('/api/rules', { cache: 'no-store' });
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        const data = await res.json();
+        var items = Array.isArray(data.items) ? data.items : [];
+        if (items.length === 0) {
+          tbody.innerHTML = '<tr><td colspan="8">No rules yet.</td></tr>';
+        } else {
+          tbody.innerHTML = '';
+        }
+        items.forEach(function(x) {
+          var tr = document.createElement('tr');
+          tr.innerHTML = '<td>' + escapeHtml(x.name) + '</td>'
+            + '<td>' + escapeHtml(x.when.device) + ' ' + (x.when.op === 'eq' ? 'is' : 'is not') + ' <code>' + escapeHtml(x.when.status) + '</code>'
+              + (x.when.forMs ? ' for ' + secs(x.when.forMs) + 's' : '') + '</td>'
+            + '<td>' + x.actions.map(function(a) { return '<code>' + escapeHtml(describeAction(a)) + '</code>'; }).join('<br>') + '</td>'
+            + '<td class="muted">debounce ' + secs(x.debounceMs) + 's<br>cooldown ' + secs(x.cooldownMs) + 's</td>'
+            + '<td>' + (x.lastFiredAt ? escapeHtml(x.lastFiredAt) + '<br>' : '') + outcome(x.lastResult) + '</td>'
+            + '<td><input type="checkbox" class="enabled"' + (x.enabled ? ' checked' : '') + '></td>'
+            + '<td><input type="checkbox" class="dry"' + (x.dryRun ? ' checked' : '') + '></td>'
+            + '<td><button class="test">Test</button> <button class="edit">Edit</button> <button class="del">Delete</button></td>';
+          tr.querySelector('.enabled').addEventListener('change', async function() {
+            await call('PUT', '/api/rules/' + x.id, { enabled: this.checked });
+            load();
+          });
+          tr.querySelector('.dry').addEventListener('change', async function() {
+            await call('PUT', '/api/rules/' + x.id, { dryRun: this.checked });
+            load();
+          });
+          tr.querySelector('.test').addEventListener('click', async function() {
+            var status = prompt('Test against status (empty = current status of ' + x.when.device + ')', '');
+            if (status === null) return;
+            var data = await call('POST', '/api/rules/' + x.id + '/test', status ? { status: status } : {});
+            if (data) $('msg').textContent = data.matches
+              ? 'Matches "' + data.status + '"' + (data.forMs ? ' (once held ' + secs(data.forMs) + 's)' : '') + ' → would: ' + data.would.join('; ')
+              : 'Does not match "' + data.status + '"';
+          });
+          tr.querySelector('.edit').addEventListener('click', function() { editRule(x); });
+          tr.querySelector('.del').addEventListener('click', async function() {
+            if (!confirm('Delete rule ' + x.name + '?')) return;
+            await call('DELETE', '/api/rules/' + x.id);
+            if (editing === x.id) resetForm();
+            load();
+          });
+          tbody.appendChild(tr);
+        });
+        const act = await (await fetch('/api/rules/activity', { cache: 'no-store' })).json();
+        var entries = Array.isArray(act.items) ? act.items : [];
+        $('activity').innerHTML = entries.length === 0
+          ? '<tr><td colspan="4">Nothing has fired since the server started.</td></tr>'
+          : entries.map(function(e) {
+              return '<tr><td>' + escapeHtml(e.ts) + '</td><td>' + escapeHtml(e.name) + (e.dryRun ? ' <span class="dry">(dry-run)</span>' : '') + '</td>'
+                + '<td>' + escapeHtml(e.device + ': ' + (e.prev ?? '—') + ' → ' + e.status) + '</td><td>' + outcome(e) + '</td></tr>';
+            }).join('');
+      } catch (e) {
+        console.error('Load error:', e);
+        tbody.innerHTML = '<tr><td colspan="8">Error loading. Check console.</td></tr>';
+      }
+    }
+    $('add-action').addEventListener('click', function() { addAction(); });
+    $('save').addEventListener('click', async function() {
+      var actions;
+      try { actions = readActions(); }
+      catch (e) { $('err').textContent = 'Command is not valid JSON'; return; }
+      var body = {
+        name: $('f-name').value.trim(),
+        when: { device: $('f-device').value.trim(), op: $('f-op').value, status: $('f-status').value.trim(), forMs: Number($('f-for').value || 0) * 1000 },
+        actions: actions,
+        debounceMs: Number($('f-debounce').value || 0) * 1000,
+        cooldownMs: Number($('f-cooldown').value || 0) * 1000,
+        enabled: $('f-enabled').checked,
+        dryRun: $('f-dry').checked
+      };
+      var data = editing
+        ? await call('PUT', '/api/rules/' + editing, body)
+        : await call('POST', '/api/rules', body);
+      if (data) {
+        $('msg').textContent = (editing ? 'Saved ' : 'Created ') + data.rule.name;
+        resetForm();
+      }
+      load();
+    });
+    $('cancel').addEventListener('click', resetForm);
+    resetForm();
+    load();
+    setInterval(load, 15000);`
+  });
+}
+
+module.exports = { rules };
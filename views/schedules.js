@@ -0,0 +1,197 @@
+// views/schedules.js
+// Scheduled commands: one-shot and cron schedules with their next run and last result.
+
+const { jsValue, layout } = require('./html');
+const { CATCH_UP } = require('../lib/scheduler');
+
+function schedules({ csrf, maxLatenessMs }) {
+  return layout({
+    title: 'Schedules',
+    style: `
+    body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; margin: 2rem; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #ddd; padding: 8px; vertical-align: top; }
+    th { background: #f3f3f3; text-align: left; }
+    .muted { color: #666; font-size: 0.9rem; }
+    .form { display: grid; grid-template-columns: max-content 1fr; gap: 8px 12px; max-width: 640px; align-items: center; }
+    .form textarea { font-family: ui-monospace, monospace; min-height: 3em; }
+    .ok { color: #175217; }
+    .bad { color: #6d1111; }
+    #msg { margin-top: 1rem; color: #175217; }
+    #err { margin-top: 1rem; color: #6d1111; }
+    code { background: #0001; padding: 2px 4px; border-radius: 4px; }`,
+    body: `  <main>
+    <h1>Schedules</h1>
+    <p class="muted">Commands sent automatically through the same path as <code>/api/command</code>. Times are <strong>UTC</strong>.
+      Cron: <code>minute hour day-of-month month day-of-week</code>, e.g. <code>30 18 * * mon-fri</code>.
+      Runs missed while the server was down are caught up once if within ${Math.round(maxLatenessMs / 60000)} min (catch-up <em>run</em>), otherwise skipped.</p>
+    <p><a href="/control">Control</a> • <a href="/devices">Devices</a> • <a href="/">Home</a> • <a href="/logout">Logout</a></p>
+
+    <h2 id="form-title">New schedule</h2>
+    <div class="form">
+      <label for="f-name">Name</label><input id="f-name" type="text" placeholder="Porch light evening" />
+      <label for="f-device">Device</label><input id="f-device" type="text" placeholder="Device name" />
+      <label for="f-action">Action</label>
+      <select id="f-action"><option value="on">on</option><option value="off">off</option><option value="json">capability command (JSON)</option></select>
+      <label for="f-command">Command JSON</label><textarea id="f-command" placeholder='{"brightness": 40}' disabled></textarea>
+      <label for="f-type">Type</label>
+      <select id="f-type"><option value="cron">recurring (cron)</option><option value="once">one-shot</option></select>
+      <label for="f-cron">Cron (UTC)</label><input id="f-cron" type="text" placeholder="0 18 * * *" />
+      <label for="f-at">Run at (local time)</label><input id="f-at" type="datetime-local" disabled />
+      <label for="f-catchup">If missed</label>
+      <select id="f-catchup">${CATCH_UP.map(c => `<option value="${c}">${c === 'run' ? 'run once on restart' : 'skip'}</option>`).join('')}</select>
+      <label for="f-enabled">Enabled</label><input id="f-enabled" type="checkbox" checked />
+      <span></span><span><button id="save">Create</button> <button id="cancel" hidden>Cancel edit</button></span>
+    </div>
+    <div id="msg"></div><div id="err"></div>
+
+    <h2>All schedules</h2>
+    <table>
+      <thead><tr><th>Name</th><th>Device</th><th>Action</th><th>When</th><th>Next Run (UTC)</th><th>Last Run</th><th>Enabled</th><th>Actions</th></tr></thead>
+      <tbody id="rows"><tr><td colspan="8">Loading…</td></tr></tbody>
+    </table>
+  </main>`,
+    script: `
+    var CSRF_TOKEN = ${jsValue(csrf)};
+    var editing = null;
+    function escapeHtml(s) { return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
+    function $(id) { return document.getElementById(id); }
+    function syncForm() {
+      $('f-command').disabled = $('f-action').value !== 'json';
+      $('f-cron').disabled = $('f-type').value !== 'cron';
+      $('f-at').disabled = $('f-type').value !== 'once';
+    }
+    $('f-action').addEventListener('change', syncForm);
+    $('f-type').addEventListener('change', syncForm);
+    function toLocalInput(iso) {
+      var d = new Date(iso);
+      return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    }
+    function resetForm() {
+      editing = null;
+      $('form-title').textContent = 'New schedule';
+      $('save').textContent = 'Create';
+      $('cancel').hidden = true;
+      ['f-name', 'f-device', 'f-command', 'f-cron', 'f-at'].forEach(function(id) { $(id).value = ''; });
+      $('f-action').value = 'on'; $('f-type').value = 'cron'; $('f-catchup').value = 'run'; $('f-enabled').checked = true;
+      syncForm();
+    }
+    function editSchedule(x) {
+      editing = x.id;
+      $('form-title').textContent = 'Edit: ' + x.name;
+      $('save').textContent = 'Save';
+      $('cancel').hidden = false;
+      $('f-name').value = x.name;
+      $('f-device').value = x.request.device;
+      $('f-action').value = x.request.command ? 'json' : x.request.status;
+      $('f-command').value = x.request.command ? JSON.stringify(x.request.command) : '';
+      $('f-type').value = x.type;
+      $('f-cron').value = x.cron ?? '';
+      $('f-at').value = x.at ? toLocalInput(x.at) : '';
+      $('f-catchup').value = x.catchUp;
+      $('f-enabled').checked = x.enabled;
+      syncForm();
+      window.scrollTo(0, 0);
+    }
+    async function call(method, url, body) {
+      $('msg').textContent = ''; $('err').textContent = '';
+      try {
+        const res = await fetch(url, {
+          method: method,
+          headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': CSRF_TOKEN },
+          body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error((data.error ?? ('HTTP ' + res.status)) + (Array.isArray(data.details) ? ': ' + data.details.join('; ') : ''));
+        return data;
+      } catch (e) {
+        console.error('Request error:', e);
+        $('err').textContent = 'Failed: ' + e.message;
+        return null;
+      }
+    }
+    function describe(req) {
+      return req.command ? JSON.stringify(req.command) : req.status;
+    }
+    async function load() {
+      var tbody = $('rows');
+      try {
+        const res = await fetch('/api/schedules', { cache: 'no-store' });
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        const data = await res.json();
+        var items = Array.isArray(data.items) ? data.items : [];
+        if (items.length === 0) {
+          tbody.innerHTML = '<tr><td colspan="8">No schedules yet.</td></tr>';
+          return;
+        }
+        tbody.innerHTML = '';
+        items.forEach(function(x) {
+          var last = x.lastResult
+            ? '<span class="' + (x.lastResult.ok ? 'ok' : 'bad') + '">' + escapeHtml(x.lastResult.ok ? 'sent' : (x.lastResult.error ?? 'failed')) + '</span>'
+              + '<br><span class="muted">' + escapeHtml(x.lastResult.at + ' (' + x.lastResult.reason + ')') + '</span>'
+            : '<span class="muted">—</span>';
+          var tr = document.createElement('tr');
+          tr.innerHTML = '<td>' + escapeHtml(x.name) + '</td>'
+            + '<td>' + escapeHtml(x.request.device) + '</td>'
+            + '<td><code>' + escapeHtml(describe(x.request)) + '</code></td>'
+            + '<td>' + (x.type === 'cron' ? '<code>' + escapeHtml(x.cron) + '</code>' : 'once at ' + escapeHtml(x.at)) + '</td>'
+            + '<td>' + escapeHtml(x.nextRunAt ?? '—') + '</td>'
+            + '<td>' + last + '</td>'
+            + '<td><input type="checkbox" class="enabled"' + (x.enabled ? ' checked' : '') + '></td>'
+            + '<td><button class="run">Run now</button> <button class="edit">Edit</button> <button class="del">Delete</button></td>';
+          tr.querySelector('.enabled').addEventListener('change', async function() {
+            await call('PUT', '/api/schedules/' + x.id, { enabled: this.checked });
+            load();
+          });
+          tr.querySelector('.run').addEventListener('click', async function() {
+            var data = await call('POST', '/api/schedules/' + x.id + '/run');
+            if (data) $('msg').textContent = data.ok ? 'Sent (command ' + data.schedule.lastResult.commandId + ')' : 'Run failed: ' + data.schedule.lastResult.error;
+            load();
+          });
+          tr.querySelector('.edit').addEventListener('click', function() { editSchedule(x); });
+          tr.querySelector('.del').addEventListener('click', async function() {
+            if (!confirm('Delete schedule ' + x.name + '?')) return;
+            await call('DELETE', '/api/schedules/' + x.id);
+            if (editing === x.id) resetForm();
+            load();
+          });
+          tbody.appendChild(tr);
+        });
+      } catch (e) {
+        console.error('Load error:', e);
+        tbody.innerHTML = '<tr><td colspan="8">Error loading. Check console.</td></tr>';
+      }
+    }
+    $('save').addEventListener('click', async function() {
+      var body = {
+        name: $('f-name').value.trim(),
+        device: $('f-device').value.trim(),
+        type: $('f-type').value,
+        catchUp: $('f-catchup').value,
+        enabled: $('f-enabled').checked
+      };
+      if ($('f-action').value === 'json') {
+        try { body.command = JSON.parse($('f-command').value); }
+        catch (e) { $('err').textContent = 'Command is not valid JSON'; return; }
+      } else {
+        body.status = $('f-action').value;
+      }
+      if (body.type === 'cron') body.cron = $('f-cron').value.trim();
+      else if ($('f-at').value) body.at = new Date($('f-at').value).toISOString();
+      var data = editing
+        ? await call('PUT', '/api/schedules/' + editing, body)
+        : await call('POST', '/api/schedules', body);
+      if (data) {
+        $('msg').textContent = (editing ? 'Saved ' : 'Created ') + data.schedule.name + ' • next run ' + (data.schedule.nextRunAt ?? '—');
+        resetForm();
+      }
+      load();
+    });
+    $('cancel').addEventListener('click', resetForm);
+    syncForm();
+    load();
+    setInterval(load, 15000);`
+  });
+}
+
+module.exports = { schedules };
@@ -0,0 +1,92 @@
+// views/sessions.js
+// The signed-in user's sessions: where and when, with sign-out per session or of all others.
+
+const { escapeHtml, jsValue, layout } = require('./html');
+
+function sessions({ csrf, username, maxAgeMs }) {
+  return layout({
+    title: 'Your Sessions',
+    style: `
+    body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; margin: 2rem; }
+    table { border-collapse: collapse; width: 100%; max-width: 980px; }
+    th, td { border: 1px solid #ddd; padding: 8px; }
+    th { background: #f3f3f3; text-align: left; }
+    .muted { color: #666; font-size: 0.9rem; }
+    #msg { margin-top: 1rem; color: #175217; }
+    #err { margin-top: 1rem; color: #6d1111; }`,
+    body: `  <main>
+    <h1>Your Sessions</h1>
+    <p class="muted">Every browser signed in as <strong>${escapeHtml(username)}</strong>. Sessions expire ${Math.round(maxAgeMs / 3600000)} h after sign-in; changing your password signs out the others.</p>
+    <p><a href="/devices">Devices</a> • <a href="/">Home</a> • <a href="/logout">Logout</a></p>
+
+    <table>
+      <thead><tr><th>Signed in (UTC)</th><th>Last active (UTC)</th><th>IP</th><th>Browser</th><th>Expires (UTC)</th><th></th></tr></thead>
+      <tbody id="rows"><tr><td colspan="6">Loading…</td></tr></tbody>
+    </table>
+    <p>
+      <button id="others">Sign out all other sessions</button>
+    </p>
+    <form method="POST" action="/logout">
+      <input type="hidden" name="_csrf" value="${escapeHtml(csrf)}" />
+      <input type="hidden" name="everywhere" value="1" />
+      <button type="submit">Sign out everywhere (including here)</button>
+    </form>
+    <div id="msg"></div><div id="err"></div>
+  </main>`,
+    script: `
+    var CSRF_TOKEN = ${jsValue(csrf)};
+    function escapeHtml(s) { return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
+    function $(id) { return document.getElementById(id); }
+    async function call(method, url, body) {
+      $('msg').textContent = ''; $('err').textContent = '';
+      try {
+        const res = await fetch(url, {
+          method: method,
+          headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': CSRF_TOKEN },
+          body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error ?? ('HTTP ' + res.status));
+        return data;
+      } catch (e) {
+        console.error('Request error:', e);
+        $('err').textContent = 'Failed: ' + e.message;
+        return null;
+      }
+    }
+    async function load() {
+      var tbody = $('rows');
+      try {
+        const res = await fetch('/api/sessions', { cache: 'no-store' });
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        const data = await res.json();
+        tbody.innerHTML = data.items.map(function(x) {
+          return '<tr><td>' + escapeHtml(x.createdAt) + (x.current ? ' <strong>(this session)</strong>' : '') + '</td>'
+            + '<td>' + escapeHtml(x.lastSeenAt) + '</td>'
+            + '<td>' + escapeHtml(x.ip ?? '') + '</td>'
+            + '<td class="muted">' + escapeHtml(x.userAgent) + '</td>'
+            + '<td>' + escapeHtml(x.expiresAt) + '</td>'
+            + '<td><button class="revoke" data-ref="' + escapeHtml(x.ref) + '"' + (x.current ? ' data-current="1"' : '') + '>Sign out</button></td></tr>';
+        }).join('');
+        tbody.querySelectorAll('.revoke').forEach(function(btn) {
+          btn.addEventListener('click', async function() {
+            var data = await call('DELETE', '/api/sessions/' + encodeURIComponent(this.getAttribute('data-ref')));
+            if (data && data.current) { window.location.href = '/login'; return; }
+            load();
+          });
+        });
+      } catch (e) {
+        console.error('Load error:', e);
+        tbody.innerHTML = '<tr><td colspan="6">Error loading. Check console.</td></tr>';
+      }
+    }
+    $('others').addEventListener('click', async function() {
+      var data = await call('DELETE', '/api/sessions');
+      if (data) $('msg').textContent = 'Signed out ' + data.revoked + ' other session(s)';
+      load();
+    });
+    load();`
+  });
+}
+
+module.exports = { sessions };
@@ -0,0 +1,133 @@
+// views/settings.js
+// Settings: every config value with where it came from (default, config file, env or a
+// runtime override). Hot settings can be changed here and apply without a restart.
+
+const { escapeHtml, jsValue, layout } = require('./html');
+
+function settings({ csrf, file }) {
+  return layout({
+    title: 'Settings',
+    style: `
+    body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; margin: 2rem; }
+    table { border-collapse: collapse; width: 100%; max-width: 1200px; }
+    th, td { border: 1px solid #ddd; padding: 6px 8px; vertical-align: top; }
+    th { background: #f3f3f3; text-align: left; }
+    tr.group th { background: #e9eef7; }
+    .muted { color: #666; font-size: 0.9rem; }
+    .src { padding: 1px 8px; border-radius: 999px; font-size: 0.85rem; background: #eee; color: #333; }
+    .src-runtime { background: #fff1c2; color: #7a5b00; }
+    .src-env, .src-file { background: #e3edff; color: #1b3f7a; }
+    input[type=number], input[type=text] { width: 16rem; }
+    #msg { margin-top: 1rem; color: #175217; }
+    #err { margin-top: 1rem; color: #6d1111; }
+    code { background: #0001; padding: 2px 4px; border-radius: 4px; }`,
+    body: `  <main>
+    <h1>Settings</h1>
+    <p class="muted">Values come from the defaults, ${file ? `the config file <code>${escapeHtml(file)}</code>` : 'a JSON config file (<code>CONFIG_FILE</code>, default <code>config.json</code>; none found)'}
+      and the environment, in that order. Settings marked <em>live</em> can be changed here and apply immediately;
+      the change is kept across restarts until reset. The rest need a redeploy.</p>
+    <p><a href="/">Home</a> • <a href="/audit">Audit log</a> • <a href="/logout">Logout</a></p>
+    <div id="msg"></div><div id="err"></div>
+    <table>
+      <thead><tr><th>Setting</th><th>Value</th><th>Source</th><th>Default</th><th>Notes</th></tr></thead>
+      <tbody id="settings"><tr><td colspan="5">Loading…</td></tr></tbody>
+    </table>
+  </main>`,
+    script: `
+    var CSRF_TOKEN = ${jsValue(csrf)};
+    function escapeHtml(s) { return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
+    function $(id) { return document.getElementById(id); }
+    async function call(method, url, body) {
+      $('msg').textContent = ''; $('err').textContent = '';
+      try {
+        const res = await fetch(url, {
+          method: method,
+          headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': CSRF_TOKEN },
+          body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error ?? ('HTTP ' + res.status));
+        return data;
+      } catch (e) {
+        console.error('Request error:', e);
+        $('err').textContent = 'Failed: ' + e.message;
+        return null;
+      }
+    }
+    function show(v) { return v === '' ? '<span class="muted">(empty)</span>' : '<code>' + escapeHtml(String(v)) + '</code>'; }
+    function editor(s) {
+      var id = 'v-' + s.key;
+      if (s.type === 'bool') return '<input type="checkbox" id="' + id + '"' + (s.value ? ' checked' : '') + ' />';
+      if (s.type === 'enum') {
+        return '<select id="' + id + '">' + s.values.map(function(v) {
+          return '<option' + (v === s.value ? ' selected' : '') + '>' + escapeHtml(v) + '</option>';
+        }).join('') + '</select>';
+      }
+      return '<input id="' + id + '" type="' + (s.type === 'int' ? 'number' : 'text') + '"'
+        + (s.min != null ? ' min="' + s.min + '"' : '') + (s.max != null ? ' max="' + s.max + '"' : '')
+        + ' value="' + escapeHtml(String(s.value)) + '" />';
+    }
+    function valueOf(s) {
+      var el = $('v-' + s.key);
+      if (s.type === 'bool') return el.checked;
+      if (s.type === 'int') return el.value === '' ? '' : Number(el.value);
+      return el.value;
+    }
+
+    var items = [];
+    async function load() {
+      var tbody = $('settings');
+      try {
+        var res = await fetch('/api/settings', { cache: 'no-store' });
+        var data = await res.json();
+        if (!res.ok) throw new Error(data.error ?? ('HTTP ' + res.status));
+        items = data.items;
+        var group = null;
+        tbody.innerHTML = items.map(function(s) {
+          var head = '';
+          if (s.group !== group) {
+            group = s.group;
+            head = '<tr class="group"><th colspan="5">' + escapeHtml(group) + '</th></tr>';
+          }
+          var value = s.hot
+            ? editor(s) + ' <button class="save" data-key="' + escapeHtml(s.key) + '">Save</button>'
+              + (s.source === 'runtime' ? ' <button class="reset" data-key="' + escapeHtml(s.key) + '" title="Back to ' + escapeHtml(String(s.startup)) + '">Reset</button>' : '')
+            : show(s.value);
+          var notes = (s.describe ? escapeHtml(s.describe) : '')
+            + (s.hot ? ' <span class="src src-runtime">live</span>' : '')
+            + (s.type === 'int' && /_MS$/.test(s.key) && s.value !== '' ? ' <span class="muted">(' + (s.value / 1000) + ' s)</span>' : '');
+          return head + '<tr><td><code>' + escapeHtml(s.key) + '</code></td><td>' + value + '</td>'
+            + '<td><span class="src src-' + escapeHtml(s.source) + '">' + escapeHtml(s.source) + '</span></td>'
+            + '<td>' + show(s.default) + '</td><td>' + notes + '</td></tr>';
+        }).join('');
+        tbody.querySelectorAll('.save').forEach(function(btn) {
+          btn.addEventListener('click', async function() {
+            var key = this.getAttribute('data-key');
+            var s = items.find(function(x) { return x.key === key; });
+            var patch = {};
+            patch[key] = valueOf(s);
+            var data = await call('PUT', '/api/settings', patch);
+            if (!data) return;
+            $('msg').textContent = Object.keys(data.changes).length ? key + ' updated' : key + ' unchanged';
+            load();
+          });
+        });
+        tbody.querySelectorAll('.reset').forEach(function(btn) {
+          btn.addEventListener('click', async function() {
+            var key = this.getAttribute('data-key');
+            var data = await call('DELETE', '/api/settings/' + encodeURIComponent(key));
+            if (!data) return;
+            $('msg').textContent = key + ' reset to ' + data.value;
+            load();
+          });
+        });
+      } catch (e) {
+        console.error('Load error:', e);
+        tbody.innerHTML = '<tr><td colspan="5">Error loading. Check console.</td></tr>';
+      }
+    }
+    load();`
+  });
+}
+
+module.exports = { settings };
@@ -0,0 +1,108 @@
+// views/tokens.js
+// API tokens (admin): create scoped bearer tokens (shown once), list and revoke them.
+
+const { escapeHtml, jsValue, layout } = require('./html');
+const { SCOPES } = require('../lib/apiTokens');
+
+function tokens({ csrf }) {
+  return layout({
+    title: 'API Tokens',
+    style: `
+    body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; margin: 2rem; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #ddd; padding: 8px; vertical-align: top; }
+    th { background: #f3f3f3; text-align: left; }
+    .muted { color: #666; font-size: 0.9rem; }
+    .form { display: grid; grid-template-columns: max-content 1fr; gap: 8px 12px; max-width: 640px; align-items: center; }
+    .secret { background: #fffbe6; border: 1px solid #e6d27a; padding: 10px; border-radius: 6px; margin-top: 1rem; word-break: break-all; }
+    .revoked { color: #999; text-decoration: line-through; }
+    #err { margin-top: 1rem; color: #6d1111; }
+    code { background: #0001; padding: 2px 4px; border-radius: 4px; }`,
+    body: `  <main>
+    <h1>API Tokens</h1>
+    <p class="muted">For scripts and CI: send <code>Authorization: Bearer &lt;token&gt;</code> to <code>/api/*</code>.
+      Missing or invalid tokens get a JSON <code>401</code>; routes outside the token's scopes get a JSON <code>403</code>.</p>
+    <p><a href="/users">Users</a> • <a href="/audit">Audit</a> • <a href="/">Home</a> • <a href="/logout">Logout</a></p>
+
+    <h2>New token</h2>
+    <div class="form">
+      <label for="f-name">Name</label><input id="f-name" type="text" placeholder="ci-deploy" maxlength="64" />
+      <label>Scopes</label>
+      <span>${Object.entries(SCOPES).map(([s, desc]) => `<label><input type="checkbox" class="scope" value="${s}" /> <code>${s}</code> <span class="muted">${escapeHtml(desc)}</span></label><br>`).join('')}</span>
+      <span></span><span><button id="create">Create token</button></span>
+    </div>
+    <div id="secret" class="secret" hidden></div>
+    <div id="err"></div>
+
+    <h2>Tokens</h2>
+    <table>
+      <thead><tr><th>Name</th><th>Scopes</th><th>Created</th><th>Last Used</th><th>Status</th><th></th></tr></thead>
+      <tbody id="rows"><tr><td colspan="6">Loading…</td></tr></tbody>
+    </table>
+  </main>`,
+    script: `
+    var CSRF_TOKEN = ${jsValue(csrf)};
+    function escapeHtml(s) { return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
+    function $(id) { return document.getElementById(id); }
+    async function call(method, url, body) {
+      $('err').textContent = '';
+      try {
+        const res = await fetch(url, {
+          method: method,
+          headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': CSRF_TOKEN },
+          body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error ?? ('HTTP ' + res.status));
+        return data;
+      } catch (e) {
+        console.error('Request error:', e);
+        $('err').textContent = 'Failed: ' + e.message;
+        return null;
+      }
+    }
+    async function load() {
+      var tbody = $('rows');
+      try {
+        const res = await fetch('/api/tokens', { cache: 'no-store' });
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        const data = await res.json();
+        var items = Array.isArray(data.items) ? data.items : [];
+        tbody.innerHTML = items.length === 0 ? '<tr><td colspan="6">No tokens yet.</td></tr>' : '';
+        items.forEach(function(x) {
+          var tr = document.createElement('tr');
+          tr.innerHTML = '<td class="' + (x.revokedAt ? 'revoked' : '') + '">' + escapeHtml(x.name) + '</td>'
+            + '<td>' + x.scopes.map(function(s) { return '<code>' + escapeHtml(s) + '</code>'; }).join(' ') + '</td>'
+            + '<td>' + escapeHtml(x.createdAt) + '<br><span class="muted">by ' + escapeHtml(x.createdBy ?? '—') + '</span></td>'
+            + '<td>' + (x.lastUsedAt ? escapeHtml(x.lastUsedAt) + '<br><span class="muted">' + escapeHtml(x.lastUsedIp ?? '') + '</span>' : '<span class="muted">never</span>') + '</td>'
+            + '<td>' + (x.revokedAt ? 'revoked ' + escapeHtml(x.revokedAt) : 'active') + '</td>'
+            + '<td>' + (x.revokedAt ? '' : '<button class="revoke">Revoke</button>') + '</td>';
+          var btn = tr.querySelector('.revoke');
+          if (btn) btn.addEventListener('click', async function() {
+            if (!confirm('Revoke token ' + x.name + '? Scripts using it stop working immediately.')) return;
+            await call('DELETE', '/api/tokens/' + x.id);
+            load();
+          });
+          tbody.appendChild(tr);
+        });
+      } catch (e) {
+        console.error('Load error:', e);
+        tbody.innerHTML = '<tr><td colspan="6">Error loading. Check console.</td></tr>';
+      }
+    }
+    $('create').addEventListener('click', async function() {
+      var scopes = Array.from(document.querySelectorAll('.scope')).filter(function(b) { return b.checked; }).map(function(b) { return b.value; });
+      var data = await call('POST', '/api/tokens', { name: $('f-name').value.trim(), scopes: scopes });
+      if (data) {
+        $('secret').hidden = false;
+        $('secret').innerHTML = 'Token <strong>' + escapeHtml(data.name) + '</strong> (shown once, copy it now):<br><code>' + escapeHtml(data.token) + '</code>';
+        $('f-name').value = '';
+        document.querySelectorAll('.scope').forEach(function(b) { b.checked = false; });
+      }
+      load();
+    });
+    load();`
+  });
+}
+
+module.exports = { tokens };
@@ -0,0 +1,157 @@
+// views/users.js
+// Dashboard accounts (admin): create, change role or password, disable and delete.
+
+const { jsValue, layout } = require('./html');
+const { ROLES } = require('../lib/users');
+
+function users({ csrf, username }) {
+  return layout({
+    title: 'Users',
+    style: `
+    body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; margin: 2rem; }
+    table { border-collapse: collapse; width: 100%; max-width: 980px; }
+    th, td { border: 1px solid #ddd; padding: 8px; }
+    th { background: #f3f3f3; text-align: left; }
+    .muted { color: #666; font-size: 0.9rem; }
+    .row-controls { display: flex; gap: 8px; align-items: center; flex-wrap: wrap; }
+    #msg { margin-top: 1rem; color: #175217; }
+    #err { margin-top: 1rem; color: #6d1111; }`,
+    body: `  <main>
+    <h1>Users</h1>
+    <p class="muted"><strong>viewer</strong>: device pages • <strong>operator</strong>: + send commands • <strong>admin</strong>: + users and device credentials</p>
+    <p><a href="/devices">Devices</a> • <a href="/control">Control</a> • <a href="/credentials">Credentials</a> • <a href="/">Home</a> • <a href="/logout">Logout</a></p>
+
+    <h2>Add user</h2>
+    <div class="row-controls">
+      <input type="text" id="new-username" placeholder="Username" autocomplete="off" />
+      <input type="password" id="new-password" placeholder="Password (min 8)" autocomplete="new-password" />
+      <select id="new-role">${ROLES.map(r => `<option value="${r}">${r}</option>`).join('')}</select>
+      <button id="create">Create</button>
+    </div>
+    <div id="msg"></div><div id="err"></div>
+
+    <h2>Accounts</h2>
+    <table>
+      <thead><tr><th>Username</th><th>Role</th><th>Last Login (UTC)</th><th>Created (UTC)</th><th>Sessions</th><th>Actions</th></tr></thead>
+      <tbody id="rows"><tr><td colspan="6">Loading…</td></tr></tbody>
+    </table>
+  </main>`,
+    script: `
+    var CSRF_TOKEN = ${jsValue(csrf)};
+    var ME = ${jsValue(username)};
+    var ROLES = ${jsValue(ROLES)};
+    function escapeHtml(s) { return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
+    async function call(method, url, body) {
+      var msg = document.getElementById('msg');
+      var err = document.getElementById('err');
+      msg.textContent = ''; err.textContent = '';
+      try {
+        const res = await fetch(url, {
+          method: method,
+          headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': CSRF_TOKEN },
+          body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await res.json();
+        if (!res.ok || !data.ok) throw new Error(data.error ?? ('HTTP ' + res.status));
+        return data;
+      } catch (e) {
+        console.error('Request error:', e);
+        err.textContent = 'Failed: ' + e.message;
+        return null;
+      }
+    }
+    async function load() {
+      var tbody = document.getElementById('rows');
+      try {
+        const res = await fetch('/api/users', { cache: 'no-store' });
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        const data = await res.json();
+        var items = Array.isArray(data.items) ? data.items : [];
+        var htmlRows = '';
+        for (var i = 0; i < items.length; i++) {
+          var x = items[i];
+          var name = escapeHtml(x.username);
+          var options = '';
+          for (var r = 0; r < ROLES.length; r++) {
+            options += '<option value="' + ROLES[r] + '"' + (ROLES[r] === x.role ? ' selected' : '') + '>' + ROLES[r] + '</option>';
+          }
+          htmlRows += '<tr>'
+            + '<td>' + name + (x.username === ME ? ' <span class="muted">(you)</span>' : '') + '</td>'
+            + '<td><select class="role-sel" data-user="' + name + '">' + options + '</select></td>'
+            + '<td>' + escapeHtml(x.lastLoginAt ?? '') + '</td>'
+            + '<td>' + escapeHtml(x.createdAt ?? '') + '</td>'
+            + '<td>' + x.sessions + (x.lockedUntil ? '<br><span class="muted">locked out until ' + escapeHtml(x.lockedUntil) + '</span>' : '') + '</td>'
+            + '<td><button class="reset-btn" data-user="' + name + '">Reset password</button> '
+            + '<button class="signout-btn" data-user="' + name + '"' + (x.sessions ? '' : ' disabled') + '>Sign out everywhere</button> '
+            + (x.lockedUntil ? '<button class="unlock-btn" data-user="' + name + '">Unlock</button> ' : '')
+            + '<button class="delete-btn" data-user="' + name + '">Delete</button></td>'
+            + '</tr>';
+        }
+        tbody.innerHTML = htmlRows;
+        tbody.querySelectorAll('.role-sel').forEach(function(sel) {
+          sel.addEventListener('change', async function() {
+            var u = this.getAttribute('data-user');
+            var data = await call('PATCH', '/api/users/' + encodeURIComponent(u), { role: this.value });
+            if (data) document.getElementById('msg').textContent = u + ' is now ' + data.user.role;
+            load();
+          });
+        });
+        tbody.querySelectorAll('.reset-btn').forEach(function(btn) {
+          btn.addEventListener('click', async function() {
+            var u = this.getAttribute('data-user');
+            var pw = prompt('New password for ' + u + ' (min 8 characters)');
+            if (!pw) return;
+            var data = await call('PATCH', '/api/users/' + encodeURIComponent(u), { password: pw });
+            if (data) document.getElementById('msg').textContent = 'Password reset for ' + u + ' (other sessions signed out)';
+            load();
+          });
+        });
+        tbody.querySelectorAll('.signout-btn').forEach(function(btn) {
+          btn.addEventListener('click', async function() {
+            var u = this.getAttribute('data-user');
+            if (!confirm('Sign ' + u + ' out of every session?' + (u === ME ? ' This includes you.' : ''))) return;
+            var data = await call('DELETE', '/api/users/' + encodeURIComponent(u) + '/sessions');
+            if (data && u === ME) { window.location.href = '/login'; return; }
+            if (data) document.getElementById('msg').textContent = 'Signed out ' + data.revoked + ' session(s) of ' + u;
+            load();
+          });
+        });
+        tbody.querySelectorAll('.unlock-btn').forEach(function(btn) {
+          btn.addEventListener('click', async function() {
+            var u = this.getAttribute('data-user');
+            var data = await call('DELETE', '/api/users/' + encodeURIComponent(u) + '/lockout');
+            if (data) document.getElementById('msg').textContent = u + ' can sign in again';
+            load();
+          });
+        });
+        tbody.querySelectorAll('.delete-btn').forEach(function(btn) {
+          btn.addEventListener('click', async function() {
+            var u = this.getAttribute('data-user');
+            if (!confirm('Delete user ' + u + '?')) return;
+            await call('DELETE', '/api/users/' + encodeURIComponent(u));
+            load();
+          });
+        });
+      } catch (e) {
+        console.error('Load error:', e);
+        tbody.innerHTML = '<tr><td colspan="6">Error loading. Check console.</td></tr>';
+      }
+    }
+    document.getElementById('create').addEventListener('click', async function() {
+      var data = await call('POST', '/api/users', {
+        username: document.getElementById('new-username').value.trim(),
+        password: document.getElementById('new-password').value,
+        role: document.getElementById('new-role').value
+      });
+      if (data) {
+        document.getElementById('msg').textContent = 'Created ' + data.user.username + ' (' + data.user.role + ')';
+        document.getElementById('new-username').value = '';
+        document.getElementById('new-password').value = '';
+      }
+      load();
+    });
+    load();`
+  });
+}
+
+module.exports = { users };
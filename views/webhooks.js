@@ -0,0 +1,225 @@
+// views/webhooks.js
+// Outbound webhooks (admin): subscriptions, signing secrets and the delivery log.
+
+const { jsValue, layout } = require('./html');
+const { EVENTS } = require('../lib/webhooks');
+
+function webhooks({ csrf, timeoutMs, maxAttempts, backoffMs }) {
+  return layout({
+    title: 'Webhooks',
+    style: `
+    body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; margin: 2rem; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #ddd; padding: 8px; vertical-align: top; }
+    th { background: #f3f3f3; text-align: left; }
+    .muted { color: #666; font-size: 0.9rem; }
+    .form { display: grid; grid-template-columns: max-content 1fr; gap: 8px 12px; max-width: 720px; align-items: center; }
+    .events label { margin-right: 12px; white-space: nowrap; }
+    .secret { background: #fffbe6; border: 1px solid #e6d27a; padding: 10px; border-radius: 6px; margin-top: 1rem; }
+    .delivered { color: #175217; }
+    .failed { color: #6d1111; }
+    .pending { color: #7a5b00; }
+    #msg { margin-top: 1rem; color: #175217; }
+    #err { margin-top: 1rem; color: #6d1111; }
+    code { background: #0001; padding: 2px 4px; border-radius: 4px; }
+    pre { margin: 0; white-space: pre-wrap; word-break: break-all; font-size: 0.85rem; }`,
+    body: `  <main>
+    <h1>Webhooks</h1>
+    <p class="muted">Events are POSTed as JSON <code>{ id, event, ts, data }</code>. Verify them with the subscription secret:
+      <code>X-Webhook-Signature</code> is <code>sha256=</code> + hex HMAC-SHA256 of <code>&lt;X-Webhook-Timestamp&gt;.&lt;raw body&gt;</code>.
+      Non-2xx answers, timeouts (${timeoutMs} ms) and network errors are retried up to ${maxAttempts} times with backoff starting at ${backoffMs} ms.</p>
+    <p><a href="/rules">Rules</a> • <a href="/audit">Audit</a> • <a href="/">Home</a> • <a href="/logout">Logout</a></p>
+
+    <h2 id="form-title">New webhook</h2>
+    <div class="form">
+      <label for="f-url">URL</label><input id="f-url" type="url" placeholder="http://localhost:4000/hooks/devices" />
+      <label for="f-desc">Description</label><input id="f-desc" type="text" placeholder="Ops alerting" />
+      <label>Events</label>
+      <span class="events"><label><input type="checkbox" value="*" id="ev-all" checked /> all</label>${EVENTS.map(e => `<label><input type="checkbox" class="ev" value="${e}" /> ${e}</label>`).join('')}</span>
+      <label for="f-enabled">Enabled</label><input id="f-enabled" type="checkbox" checked />
+      <span></span><span><button id="save">Create</button> <button id="cancel" hidden>Cancel edit</button></span>
+    </div>
+    <div id="secret" class="secret" hidden></div>
+    <div id="msg"></div><div id="err"></div>
+
+    <h2>Subscriptions</h2>
+    <table>
+      <thead><tr><th>URL</th><th>Events</th><th>Secret</th><th>Enabled</th><th>Actions</th></tr></thead>
+      <tbody id="rows"><tr><td colspan="5">Loading…</td></tr></tbody>
+    </table>
+
+    <h2>Delivery log</h2>
+    <p>
+      <label>Webhook <select id="d-webhook"><option value="">(any)</option></select></label>
+      <label>Status <select id="d-status"><option value="">(any)</option><option value="pending">pending</option><option value="delivered">delivered</option><option value="failed">failed</option></select></label>
+      <button id="d-refresh">Refresh</button>
+    </p>
+    <table>
+      <thead><tr><th>Created</th><th>Event</th><th>URL</th><th>Status</th><th>Attempts</th><th>Body</th><th></th></tr></thead>
+      <tbody id="deliveries"><tr><td colspan="7">Loading…</td></tr></tbody>
+    </table>
+  </main>`,
+    script: `
+    var CSRF_TOKEN = ${jsValue(csrf)};
+    var editing = null;
+    function escapeHtml(s) { return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
+    function $(id) { return document.getElementById(id); }
+    function evBoxes() { return Array.from(document.querySelectorAll('.ev')); }
+    function syncEvents() { evBoxes().forEach(function(b) { b.disabled = $('ev-all').checked; }); }
+    $('ev-all').addEventListener('change', syncEvents);
+
+    async function call(method, url, body) {
+      $('msg').textContent = ''; $('err').textContent = '';
+      try {
+        const res = await fetch(url, {
+          method: method,
+          headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': CSRF_TOKEN },
+          body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error ?? ('HTTP ' + res.status));
+        return data;
+      } catch (e) {
+        console.error('Request error:', e);
+        $('err').textContent = 'Failed: ' + e.message;
+        return null;
+      }
+    }
+    function showSecret(hook) {
+      $('secret').hidden = false;
+      $('secret').innerHTML = 'Signing secret for <code>' + escapeHtml(hook.url) + '</code> (shown once, copy it now):<br><code>' + escapeHtml(hook.secret) + '</code>';
+    }
+    function resetForm() {
+      editing = null;
+      $('form-title').textContent = 'New webhook';
+      $('save').textContent = 'Create';
+      $('cancel').hidden = true;
+      $('f-url').value = ''; $('f-desc').value = '';
+      $('ev-all').checked = true;
+      evBoxes().forEach(function(b) { b.checked = false; });
+      $('f-enabled').checked = true;
+      syncEvents();
+    }
+    function editHook(x) {
+      editing = x.id;
+      $('form-title').textContent = 'Edit: ' + x.url;
+      $('save').textContent = 'Save';
+      $('cancel').hidden = false;
+      $('f-url').value = x.url;
+      $('f-desc').value = x.description;
+      $('ev-all').checked = x.events.indexOf('*') >= 0;
+      evBoxes().forEach(function(b) { b.checked = x.events.indexOf(b.value) >= 0; });
+      $('f-enabled').checked = x.enabled;
+      syncEvents();
+      window.scrollTo(0, 0);
+    }
+    async function load() {
+      var tbody = $('rows');
+      try {
+        const res = await fetch('/api/webhooks', { cache: 'no-store' });
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        const data = await res.json();
+        var items = Array.isArray(data.items) ? data.items : [];
+        var sel = $('d-webhook'), current = sel.value;
+        sel.innerHTML = '<option value="">(any)</option>' + items.map(function(x) {
+          return '<option value="' + escapeHtml(x.id) + '">' + escapeHtml(x.description || x.url) + '</option>';
+        }).join('');
+        sel.value = current;
+        tbody.innerHTML = items.length === 0 ? '<tr><td colspan="5">No webhooks yet.</td></tr>' : '';
+        items.forEach(function(x) {
+          var tr = document.createElement('tr');
+          tr.innerHTML = '<td>' + escapeHtml(x.url) + (x.description ? '<br><span class="muted">' + escapeHtml(x.description) + '</span>' : '') + '</td>'
+            + '<td>' + x.events.map(function(e) { return '<code>' + escapeHtml(e) + '</code>'; }).join(' ') + '</td>'
+            + '<td><code>' + escapeHtml(x.secret) + '</code></td>'
+            + '<td><input type="checkbox" class="enabled"' + (x.enabled ? ' checked' : '') + '></td>'
+            + '<td><button class="test">Send test</button> <button class="rotate">Rotate secret</button> <button class="edit">Edit</button> <button class="del">Delete</button></td>';
+          tr.querySelector('.enabled').addEventListener('change', async function() {
+            await call('PUT', '/api/webhooks/' + x.id, { enabled: this.checked });
+            load();
+          });
+          tr.querySelector('.test').addEventListener('click', async function() {
+            var data = await call('POST', '/api/webhooks/' + x.id + '/test');
+            if (data) $('msg').textContent = 'Test delivery ' + data.delivery.id + ' queued';
+            setTimeout(loadDeliveries, 1000);
+          });
+          tr.querySelector('.rotate').addEventListener('click', async function() {
+            if (!confirm('Rotate the secret for ' + x.url + '? The receiver must be updated.')) return;
+            var data = await call('POST', '/api/webhooks/' + x.id + '/rotate-secret');
+            if (data) showSecret(data.webhook);
+            load();
+          });
+          tr.querySelector('.edit').addEventListener('click', function() { editHook(x); });
+          tr.querySelector('.del').addEventListener('click', async function() {
+            if (!confirm('Delete webhook ' + x.url + '?')) return;
+            await call('DELETE', '/api/webhooks/' + x.id);
+            if (editing === x.id) resetForm();
+            load();
+          });
+          tbody.appendChild(tr);
+        });
+      } catch (e) {
+        console.error('Load error:', e);
+        tbody.innerHTML = '<tr><td colspan="5">Error loading. Check console.</td></tr>';
+      }
+      loadDeliveries();
+    }
+    async function loadDeliveries() {
+      var tbody = $('deliveries');
+      var q = new URLSearchParams({ limit: '100' });
+      if ($('d-webhook').value) q.set('webhook', $('d-webhook').value);
+      if ($('d-status').value) q.set('status', $('d-status').value);
+      try {
+        const res = await fetch('/api/webhooks/deliveries?' + q, { cache: 'no-store' });
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        const data = await res.json();
+        var items = Array.isArray(data.items) ? data.items : [];
+        tbody.innerHTML = items.length === 0 ? '<tr><td colspan="7">No deliveries.</td></tr>' : '';
+        items.forEach(function(d) {
+          var attempts = d.attempts.map(function(a) {
+            return escapeHtml(a.at + ' ' + (a.error ?? ('HTTP ' + a.httpStatus)) + ' (' + a.ms + ' ms)');
+          }).join('<br>');
+          var tr = document.createElement('tr');
+          tr.innerHTML = '<td>' + escapeHtml(d.createdAt) + '</td>'
+            + '<td><code>' + escapeHtml(d.event) + '</code></td>'
+            + '<td>' + escapeHtml(d.url) + '</td>'
+            + '<td class="' + escapeHtml(d.status) + '">' + escapeHtml(d.status)
+              + (d.status === 'pending' && d.nextAttemptAt ? '<br><span class="muted">next ' + escapeHtml(d.nextAttemptAt) + '</span>' : '') + '</td>'
+            + '<td class="muted">' + (attempts || '—') + '</td>'
+            + '<td><details><summary>JSON</summary><pre>' + escapeHtml(d.body) + '</pre></details></td>'
+            + '<td><button class="again">Redeliver</button></td>';
+          tr.querySelector('.again').addEventListener('click', async function() {
+            var data = await call('POST', '/api/webhooks/deliveries/' + d.id + '/redeliver');
+            if (data) $('msg').textContent = 'Redelivery ' + data.delivery.id + ' queued';
+            setTimeout(loadDeliveries, 1000);
+          });
+          tbody.appendChild(tr);
+        });
+      } catch (e) {
+        console.error('Load error:', e);
+        tbody.innerHTML = '<tr><td colspan="7">Error loading. Check console.</td></tr>';
+      }
+    }
+    $('save').addEventListener('click', async function() {
+      var events = $('ev-all').checked ? ['*'] : evBoxes().filter(function(b) { return b.checked; }).map(function(b) { return b.value; });
+      var body = { url: $('f-url').value.trim(), description: $('f-desc').value.trim(), events: events, enabled: $('f-enabled').checked };
+      var data = editing
+        ? await call('PUT', '/api/webhooks/' + editing, body)
+        : await call('POST', '/api/webhooks', body);
+      if (data) {
+        if (!editing) showSecret(data.webhook);
+        else $('msg').textContent = 'Saved ' + data.webhook.url;
+        resetForm();
+      }
+      load();
+    });
+    $('cancel').addEventListener('click', resetForm);
+    $('d-refresh').addEventListener('click', loadDeliveries);
+    $('d-webhook').addEventListener('change', loadDeliveries);
+    $('d-status').addEventListener('change', loadDeliveries);
+    resetForm();
+    load();
+    setInterval(loadDeliveries, 10000);`
+  });
+}
+
+module.exports = { webhooks };